@@ -15,8 +15,9 @@ public sealed partial class AIAutoResponder {
     /// </summary>
     /// <param name="filePath">录音文件路径</param>
     /// <param name="ct">取消令牌</param>
+    /// <param name="startMs">从该位置（毫秒）开始播放</param>
     /// <returns>播放任务</returns>
-    public async Task PlayRecordingAsync(string filePath, CancellationToken ct = default) {
+    public async Task PlayRecordingAsync(string filePath, CancellationToken ct = default, int startMs = 0) {
         if (string.IsNullOrEmpty(filePath)) {
             _logger.LogWarning("录音文件路径为空，跳过播放");
             return;
@@ -31,6 +32,7 @@ public sealed partial class AIAutoResponder {
         Interlocked.Exchange(ref _totalBytesSent, 0);
         _playbackCompletionSource = new TaskCompletionSource(TaskCreationOptions.RunContinuationsAsynchronously);
         _isTtsStreamFinished = false;
+        _playbackOffsetMs = 0;
 
         var token = _cts?.Token ?? ct;
         var stopwatch = Stopwatch.StartNew();
@@ -53,10 +55,16 @@ public sealed partial class AIAutoResponder {
 
             _logger.LogInformation("录音文件已加载: {FrameCount} 帧", frames.Count);
 
+            var skipFrames = Math.Clamp(startMs / _profile.PtimeMs, 0, frames.Count);
+            if (skipFrames > 0) {
+                _playbackOffsetMs = skipFrames * _profile.PtimeMs;
+                _logger.LogInformation("录音从 {StartMs}ms 开始播放，跳过 {SkipFrames} 帧", _playbackOffsetMs, skipFrames);
+            }
+
             int frameIndex = 0;
             var codec = _codecFactory.GetCodec(_profile.Codec);
             
-            foreach (var frame in frames) {
+            foreach (var frame in frames.Skip(skipFrames)) {
                 if (token.IsCancellationRequested) {
                     _logger.LogInformation("录音播放被取消");
                     break;
@@ -107,6 +107,8 @@ public sealed partial class AIAutoResponder {
                 try {
                     _logger.LogInformation("执行片段 {Order}/{Total}: {Type} (SegmentId={SegmentId})", currentSegment.Order, _executionContext.Segments.Count, currentSegment.Type, currentSegment.Id);
                     
+                    SetPlayingSegment();
+
                     // 发送进度事件
                     OnScenarioProgress?.Invoke(new ScenarioProgressInfo(callId) {
                         CurrentSegmentIndex = _executionContext.CurrentSegmentIndex,
@@ -393,7 +395,7 @@ public sealed partial class AIAutoResponder {
 
         var fileInfo = new FileInfo(segment.FilePath);
         
-        await PlayRecordingAsync(segment.FilePath, ct);
+        await PlayRecordingAsync(segment.FilePath, ct, TakeSeekPosition(segment.Id));
         await WaitForPlaybackToCompleteAsync();
         
         await Task.Delay(50, ct);
@@ -442,6 +444,9 @@ public sealed partial class AIAutoResponder {
                     await WaitForPlaybackToCompleteAsync();
                     
                     await Task.Delay(200, ct);
+
+                    // 提示音播放期间被跳转到其他片段，不再开始收集
+                    if (IsJumpingPending()) return;
                 }
 
                 // 收集输入
@@ -16,6 +16,9 @@ public sealed partial class AIAutoResponder {
     private ScenarioExecutionContext? _executionContext;
     private readonly object _contextLock = new();
 
+    // 录音从中间开始播放时跳过的时长，计算播放位置时补上
+    private volatile int _playbackOffsetMs;
+
     /// <summary>
     /// 设置音频文件播放器
     /// </summary>
@@ -32,6 +35,7 @@ public sealed partial class AIAutoResponder {
             if (!_isPaused) {
                 _isPaused = true;
                 _shouldSendAudio = false;
+                var positionMs = GetSegmentPositionMs();
 
                 // 设置执行上下文为暂停状态
                 lock (_contextLock) {
@@ -39,6 +43,7 @@ public sealed partial class AIAutoResponder {
                         lock (_executionContext.StateLock) {
                             _executionContext.State = ScenarioPlaybackState.Paused;
                             _executionContext.PauseTime = DateTime.UtcNow;
+                            _executionContext.PausedPositionMs = positionMs;
                         }
                     }
                 }
@@ -78,7 +83,10 @@ public sealed partial class AIAutoResponder {
         return Task.CompletedTask;
     }
 
-    public Task ResumeScenarioFromSegmentAsync(string callId, int startSegmentId, Dictionary<string, string> variables, CancellationToken ct, int speakerId = 0) {
+    /// <summary>
+    /// 从指定片段继续场景，positionMs仅对录音片段有效
+    /// </summary>
+    public Task ResumeScenarioFromSegmentAsync(string callId, int startSegmentId, Dictionary<string, string> variables, CancellationToken ct, int speakerId = 0, int positionMs = 0) {
         lock (_contextLock) {
             if (_executionContext == null) {
                 _logger.LogWarning("执行上下文不存在，无法跳转到指定片段");
@@ -94,6 +102,8 @@ public sealed partial class AIAutoResponder {
                 // 设置跳转状态
                 _executionContext.State = ScenarioPlaybackState.Jumping;
                 _executionContext.JumpToSegmentId = startSegmentId;
+                _executionContext.SeekSegmentId = positionMs > 0 ? startSegmentId : null;
+                _executionContext.SeekPositionMs = positionMs;
                 _executionContext.PauseEvent.Set(); // 唤醒主循环
             }
         }
@@ -105,10 +115,64 @@ public sealed partial class AIAutoResponder {
         _isPaused = false;
         _shouldSendAudio = true;
         
-        _logger.LogInformation("设置跳转到片段: {SegmentId}", startSegmentId);
+        _logger.LogInformation("设置跳转到片段: {SegmentId}, 起始位置: {PositionMs}ms", startSegmentId, positionMs);
         return Task.CompletedTask;
     }
 
+    /// <summary>
+    /// 跳转到指定片段（监听页面时间轴的跳转、重播与拖动），无论当前是否在播放
+    /// </summary>
+    /// <param name="segmentId">目标片段ID</param>
+    /// <param name="positionMs">录音片段的起始位置（毫秒）</param>
+    public async Task JumpToSegmentAsync(int segmentId, int positionMs = 0) {
+        // 先结束当前片段，主循环才会处理跳转；正在等待按键的片段需要取消收集
+        await PauseAsync();
+        if (_dtmfService != null && !string.IsNullOrEmpty(_currentCallId)) {
+            await _dtmfService.StopCollectionAsync(_currentCallId);
+        }
+
+        await ResumeScenarioFromSegmentAsync(_currentCallId ?? string.Empty, segmentId, new Dictionary<string, string>(), CancellationToken.None, GetCurrentSpeakerId(), positionMs);
+    }
+
+    /// <summary>
+    /// 获取当前播放位置，场景未在执行时返回null
+    /// </summary>
+    public ScenarioPlaybackPosition? GetPlaybackPosition() {
+        var positionMs = GetSegmentPositionMs();
+        int? durationMs = _isTtsStreamFinished
+            ? _playbackOffsetMs + ScenarioPlaybackPosition.BytesToMs(Interlocked.Read(ref _totalBytesGenerated), _silenceFrame.Length, _profile.PtimeMs)
+            : null;
+
+        lock (_contextLock) {
+            if (_executionContext == null) return null;
+
+            lock (_executionContext.StateLock) {
+                var segments = _executionContext.Segments;
+                var index = _executionContext.PlayingSegmentIndex;
+                var segment = index >= 0 && index < segments.Count ? segments[index] : null;
+                var hasAudio = segment?.Type == ScenarioSegmentType.Recording || segment?.Type == ScenarioSegmentType.TTS;
+
+                return new ScenarioPlaybackPosition {
+                    CallId = _executionContext.CallId,
+                    SegmentId = segment?.Id,
+                    SegmentIndex = index,
+                    TotalSegments = segments.Count,
+                    SegmentType = segment?.Type,
+                    State = _executionContext.State,
+                    PositionMs = !hasAudio ? 0 : _executionContext.State == ScenarioPlaybackState.Paused ? _executionContext.PausedPositionMs : positionMs,
+                    DurationMs = hasAudio ? durationMs : null
+                };
+            }
+        }
+    }
+
+    /// <summary>
+    /// 当前片段已发送的时长
+    /// </summary>
+    private int GetSegmentPositionMs() {
+        return _playbackOffsetMs + ScenarioPlaybackPosition.BytesToMs(Interlocked.Read(ref _totalBytesSent), _silenceFrame.Length, _profile.PtimeMs);
+    }
+
 
     /// <summary>
     /// 检查是否暂停
@@ -253,6 +317,35 @@ public sealed partial class AIAutoResponder {
         }
     }
     
+    /// <summary>
+    /// 记录正在播放的片段（暂停后CurrentSegmentIndex会指向下一片段，时间轴以此为准）
+    /// </summary>
+    private void SetPlayingSegment() {
+        lock (_contextLock) {
+            if (_executionContext != null) {
+                lock (_executionContext.StateLock) {
+                    _executionContext.PlayingSegmentIndex = _executionContext.CurrentSegmentIndex;
+                }
+            }
+        }
+    }
+
+    /// <summary>
+    /// 取出跳转时指定的录音起始位置，只对跳转目标片段生效
+    /// </summary>
+    private int TakeSeekPosition(int segmentId) {
+        lock (_contextLock) {
+            if (_executionContext == null) return 0;
+
+            lock (_executionContext.StateLock) {
+                var positionMs = _executionContext.SeekSegmentId == segmentId ? _executionContext.SeekPositionMs : 0;
+                _executionContext.SeekSegmentId = null;
+                _executionContext.SeekPositionMs = 0;
+                return positionMs;
+            }
+        }
+    }
+
     /// <summary>
     /// 移动到下一片段
     /// </summary>
@@ -146,6 +146,7 @@ namespace AI.Caller.Core {
 
         public async Task<TimeSpan> PlayScriptAsync(string text, int speakerId = 0, float speed = 1.0f, CancellationToken ct = default) {
             _isTtsStreamFinished = false;
+            _playbackOffsetMs = 0;
             Interlocked.Exchange(ref _totalBytesGenerated, 0);
             Interlocked.Exchange(ref _totalBytesSent, 0);
             Interlocked.Exchange(ref _playbackCompletionSource, new TaskCompletionSource(TaskCreationOptions.RunContinuationsAsynchronously));
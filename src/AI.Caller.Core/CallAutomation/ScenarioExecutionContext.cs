@@ -24,6 +24,12 @@ public class ScenarioExecutionContext : IDisposable {
     
     // 跳转控制
     public int? JumpToSegmentId { get; set; }
+    public int? SeekSegmentId { get; set; }
+    public int SeekPositionMs { get; set; }
+
+    // 播放位置（监听页面时间轴）
+    public int PlayingSegmentIndex { get; set; } = -1;
+    public int PausedPositionMs { get; set; }
     
     // 时间记录
     public DateTime StartTime { get; set; }
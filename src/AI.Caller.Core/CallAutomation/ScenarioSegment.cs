@@ -259,4 +259,41 @@ public class ScenarioProgressInfo {
     /// 时间戳
     /// </summary>
     public DateTime Timestamp { get; set; } = DateTime.UtcNow;
+}
+
+/// <summary>
+/// 场景播放位置（监听页面时间轴）
+/// </summary>
+public class ScenarioPlaybackPosition {
+    public string CallId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// 正在播放的片段ID（尚未开始播放时为空）
+    /// </summary>
+    public int? SegmentId { get; set; }
+
+    public int SegmentIndex { get; set; }
+
+    public int TotalSegments { get; set; }
+
+    public ScenarioSegmentType? SegmentType { get; set; }
+
+    public ScenarioPlaybackState State { get; set; }
+
+    /// <summary>
+    /// 当前片段已播放时长（毫秒），仅录音与TTS片段有效
+    /// </summary>
+    public int PositionMs { get; set; }
+
+    /// <summary>
+    /// 当前片段总时长（毫秒），TTS仍在合成时未知
+    /// </summary>
+    public int? DurationMs { get; set; }
+
+    /// <summary>
+    /// 按编码后的帧字节数换算播放时长
+    /// </summary>
+    public static int BytesToMs(long bytes, int frameBytes, int ptimeMs) {
+        return frameBytes > 0 ? (int)(bytes / frameBytes * ptimeMs) : 0;
+    }
 }
\ No newline at end of file
@@ -24,9 +24,9 @@ namespace AI.Caller.Core.Media.Adapters {
 
         public string RecognizeStream(byte[] pcmBytes) {
             try {
-                var resampledSegment = _resampler.Resample(pcmBytes);
-                var resampled = resampledSegment.ToArray();
+                // 实例为单例，多路通话并发识别；重采样器有内部状态，与识别一起串行执行
                 lock (_lock) {
+                    var resampled = _resampler.Resample(pcmBytes).ToArray();
                     var stream = _recognizer.CreateStream();
                     stream.AcceptWaveform(_modelSampleRate, resampled);
                     _recognizer.Decode(stream);
@@ -20,11 +20,21 @@ public sealed partial class AudioBridge {
     private CancellationTokenSource? _interventionCts;
     private readonly object _pacerLock = new object();
 
+    // 耳语（教练模式）：监听者的声音只混入发给坐席的音频，客户听不到
+    private readonly AudioRingBuffer _whisperBuffer = new AudioRingBuffer(8000);
+    private volatile bool _isWhisperActive = false;
+    private readonly object _whisperLock = new object();
+
     /// <summary>
     /// 公开人工介入状态，供外部读取
     /// </summary>
     public bool IsInterventionActive => _isInterventionActive;
 
+    /// <summary>
+    /// 公开耳语状态，供外部读取
+    /// </summary>
+    public bool IsWhisperActive => _isWhisperActive;
+
     /// <summary>
     /// 客户音频准备就绪事件（Incoming - 客户说话）
     /// </summary>
@@ -57,6 +67,9 @@ public sealed partial class AudioBridge {
     /// <param name="active">是否激活人工接入</param>
     public void SetInterventionActive(int monitorUserId, bool active) {
         if (_monitoringListeners.TryGetValue(monitorUserId, out var listener)) {
+            if (active && listener.IsWhispering) {
+                SetWhisperActive(monitorUserId, false);
+            }
             listener.IsIntervening = active;
         } else {
             _logger.LogWarning("无法设置人工介入状态：未找到监听者 {MonitorUserId}", monitorUserId);
@@ -97,6 +110,105 @@ public sealed partial class AudioBridge {
         _logger.LogInformation("人工接入总状态已更新: {Active} (操作人 {UserId})", _isInterventionActive, monitorUserId);
     }
 
+    /// <summary>
+    /// 设置耳语状态
+    /// 耳语期间客户发往坐席浏览器的音频经过AudioBridge转发，监听者的声音混入其中，不发送到SIP通话
+    /// </summary>
+    /// <param name="monitorUserId">操作者的用户ID</param>
+    /// <param name="active">是否开始耳语</param>
+    /// <exception cref="InvalidOperationException">监听者不存在、正在人工接入或通话不支持耳语</exception>
+    public void SetWhisperActive(int monitorUserId, bool active) {
+        lock (_whisperLock) {
+            if (!_monitoringListeners.TryGetValue(monitorUserId, out var listener)) {
+                throw new InvalidOperationException("未找到监听会话");
+            }
+            if (active && listener.IsIntervening) {
+                throw new InvalidOperationException("人工接入中不能耳语");
+            }
+
+            bool newState = active || _monitoringListeners.Values.Any(l => l.UserId != monitorUserId && l.IsWhispering);
+            if (_isWhisperActive != newState) {
+                if (newState) {
+                    AttachWhisperRelayUnsafe();
+                } else {
+                    DetachWhisperRelayUnsafe();
+                }
+            }
+            listener.IsWhispering = active;
+        }
+
+        _logger.LogInformation("耳语总状态已更新: {Active} (操作人 {UserId})", _isWhisperActive, monitorUserId);
+    }
+
+    private void AttachWhisperRelayUnsafe() {
+        var mediaSessionManager = _mediaSessionManager ?? throw new InvalidOperationException("通话媒体尚未就绪");
+        if (mediaSessionManager.SipAudioRelay != null) {
+            throw new InvalidOperationException("通话正在转接或会议中，不能耳语");
+        }
+
+        int payloadType = mediaSessionManager.SelectedPayloadType;
+        if (payloadType != 0 && payloadType != 8) {
+            throw new InvalidOperationException("耳语仅支持G.711编码的通话");
+        }
+
+        _whisperBuffer.Clear();
+        mediaSessionManager.SipAudioRelay = payload => mediaSessionManager.SendAudioToWebRtc(MixWhisperAudio(payload, payloadType));
+        _isWhisperActive = true;
+    }
+
+    private void DetachWhisperRelayUnsafe() {
+        _isWhisperActive = false;
+        if (_mediaSessionManager != null) {
+            _mediaSessionManager.SipAudioRelay = null;
+        }
+        _whisperBuffer.Clear();
+    }
+
+    /// <summary>
+    /// 把耳语音频混入客户发给坐席的一个RTP包，以SIP收包节奏为准，耳语缓冲不足一包时原样转发
+    /// </summary>
+    private byte[] MixWhisperAudio(byte[] payload, int payloadType) {
+        var codec = GetCodecForPayloadType(payloadType);
+        if (codec == null || payload.Length == 0) return payload;
+
+        byte[] pcm = ArrayPool<byte>.Shared.Rent(payload.Length * 2);
+        short[] whisper = ArrayPool<short>.Shared.Rent(payload.Length);
+        try {
+            int decodedLength = codec.Decode(payload, pcm);
+            var samples = MemoryMarshal.Cast<byte, short>(pcm.AsSpan(0, decodedLength));
+            var whisperSpan = whisper.AsSpan(0, samples.Length);
+            if (!_whisperBuffer.TryReadFrame(whisperSpan)) return payload;
+
+            for (int i = 0; i < samples.Length; i++) {
+                samples[i] = (short)Math.Clamp(samples[i] + whisperSpan[i], short.MinValue, short.MaxValue);
+            }
+            return codec.Encode(pcm.AsSpan(0, decodedLength));
+        } catch (Exception ex) {
+            _logger.LogError(ex, "混入耳语音频失败");
+            return payload;
+        } finally {
+            ArrayPool<byte>.Shared.Return(pcm);
+            ArrayPool<short>.Shared.Return(whisper);
+        }
+    }
+
+    /// <summary>
+    /// 监听者麦克风音频：耳语时写入耳语缓冲，否则按人工接入处理
+    /// </summary>
+    private void ProcessMonitorAudio(MonitoringListener listener, byte[] audioData) {
+        if (!listener.IsWhispering) {
+            ProcessInterventionAudio(audioData);
+            return;
+        }
+        if (!_isStarted || !_isWhisperActive) return;
+
+        try {
+            _whisperBuffer.Write(MemoryMarshal.Cast<byte, short>(audioData));
+        } catch (Exception ex) {
+            _logger.LogError(ex, "写入耳语音频缓冲失败");
+        }
+    }
+
     private void RestartInterventionPacerUnsafe() {
         StopInterventionPacerUnsafe(); 
         
@@ -131,9 +243,9 @@ public sealed partial class AudioBridge {
             UserName = userName,
             StartTime = DateTime.UtcNow,
             IsActive = true,
-            Session = session,
-            InterventionAudioHandler = (pcm) => ProcessInterventionAudio(pcm)
+            Session = session
         };
+        listener.InterventionAudioHandler = (pcm) => ProcessMonitorAudio(listener, pcm);
 
         if (_monitoringListeners.TryAdd(userId, listener)) {
             Interlocked.Increment(ref _activeMonitorCount);
@@ -170,6 +282,15 @@ public sealed partial class AudioBridge {
                     _logger.LogInformation("人工接入状态已随监听者移除而重置");
                 }
             }
+
+            if (listener.IsWhispering) {
+                lock (_whisperLock) {
+                    if (_isWhisperActive && !_monitoringListeners.Values.Any(l => l.IsWhispering)) {
+                        DetachWhisperRelayUnsafe();
+                        _logger.LogInformation("耳语状态已随监听者移除而重置");
+                    }
+                }
+            }
             
             _logger.LogInformation("监听者已移除: UserId {UserId}, 监听时长: {Duration}秒", userId, (listener.EndTime.Value - listener.StartTime).TotalSeconds);
         } else {
@@ -396,6 +517,7 @@ public class MonitoringListener {
     public DateTime? EndTime { get; set; }
     public bool IsActive { get; set; }
     public bool IsIntervening { get; set; }
+    public bool IsWhispering { get; set; }
     public MonitorMediaSession? Session { get; set; }
     public Action<byte[]>? InterventionAudioHandler { get; set; }
 }
@@ -0,0 +1,28 @@
+namespace AI.Caller.Core.Media;
+
+/// <summary>
+/// 音量计算：16位PCM峰值按分贝换算为0-100，供监听页面与班长看板显示
+/// </summary>
+public static class AudioLevel {
+    /// <summary>
+    /// 低于该分贝视为静音
+    /// </summary>
+    public const double FloorDb = -60;
+
+    public static int Peak(ReadOnlySpan<short> samples) {
+        int max = 0;
+        foreach (var sample in samples) {
+            max = Math.Max(max, Math.Abs((int)sample));
+        }
+        return max;
+    }
+
+    public static int FromPeak(int peak) {
+        if (peak <= 0) return 0;
+
+        var db = 20 * Math.Log10(peak / 32768.0);
+        return (int)Math.Clamp((db - FloorDb) / -FloorDb * 100, 0, 100);
+    }
+
+    public static int FromSamples(ReadOnlySpan<short> samples) => FromPeak(Peak(samples));
+}
@@ -0,0 +1,194 @@
+using AI.Caller.Core.Media.Interfaces;
+using Microsoft.Extensions.Logging;
+using SIPSorcery.Media;
+using SIPSorcery.Net;
+using SIPSorceryMedia.Abstractions;
+using System.Buffers;
+using System.Collections.Concurrent;
+using System.Runtime.InteropServices;
+
+namespace AI.Caller.Core.Media {
+    /// <summary>
+    /// 多方通话混音器
+    /// 每个参与方各自解码写入缓冲区，每20ms为每个参与方混合除自己以外未静音方的音频，再经MixerAudioSource编码后发送
+    /// </summary>
+    public class ConferenceMixer : IDisposable {
+        private readonly ILogger _logger;
+        private readonly AudioCodecFactory _audioCodecFactory;
+        private readonly ConcurrentDictionary<string, ConferenceLeg> _legs = new();
+        private readonly CancellationTokenSource _mixingCts = new();
+
+        private Task? _mixingTask;
+        private bool _disposed;
+
+        private const int SAMPLE_RATE = 8000;
+        private const int SAMPLES_PER_FRAME = 160; // 20ms
+        private const int BUFFER_SIZE = 8000; // 1秒总容量
+
+        public ConferenceMixer(ILogger logger, AudioCodecFactory codecFactory) {
+            _logger = logger;
+            _audioCodecFactory = codecFactory;
+        }
+
+        public IReadOnlyCollection<string> ParticipantIds => _legs.Keys.ToList();
+
+        /// <summary>
+        /// 加入参与方
+        /// </summary>
+        /// <param name="participantId">参与方标识</param>
+        /// <param name="payloadType">该参与方协商的RTP负载类型，仅支持G.711，其它类型按PCMA处理</param>
+        /// <param name="sendAudio">混音编码后的发送回调</param>
+        public void AddParticipant(string participantId, int payloadType, Action<byte[]> sendAudio) {
+            if (_disposed) throw new ObjectDisposedException(nameof(ConferenceMixer));
+
+            var codecType = payloadType == 0 ? AudioCodec.PCMU : AudioCodec.PCMA;
+            var format = new AudioFormat(codecType == AudioCodec.PCMU ? SDPWellKnownMediaFormatsEnum.PCMU : SDPWellKnownMediaFormatsEnum.PCMA);
+
+            var audioSource = new MixerAudioSource(new AudioEncoder());
+            audioSource.SetAudioSourceFormat(format);
+            audioSource.OnAudioSourceEncodedSample += (duration, encoded) => sendAudio(encoded);
+            audioSource.StartAudio();
+
+            var leg = new ConferenceLeg(participantId, _audioCodecFactory.GetCodec(codecType), audioSource);
+            if (_legs.TryRemove(participantId, out var previous)) {
+                previous.Dispose();
+            }
+            _legs[participantId] = leg;
+
+            _logger.LogInformation("会议参与方已加入混音: {ParticipantId}, Codec: {Codec}", participantId, codecType);
+            StartMixing();
+        }
+
+        public void RemoveParticipant(string participantId) {
+            if (_legs.TryRemove(participantId, out var leg)) {
+                leg.Dispose();
+                _logger.LogInformation("会议参与方已移出混音: {ParticipantId}", participantId);
+            }
+        }
+
+        /// <summary>
+        /// 设置参与方静音，静音后其音频不再混入其他参与方，但仍可收听
+        /// </summary>
+        public bool SetMuted(string participantId, bool muted) {
+            if (!_legs.TryGetValue(participantId, out var leg)) {
+                return false;
+            }
+
+            leg.IsMuted = muted;
+            if (muted) {
+                leg.Buffer.Clear();
+            }
+            return true;
+        }
+
+        /// <summary>
+        /// 写入参与方上行的RTP编码负载
+        /// </summary>
+        public void WriteAudio(string participantId, byte[] payload) {
+            if (_disposed || payload == null || payload.Length == 0) return;
+            if (!_legs.TryGetValue(participantId, out var leg) || leg.IsMuted) return;
+
+            byte[] pcm = ArrayPool<byte>.Shared.Rent(payload.Length * 2);
+            try {
+                int pcmLength;
+                lock (leg) {
+                    pcmLength = leg.Codec.Decode(payload, pcm);
+                }
+
+                if (pcmLength > 0) {
+                    leg.Buffer.Write(MemoryMarshal.Cast<byte, short>(pcm.AsSpan(0, pcmLength)));
+                }
+            } catch (Exception ex) {
+                _logger.LogError(ex, "解码会议音频失败: {ParticipantId}", participantId);
+            } finally {
+                ArrayPool<byte>.Shared.Return(pcm);
+            }
+        }
+
+        public void Dispose() {
+            if (_disposed) return;
+            _disposed = true;
+
+            if (!_mixingCts.IsCancellationRequested) {
+                _mixingCts.Cancel();
+            }
+
+            try {
+                _mixingTask?.Wait(TimeSpan.FromSeconds(1));
+            } catch (AggregateException) {
+            }
+            _mixingCts.Dispose();
+
+            foreach (var leg in _legs.Values) {
+                leg.Dispose();
+            }
+            _legs.Clear();
+        }
+
+        private void StartMixing() {
+            if (_mixingTask != null) return;
+            _mixingTask = Task.Factory.StartNew(async () => {
+                var interval = TimeSpan.FromMilliseconds(20);
+                using var timer = new PeriodicTimer(interval);
+                try {
+                    while (await timer.WaitForNextTickAsync(_mixingCts.Token)) {
+                        MixAndSendAudio();
+                    }
+                } catch (OperationCanceledException) { } catch (Exception ex) {
+                    _logger.LogError(ex, "Error in conference mixing loop");
+                }
+            }, _mixingCts.Token, TaskCreationOptions.LongRunning, TaskScheduler.Default).Unwrap();
+        }
+
+        private void MixAndSendAudio() {
+            var legs = _legs.Values.ToArray();
+            if (legs.Length < 2) return;
+
+            foreach (var leg in legs) {
+                leg.HasFrame = !leg.IsMuted && leg.Buffer.TryReadFrame(leg.Frame);
+            }
+
+            foreach (var target in legs) {
+                var mix = new short[SAMPLES_PER_FRAME];
+                foreach (var source in legs) {
+                    if (source == target || !source.HasFrame) continue;
+
+                    for (int i = 0; i < SAMPLES_PER_FRAME; i++) {
+                        int mixed = mix[i] + source.Frame[i];
+                        if (mixed > short.MaxValue) mixed = short.MaxValue;
+                        else if (mixed < short.MinValue) mixed = short.MinValue;
+                        mix[i] = (short)mixed;
+                    }
+                }
+
+                try {
+                    target.AudioSource.SendAudio(mix, SAMPLE_RATE);
+                } catch (Exception ex) {
+                    _logger.LogError(ex, "发送会议混音失败: {ParticipantId}", target.ParticipantId);
+                }
+            }
+        }
+
+        private class ConferenceLeg : IDisposable {
+            public ConferenceLeg(string participantId, IAudioCodec codec, MixerAudioSource audioSource) {
+                ParticipantId = participantId;
+                Codec         = codec;
+                AudioSource   = audioSource;
+            }
+
+            public string            ParticipantId { get; }
+            public IAudioCodec       Codec         { get; }
+            public MixerAudioSource  AudioSource   { get; }
+            public AudioRingBuffer   Buffer        { get; } = new AudioRingBuffer(BUFFER_SIZE);
+            public short[]           Frame         { get; } = new short[SAMPLES_PER_FRAME];
+            public volatile bool     IsMuted;
+            public bool              HasFrame;
+
+            public void Dispose() {
+                AudioSource.CloseAudio();
+                Buffer.Clear();
+                Codec.Dispose();
+            }
+        }
+    }
+}
@@ -160,11 +160,22 @@ namespace AI.Caller.Core.Media {
         private IAudioCodec? _codec;
         private int? _currentPayloadType = null;
 
+        private int[] _customerLevels = new int[LEVEL_REPORT_FRAMES];
+        private int[] _agentLevels = new int[LEVEL_REPORT_FRAMES];
+        private int _levelFrameCount;
+
         private const int SAMPLE_RATE = 8000;
         private const int SAMPLES_PER_FRAME = 160; // 20ms
         private const int BUFFER_SIZE = 8000; // 1秒总容量
+        private const int LEVEL_REPORT_FRAMES = 5; // 每100ms上报一次音量
+
+        public const int FRAME_MS = 20;
 
         public event Action<byte[]>? OnInterventionAudioReceived;
+        /// <summary>
+        /// 混音前两路音频的逐帧（20ms）音量0-100，参数依次为客户、坐席/AI，每100ms触发一次
+        /// </summary>
+        public event Action<int[], int[]>? OnAudioLevels;
         public event Action<RTCIceCandidateInit>? OnIceCandidate;
         public event Action<RTCPeerConnectionState>? OnConnectionStateChange;
 
@@ -316,6 +327,8 @@ namespace AI.Caller.Core.Media {
             bool hasAi = _aiBuffer.TryReadFrame(aiFrame);
             bool hasCust = _customerBuffer.TryReadFrame(custFrame);
 
+            ReportLevels(hasCust ? AudioLevel.FromSamples(custFrame) : 0, hasAi ? AudioLevel.FromSamples(aiFrame) : 0);
+
             if (!hasAi && !hasCust) {
                 mixSpan.Clear();
                 _audioSource.SendAudio(_mixBuffer, SAMPLE_RATE);
@@ -342,6 +355,29 @@ namespace AI.Caller.Core.Media {
             _audioSource.SendAudio(_mixBuffer, SAMPLE_RATE);
         }
 
+        /// <summary>
+        /// 混音前分别统计两路音量，监听页面据此区分说话方并检测静音与抢话
+        /// </summary>
+        private void ReportLevels(int customerLevel, int agentLevel) {
+            if (OnAudioLevels == null) return;
+
+            _customerLevels[_levelFrameCount] = customerLevel;
+            _agentLevels[_levelFrameCount] = agentLevel;
+            if (++_levelFrameCount < LEVEL_REPORT_FRAMES) return;
+
+            var customerLevels = _customerLevels;
+            var agentLevels = _agentLevels;
+            _customerLevels = new int[LEVEL_REPORT_FRAMES];
+            _agentLevels = new int[LEVEL_REPORT_FRAMES];
+            _levelFrameCount = 0;
+
+            try {
+                OnAudioLevels.Invoke(customerLevels, agentLevels);
+            } catch (Exception ex) {
+                _logger.LogWarning(ex, "上报监听音量失败");
+            }
+        }
+
         private void ProcessIncomingRtp(RTPPacket rtp) {
             if (_codec == null) {
                 _logger.LogWarning("No codec selected for sending audio.");
@@ -22,6 +22,7 @@ namespace AI.Caller.Core {
         private readonly TimeSpan _codecSwitchCooldown = TimeSpan.FromSeconds(30);
         
         private bool _disposed = false;
+        private volatile bool _isOnHold = false;
         private uint _outgoingRtpTimestamp;
         private IAudioBridge? _audioBridge;
         private VoIPMediaSession? _voipSession;
@@ -50,6 +51,18 @@ namespace AI.Caller.Core {
         public IMediaSession? MediaSession => _voipSession;
         public RTCPeerConnection? PeerConnection => _peerConnection;
         public IAudioBridge? AudioBridge => _audioBridge;
+        /// <summary>
+        /// 是否处于保持状态，保持期间WebRTC与SIP之间的音频不再互相转发
+        /// </summary>
+        public bool IsOnHold => _isOnHold;
+        /// <summary>
+        /// WebRTC音频中继，设置后浏览器上行音频交由中继处理而不再发送到当前SIP会话（用于咨询转接）
+        /// </summary>
+        public Action<byte[]>? WebRtcAudioRelay { get; set; }
+        /// <summary>
+        /// SIP音频中继，设置后SIP侧下行音频交由中继处理而不再直接转发到浏览器（用于多方通话混音）
+        /// </summary>
+        public Action<byte[]>? SipAudioRelay { get; set; }
 
         public int SelectedSampleRate { get; private set; } = 8000;
         public int SelectedPayloadType { get; private set; } = 8;
@@ -76,6 +89,29 @@ namespace AI.Caller.Core {
             AudioBridgeAttached?.Invoke(audioBridge);            
         }
 
+        /// <summary>
+        /// 设置通话保持状态，保持音乐通过SendAudioFrame单独发送给SIP侧
+        /// </summary>
+        public void SetHold(bool onHold) {
+            _isOnHold = onHold;
+            _logger.LogInformation("Media hold state changed: {OnHold}", onHold);
+        }
+
+        /// <summary>
+        /// 直接向浏览器侧发送音频负载（用于咨询转接时回传咨询方音频）
+        /// </summary>
+        public void SendAudioToWebRtc(byte[] payload) {
+            if (_disposed || _peerConnection == null || payload == null || payload.Length == 0) {
+                return;
+            }
+
+            try {
+                _peerConnection.SendAudio((uint)payload.Length, payload);
+            } catch (Exception ex) {
+                _logger.LogError($"Error relaying audio to RTCPeerConnection: {ex.Message}");
+            }
+        }
+
         public void SendAudioFrame(byte[] audioFrame) {
             if (_disposed || _voipSession == null || _voipSession.IsClosed) {
                 _logger.LogWarning($"send audio data exception, _disposed=>{_disposed}, _voipSession is null=>{_voipSession==null}, _voipSession isClosed=>{_voipSession?.IsClosed}");
@@ -237,6 +273,47 @@ namespace AI.Caller.Core {
             }
         }
 
+        /// <summary>
+        /// 处理浏览器发起的ICE重启：应用带新ICE凭据的Offer并生成Answer，SIP侧媒体会话不受影响
+        /// </summary>
+        public async Task<RTCSessionDescriptionInit> RenegotiateWebRtcAsync(RTCSessionDescriptionInit offer) {
+            ThrowIfDisposed();
+            ArgumentNullException.ThrowIfNull(offer);
+
+            RTCPeerConnection peerConnection;
+            lock (_lock) {
+                peerConnection = _peerConnection ?? throw new InvalidOperationException("RTCPeerConnection is not initialized");
+            }
+
+            try {
+                var currentUfrag = GetIceUfrag(peerConnection.remoteDescription?.sdp);
+                var offerUfrag = GetIceUfrag(SDP.ParseSDPDescription(offer.sdp));
+                if (currentUfrag != null && offerUfrag != currentUfrag) {
+                    // 对端更换了ICE凭据，本端同样重新生成凭据并重新收集候选
+                    peerConnection.restartIce();
+                    _logger.LogInformation("Remote ICE credentials changed, restarting local ICE agent.");
+                }
+
+                var result = peerConnection.setRemoteDescription(offer);
+                if (result != SetDescriptionResultEnum.OK) {
+                    throw new InvalidOperationException($"Failed to set ICE restart offer on RTCPeerConnection: {result}");
+                }
+
+                var answer = peerConnection.createAnswer(new RTCAnswerOptions());
+                await peerConnection.setLocalDescription(answer);
+                _logger.LogDebug("Generated SDP Answer for WebRTC ICE restart.");
+                return answer;
+            } catch (Exception ex) {
+                _logger.LogError(ex, "Error renegotiating WebRTC ICE restart");
+                throw;
+            }
+        }
+
+        private static string? GetIceUfrag(SDP? sdp) {
+            if (sdp == null) return null;
+            return sdp.IceUfrag ?? sdp.Media.FirstOrDefault()?.IceUfrag;
+        }
+
         public void SetSipRemoteDescription(RTCSessionDescriptionInit description) {
             ThrowIfDisposed();
             ArgumentNullException.ThrowIfNull(description);
@@ -694,6 +771,18 @@ namespace AI.Caller.Core {
                     }
                 }
 
+                var sipRelay = SipAudioRelay;
+                if (sipRelay != null) {
+                    sipRelay(rtpPacket.Payload);
+                    AudioDataReceived?.Invoke(remote, mediaType, rtpPacket);
+                    return;
+                }
+
+                if (_isOnHold) {
+                    _logger.LogTrace("Call on hold, skipping WebRTC audio forwarding");
+                    return;
+                }
+
                 if (_enableWebRtcBridging && _peerConnection != null) {
                     try {
                         _peerConnection.SendAudio((uint)rtpPacket.Payload.Length, rtpPacket.Payload);
@@ -720,6 +809,17 @@ namespace AI.Caller.Core {
                     return;
                 }
 
+                var relay = WebRtcAudioRelay;
+                if (relay != null) {
+                    relay(rtpPacket.Payload);
+                    return;
+                }
+
+                if (_isOnHold) {
+                    _logger.LogTrace("Call on hold, skipping SIP audio forwarding");
+                    return;
+                }
+
                 if (_enableWebRtcBridging && _voipSession != null && !_voipSession.IsClosed) {
                     var sendToEndPoint = _voipSession.AudioDestinationEndPoint;
                     if (sendToEndPoint != null) {
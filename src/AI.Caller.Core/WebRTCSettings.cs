@@ -10,6 +10,21 @@ namespace AI.Caller.Core {
 
         public string IceTransportPolicy { get; set; } = "all";
 
+        /// <summary>
+        /// ICE断开后等待自动恢复的宽限期，超时后浏览器发起ICE重启
+        /// </summary>
+        public int IceRestartGracePeriodMs { get; set; } = 3000;
+
+        /// <summary>
+        /// 单次ICE重启等待连接恢复的超时时间
+        /// </summary>
+        public int IceRestartAttemptTimeoutMs { get; set; } = 8000;
+
+        /// <summary>
+        /// ICE重启最大尝试次数，超过后放弃通话
+        /// </summary>
+        public int IceRestartMaxAttempts { get; set; } = 3;
+
         public List<RTCIceServer> GetRTCIceServers() {
             var rtcIceServers = new List<RTCIceServer>();
 
@@ -0,0 +1,52 @@
+using AI.Caller.Phone.Hubs;
+using AI.Caller.Phone.Services;
+using Microsoft.AspNetCore.SignalR;
+
+namespace AI.Caller.Phone.BackgroundTask;
+
+/// <summary>
+/// 定期比较坐席在线状态，把变化推送给所有客户端（presenceChanged）
+/// </summary>
+public class PresenceBroadcastService : BackgroundService {
+    private static readonly TimeSpan Interval = TimeSpan.FromSeconds(3);
+
+    private readonly PresenceService _presenceService;
+    private readonly IHubContext<WebRtcHub> _hubContext;
+    private readonly ILogger<PresenceBroadcastService> _logger;
+
+    private Dictionary<int, string> _lastPresences = new();
+
+    public PresenceBroadcastService(PresenceService presenceService, IHubContext<WebRtcHub> hubContext, ILogger<PresenceBroadcastService> logger) {
+        _presenceService = presenceService;
+        _hubContext = hubContext;
+        _logger = logger;
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken) {
+        using var timer = new PeriodicTimer(Interval);
+        while (await timer.WaitForNextTickAsync(stoppingToken)) {
+            try {
+                await BroadcastChangesAsync(stoppingToken);
+            } catch (Exception ex) when (ex is not OperationCanceledException) {
+                _logger.LogError(ex, "推送坐席在线状态失败");
+            }
+        }
+    }
+
+    private async Task BroadcastChangesAsync(CancellationToken cancellationToken) {
+        var presences = _presenceService.GetAllPresences();
+
+        var changes = presences
+            .Where(p => _lastPresences.GetValueOrDefault(p.Key) != p.Value)
+            .Select(p => new { userId = p.Key, presence = p.Value })
+            .Concat(_lastPresences.Keys
+                .Where(id => !presences.ContainsKey(id))
+                .Select(id => new { userId = id, presence = PresenceService.Offline }))
+            .ToList();
+
+        _lastPresences = presences;
+        if (changes.Count == 0) return;
+
+        await _hubContext.Clients.All.SendAsync("presenceChanged", new { changes }, cancellationToken);
+    }
+}
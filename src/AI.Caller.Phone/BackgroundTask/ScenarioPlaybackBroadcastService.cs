@@ -0,0 +1,71 @@
+using AI.Caller.Core;
+using AI.Caller.Core.CallAutomation;
+using AI.Caller.Core.Media;
+using AI.Caller.Phone.Hubs;
+using AI.Caller.Phone.Models.Dto;
+using AI.Caller.Phone.Services;
+using Microsoft.AspNetCore.SignalR;
+
+namespace AI.Caller.Phone.BackgroundTask;
+
+/// <summary>
+/// 场景通话被监听时，每500ms向监听组推送一次播放位置（scenarioPlaybackUpdated），监听页面时间轴据此显示进度
+/// </summary>
+public class ScenarioPlaybackBroadcastService : BackgroundService {
+    private static readonly TimeSpan Interval = TimeSpan.FromMilliseconds(500);
+
+    private readonly AICustomerServiceManager _aiServiceManager;
+    private readonly IHubContext<WebRtcHub> _hubContext;
+    private readonly ILogger<ScenarioPlaybackBroadcastService> _logger;
+
+    public ScenarioPlaybackBroadcastService(AICustomerServiceManager aiServiceManager, IHubContext<WebRtcHub> hubContext, ILogger<ScenarioPlaybackBroadcastService> logger) {
+        _aiServiceManager = aiServiceManager;
+        _hubContext = hubContext;
+        _logger = logger;
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken) {
+        using var timer = new PeriodicTimer(Interval);
+        while (await timer.WaitForNextTickAsync(stoppingToken)) {
+            foreach (var session in _aiServiceManager.GetAllActiveSessions()) {
+                if (session.ScenarioRecordingId == null || string.IsNullOrEmpty(session.CallId)) continue;
+                if (session.AudioBridge is not AudioBridge audioBridge || !audioBridge.HasActiveMonitors()) continue;
+
+                try {
+                    var update = BuildUpdate(session.CallId, session.AutoResponder.GetPlaybackPosition(), audioBridge.IsInterventionActive);
+                    await _hubContext.Clients.Group($"monitoring_{session.CallId}").SendAsync("scenarioPlaybackUpdated", update, stoppingToken);
+                } catch (Exception ex) when (ex is not OperationCanceledException) {
+                    _logger.LogError(ex, "推送场景播放位置失败: CallId {CallId}", session.CallId);
+                }
+            }
+        }
+    }
+
+    /// <summary>
+    /// 场景已执行完（执行上下文已清理）时position为空
+    /// </summary>
+    public static ScenarioPlaybackDto BuildUpdate(string callId, ScenarioPlaybackPosition? position, bool interventionActive) {
+        if (position == null) {
+            return new ScenarioPlaybackDto {
+                CallId = callId,
+                State = ScenarioPlaybackStates.Completed,
+                Sequence = CallManager.NextEventSequence()
+            };
+        }
+
+        return new ScenarioPlaybackDto {
+            CallId = callId,
+            SegmentId = position.SegmentId,
+            SegmentIndex = position.SegmentIndex,
+            TotalSegments = position.TotalSegments,
+            State = interventionActive ? ScenarioPlaybackStates.Intervened : position.State switch {
+                ScenarioPlaybackState.Paused => ScenarioPlaybackStates.Paused,
+                ScenarioPlaybackState.Stopped => ScenarioPlaybackStates.Completed,
+                _ => ScenarioPlaybackStates.Playing
+            },
+            PositionMs = position.PositionMs,
+            DurationMs = position.DurationMs,
+            Sequence = CallManager.NextEventSequence()
+        };
+    }
+}
@@ -0,0 +1,36 @@
+using AI.Caller.Phone.Hubs;
+using AI.Caller.Phone.Services;
+using Microsoft.AspNetCore.SignalR;
+
+namespace AI.Caller.Phone.BackgroundTask;
+
+/// <summary>
+/// 有班长打开看板时，每秒向看板组推送一次快照（wallboardUpdated），通话时长与音量随之刷新
+/// </summary>
+public class WallboardBroadcastService : BackgroundService {
+    private static readonly TimeSpan Interval = TimeSpan.FromSeconds(1);
+
+    private readonly WallboardService _wallboardService;
+    private readonly IHubContext<WebRtcHub> _hubContext;
+    private readonly ILogger<WallboardBroadcastService> _logger;
+
+    public WallboardBroadcastService(WallboardService wallboardService, IHubContext<WebRtcHub> hubContext, ILogger<WallboardBroadcastService> logger) {
+        _wallboardService = wallboardService;
+        _hubContext = hubContext;
+        _logger = logger;
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken) {
+        using var timer = new PeriodicTimer(Interval);
+        while (await timer.WaitForNextTickAsync(stoppingToken)) {
+            if (!_wallboardService.HasSubscribers) continue;
+
+            try {
+                var snapshot = await _wallboardService.GetSnapshotAsync();
+                await _hubContext.Clients.Group(WallboardService.GroupName).SendAsync("wallboardUpdated", snapshot, stoppingToken);
+            } catch (Exception ex) when (ex is not OperationCanceledException) {
+                _logger.LogError(ex, "推送班长看板失败");
+            }
+        }
+    }
+}
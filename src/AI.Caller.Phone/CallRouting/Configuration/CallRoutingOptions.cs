@@ -0,0 +1,13 @@
+namespace AI.Caller.Phone.CallRouting.Configuration
+{
+    /// <summary>
+    /// 呼入路由选项，对应配置节CallRouting
+    /// </summary>
+    public class CallRoutingOptions
+    {
+        /// <summary>
+        /// 指定坐席允许同时存在的通话数（含呼叫等待线路）
+        /// </summary>
+        public int MaxCallWaitingLines { get; set; } = 2;
+    }
+}
@@ -3,6 +3,7 @@ using SIPSorcery.SIP;
 using AI.Caller.Phone.Entities;
 using AI.Caller.Phone.Services;
 using AI.Caller.Phone.Models;
+using Microsoft.Extensions.Options;
 
 namespace AI.Caller.Phone.CallRouting.Services {
     public class CallRoutingService : ICallRoutingService {
@@ -11,19 +12,25 @@ namespace AI.Caller.Phone.CallRouting.Services {
         private readonly ICallManager _callManager;
         private readonly ApplicationContext _applicationContext;
         private readonly IAICustomerServiceSettingsProvider _aiCustomerServiceSettingsProvider;
+        private readonly IAgentStatusService _agentStatusService;
+        private readonly CallRoutingOptions _options;
 
         public CallRoutingService(
             AppDbContext dbContext,
             ICallManager callManager,
             ILogger<CallRoutingService> logger,
             ApplicationContext applicationContext,
-            IAICustomerServiceSettingsProvider aiCustomerServiceSettingsProvider
+            IAICustomerServiceSettingsProvider aiCustomerServiceSettingsProvider,
+            IAgentStatusService agentStatusService,
+            IOptions<CallRoutingOptions> options
             ) {
             _logger                            = logger;
             _dbContext                         = dbContext;
             _callManager                       = callManager;
             _applicationContext                = applicationContext;
             _aiCustomerServiceSettingsProvider = aiCustomerServiceSettingsProvider;
+            _agentStatusService                = agentStatusService;
+            _options                           = options.Value;
         }
 
         public async Task<CallRoutingResult> RouteInboundCallAsync(string toUser, SIPRequest sipRequest) {
@@ -53,7 +60,9 @@ namespace AI.Caller.Phone.CallRouting.Services {
                     }
                 } else {
                     var targetUsers = await _dbContext.Users.Include(u => u.SipAccount).Where(u => u.SipAccount != null && u.SipAccount.SipUsername == toUser).ToArrayAsync();
-                    var inactiveUsers = _applicationContext.GetInactiveUsers();
+                    // 忙碌、小休或话后处理未提交的坐席不振铃
+                    var unavailableUsers = await _agentStatusService.GetUnavailableUserIdsAsync();
+                    var inactiveUsers = _applicationContext.GetInactiveUsers().Except(unavailableUsers).ToArray();
                     if (targetUsers == null || targetUsers.Length == 0) {
                         var validUsers = inactiveUsers.Where(x => callingUsers.All(y => y != x));
                         targetUser = _dbContext.Users.Include(u => u.SipAccount).FirstOrDefault(x => validUsers.Contains(x.Id));
@@ -64,7 +73,8 @@ namespace AI.Caller.Phone.CallRouting.Services {
                             return CallRoutingResult.CreateFailure($"未找到用户: {toUser}", CallHandlingStrategy.Reject);
                         }
                     } else {
-                        var targetUserIds = targetUsers.Where(x => callingUsers.All(m => m != x.Id)).Select(x => x.Id).ToArray();
+                        // 直呼坐席时允许呼叫等待：通话数未达上限的坐席仍可接收新来电
+                        var targetUserIds = targetUsers.Where(x => callingUsers.Count(m => m == x.Id) < _options.MaxCallWaitingLines).Select(x => x.Id).ToArray();
                         var finded = inactiveUsers.FirstOrDefault(x => targetUserIds.Contains(x));
                         if (finded == 0) {
                             _logger.LogInformation($"用户客户端无可用坐席 - SipUsername: {toUser}, target user=>{string.Join(",", targetUserIds)}, inactive users=>{string.Join(",", inactiveUsers)}");
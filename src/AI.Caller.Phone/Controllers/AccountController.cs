@@ -138,7 +138,9 @@ namespace AI.Caller.Phone.Controllers {
         }
 
         [Authorize]
-        public IActionResult AddContact() {
+        public async Task<IActionResult> AddContact() {
+            var userId = User.FindFirst<int>(ClaimTypes.NameIdentifier);
+            ViewBag.Lines = await GetAvailableLinesAsync(userId);
             return View();
         }
 
@@ -152,11 +154,13 @@ namespace AI.Caller.Phone.Controllers {
 
                 if (user != null) {
                     contact.UserId = user.Id;
+                    contact.PreferredLineId = await NormalizePreferredLineAsync(user.Id, contact.PreferredLineId);
                     await _contactService.AddContactAsync(contact);
                     return RedirectToAction(nameof(ManageContacts));
                 }
             }
 
+            ViewBag.Lines = await GetAvailableLinesAsync(User.FindFirst<int>(ClaimTypes.NameIdentifier));
             return View(contact);
         }
 
@@ -173,6 +177,7 @@ namespace AI.Caller.Phone.Controllers {
                 return Forbid();
             }
 
+            ViewBag.Lines = await GetAvailableLinesAsync(user.Id);
             return View(contact);
         }
 
@@ -187,9 +192,12 @@ namespace AI.Caller.Phone.Controllers {
                     return Forbid();
                 }
 
+                contact.PreferredLineId = await NormalizePreferredLineAsync(user.Id, contact.PreferredLineId);
                 await _contactService.UpdateContactAsync(contact);
                 return RedirectToAction(nameof(ManageContacts));
             }
+
+            ViewBag.Lines = await GetAvailableLinesAsync(User.FindFirst<int>(ClaimTypes.NameIdentifier));
             return View(contact);
         }
 
@@ -227,6 +235,34 @@ namespace AI.Caller.Phone.Controllers {
             return RedirectToAction(nameof(ManageContacts));
         }
 
+        /// <summary>
+        /// 当前用户SIP账户可用的启用线路，供联系人选择首选线路
+        /// </summary>
+        private async Task<List<SipLine>> GetAvailableLinesAsync(int userId) {
+            var user = await _context.Users
+                .Include(u => u.SipAccount!)
+                .ThenInclude(a => a.AvailableLines)
+                .FirstOrDefaultAsync(u => u.Id == userId);
+
+            return user?.SipAccount?.AvailableLines
+                .Where(l => l.IsActive)
+                .OrderByDescending(l => l.Priority)
+                .ThenBy(l => l.Name)
+                .ToList() ?? new List<SipLine>();
+        }
+
+        /// <summary>
+        /// 首选线路不在当前账户可用线路中时改为自动选择
+        /// </summary>
+        private async Task<int?> NormalizePreferredLineAsync(int userId, int? preferredLineId) {
+            if (preferredLineId == null) {
+                return null;
+            }
+
+            var lines = await GetAvailableLinesAsync(userId);
+            return lines.Any(l => l.Id == preferredLineId) ? preferredLineId : null;
+        }
+
         [Authorize]
         public async Task<IActionResult> ViewContacts() {
             return RedirectToAction(nameof(ManageContacts));
@@ -0,0 +1,69 @@
+using AI.Caller.Phone.Models.Dto;
+using AI.Caller.Phone.Services;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using System.Security.Claims;
+
+namespace AI.Caller.Phone.Controllers;
+
+[ApiController]
+[Route("api/[controller]")]
+[Authorize]
+public class AgentStatusController : ControllerBase {
+    private readonly IAgentStatusService _agentStatusService;
+    private readonly ILogger<AgentStatusController> _logger;
+
+    public AgentStatusController(
+        IAgentStatusService agentStatusService,
+        ILogger<AgentStatusController> logger) {
+        _agentStatusService = agentStatusService;
+        _logger = logger;
+    }
+
+    [HttpGet]
+    public async Task<IActionResult> Get() {
+        try {
+            var userId = User.FindFirst<int>(ClaimTypes.NameIdentifier);
+            var status = await _agentStatusService.GetStatusAsync(userId);
+            if (status == null) {
+                return NotFound("用户不存在");
+            }
+
+            return Ok(new {
+                status,
+                autoAwayMinutes = _agentStatusService.AutoAwayMinutes
+            });
+        } catch (Exception ex) {
+            _logger.LogError(ex, "获取坐席状态失败");
+            return StatusCode(500, "获取坐席状态失败");
+        }
+    }
+
+    [HttpPut]
+    public async Task<IActionResult> Update([FromBody] AgentStatusUpdateDto update) {
+        try {
+            var userId = User.FindFirst<int>(ClaimTypes.NameIdentifier);
+            var status = await _agentStatusService.SetStatusAsync(userId, update.Status, update.Auto);
+            return status == null ? NotFound("用户不存在") : Ok(status);
+        } catch (ArgumentException ex) {
+            return BadRequest(ex.Message);
+        } catch (Exception ex) {
+            _logger.LogError(ex, "设置坐席状态失败");
+            return StatusCode(500, "设置坐席状态失败");
+        }
+    }
+
+    [HttpGet("all")]
+    public async Task<IActionResult> GetAll() {
+        if (!User.HasClaim("isAdmin", "True")) {
+            return Forbid();
+        }
+
+        try {
+            return Ok(await _agentStatusService.GetAllStatusesAsync());
+        } catch (Exception ex) {
+            _logger.LogError(ex, "获取所有坐席状态失败");
+            return StatusCode(500, "获取所有坐席状态失败");
+        }
+    }
+}
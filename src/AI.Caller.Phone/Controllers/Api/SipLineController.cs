@@ -3,6 +3,7 @@ using AI.Caller.Phone.Services;
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.EntityFrameworkCore;
+using System.ComponentModel.DataAnnotations;
 using System.Security.Claims;
 
 namespace AI.Caller.Phone.Controllers.Api;
@@ -64,6 +65,7 @@ public class SipLineController : ControllerBase {
             Region = request.Region,
             Description = request.Description
         };
+        ApplyDialPlan(line, request.CountryCode, request.DialPrefixes);
 
         _context.SipLines.Add(line);
         await _context.SaveChangesAsync();
@@ -95,6 +97,7 @@ public class SipLineController : ControllerBase {
         line.Priority = request.Priority;
         line.Region = request.Region;
         line.Description = request.Description;
+        ApplyDialPlan(line, request.CountryCode, request.DialPrefixes);
 
         await _context.SaveChangesAsync();
 
@@ -194,6 +197,8 @@ public class SipLineController : ControllerBase {
             line.IsActive,
             line.Priority,
             line.Region,
+            line.CountryCode,
+            line.DialPrefixes,
             line.Description,
             line.CreatedAt,
             IsAssociated = account.AvailableLines.Any(l => l.Id == line.Id),
@@ -284,6 +289,19 @@ public class SipLineController : ControllerBase {
 
         return await GetAccountLines(user.SipAccount.Id);
     }
+
+    /// <summary>
+    /// 保存线路拨号规则，区号与前缀统一去掉空格，区号不带"+"，前缀带"+"
+    /// </summary>
+    private static void ApplyDialPlan(SipLine line, string? countryCode, string? dialPrefixes) {
+        line.CountryCode = string.IsNullOrWhiteSpace(countryCode) ? null : countryCode.Trim().TrimStart('+');
+
+        var prefixes = (dialPrefixes ?? string.Empty)
+            .Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+            .Select(p => "+" + p.TrimStart('+'))
+            .Distinct();
+        line.DialPrefixes = prefixes.Any() ? string.Join(",", prefixes) : null;
+    }
 }
 
 // 请求模型
@@ -294,6 +312,10 @@ public class CreateSipLineRequest {
     public bool IsActive { get; set; } = true;
     public int Priority { get; set; } = 0;
     public string? Region { get; set; }
+    [RegularExpression(@"^\+?\d{1,3}$", ErrorMessage = "国家区号只能是1-3位数字")]
+    public string? CountryCode { get; set; }
+    [RegularExpression(@"^\s*\+?\d+(\s*,\s*\+?\d+)*\s*$", ErrorMessage = "号码前缀只能是数字，多个前缀用逗号分隔")]
+    public string? DialPrefixes { get; set; }
     public string? Description { get; set; }
 }
 
@@ -304,6 +326,10 @@ public class UpdateSipLineRequest {
     public bool IsActive { get; set; } = true;
     public int Priority { get; set; } = 0;
     public string? Region { get; set; }
+    [RegularExpression(@"^\+?\d{1,3}$", ErrorMessage = "国家区号只能是1-3位数字")]
+    public string? CountryCode { get; set; }
+    [RegularExpression(@"^\s*\+?\d+(\s*,\s*\+?\d+)*\s*$", ErrorMessage = "号码前缀只能是数字，多个前缀用逗号分隔")]
+    public string? DialPrefixes { get; set; }
     public string? Description { get; set; }
 }
 
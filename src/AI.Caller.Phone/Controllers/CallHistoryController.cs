@@ -0,0 +1,70 @@
+using AI.Caller.Phone.Models.Dto;
+using AI.Caller.Phone.Services;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using System.Security.Claims;
+
+namespace AI.Caller.Phone.Controllers;
+
+[ApiController]
+[Route("api/[controller]")]
+[Authorize]
+public class CallHistoryController : ControllerBase {
+    private readonly ICallHistoryService _callHistoryService;
+    private readonly ILogger<CallHistoryController> _logger;
+
+    public CallHistoryController(
+        ICallHistoryService callHistoryService,
+        ILogger<CallHistoryController> logger) {
+        _callHistoryService = callHistoryService;
+        _logger = logger;
+    }
+
+    [HttpGet]
+    public async Task<IActionResult> GetCallHistory([FromQuery] CallHistoryQueryDto query) {
+        try {
+            var userId = User.FindFirst<int>(ClaimTypes.NameIdentifier);
+            var page = await _callHistoryService.GetCallHistoryAsync(userId, query);
+            return Ok(page);
+        } catch (Exception ex) {
+            _logger.LogError(ex, "获取通话历史失败");
+            return StatusCode(500, "获取通话历史失败");
+        }
+    }
+
+    [HttpGet("export")]
+    public async Task<IActionResult> ExportCallHistory([FromQuery] CallHistoryQueryDto query) {
+        try {
+            var userId = User.FindFirst<int>(ClaimTypes.NameIdentifier);
+            var fileBytes = await _callHistoryService.ExportCallHistoryAsync(userId, query);
+            return File(fileBytes, "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", $"call_history_{DateTime.Now:yyyyMMddHHmmss}.xlsx");
+        } catch (Exception ex) {
+            _logger.LogError(ex, "导出通话历史失败");
+            return StatusCode(500, "导出通话历史失败");
+        }
+    }
+
+    [HttpGet("missed-count")]
+    public async Task<IActionResult> GetMissedCallCount() {
+        try {
+            var userId = User.FindFirst<int>(ClaimTypes.NameIdentifier);
+            var count = await _callHistoryService.GetMissedCallCountAsync(userId);
+            return Ok(new { count });
+        } catch (Exception ex) {
+            _logger.LogError(ex, "获取未接来电数量失败");
+            return StatusCode(500, "获取未接来电数量失败");
+        }
+    }
+
+    [HttpPost("missed-viewed")]
+    public async Task<IActionResult> MarkMissedCallsViewed() {
+        try {
+            var userId = User.FindFirst<int>(ClaimTypes.NameIdentifier);
+            await _callHistoryService.MarkMissedCallsViewedAsync(userId);
+            return Ok(new { count = 0 });
+        } catch (Exception ex) {
+            _logger.LogError(ex, "标记未接来电已读失败");
+            return StatusCode(500, "标记未接来电已读失败");
+        }
+    }
+}
@@ -0,0 +1,49 @@
+using AI.Caller.Phone.Models.Dto;
+using AI.Caller.Phone.Services;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using System.Security.Claims;
+
+namespace AI.Caller.Phone.Controllers;
+
+[ApiController]
+[Route("api/[controller]")]
+[Authorize]
+public class CallQualityController : ControllerBase {
+    private readonly ICallQualityService _callQualityService;
+    private readonly ILogger<CallQualityController> _logger;
+
+    public CallQualityController(
+        ICallQualityService callQualityService,
+        ILogger<CallQualityController> logger) {
+        _callQualityService = callQualityService;
+        _logger = logger;
+    }
+
+    [HttpPost]
+    public async Task<IActionResult> Report([FromBody] CallQualityReportDto report) {
+        try {
+            var userId = User.FindFirst<int>(ClaimTypes.NameIdentifier);
+            var saved = await _callQualityService.SaveSamplesAsync(userId, report);
+            return Ok(new { saved });
+        } catch (Exception ex) {
+            _logger.LogError(ex, "保存通话质量采样失败: {CallId}", report.CallId);
+            return StatusCode(500, "保存通话质量采样失败");
+        }
+    }
+
+    [HttpGet("{callId}")]
+    public async Task<IActionResult> GetSummary(string callId) {
+        try {
+            var userId = User.FindFirst<int>(ClaimTypes.NameIdentifier);
+            var summary = await _callQualityService.GetSummaryAsync(callId, userId, User.HasClaim("isAdmin", "True"));
+            if (summary == null) {
+                return NotFound("未找到该通话的质量数据");
+            }
+            return Ok(summary);
+        } catch (Exception ex) {
+            _logger.LogError(ex, "获取通话质量数据失败: {CallId}", callId);
+            return StatusCode(500, "获取通话质量数据失败");
+        }
+    }
+}
@@ -7,6 +7,7 @@ using Microsoft.EntityFrameworkCore;
 using NPOI.SS.UserModel;
 using NPOI.XSSF.UserModel;
 using System.Security.Claims;
+using System.Text.Json;
 using static SIPSorcery.Net.SrtpCipherF8;
 
 namespace AI.Caller.Phone.Controllers {
@@ -57,7 +58,7 @@ namespace AI.Caller.Phone.Controllers {
 
         [HttpPost]
         [ValidateAntiForgeryToken]
-        public async Task<IActionResult> CreateBatch(string jobName, int? ttsTemplateId, int? scenarioRecordingId, IFormFile file, int? selectedLineId, bool autoSelectLine = true) {
+        public async Task<IActionResult> CreateBatch(string jobName, int? ttsTemplateId, int? scenarioRecordingId, IFormFile file, int? selectedLineId, bool autoSelectLine = true, string? normalizedPhoneNumbers = null) {
             if (file == null || file.Length == 0) {
                 ModelState.AddModelError("file", "Please select a file to upload.");
                 ViewData["TtsTemplateId"] = new SelectList(await _context.TtsTemplates.Where(t => t.IsActive).ToListAsync(), "Id", "Name", ttsTemplateId);
@@ -72,6 +73,30 @@ namespace AI.Caller.Phone.Controllers {
                 return View();
             }
 
+            // 导入预览按拨号规则规范化的号码（键为Excel行号）写回数据文件；先在内存中生成，失败时不在uploads中留下文件
+            byte[] content;
+            try {
+                var phoneNumbers = string.IsNullOrWhiteSpace(normalizedPhoneNumbers)
+                    ? null
+                    : JsonSerializer.Deserialize<Dictionary<int, string>>(normalizedPhoneNumbers);
+
+                using var upload = new MemoryStream();
+                await file.CopyToAsync(upload);
+                if (phoneNumbers?.Count > 0) {
+                    upload.Position = 0;
+                    using var output = new MemoryStream();
+                    BatchExcelReader.ReplacePhoneNumbers(upload, output, phoneNumbers);
+                    content = output.ToArray();
+                } else {
+                    content = upload.ToArray();
+                }
+            } catch (Exception ex) when (ex is JsonException || ex is InvalidOperationException) {
+                ModelState.AddModelError("file", ex is JsonException ? "The normalized phone numbers are invalid, please preview the file again." : ex.Message);
+                ViewData["TtsTemplateId"] = new SelectList(await _context.TtsTemplates.Where(t => t.IsActive).ToListAsync(), "Id", "Name", ttsTemplateId);
+                ViewData["ScenarioRecordingId"] = new SelectList(await _context.ScenarioRecordings.Where(s => s.IsActive).ToListAsync(), "Id", "Name", scenarioRecordingId);
+                return View();
+            }
+
             var uploadsRootFolder = Path.Combine(_webHostEnvironment.ContentRootPath, "uploads");
             if (!Directory.Exists(uploadsRootFolder)) {
                 Directory.CreateDirectory(uploadsRootFolder);
@@ -79,10 +104,7 @@ namespace AI.Caller.Phone.Controllers {
 
             var uniqueFileName = $"{Guid.NewGuid()}_{file.FileName}";
             var filePath = Path.Combine(uploadsRootFolder, uniqueFileName);
-
-            using (var stream = new FileStream(filePath, FileMode.Create)) {
-                await file.CopyToAsync(stream);
-            }
+            await System.IO.File.WriteAllBytesAsync(filePath, content);
 
             var userId = User.FindFirst<int>(ClaimTypes.NameIdentifier);
             await _callTaskService.CreateBatchCallTaskAsync(jobName, ttsTemplateId, scenarioRecordingId, filePath, file.FileName, userId, selectedLineId, autoSelectLine);
@@ -195,6 +217,31 @@ namespace AI.Caller.Phone.Controllers {
             return RedirectToAction(nameof(Index));
         }
 
+        /// <summary>
+        /// 读取上传的数据文件中的号码，供创建页面按线路拨号规则预览校验
+        /// </summary>
+        [HttpPost("api/batch/preview")]
+        public IActionResult PreviewBatchFile(IFormFile file) {
+            if (file == null || file.Length == 0) {
+                return BadRequest("请选择数据文件");
+            }
+
+            try {
+                using var stream = file.OpenReadStream();
+                var rows = BatchExcelReader.ReadRows(stream);
+                if (rows.Count > 0 && !rows[0].Values.ContainsKey(BatchExcelReader.PhoneNumberColumn)) {
+                    return BadRequest($"数据文件缺少 {BatchExcelReader.PhoneNumberColumn} 列");
+                }
+
+                return Ok(rows.Select(r => new {
+                    rowNumber = r.RowNumber,
+                    phoneNumber = r.Values.GetValueOrDefault(BatchExcelReader.PhoneNumberColumn, "")
+                }));
+            } catch (Exception ex) {
+                return BadRequest($"无法读取数据文件: {ex.Message}");
+            }
+        }
+
         [HttpGet("api/templates/{templateId}/excel-template")]
         public async Task<IActionResult> DownloadExcelTemplate(int templateId) {
             var template = await _context.TtsTemplates
@@ -0,0 +1,36 @@
+using AI.Caller.Phone.Services;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using System.Security.Claims;
+
+namespace AI.Caller.Phone.Controllers;
+
+[ApiController]
+[Route("api/[controller]")]
+[Authorize]
+public class CallerLookupController : ControllerBase {
+    private readonly ICallerLookupService _callerLookupService;
+    private readonly ILogger<CallerLookupController> _logger;
+
+    public CallerLookupController(
+        ICallerLookupService callerLookupService,
+        ILogger<CallerLookupController> logger) {
+        _callerLookupService = callerLookupService;
+        _logger = logger;
+    }
+
+    [HttpGet]
+    public async Task<IActionResult> Lookup([FromQuery] string number, [FromQuery] string? callId = null) {
+        if (string.IsNullOrWhiteSpace(number)) {
+            return BadRequest("号码不能为空");
+        }
+
+        try {
+            var userId = User.FindFirst<int>(ClaimTypes.NameIdentifier);
+            return Ok(await _callerLookupService.LookupAsync(userId, number, callId));
+        } catch (Exception ex) {
+            _logger.LogError(ex, "来电弹屏查询失败: {Number}", number);
+            return StatusCode(500, "来电弹屏查询失败");
+        }
+    }
+}
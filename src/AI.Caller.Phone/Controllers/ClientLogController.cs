@@ -0,0 +1,35 @@
+using AI.Caller.Phone.Hubs;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using System.Security.Claims;
+using System.Text.Json;
+
+namespace AI.Caller.Phone.Controllers;
+
+/// <summary>
+/// 前端日志上报，离线期间由Service Worker排队，恢复联网后补发
+/// </summary>
+[ApiController]
+[Route("api/logs")]
+[Authorize]
+public class ClientLogController : ControllerBase {
+    private readonly ILogger<ClientLogController> _logger;
+
+    public ClientLogController(ILogger<ClientLogController> logger) {
+        _logger = logger;
+    }
+
+    [HttpPost("hangup")]
+    public IActionResult LogHangup([FromBody] JsonElement logEntry) {
+        var userId = User.FindFirst<int>(ClaimTypes.NameIdentifier);
+        _logger.LogInformation("用户 {UserId} 挂断操作日志: {LogEntry}", userId, logEntry.GetRawText());
+        return Ok(new { success = true });
+    }
+
+    [HttpPost("dtmf")]
+    public IActionResult LogDtmf([FromBody] DtmfLogModel model) {
+        var userId = User.FindFirst<int>(ClaimTypes.NameIdentifier);
+        _logger.LogInformation("用户 {UserId} 发送DTMF: {Tone} 通过 {Method} (CallId: {CallId})", userId, model.Tone, model.Method, model.CallId);
+        return Ok(new { success = true });
+    }
+}
@@ -0,0 +1,64 @@
+using AI.Caller.Phone.Services;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using System.Security.Claims;
+
+namespace AI.Caller.Phone.Controllers;
+
+[ApiController]
+[Route("api/[controller]")]
+[Authorize]
+public class ContactsController : ControllerBase {
+    private readonly AppDbContext _context;
+    private readonly PresenceService _presenceService;
+    private readonly ILogger<ContactsController> _logger;
+
+    public ContactsController(AppDbContext context, PresenceService presenceService, ILogger<ContactsController> logger) {
+        _context = context;
+        _presenceService = presenceService;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// 获取当前用户的联系人，号码为Web坐席SIP账号的联系人附带在线状态
+    /// </summary>
+    [HttpGet]
+    public async Task<IActionResult> GetContacts() {
+        try {
+            var userId = User.FindFirst<int>(ClaimTypes.NameIdentifier);
+            var contacts = await _context.Contacts
+                .Include(c => c.PreferredLine)
+                .Where(c => c.UserId == userId)
+                .OrderBy(c => c.Name)
+                .ToListAsync();
+
+            var numbers = contacts.Select(c => c.PhoneNumber).Distinct().ToList();
+            var webUsers = await _context.Users
+                .Where(u => u.SipAccount != null && numbers.Contains(u.SipAccount.SipUsername))
+                .Select(u => new { u.Id, u.SipAccount!.SipUsername })
+                .ToListAsync();
+            var webUserIds = webUsers
+                .GroupBy(u => u.SipUsername)
+                .ToDictionary(g => g.Key, g => g.First().Id);
+            var presences = _presenceService.GetPresences(webUserIds.Values);
+
+            return Ok(contacts.Select(c => {
+                int? webUserId = webUserIds.TryGetValue(c.PhoneNumber, out var id) ? id : null;
+                return new {
+                    id = c.Id,
+                    name = c.Name,
+                    phoneNumber = c.PhoneNumber,
+                    isWebUser = webUserId != null,
+                    webUserId = webUserId,
+                    presence = webUserId != null ? presences[webUserId.Value] : null,
+                    preferredLineId = c.PreferredLineId,
+                    preferredLineName = c.PreferredLine?.Name
+                };
+            }));
+        } catch (Exception ex) {
+            _logger.LogError(ex, "获取联系人失败");
+            return StatusCode(500, "获取联系人失败");
+        }
+    }
+}
@@ -0,0 +1,48 @@
+using AI.Caller.Phone.Models.Dto;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+
+namespace AI.Caller.Phone.Controllers;
+
+/// <summary>
+/// 本地CRM模拟接口，用于在没有CRM时测试来电弹屏：
+/// 设置CallerLookup:EnableStub为true，并把CallerLookup:WebhookUrl指向 http(s)://本机地址/api/CrmStub/lookup。
+/// 号码末位为0时模拟未找到客户，末位为偶数时返回两个未结工单
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+[AllowAnonymous]
+public class CrmStubController : ControllerBase {
+    private readonly IConfiguration _configuration;
+
+    public CrmStubController(IConfiguration configuration) {
+        _configuration = configuration;
+    }
+
+    [HttpGet("lookup")]
+    public IActionResult Lookup([FromQuery] string? number) {
+        if (!_configuration.GetValue("CallerLookup:EnableStub", false)) {
+            return NotFound();
+        }
+
+        var digits = new string((number ?? string.Empty).Where(char.IsDigit).ToArray());
+        if (digits.Length == 0 || digits.EndsWith('0')) {
+            return NotFound();
+        }
+
+        var suffix = digits.Length > 4 ? digits[^4..] : digits;
+        var customerId = $"C{suffix}";
+        var customer = new CrmCustomerDto {
+            CustomerId = customerId,
+            Name = $"测试客户{suffix}",
+            Company = "示例科技有限公司"
+        };
+
+        if ((digits[^1] - '0') % 2 == 0) {
+            customer.Tickets.Add(new CrmTicketDto { Id = $"T{suffix}1", Title = "账单金额咨询", Status = "处理中" });
+            customer.Tickets.Add(new CrmTicketDto { Id = $"T{suffix}2", Title = "设备报修", Status = "待回访" });
+        }
+
+        return Ok(customer);
+    }
+}
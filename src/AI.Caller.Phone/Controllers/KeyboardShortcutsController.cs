@@ -0,0 +1,47 @@
+using AI.Caller.Phone.Services;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using System.Security.Claims;
+
+namespace AI.Caller.Phone.Controllers;
+
+[ApiController]
+[Route("api/[controller]")]
+[Authorize]
+public class KeyboardShortcutsController : ControllerBase {
+    private readonly IKeyboardShortcutService _keyboardShortcutService;
+    private readonly ILogger<KeyboardShortcutsController> _logger;
+
+    public KeyboardShortcutsController(
+        IKeyboardShortcutService keyboardShortcutService,
+        ILogger<KeyboardShortcutsController> logger) {
+        _keyboardShortcutService = keyboardShortcutService;
+        _logger = logger;
+    }
+
+    [HttpGet]
+    public async Task<IActionResult> GetShortcuts() {
+        try {
+            var userId = User.FindFirst<int>(ClaimTypes.NameIdentifier);
+            var shortcuts = await _keyboardShortcutService.GetShortcutsAsync(userId);
+            return Ok(shortcuts);
+        } catch (Exception ex) {
+            _logger.LogError(ex, "获取快捷键配置失败");
+            return StatusCode(500, "获取快捷键配置失败");
+        }
+    }
+
+    [HttpPut]
+    public async Task<IActionResult> SaveShortcuts([FromBody] Dictionary<string, string>? shortcuts) {
+        try {
+            var userId = User.FindFirst<int>(ClaimTypes.NameIdentifier);
+            var saved = await _keyboardShortcutService.SaveShortcutsAsync(userId, shortcuts);
+            return Ok(saved);
+        } catch (ArgumentException ex) {
+            return BadRequest(ex.Message);
+        } catch (Exception ex) {
+            _logger.LogError(ex, "保存快捷键配置失败");
+            return StatusCode(500, "保存快捷键配置失败");
+        }
+    }
+}
@@ -42,6 +42,16 @@ public class MonitoringController : Controller {
 
     // GET: Monitoring/ActiveCalls
     public IActionResult ActiveCalls() {
+        return RedirectToAction(nameof(Wallboard));
+    }
+
+    // GET: Monitoring/Wallboard
+    public IActionResult Wallboard() {
+        if (!User.HasClaim("isAdmin", "True")) {
+            _logger.LogWarning("普通用户 {UserId} 尝试访问班长看板，权限不足", User.FindFirst<int>(ClaimTypes.NameIdentifier));
+            return Forbid("权限不足：只有管理员可以查看班长看板");
+        }
+
         return View();
     }
 
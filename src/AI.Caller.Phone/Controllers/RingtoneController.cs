@@ -94,6 +94,7 @@ public class RingtoneController : ControllerBase {
                     userId = userId,
                     incomingRingtone = (object?)null,
                     ringbackTone = (object?)null,
+                    holdTone = (object?)null,
                     message = "用户尚未设置铃音"
                 });
             }
@@ -109,7 +110,7 @@ public class RingtoneController : ControllerBase {
     public async Task<IActionResult> UpdateUserSettings([FromBody] UpdateUserRingtoneSettingsDto dto) {
         try {
             var userId = User.FindFirst<int>(ClaimTypes.NameIdentifier);
-            await _ringtoneService.UpdateUserSettingsAsync(userId, dto.IncomingRingtoneId, dto.RingbackToneId);
+            await _ringtoneService.UpdateUserSettingsAsync(userId, dto.IncomingRingtoneId, dto.RingbackToneId, dto.HoldToneId);
 
             return Ok("铃音设置已更新");
         } catch (Exception ex) {
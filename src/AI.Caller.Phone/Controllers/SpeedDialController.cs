@@ -0,0 +1,46 @@
+using AI.Caller.Phone.Models.Dto;
+using AI.Caller.Phone.Services;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using System.Security.Claims;
+
+namespace AI.Caller.Phone.Controllers;
+
+[ApiController]
+[Route("api/[controller]")]
+[Authorize]
+public class SpeedDialController : ControllerBase {
+    private readonly ISpeedDialService _speedDialService;
+    private readonly ILogger<SpeedDialController> _logger;
+
+    public SpeedDialController(
+        ISpeedDialService speedDialService,
+        ILogger<SpeedDialController> logger) {
+        _speedDialService = speedDialService;
+        _logger = logger;
+    }
+
+    [HttpGet]
+    public async Task<IActionResult> GetSpeedDials() {
+        try {
+            var userId = User.FindFirst<int>(ClaimTypes.NameIdentifier);
+            return Ok(await _speedDialService.GetSpeedDialsAsync(userId));
+        } catch (Exception ex) {
+            _logger.LogError(ex, "获取快速拨号失败");
+            return StatusCode(500, "获取快速拨号失败");
+        }
+    }
+
+    [HttpPut]
+    public async Task<IActionResult> SaveSpeedDials([FromBody] List<SpeedDialDto>? speedDials) {
+        try {
+            var userId = User.FindFirst<int>(ClaimTypes.NameIdentifier);
+            return Ok(await _speedDialService.SaveSpeedDialsAsync(userId, speedDials ?? []));
+        } catch (ArgumentException ex) {
+            return BadRequest(ex.Message);
+        } catch (Exception ex) {
+            _logger.LogError(ex, "保存快速拨号失败");
+            return StatusCode(500, "保存快速拨号失败");
+        }
+    }
+}
@@ -0,0 +1,61 @@
+using AI.Caller.Phone.Models.Dto;
+using AI.Caller.Phone.Services;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using System.Security.Claims;
+
+namespace AI.Caller.Phone.Controllers;
+
+[ApiController]
+[Route("api/[controller]")]
+[Authorize]
+public class TranscriptionController : ControllerBase {
+    private readonly ITranscriptService _transcriptService;
+    private readonly TranscriptionManager _transcriptionManager;
+    private readonly ILogger<TranscriptionController> _logger;
+
+    public TranscriptionController(
+        ITranscriptService transcriptService,
+        TranscriptionManager transcriptionManager,
+        ILogger<TranscriptionController> logger) {
+        _transcriptService = transcriptService;
+        _transcriptionManager = transcriptionManager;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// 当前用户在通话中已转写的内容，刷新页面后恢复转写面板
+    /// </summary>
+    [HttpGet("{callId}")]
+    public async Task<IActionResult> GetCallTranscript(string callId) {
+        try {
+            var userId = User.FindFirst<int>(ClaimTypes.NameIdentifier);
+            return Ok(new CallTranscriptDto {
+                Enabled = _transcriptionManager.IsEnabled,
+                Segments = await _transcriptService.GetCallTranscriptAsync(userId, callId)
+            });
+        } catch (Exception ex) {
+            _logger.LogError(ex, "获取通话转写失败: {CallId}", callId);
+            return StatusCode(500, "获取通话转写失败");
+        }
+    }
+
+    /// <summary>
+    /// 录音对应的转写，回放时按录音进度同步显示
+    /// </summary>
+    [HttpGet("recording/{recordingId:int}")]
+    public async Task<IActionResult> GetRecordingTranscript(int recordingId) {
+        try {
+            var userId = User.FindFirst<int>(ClaimTypes.NameIdentifier);
+            var isAdmin = User.HasClaim("isAdmin", "True");
+            var segments = await _transcriptService.GetRecordingTranscriptAsync(recordingId, isAdmin ? null : userId);
+            if (segments == null) {
+                return NotFound("录音不存在");
+            }
+            return Ok(segments);
+        } catch (Exception ex) {
+            _logger.LogError(ex, "获取录音转写失败: {RecordingId}", recordingId);
+            return StatusCode(500, "获取录音转写失败");
+        }
+    }
+}
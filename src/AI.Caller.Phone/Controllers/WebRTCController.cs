@@ -28,7 +28,12 @@ namespace AI.Caller.Phone.Controllers {
                     Username = server.Username,
                     Credential = server.Credential
                 }).ToList(),
-                IceTransportPolicy = _webRTCSettings.IceTransportPolicy
+                IceTransportPolicy = _webRTCSettings.IceTransportPolicy,
+                IceRestart = new ClientIceRestartPolicy {
+                    GracePeriodMs = _webRTCSettings.IceRestartGracePeriodMs,
+                    AttemptTimeoutMs = _webRTCSettings.IceRestartAttemptTimeoutMs,
+                    MaxAttempts = _webRTCSettings.IceRestartMaxAttempts
+                }
             };
 
             _logger.LogInformation($"Returning {clientConfig.IceServers.Count} ICE servers");
@@ -49,6 +54,16 @@ namespace AI.Caller.Phone.Controllers {
         public List<ClientIceServer> IceServers { get; set; } = new List<ClientIceServer>();
 
         public string IceTransportPolicy { get; set; } = "all";
+
+        public ClientIceRestartPolicy IceRestart { get; set; } = new ClientIceRestartPolicy();
+    }
+
+    public class ClientIceRestartPolicy {
+        public int GracePeriodMs { get; set; }
+
+        public int AttemptTimeoutMs { get; set; }
+
+        public int MaxAttempts { get; set; }
     }
 
     public class ClientIceServer {
@@ -0,0 +1,126 @@
+using AI.Caller.Phone.Entities;
+using AI.Caller.Phone.Services;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+
+namespace AI.Caller.Phone.Controllers;
+
+/// <summary>
+/// 话后处理选项管理（管理员）
+/// </summary>
+[Authorize]
+public class WrapUpCodesController : Controller {
+    private readonly AppDbContext _context;
+    private readonly ILogger<WrapUpCodesController> _logger;
+
+    public WrapUpCodesController(AppDbContext context, ILogger<WrapUpCodesController> logger) {
+        _context = context;
+        _logger = logger;
+    }
+
+    public async Task<IActionResult> Index() {
+        if (!User.HasClaim("isAdmin", "True")) {
+            TempData["ErrorMessage"] = "您没有权限访问此页面";
+            return RedirectToAction("Index", "Home");
+        }
+
+        var codes = await _context.WrapUpCodes
+            .OrderBy(c => c.Type)
+            .ThenBy(c => c.SortOrder)
+            .ThenBy(c => c.Id)
+            .ToListAsync();
+        return View(codes);
+    }
+
+    [HttpPost]
+    [ValidateAntiForgeryToken]
+    public async Task<IActionResult> Create(WrapUpCodeType type, string name, int sortOrder) {
+        if (!User.HasClaim("isAdmin", "True")) {
+            return Forbid();
+        }
+
+        var error = await ValidateNameAsync(type, name, null);
+        if (error != null) {
+            TempData["ErrorMessage"] = error;
+            return RedirectToAction(nameof(Index));
+        }
+
+        _context.WrapUpCodes.Add(new WrapUpCode {
+            Type = type,
+            Name = name.Trim(),
+            SortOrder = sortOrder
+        });
+        await _context.SaveChangesAsync();
+
+        _logger.LogInformation("添加话后处理选项: {Type} {Name}", type, name);
+        TempData["SuccessMessage"] = "选项已添加";
+        return RedirectToAction(nameof(Index));
+    }
+
+    [HttpPost]
+    [ValidateAntiForgeryToken]
+    public async Task<IActionResult> Update(int id, string name, int sortOrder, bool isActive) {
+        if (!User.HasClaim("isAdmin", "True")) {
+            return Forbid();
+        }
+
+        var code = await _context.WrapUpCodes.FindAsync(id);
+        if (code == null) {
+            return NotFound();
+        }
+
+        var error = await ValidateNameAsync(code.Type, name, id);
+        if (error != null) {
+            TempData["ErrorMessage"] = error;
+            return RedirectToAction(nameof(Index));
+        }
+
+        code.Name = name.Trim();
+        code.SortOrder = sortOrder;
+        code.IsActive = isActive;
+        await _context.SaveChangesAsync();
+
+        TempData["SuccessMessage"] = "选项已更新";
+        return RedirectToAction(nameof(Index));
+    }
+
+    /// <summary>
+    /// 删除选项，已提交的话后处理记录保存的是名称，不受影响
+    /// </summary>
+    [HttpPost]
+    [ValidateAntiForgeryToken]
+    public async Task<IActionResult> Delete(int id) {
+        if (!User.HasClaim("isAdmin", "True")) {
+            return Forbid();
+        }
+
+        var code = await _context.WrapUpCodes.FindAsync(id);
+        if (code != null) {
+            _context.WrapUpCodes.Remove(code);
+            await _context.SaveChangesAsync();
+            _logger.LogInformation("删除话后处理选项: {Type} {Name}", code.Type, code.Name);
+        }
+
+        TempData["SuccessMessage"] = "选项已删除";
+        return RedirectToAction(nameof(Index));
+    }
+
+    private async Task<string?> ValidateNameAsync(WrapUpCodeType type, string? name, int? id) {
+        name = name?.Trim();
+        if (string.IsNullOrEmpty(name)) {
+            return "请输入名称";
+        }
+        if (name.Length > 50) {
+            return "名称不能超过50个字符";
+        }
+        // 标签以逗号分隔保存
+        if (name.Contains(WrapUpService.TagSeparator) || name.Contains('，')) {
+            return "名称不能包含逗号";
+        }
+        if (await _context.WrapUpCodes.AnyAsync(c => c.Type == type && c.Name == name && c.Id != id)) {
+            return $"已存在同名选项: {name}";
+        }
+        return null;
+    }
+}
@@ -0,0 +1,84 @@
+using AI.Caller.Phone.Models.Dto;
+using AI.Caller.Phone.Services;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using System.Security.Claims;
+
+namespace AI.Caller.Phone.Controllers;
+
+[ApiController]
+[Route("api/[controller]")]
+[Authorize]
+public class WrapUpController : ControllerBase {
+    private readonly IWrapUpService _wrapUpService;
+    private readonly IAgentStatusService _agentStatusService;
+    private readonly ILogger<WrapUpController> _logger;
+
+    public WrapUpController(
+        IWrapUpService wrapUpService,
+        IAgentStatusService agentStatusService,
+        ILogger<WrapUpController> logger) {
+        _wrapUpService = wrapUpService;
+        _agentStatusService = agentStatusService;
+        _logger = logger;
+    }
+
+    [HttpGet("options")]
+    public async Task<IActionResult> GetOptions() {
+        try {
+            return Ok(await _wrapUpService.GetOptionsAsync());
+        } catch (Exception ex) {
+            _logger.LogError(ex, "获取话后处理选项失败");
+            return StatusCode(500, "获取话后处理选项失败");
+        }
+    }
+
+    [HttpGet("pending")]
+    public async Task<IActionResult> GetPending() {
+        try {
+            var userId = User.FindFirst<int>(ClaimTypes.NameIdentifier);
+            var wrapUp = await _wrapUpService.GetPendingWrapUpAsync(userId);
+            return wrapUp == null ? NoContent() : Ok(wrapUp);
+        } catch (Exception ex) {
+            _logger.LogError(ex, "获取未提交的话后处理失败");
+            return StatusCode(500, "获取未提交的话后处理失败");
+        }
+    }
+
+    [HttpPost("{callId}/start")]
+    public async Task<IActionResult> Start(string callId) {
+        try {
+            var userId = User.FindFirst<int>(ClaimTypes.NameIdentifier);
+            var wrapUp = await _wrapUpService.StartWrapUpAsync(userId, callId);
+            if (wrapUp == null) {
+                return NotFound("未找到通话记录");
+            }
+
+            // 话后处理期间坐席自动显示为忙碌
+            await _agentStatusService.NotifyStatusChangedAsync(userId);
+            return Ok(wrapUp);
+        } catch (Exception ex) {
+            _logger.LogError(ex, "开始话后处理失败: {CallId}", callId);
+            return StatusCode(500, "开始话后处理失败");
+        }
+    }
+
+    [HttpPost("{callId}")]
+    public async Task<IActionResult> Submit(string callId, [FromBody] WrapUpSubmitDto submit) {
+        try {
+            var userId = User.FindFirst<int>(ClaimTypes.NameIdentifier);
+            var wrapUp = await _wrapUpService.SubmitWrapUpAsync(userId, callId, submit);
+            if (wrapUp == null) {
+                return NotFound("未找到话后处理记录");
+            }
+
+            await _agentStatusService.NotifyStatusChangedAsync(userId);
+            return Ok(wrapUp);
+        } catch (ArgumentException ex) {
+            return BadRequest(ex.Message);
+        } catch (Exception ex) {
+            _logger.LogError(ex, "提交话后处理失败: {CallId}", callId);
+            return StatusCode(500, "提交话后处理失败");
+        }
+    }
+}
@@ -27,6 +27,11 @@ public class AppDbContext : DbContext {
     public DbSet<DtmfInputRecord> DtmfInputRecords { get; set; }
     public DbSet<MonitoringSession> MonitoringSessions { get; set; }
     public DbSet<PlaybackControl> PlaybackControls { get; set; }
+    public DbSet<CallQualitySample> CallQualitySamples { get; set; }
+    public DbSet<SpeedDial> SpeedDials { get; set; }
+    public DbSet<WrapUpCode> WrapUpCodes { get; set; }
+    public DbSet<CallWrapUp> CallWrapUps { get; set; }
+    public DbSet<CallTranscriptSegment> CallTranscriptSegments { get; set; }
 
     protected override void OnConfiguring(DbContextOptionsBuilder optionsBuilder) {
         base.OnConfiguring(optionsBuilder);
@@ -63,6 +68,8 @@ public class AppDbContext : DbContext {
             entity.Property(e => e.ProxyServer).IsRequired().HasMaxLength(200);
             entity.Property(e => e.OutboundProxy).HasMaxLength(200);
             entity.Property(e => e.Region).HasMaxLength(50);
+            entity.Property(e => e.CountryCode).HasMaxLength(4);
+            entity.Property(e => e.DialPrefixes).HasMaxLength(200);
             entity.Property(e => e.Description).HasMaxLength(500);
             entity.Property(e => e.IsActive).HasDefaultValue(true);
             entity.Property(e => e.Priority).HasDefaultValue(0);
@@ -112,6 +119,11 @@ public class AppDbContext : DbContext {
                   .HasForeignKey(c => c.UserId)
                   .OnDelete(DeleteBehavior.Cascade);
 
+            entity.HasOne(c => c.PreferredLine)
+                  .WithMany()
+                  .HasForeignKey(c => c.PreferredLineId)
+                  .OnDelete(DeleteBehavior.SetNull);
+
             entity.HasIndex(e => e.UserId).HasDatabaseName("IX_Contacts_UserId");
             entity.HasIndex(e => e.PhoneNumber).HasDatabaseName("IX_Contacts_PhoneNumber");
         });
@@ -231,6 +243,11 @@ public class AppDbContext : DbContext {
                   .HasForeignKey(e => e.RingbackToneId)
                   .OnDelete(DeleteBehavior.SetNull);
 
+            entity.HasOne(e => e.HoldTone)
+                  .WithMany()
+                  .HasForeignKey(e => e.HoldToneId)
+                  .OnDelete(DeleteBehavior.SetNull);
+
             entity.HasIndex(e => e.UserId).IsUnique().HasDatabaseName("IX_UserRingtoneSettings_UserId");
         });
 
@@ -329,6 +346,87 @@ public class AppDbContext : DbContext {
             entity.HasIndex(e => e.IsActive).HasDatabaseName("IX_MonitoringSessions_IsActive");
         });
 
+        // 通话质量采样配置
+        modelBuilder.Entity<CallQualitySample>(entity => {
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.CallId).IsRequired().HasMaxLength(50);
+            entity.Property(e => e.Source).IsRequired().HasMaxLength(20);
+
+            entity.HasIndex(e => e.CallId).HasDatabaseName("IX_CallQualitySamples_CallId");
+        });
+
+        modelBuilder.Entity<SpeedDial>(entity => {
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.Label).HasMaxLength(50);
+            entity.Property(e => e.PhoneNumber).HasMaxLength(50);
+
+            entity.HasOne<User>()
+                  .WithMany()
+                  .HasForeignKey(e => e.UserId)
+                  .OnDelete(DeleteBehavior.Cascade);
+
+            entity.HasOne(e => e.Contact)
+                  .WithMany()
+                  .HasForeignKey(e => e.ContactId)
+                  .OnDelete(DeleteBehavior.Cascade);
+
+            entity.HasOne(e => e.PreferredLine)
+                  .WithMany()
+                  .HasForeignKey(e => e.PreferredLineId)
+                  .OnDelete(DeleteBehavior.SetNull);
+
+            entity.HasIndex(e => new { e.UserId, e.Position }).HasDatabaseName("IX_SpeedDials_UserId_Position");
+        });
+
+        // 话后处理配置
+        modelBuilder.Entity<WrapUpCode>(entity => {
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.Name).IsRequired().HasMaxLength(50);
+            entity.Property(e => e.IsActive).HasDefaultValue(true);
+
+            entity.HasIndex(e => new { e.Type, e.Name }).IsUnique().HasDatabaseName("IX_WrapUpCodes_Type_Name");
+        });
+
+        modelBuilder.Entity<CallWrapUp>(entity => {
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.Disposition).HasMaxLength(50);
+            entity.Property(e => e.Notes).HasMaxLength(1000);
+            entity.Property(e => e.Tags).HasMaxLength(500);
+
+            entity.HasOne(e => e.CallLog)
+                  .WithMany(c => c.WrapUps)
+                  .HasForeignKey(e => e.CallLogId)
+                  .OnDelete(DeleteBehavior.Cascade);
+
+            entity.HasOne<User>()
+                  .WithMany()
+                  .HasForeignKey(e => e.UserId)
+                  .OnDelete(DeleteBehavior.Cascade);
+
+            entity.HasIndex(e => new { e.CallLogId, e.UserId }).IsUnique().HasDatabaseName("IX_CallWrapUps_CallLogId_UserId");
+            entity.HasIndex(e => new { e.UserId, e.SubmittedAt }).HasDatabaseName("IX_CallWrapUps_UserId_SubmittedAt");
+        });
+
+        // 通话转写配置
+        modelBuilder.Entity<CallTranscriptSegment>(entity => {
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.CallId).IsRequired().HasMaxLength(100);
+            entity.Property(e => e.Text).IsRequired().HasMaxLength(2000);
+
+            entity.HasOne<User>()
+                  .WithMany()
+                  .HasForeignKey(e => e.UserId)
+                  .OnDelete(DeleteBehavior.Cascade);
+
+            entity.HasOne<Models.Recording>()
+                  .WithMany()
+                  .HasForeignKey(e => e.RecordingId)
+                  .OnDelete(DeleteBehavior.SetNull);
+
+            entity.HasIndex(e => new { e.CallId, e.UserId, e.StartedAt }).HasDatabaseName("IX_CallTranscriptSegments_CallId_UserId_StartedAt");
+            entity.HasIndex(e => new { e.RecordingId, e.StartedAt }).HasDatabaseName("IX_CallTranscriptSegments_RecordingId_StartedAt");
+        });
+
         // 播放控制配置
         modelBuilder.Entity<PlaybackControl>(entity => {
             entity.HasKey(e => e.Id);
@@ -0,0 +1,13 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace AI.Caller.Phone.Entities;
+
+/// <summary>
+/// 坐席状态，只有空闲的坐席接收呼入；离线由在线状态推算，坐席不能手动设置
+/// </summary>
+public enum AgentAvailability {
+    [Display(Name = "空闲")] Available,
+    [Display(Name = "忙碌")] Busy,
+    [Display(Name = "小休")] Break,
+    [Display(Name = "离线")] Offline
+}
@@ -101,4 +101,5 @@ public class CallLog {
     public virtual ICollection<DtmfInputRecord> DtmfInputs { get; set; } = [];
     public virtual ICollection<MonitoringSession> MonitoringSessions { get; set; } = [];
     public virtual ICollection<PlaybackControl> PlaybackControls { get; set; } = [];
+    public virtual ICollection<CallWrapUp> WrapUps { get; set; } = [];
 }
\ No newline at end of file
@@ -0,0 +1,36 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace AI.Caller.Phone.Entities;
+
+/// <summary>
+/// 通话质量采样，由浏览器端getStats周期上报，按CallId与CallLog关联
+/// </summary>
+public class CallQualitySample {
+    [Key]
+    public int Id { get; set; }
+
+    [Required]
+    [MaxLength(50)]
+    public string CallId { get; set; } = string.Empty;
+
+    public int UserId { get; set; }
+
+    /// <summary>
+    /// 采样来源：phone（坐席通话）/ monitor（监听）
+    /// </summary>
+    [Required]
+    [MaxLength(20)]
+    public string Source { get; set; } = "phone";
+
+    public DateTime SampledAt { get; set; } = DateTime.UtcNow;
+
+    public double? JitterMs { get; set; }
+
+    public double? PacketLossPercent { get; set; }
+
+    public double? RoundTripTimeMs { get; set; }
+
+    public double? AudioLevel { get; set; }
+
+    public double? Mos { get; set; }
+}
@@ -0,0 +1,40 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace AI.Caller.Phone.Entities;
+
+/// <summary>
+/// 通话转写的说话方
+/// </summary>
+public enum TranscriptSpeaker {
+    [Display(Name = "坐席")] Agent,
+    [Display(Name = "客户")] Customer
+}
+
+/// <summary>
+/// 通话实时转写的一句话，按坐席记录并关联同一通话的录音，回放录音时按时间同步显示
+/// </summary>
+public class CallTranscriptSegment {
+    [Key]
+    public int Id { get; set; }
+
+    [Required]
+    [MaxLength(100)]
+    public string CallId { get; set; } = string.Empty;
+
+    public int UserId { get; set; }
+
+    /// <summary>
+    /// 转写时坐席正在进行的录音，未开启录音时为空
+    /// </summary>
+    public int? RecordingId { get; set; }
+
+    public TranscriptSpeaker Speaker { get; set; }
+
+    [Required]
+    [MaxLength(2000)]
+    public string Text { get; set; } = string.Empty;
+
+    public DateTime StartedAt { get; set; }
+
+    public DateTime EndedAt { get; set; }
+}
@@ -0,0 +1,36 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace AI.Caller.Phone.Entities;
+
+/// <summary>
+/// 坐席的话后处理记录，通话结束时创建，提交前坐席处于话后处理（暂不可用）状态
+/// </summary>
+public class CallWrapUp {
+    [Key]
+    public int Id { get; set; }
+
+    public int CallLogId { get; set; }
+
+    public int UserId { get; set; }
+
+    /// <summary>
+    /// 处理结果，保存提交时的名称，管理员修改或删除选项不影响历史记录
+    /// </summary>
+    [MaxLength(50)]
+    public string? Disposition { get; set; }
+
+    [MaxLength(1000)]
+    public string? Notes { get; set; }
+
+    /// <summary>
+    /// 标签，多个以逗号分隔
+    /// </summary>
+    [MaxLength(500)]
+    public string? Tags { get; set; }
+
+    public DateTime StartedAt { get; set; } = DateTime.UtcNow;
+
+    public DateTime? SubmittedAt { get; set; }
+
+    public virtual CallLog CallLog { get; set; } = null!;
+}
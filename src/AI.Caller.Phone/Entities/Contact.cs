@@ -13,7 +13,14 @@ namespace AI.Caller.Phone.Entities {
         // 外键属性
         public int? UserId { get; set; }
 
+        /// <summary>
+        /// 拨打该联系人时使用的线路，为空时自动选择
+        /// </summary>
+        public int? PreferredLineId { get; set; }
+
         // 导航属性
         public virtual User? User { get; set; }
+
+        public virtual SipLine? PreferredLine { get; set; }
     }
 }
\ No newline at end of file
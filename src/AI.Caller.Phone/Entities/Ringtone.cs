@@ -39,5 +39,6 @@ public class Ringtone {
 public enum RingtoneType {
     Incoming,
     Ringback,
+    Hold,
     Both
 }
\ No newline at end of file
@@ -26,6 +26,12 @@ public class SipLine {
     [StringLength(50)]
     public string? Region { get; set; }                      // 区域标识
 
+    [StringLength(4)]
+    public string? CountryCode { get; set; }                 // 国家区号，国内号码按该区号规范为E.164，如 "86"
+
+    [StringLength(200)]
+    public string? DialPrefixes { get; set; }                // 允许拨打的E.164号码前缀，逗号分隔，为空时不限制
+
     [StringLength(500)]
     public string? Description { get; set; }                 // 描述
 
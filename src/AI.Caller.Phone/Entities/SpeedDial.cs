@@ -0,0 +1,41 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace AI.Caller.Phone.Entities;
+
+/// <summary>
+/// 拨号页收藏栏的快速拨号按钮，绑定联系人或号码，按Position排序
+/// </summary>
+public class SpeedDial {
+    [Key]
+    public int Id { get; set; }
+
+    public int UserId { get; set; }
+
+    public int Position { get; set; }
+
+    /// <summary>
+    /// 按钮显示名称，为空时显示联系人姓名或号码
+    /// </summary>
+    [MaxLength(50)]
+    public string? Label { get; set; }
+
+    /// <summary>
+    /// 绑定的联系人，联系人删除后按钮一并删除
+    /// </summary>
+    public int? ContactId { get; set; }
+
+    /// <summary>
+    /// 未绑定联系人时拨打的号码
+    /// </summary>
+    [MaxLength(50)]
+    public string? PhoneNumber { get; set; }
+
+    /// <summary>
+    /// 拨打时使用的线路，为空时使用拨号页当前的线路设置
+    /// </summary>
+    public int? PreferredLineId { get; set; }
+
+    public virtual Contact? Contact { get; set; }
+
+    public virtual SipLine? PreferredLine { get; set; }
+}
@@ -32,5 +32,28 @@ namespace AI.Caller.Phone.Entities {
         public virtual SipAccount? SipAccount { get; set; }
 
         public bool SipRegistered { get; set; }
+
+        /// <summary>
+        /// 最近一次查看通话历史的时间，之后的未接来电计入角标
+        /// </summary>
+        public DateTime? CallHistoryViewedAt { get; set; }
+
+        /// <summary>
+        /// 自定义快捷键（动作 -> 按键组合的JSON），为空时使用前端默认快捷键
+        /// </summary>
+        public string? KeyboardShortcutsJson { get; set; }
+
+        /// <summary>
+        /// 坐席手动设置（或长时间无操作自动设置）的状态，话后处理期间自动视为忙碌
+        /// </summary>
+        public AgentAvailability AgentStatus { get; set; } = AgentAvailability.Available;
+
+        /// <summary>
+        /// 自动设置状态的原因（如autoAway），手动设置时为空
+        /// </summary>
+        [MaxLength(20)]
+        public string? AgentStatusReason { get; set; }
+
+        public DateTime? AgentStatusChangedAt { get; set; }
     }
 }
\ No newline at end of file
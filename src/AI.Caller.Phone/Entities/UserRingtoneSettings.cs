@@ -9,6 +9,8 @@ public class UserRingtoneSettings {
 
     public int? RingbackToneId { get; set; }
 
+    public int? HoldToneId { get; set; }
+
     public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
 
     public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
@@ -16,4 +18,5 @@ public class UserRingtoneSettings {
     public User User { get; set; } = null!;
     public Ringtone? IncomingRingtone { get; set; }
     public Ringtone? RingbackTone { get; set; }
+    public Ringtone? HoldTone { get; set; }
 }
@@ -0,0 +1,33 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace AI.Caller.Phone.Entities;
+
+public enum WrapUpCodeType {
+    [Display(Name = "处理结果")] Disposition,
+    [Display(Name = "标签")] Tag
+}
+
+/// <summary>
+/// 话后处理选项，由管理员维护坐席可选的处理结果与标签
+/// </summary>
+public class WrapUpCode {
+    [Key]
+    public int Id { get; set; }
+
+    [Display(Name = "类型")]
+    public WrapUpCodeType Type { get; set; }
+
+    [Required(ErrorMessage = "请输入名称")]
+    [MaxLength(50)]
+    [Display(Name = "名称")]
+    public string Name { get; set; } = string.Empty;
+
+    [Display(Name = "排序")]
+    public int SortOrder { get; set; }
+
+    /// <summary>
+    /// 停用后坐席不可再选择，已提交的话后处理记录不受影响
+    /// </summary>
+    [Display(Name = "启用")]
+    public bool IsActive { get; set; } = true;
+}
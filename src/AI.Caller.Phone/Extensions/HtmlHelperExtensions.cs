@@ -1,6 +1,10 @@
 using Microsoft.AspNetCore.Mvc.Rendering;
+using Microsoft.Extensions.FileProviders;
+using Microsoft.Extensions.Primitives;
 using System.ComponentModel.DataAnnotations;
 using System.Reflection;
+using System.Security.Cryptography;
+using System.Text;
 
 namespace AI.Caller.Phone;
 
@@ -14,6 +18,69 @@ public static class HtmlHelperExtensions {
             });
     }
 
+    /// <summary>
+    /// 参与外壳版本计算的wwwroot目录与文件，Service Worker缓存的脚本、样式都在这些目录下
+    /// </summary>
+    private static readonly string[] PwaShellFolders = { "js", "css" };
+    private static readonly string[] PwaShellFiles   = { "sw.js", "offline.html", "manifest.webmanifest" };
+
+    private static (string Version, IChangeToken Token)? _pwaShellVersion;
+
+    /// <summary>
+    /// 根据外壳资源内容计算Service Worker版本，任一资源更新都会安装新的Service Worker并提示刷新。
+    /// 结果缓存到文件变化为止
+    /// </summary>
+    public static string GetPwaShellVersion(this IHtmlHelper htmlHelper) {
+        var cached = _pwaShellVersion;
+        if (cached.HasValue && !cached.Value.Token.HasChanged) {
+            return cached.Value.Version;
+        }
+
+        var fileProvider = htmlHelper.ViewContext.HttpContext.RequestServices.GetRequiredService<IWebHostEnvironment>().WebRootFileProvider;
+        var token = new CompositeChangeToken(PwaShellFolders.Select(folder => fileProvider.Watch($"{folder}/**"))
+            .Concat(PwaShellFiles.Select(fileProvider.Watch))
+            .ToList());
+
+        var version = ComputePwaShellVersion(fileProvider);
+        _pwaShellVersion = (version, token);
+        return version;
+    }
+
+    private static string ComputePwaShellVersion(IFileProvider fileProvider) {
+        var files = new List<(string Path, IFileInfo File)>();
+        foreach (var folder in PwaShellFolders) {
+            CollectFiles(fileProvider, folder, files);
+        }
+        foreach (var path in PwaShellFiles) {
+            var file = fileProvider.GetFileInfo(path);
+            if (file.Exists) files.Add((path, file));
+        }
+
+        using var hash = IncrementalHash.CreateHash(HashAlgorithmName.SHA256);
+        foreach (var (path, file) in files.OrderBy(f => f.Path, StringComparer.Ordinal)) {
+            hash.AppendData(Encoding.UTF8.GetBytes(path));
+            using var stream = file.CreateReadStream();
+            var buffer = new byte[81920];
+            int read;
+            while ((read = stream.Read(buffer, 0, buffer.Length)) > 0) {
+                hash.AppendData(buffer, 0, read);
+            }
+        }
+
+        return Convert.ToHexString(hash.GetHashAndReset(), 0, 8).ToLowerInvariant();
+    }
+
+    private static void CollectFiles(IFileProvider fileProvider, string folder, List<(string Path, IFileInfo File)> files) {
+        foreach (var entry in fileProvider.GetDirectoryContents(folder)) {
+            var path = $"{folder}/{entry.Name}";
+            if (entry.IsDirectory) {
+                CollectFiles(fileProvider, path, files);
+            } else {
+                files.Add((path, entry));
+            }
+        }
+    }
+
     private static string? GetDisplayName(this Enum value) {
         return value.GetType()
             .GetMember(value.ToString())[0]
@@ -22,6 +22,7 @@ namespace AI.Caller.Phone.Hubs {
         private readonly ISimpleRecordingService _recordingService;
         private readonly AICustomerServiceManager _aiServiceManager;
         private readonly IPlaybackControlService _playbackControlService;
+        private readonly WallboardService _wallboardService;
 
         // Tracks monitoring sessions per active SignalR connection to clean up on drops.
         private static readonly ConcurrentDictionary<string, List<(int TargetUserId, int SessionId, string CallId)>> _userMonitorings = new();
@@ -39,6 +40,7 @@ namespace AI.Caller.Phone.Hubs {
             ISimpleRecordingService recordingService,
             AICustomerServiceManager aiServiceManager,
             IPlaybackControlService playbackControlService,
+            WallboardService wallboardService,
             Microsoft.Extensions.Options.IOptions<WebRTCSettings> webRtcSettings
             ) {
             _logger                 = logger;
@@ -50,6 +52,7 @@ namespace AI.Caller.Phone.Hubs {
             _aiServiceManager       = aiServiceManager;
             _applicationContext     = applicationContext;
             _playbackControlService = playbackControlService;
+            _wallboardService       = wallboardService;
             _webRtcSettings         = webRtcSettings.Value;
         }
 
@@ -152,8 +155,177 @@ namespace AI.Caller.Phone.Hubs {
             }
         }
 
-        public async Task ReconnectWebRTCAsync() {
-            await Task.CompletedTask;
+        public async Task<object> HoldCallAsync(CallHoldModel model) {
+            var userId = Context.User!.FindFirst<int>(ClaimTypes.NameIdentifier);
+            try {
+                var result = await _callManager.HoldCallAsync(model.CallId, userId);
+                if (result) {
+                    _logger.LogInformation("用户 {UserId} 保持了通话 {CallId}", userId, model.CallId);
+                    return new { success = true, message = "通话已保持" };
+                } else {
+                    return new { success = false, message = "通话保持失败" };
+                }
+            } catch (Exception ex) {
+                _logger.LogError(ex, "Error holding call {CallId} for user {UserId}", model.CallId, userId);
+                return new { success = false, message = $"通话保持失败: {ex.Message}" };
+            }
+        }
+
+        public async Task<object> ResumeCallAsync(CallHoldModel model) {
+            var userId = Context.User!.FindFirst<int>(ClaimTypes.NameIdentifier);
+            try {
+                var result = await _callManager.ResumeCallAsync(model.CallId, userId);
+                if (result) {
+                    _logger.LogInformation("用户 {UserId} 恢复了通话 {CallId}", userId, model.CallId);
+                    return new { success = true, message = "通话已恢复" };
+                } else {
+                    return new { success = false, message = "通话恢复失败" };
+                }
+            } catch (Exception ex) {
+                _logger.LogError(ex, "Error resuming call {CallId} for user {UserId}", model.CallId, userId);
+                return new { success = false, message = $"通话恢复失败: {ex.Message}" };
+            }
+        }
+
+        public async Task<object> BlindTransferAsync(CallTransferModel model) {
+            var userId = Context.User!.FindFirst<int>(ClaimTypes.NameIdentifier);
+            try {
+                var result = await _callManager.BlindTransferAsync(model.CallId, userId, model.Target ?? string.Empty);
+                if (result) {
+                    _logger.LogInformation("用户 {UserId} 盲转了通话 {CallId}", userId, model.CallId);
+                    return new { success = true, message = "转接请求已发送" };
+                } else {
+                    return new { success = false, message = "转接失败" };
+                }
+            } catch (Exception ex) {
+                _logger.LogError(ex, "Error blind transferring call {CallId} for user {UserId}", model.CallId, userId);
+                return new { success = false, message = $"转接失败: {ex.Message}" };
+            }
+        }
+
+        public async Task<object> StartConsultTransferAsync(CallTransferModel model) {
+            var userId = Context.User!.FindFirst<int>(ClaimTypes.NameIdentifier);
+            try {
+                var result = await _callManager.StartConsultTransferAsync(model.CallId, userId, model.Target ?? string.Empty);
+                if (result) {
+                    _logger.LogInformation("用户 {UserId} 发起了咨询转接 {CallId}", userId, model.CallId);
+                    return new { success = true, message = "正在呼叫咨询方" };
+                } else {
+                    return new { success = false, message = "发起咨询失败" };
+                }
+            } catch (Exception ex) {
+                _logger.LogError(ex, "Error starting consult transfer for call {CallId} for user {UserId}", model.CallId, userId);
+                return new { success = false, message = $"发起咨询失败: {ex.Message}" };
+            }
+        }
+
+        public async Task<object> CompleteConsultTransferAsync(CallTransferModel model) {
+            var userId = Context.User!.FindFirst<int>(ClaimTypes.NameIdentifier);
+            try {
+                var result = await _callManager.CompleteConsultTransferAsync(model.CallId, userId);
+                if (result) {
+                    _logger.LogInformation("用户 {UserId} 完成了咨询转接 {CallId}", userId, model.CallId);
+                    return new { success = true, message = "转接已完成" };
+                } else {
+                    return new { success = false, message = "完成转接失败" };
+                }
+            } catch (Exception ex) {
+                _logger.LogError(ex, "Error completing consult transfer for call {CallId} for user {UserId}", model.CallId, userId);
+                return new { success = false, message = $"完成转接失败: {ex.Message}" };
+            }
+        }
+
+        public async Task<object> CancelConsultTransferAsync(CallTransferModel model) {
+            var userId = Context.User!.FindFirst<int>(ClaimTypes.NameIdentifier);
+            try {
+                var result = await _callManager.CancelConsultTransferAsync(model.CallId, userId);
+                if (result) {
+                    _logger.LogInformation("用户 {UserId} 取消了咨询转接 {CallId}", userId, model.CallId);
+                    return new { success = true, message = "已取消咨询" };
+                } else {
+                    return new { success = false, message = "取消咨询失败" };
+                }
+            } catch (Exception ex) {
+                _logger.LogError(ex, "Error cancelling consult transfer for call {CallId} for user {UserId}", model.CallId, userId);
+                return new { success = false, message = $"取消咨询失败: {ex.Message}" };
+            }
+        }
+
+        public async Task<object> AddConferenceParticipantAsync(ConferenceParticipantModel model) {
+            var userId = Context.User!.FindFirst<int>(ClaimTypes.NameIdentifier);
+            try {
+                var result = await _callManager.AddConferenceParticipantAsync(model.CallId, userId, model.Target ?? string.Empty);
+                if (result) {
+                    _logger.LogInformation("用户 {UserId} 向通话 {CallId} 添加了参与方 {Target}", userId, model.CallId, model.Target);
+                    return new { success = true, message = "正在呼叫参与方" };
+                } else {
+                    return new { success = false, message = "添加参与方失败" };
+                }
+            } catch (Exception ex) {
+                _logger.LogError(ex, "Error adding conference participant for call {CallId} for user {UserId}", model.CallId, userId);
+                return new { success = false, message = $"添加参与方失败: {ex.Message}" };
+            }
+        }
+
+        public async Task<object> SetConferenceParticipantMuteAsync(ConferenceParticipantModel model) {
+            var userId = Context.User!.FindFirst<int>(ClaimTypes.NameIdentifier);
+            try {
+                var result = await _callManager.SetConferenceParticipantMuteAsync(model.CallId, userId, model.ParticipantId ?? string.Empty, model.Muted);
+                if (result) {
+                    return new { success = true, message = model.Muted ? "已静音" : "已取消静音" };
+                } else {
+                    return new { success = false, message = "设置静音失败" };
+                }
+            } catch (Exception ex) {
+                _logger.LogError(ex, "Error muting conference participant {ParticipantId} for call {CallId}", model.ParticipantId, model.CallId);
+                return new { success = false, message = $"设置静音失败: {ex.Message}" };
+            }
+        }
+
+        public async Task<object> RemoveConferenceParticipantAsync(ConferenceParticipantModel model) {
+            var userId = Context.User!.FindFirst<int>(ClaimTypes.NameIdentifier);
+            try {
+                var result = await _callManager.RemoveConferenceParticipantAsync(model.CallId, userId, model.ParticipantId ?? string.Empty);
+                if (result) {
+                    _logger.LogInformation("用户 {UserId} 将参与方 {ParticipantId} 移出通话 {CallId}", userId, model.ParticipantId, model.CallId);
+                    return new { success = true, message = "已移出参与方" };
+                } else {
+                    return new { success = false, message = "移出参与方失败" };
+                }
+            } catch (Exception ex) {
+                _logger.LogError(ex, "Error removing conference participant {ParticipantId} for call {CallId}", model.ParticipantId, model.CallId);
+                return new { success = false, message = $"移出参与方失败: {ex.Message}" };
+            }
+        }
+
+        public async Task<object> SetMuteStateAsync(AgentMuteModel model) {
+            var userId = Context.User!.FindFirst<int>(ClaimTypes.NameIdentifier);
+            try {
+                var result = await _callManager.SetAgentMuteAsync(model.CallId, userId, model.Muted);
+                if (result) {
+                    return new { success = true, message = model.Muted ? "已静音" : "已取消静音" };
+                } else {
+                    return new { success = false, message = "设置静音失败" };
+                }
+            } catch (Exception ex) {
+                _logger.LogError(ex, "Error setting mute state for call {CallId} for user {UserId}", model.CallId, userId);
+                return new { success = false, message = $"设置静音失败: {ex.Message}" };
+            }
+        }
+
+        public async Task<object> RestartIceAsync(IceRestartModel model) {
+            var userId = Context.User!.FindFirst<int>(ClaimTypes.NameIdentifier);
+            try {
+                if (!RTCSessionDescriptionInit.TryParse(model.OfferSdp, out var offer)) {
+                    return new { success = false, message = "无效的SDP" };
+                }
+
+                var answer = await _callManager.RestartIceAsync(model.CallId, userId, offer);
+                return new { success = true, message = "ICE重启协商完成", answer = answer.toJSON() };
+            } catch (Exception ex) {
+                _logger.LogError(ex, "Error restarting ICE for call {CallId} for user {UserId}", model.CallId, userId);
+                return new { success = false, message = $"ICE重启失败: {ex.Message}" };
+            }
         }
 
         public async Task<bool> Heartbeat() {
@@ -171,6 +343,7 @@ namespace AI.Caller.Phone.Hubs {
         public override async Task OnDisconnectedAsync(Exception? exception) {
             var userId = Context.User!.FindFirst<int>(ClaimTypes.NameIdentifier);
             _applicationContext.RemoveActiviteUserId(userId);
+            _wallboardService.RemoveSubscriber(Context.ConnectionId);
 
             if (_userMonitorings.TryRemove(Context.ConnectionId, out var monitorings)) {
                 List<(int TargetUserId, int SessionId, string CallId)> sessionsToStop;
@@ -180,7 +353,11 @@ namespace AI.Caller.Phone.Hubs {
                 foreach (var m in sessionsToStop) {
                     try {
                         _logger.LogInformation("用户 {MonitorUserId} 意外断线，正主动清理其监听的会话 {CallId}", userId, m.CallId);
+                        var wasSpeaking = IsSupervisorSpeaking(m.TargetUserId, userId);
                         await _aiServiceManager.StopMonitoringAsync(m.TargetUserId, userId, m.SessionId);
+                        if (wasSpeaking) {
+                            await NotifySupervisorModeChangedAsync(m.TargetUserId, m.CallId, userId, "listen");
+                        }
                     } catch (Exception ex) {
                         _logger.LogError(ex, "意外断线自动清理监听会话失败: SessionId {SessionId}", m.SessionId);
                     }
@@ -190,6 +367,40 @@ namespace AI.Caller.Phone.Hubs {
             await base.OnDisconnectedAsync(exception);
         }
 
+        #region 班长看板
+        /// <summary>
+        /// 打开班长看板：加入看板组并返回当前快照，之后由服务端每秒推送wallboardUpdated
+        /// </summary>
+        public async Task<object> JoinWallboardAsync() {
+            var userId = Context.User!.FindFirst<int>(ClaimTypes.NameIdentifier);
+
+            if (!Context.User!.HasClaim("isAdmin", "True")) {
+                _logger.LogWarning("普通用户 {UserId} 尝试打开班长看板，权限不足", userId);
+                return new { success = false, message = "权限不足：只有管理员可以查看班长看板" };
+            }
+
+            try {
+                await Groups.AddToGroupAsync(Context.ConnectionId, WallboardService.GroupName);
+                _wallboardService.AddSubscriber(Context.ConnectionId);
+
+                var snapshot = await _wallboardService.GetSnapshotAsync();
+                return new { success = true, snapshot };
+            } catch (Exception ex) {
+                _logger.LogError(ex, "打开班长看板失败");
+                return new { success = false, message = $"打开班长看板失败: {ex.Message}" };
+            }
+        }
+
+        /// <summary>
+        /// 关闭班长看板，没有看板打开时服务端停止推送
+        /// </summary>
+        public async Task LeaveWallboardAsync() {
+            await Groups.RemoveFromGroupAsync(Context.ConnectionId, WallboardService.GroupName);
+            _wallboardService.RemoveSubscriber(Context.ConnectionId);
+        }
+
+        #endregion
+
         #region 监听与接入功能
         /// <summary>
         /// 建立WebRTC监听连接
@@ -239,7 +450,11 @@ namespace AI.Caller.Phone.Hubs {
             try {
                 var monitorUserId = Context.User!.FindFirst<int>(ClaimTypes.NameIdentifier);
 
+                var wasSpeaking = IsSupervisorSpeaking(targetUserId, monitorUserId);
                 await _aiServiceManager.StopMonitoringAsync(targetUserId, monitorUserId, sessionId);
+                if (wasSpeaking) {
+                    await NotifySupervisorModeChangedAsync(targetUserId, callId, monitorUserId, "listen");
+                }
 
                 // 离开监听组
                 await Groups.RemoveFromGroupAsync(Context.ConnectionId, $"monitoring_{callId}");
@@ -278,6 +493,7 @@ namespace AI.Caller.Phone.Hubs {
                     currentSegmentId,
                     timestamp = DateTime.UtcNow
                 });
+                await NotifySupervisorModeChangedAsync(targetUserId, callId, monitorUserId, "intervene");
 
                 _logger.LogInformation("用户 {MonitorUserId} 接入通话 {CallId}", monitorUserId, callId);
 
@@ -303,6 +519,7 @@ namespace AI.Caller.Phone.Hubs {
                     resumePlayback,
                     timestamp = DateTime.UtcNow
                 });
+                await NotifySupervisorModeChangedAsync(targetUserId, callId, monitorUserId, "listen");
 
                 _logger.LogInformation("用户 {MonitorUserId} 退出接入通话 {CallId}", monitorUserId, callId);
 
@@ -313,6 +530,59 @@ namespace AI.Caller.Phone.Hubs {
             }
         }
 
+        /// <summary>
+        /// 开始耳语（教练模式）：只有坐席能听到班长，客户听不到
+        /// </summary>
+        public async Task<object> StartWhisperAsync(int targetUserId, string callId) {
+            return await SetWhisperAsync(targetUserId, callId, true);
+        }
+
+        /// <summary>
+        /// 结束耳语，回到静默监听
+        /// </summary>
+        public async Task<object> StopWhisperAsync(int targetUserId, string callId) {
+            return await SetWhisperAsync(targetUserId, callId, false);
+        }
+
+        private async Task<object> SetWhisperAsync(int targetUserId, string callId, bool active) {
+            try {
+                var monitorUserId = Context.User!.FindFirst<int>(ClaimTypes.NameIdentifier);
+
+                _aiServiceManager.SetWhisper(targetUserId, monitorUserId, callId, active);
+                await NotifySupervisorModeChangedAsync(targetUserId, callId, monitorUserId, active ? "whisper" : "listen");
+
+                _logger.LogInformation("用户 {MonitorUserId} {Action}通话 {CallId}", monitorUserId, active ? "开始耳语" : "结束耳语", callId);
+
+                return new { success = true, message = active ? "耳语已开始" : "耳语已结束" };
+            } catch (Exception ex) {
+                _logger.LogError(ex, "设置耳语失败");
+                return new { success = false, message = $"{(active ? "开始" : "结束")}耳语失败: {ex.Message}" };
+            }
+        }
+
+        private bool IsSupervisorSpeaking(int targetUserId, int monitorUserId) {
+            var listener = _aiServiceManager.GetCallMonitors(targetUserId).FirstOrDefault(l => l.UserId == monitorUserId);
+            return listener != null && (listener.IsWhispering || listener.IsIntervening);
+        }
+
+        /// <summary>
+        /// 通知被监听的坐席班长当前的模式（whisper耳语 / intervene接入 / listen静默监听），静默监听时坐席不显示提示
+        /// </summary>
+        private async Task NotifySupervisorModeChangedAsync(int targetUserId, string callId, int supervisorUserId, string mode) {
+            try {
+                await _hubContext.Clients.User(targetUserId.ToString()).SendAsync("supervisorModeChanged", new {
+                    callId,
+                    supervisorUserId,
+                    supervisorName = Context.User?.Identity?.Name,
+                    mode,
+                    sequence = CallManager.NextEventSequence(),
+                    timestamp = DateTime.UtcNow
+                });
+            } catch (Exception ex) {
+                _logger.LogWarning(ex, "通知坐席班长模式变化失败: TargetUserId {TargetUserId}, CallId {CallId}", targetUserId, callId);
+            }
+        }
+
         /// <summary>
         /// 获取播放状态
         /// </summary>
@@ -346,6 +616,44 @@ namespace AI.Caller.Phone.Hubs {
             }
         }
 
+        /// <summary>
+        /// 暂停场景播放
+        /// </summary>
+        public async Task<object> PausePlaybackAsync(string callId) {
+            return await ControlPlaybackAsync(callId, "暂停播放", () => _aiServiceManager.PausePlaybackAsync(callId));
+        }
+
+        /// <summary>
+        /// 恢复场景播放
+        /// </summary>
+        public async Task<object> ResumePlaybackAsync(string callId) {
+            return await ControlPlaybackAsync(callId, "恢复播放", () => _aiServiceManager.ResumePlaybackAsync(callId));
+        }
+
+        /// <summary>
+        /// 跳转到指定片段（时间轴点击片段、重播上一段、拖动录音进度）
+        /// </summary>
+        public async Task<object> JumpToSegmentAsync(string callId, int segmentId, int positionMs) {
+            return await ControlPlaybackAsync(callId, "跳转片段", () => _aiServiceManager.JumpToSegmentAsync(callId, segmentId, positionMs));
+        }
+
+        private async Task<object> ControlPlaybackAsync(string callId, string action, Func<Task> control) {
+            var userId = Context.User!.FindFirst<int>(ClaimTypes.NameIdentifier);
+            if (!Context.User!.HasClaim("isAdmin", "True")) {
+                _logger.LogWarning("普通用户 {UserId} 尝试{Action}，权限不足 (CallId: {CallId})", userId, action, callId);
+                return new { success = false, message = "权限不足：只有管理员可以控制场景播放" };
+            }
+
+            try {
+                await control();
+                _logger.LogInformation("用户 {UserId} {Action}: CallId {CallId}", userId, action, callId);
+                return new { success = true, message = $"{action}成功" };
+            } catch (Exception ex) {
+                _logger.LogError(ex, "{Action}失败: CallId {CallId}", action, callId);
+                return new { success = false, message = $"{action}失败: {ex.Message}" };
+            }
+        }
+
         /// <summary>
         /// WebRTC重新协商（用于人工介入时启用音频发送）
         /// </summary>
@@ -599,6 +907,16 @@ namespace AI.Caller.Phone.Hubs {
                     await _hubContext.Clients.Client(connectionId).SendAsync("receiveIceCandidate", candidate.toJSON());
                 };
 
+                // 两路音量只推送给本次监听的连接，监听页面据此绘制音量与波形
+                mediaSession.OnAudioLevels += async (customerLevels, agentLevels) => {
+                    await _hubContext.Clients.Client(connectionId).SendAsync("monitorAudioLevels", new {
+                        callId,
+                        customer = customerLevels,
+                        agent = agentLevels,
+                        frameMs = MonitorMediaSession.FRAME_MS
+                    });
+                };
+
                 var session = await _aiServiceManager.StartMonitoringAsync(
                     targetUserId,
                     monitorUserId,
@@ -618,7 +936,8 @@ namespace AI.Caller.Phone.Hubs {
                 }
 
                 _logger.LogInformation("用户 {MonitorUserId} 开始监听通话 {CallId}", monitorUserId, callId);
-                return new { success = true, sessionId = session.Id, answer = answerSdp, message = "监听已开始" };
+                var agentMuted = _callManager.GetMutedUserIds(callId).Contains(targetUserId);
+                return new { success = true, sessionId = session.Id, answer = answerSdp, agentMuted = agentMuted, message = "监听已开始" };
             } catch (Exception ex) {
                 _logger.LogError(ex, "开始监听失败");
                 return new { success = false, message = $"监听失败: {ex.Message}" };
@@ -653,10 +972,20 @@ namespace AI.Caller.Phone.Hubs {
 
     public record IceCandidateModel(string CallId, string iceCandidate);
 
+    public record IceRestartModel(string CallId, string OfferSdp);
+
     public record WebRtcAnswerModel(string CallId, string AnswerSdp);
 
     public record WebRtcHangupModel(string CallId, string Target, string? Reason = null);
 
+    public record CallHoldModel(string CallId);
+
+    public record CallTransferModel(string CallId, string? Target = null);
+
+    public record AgentMuteModel(string CallId, bool Muted);
+
+    public record ConferenceParticipantModel(string CallId, string? Target = null, string? ParticipantId = null, bool Muted = false);
+
     public record DtmfToneModel(string CallId, string Tone);
 
     public record DtmfLogModel(string CallId, string Tone, string Method);
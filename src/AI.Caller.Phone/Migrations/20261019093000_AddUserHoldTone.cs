@@ -0,0 +1,49 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace AI.Caller.Phone.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddUserHoldTone : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<int>(
+                name: "HoldToneId",
+                table: "UserRingtoneSettings",
+                type: "INTEGER",
+                nullable: true);
+
+            migrationBuilder.CreateIndex(
+                name: "IX_UserRingtoneSettings_HoldToneId",
+                table: "UserRingtoneSettings",
+                column: "HoldToneId");
+
+            migrationBuilder.AddForeignKey(
+                name: "FK_UserRingtoneSettings_Ringtones_HoldToneId",
+                table: "UserRingtoneSettings",
+                column: "HoldToneId",
+                principalTable: "Ringtones",
+                principalColumn: "Id",
+                onDelete: ReferentialAction.SetNull);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropForeignKey(
+                name: "FK_UserRingtoneSettings_Ringtones_HoldToneId",
+                table: "UserRingtoneSettings");
+
+            migrationBuilder.DropIndex(
+                name: "IX_UserRingtoneSettings_HoldToneId",
+                table: "UserRingtoneSettings");
+
+            migrationBuilder.DropColumn(
+                name: "HoldToneId",
+                table: "UserRingtoneSettings");
+        }
+    }
+}
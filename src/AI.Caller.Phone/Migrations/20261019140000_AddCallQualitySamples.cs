@@ -0,0 +1,48 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace AI.Caller.Phone.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddCallQualitySamples : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.CreateTable(
+                name: "CallQualitySamples",
+                columns: table => new
+                {
+                    Id = table.Column<int>(type: "INTEGER", nullable: false)
+                        .Annotation("Sqlite:Autoincrement", true),
+                    CallId = table.Column<string>(type: "TEXT", maxLength: 50, nullable: false),
+                    UserId = table.Column<int>(type: "INTEGER", nullable: false),
+                    Source = table.Column<string>(type: "TEXT", maxLength: 20, nullable: false),
+                    SampledAt = table.Column<DateTime>(type: "TEXT", nullable: false),
+                    JitterMs = table.Column<double>(type: "REAL", nullable: true),
+                    PacketLossPercent = table.Column<double>(type: "REAL", nullable: true),
+                    RoundTripTimeMs = table.Column<double>(type: "REAL", nullable: true),
+                    AudioLevel = table.Column<double>(type: "REAL", nullable: true),
+                    Mos = table.Column<double>(type: "REAL", nullable: true)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_CallQualitySamples", x => x.Id);
+                });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_CallQualitySamples_CallId",
+                table: "CallQualitySamples",
+                column: "CallId");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropTable(
+                name: "CallQualitySamples");
+        }
+    }
+}
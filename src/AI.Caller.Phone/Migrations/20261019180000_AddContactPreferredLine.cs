@@ -0,0 +1,49 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace AI.Caller.Phone.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddContactPreferredLine : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<int>(
+                name: "PreferredLineId",
+                table: "Contacts",
+                type: "INTEGER",
+                nullable: true);
+
+            migrationBuilder.CreateIndex(
+                name: "IX_Contacts_PreferredLineId",
+                table: "Contacts",
+                column: "PreferredLineId");
+
+            migrationBuilder.AddForeignKey(
+                name: "FK_Contacts_SipLines_PreferredLineId",
+                table: "Contacts",
+                column: "PreferredLineId",
+                principalTable: "SipLines",
+                principalColumn: "Id",
+                onDelete: ReferentialAction.SetNull);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropForeignKey(
+                name: "FK_Contacts_SipLines_PreferredLineId",
+                table: "Contacts");
+
+            migrationBuilder.DropIndex(
+                name: "IX_Contacts_PreferredLineId",
+                table: "Contacts");
+
+            migrationBuilder.DropColumn(
+                name: "PreferredLineId",
+                table: "Contacts");
+        }
+    }
+}
@@ -0,0 +1,104 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace AI.Caller.Phone.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddCallWrapUps : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.CreateTable(
+                name: "CallWrapUps",
+                columns: table => new
+                {
+                    Id = table.Column<int>(type: "INTEGER", nullable: false)
+                        .Annotation("Sqlite:Autoincrement", true),
+                    CallLogId = table.Column<int>(type: "INTEGER", nullable: false),
+                    UserId = table.Column<int>(type: "INTEGER", nullable: false),
+                    Disposition = table.Column<string>(type: "TEXT", maxLength: 50, nullable: true),
+                    Notes = table.Column<string>(type: "TEXT", maxLength: 1000, nullable: true),
+                    Tags = table.Column<string>(type: "TEXT", maxLength: 500, nullable: true),
+                    StartedAt = table.Column<DateTime>(type: "TEXT", nullable: false),
+                    SubmittedAt = table.Column<DateTime>(type: "TEXT", nullable: true)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_CallWrapUps", x => x.Id);
+                    table.ForeignKey(
+                        name: "FK_CallWrapUps_CallLogs_CallLogId",
+                        column: x => x.CallLogId,
+                        principalTable: "CallLogs",
+                        principalColumn: "Id",
+                        onDelete: ReferentialAction.Cascade);
+                    table.ForeignKey(
+                        name: "FK_CallWrapUps_Users_UserId",
+                        column: x => x.UserId,
+                        principalTable: "Users",
+                        principalColumn: "Id",
+                        onDelete: ReferentialAction.Cascade);
+                });
+
+            migrationBuilder.CreateTable(
+                name: "WrapUpCodes",
+                columns: table => new
+                {
+                    Id = table.Column<int>(type: "INTEGER", nullable: false)
+                        .Annotation("Sqlite:Autoincrement", true),
+                    Type = table.Column<int>(type: "INTEGER", nullable: false),
+                    Name = table.Column<string>(type: "TEXT", maxLength: 50, nullable: false),
+                    SortOrder = table.Column<int>(type: "INTEGER", nullable: false),
+                    IsActive = table.Column<bool>(type: "INTEGER", nullable: false, defaultValue: true)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_WrapUpCodes", x => x.Id);
+                });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_CallWrapUps_CallLogId_UserId",
+                table: "CallWrapUps",
+                columns: new[] { "CallLogId", "UserId" },
+                unique: true);
+
+            migrationBuilder.CreateIndex(
+                name: "IX_CallWrapUps_UserId_SubmittedAt",
+                table: "CallWrapUps",
+                columns: new[] { "UserId", "SubmittedAt" });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_WrapUpCodes_Type_Name",
+                table: "WrapUpCodes",
+                columns: new[] { "Type", "Name" },
+                unique: true);
+
+            // 默认选项，管理员可在话后处理设置中修改
+            migrationBuilder.InsertData(
+                table: "WrapUpCodes",
+                columns: new[] { "Type", "Name", "SortOrder", "IsActive" },
+                values: new object[,]
+                {
+                    { 0, "已解决", 0, true },
+                    { 0, "需回访", 1, true },
+                    { 0, "转其他部门", 2, true },
+                    { 0, "无效来电", 3, true },
+                    { 1, "咨询", 0, true },
+                    { 1, "投诉", 1, true },
+                    { 1, "售后", 2, true }
+                });
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropTable(
+                name: "CallWrapUps");
+
+            migrationBuilder.DropTable(
+                name: "WrapUpCodes");
+        }
+    }
+}
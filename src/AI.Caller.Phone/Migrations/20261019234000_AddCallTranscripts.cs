@@ -0,0 +1,68 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace AI.Caller.Phone.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddCallTranscripts : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.CreateTable(
+                name: "CallTranscriptSegments",
+                columns: table => new
+                {
+                    Id = table.Column<int>(type: "INTEGER", nullable: false)
+                        .Annotation("Sqlite:Autoincrement", true),
+                    CallId = table.Column<string>(type: "TEXT", maxLength: 100, nullable: false),
+                    UserId = table.Column<int>(type: "INTEGER", nullable: false),
+                    RecordingId = table.Column<int>(type: "INTEGER", nullable: true),
+                    Speaker = table.Column<int>(type: "INTEGER", nullable: false),
+                    Text = table.Column<string>(type: "TEXT", maxLength: 2000, nullable: false),
+                    StartedAt = table.Column<DateTime>(type: "TEXT", nullable: false),
+                    EndedAt = table.Column<DateTime>(type: "TEXT", nullable: false)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_CallTranscriptSegments", x => x.Id);
+                    table.ForeignKey(
+                        name: "FK_CallTranscriptSegments_Recordings_RecordingId",
+                        column: x => x.RecordingId,
+                        principalTable: "Recordings",
+                        principalColumn: "Id",
+                        onDelete: ReferentialAction.SetNull);
+                    table.ForeignKey(
+                        name: "FK_CallTranscriptSegments_Users_UserId",
+                        column: x => x.UserId,
+                        principalTable: "Users",
+                        principalColumn: "Id",
+                        onDelete: ReferentialAction.Cascade);
+                });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_CallTranscriptSegments_CallId_UserId_StartedAt",
+                table: "CallTranscriptSegments",
+                columns: new[] { "CallId", "UserId", "StartedAt" });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_CallTranscriptSegments_RecordingId_StartedAt",
+                table: "CallTranscriptSegments",
+                columns: new[] { "RecordingId", "StartedAt" });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_CallTranscriptSegments_UserId",
+                table: "CallTranscriptSegments",
+                column: "UserId");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropTable(
+                name: "CallTranscriptSegments");
+        }
+    }
+}
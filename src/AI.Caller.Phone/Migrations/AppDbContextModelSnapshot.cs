@@ -214,6 +214,137 @@ namespace AI.Caller.Phone.Migrations
                     b.ToTable("CallLogs");
                 });
 
+            modelBuilder.Entity("AI.Caller.Phone.Entities.CallQualitySample", b =>
+                {
+                    b.Property<int>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("INTEGER");
+
+                    b.Property<double?>("AudioLevel")
+                        .HasColumnType("REAL");
+
+                    b.Property<string>("CallId")
+                        .IsRequired()
+                        .HasMaxLength(50)
+                        .HasColumnType("TEXT");
+
+                    b.Property<double?>("JitterMs")
+                        .HasColumnType("REAL");
+
+                    b.Property<double?>("Mos")
+                        .HasColumnType("REAL");
+
+                    b.Property<double?>("PacketLossPercent")
+                        .HasColumnType("REAL");
+
+                    b.Property<double?>("RoundTripTimeMs")
+                        .HasColumnType("REAL");
+
+                    b.Property<DateTime>("SampledAt")
+                        .HasColumnType("TEXT");
+
+                    b.Property<string>("Source")
+                        .IsRequired()
+                        .HasMaxLength(20)
+                        .HasColumnType("TEXT");
+
+                    b.Property<int>("UserId")
+                        .HasColumnType("INTEGER");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("CallId")
+                        .HasDatabaseName("IX_CallQualitySamples_CallId");
+
+                    b.ToTable("CallQualitySamples");
+                });
+
+            modelBuilder.Entity("AI.Caller.Phone.Entities.CallTranscriptSegment", b =>
+                {
+                    b.Property<int>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("INTEGER");
+
+                    b.Property<string>("CallId")
+                        .IsRequired()
+                        .HasMaxLength(100)
+                        .HasColumnType("TEXT");
+
+                    b.Property<DateTime>("EndedAt")
+                        .HasColumnType("TEXT");
+
+                    b.Property<int?>("RecordingId")
+                        .HasColumnType("INTEGER");
+
+                    b.Property<int>("Speaker")
+                        .HasColumnType("INTEGER");
+
+                    b.Property<DateTime>("StartedAt")
+                        .HasColumnType("TEXT");
+
+                    b.Property<string>("Text")
+                        .IsRequired()
+                        .HasMaxLength(2000)
+                        .HasColumnType("TEXT");
+
+                    b.Property<int>("UserId")
+                        .HasColumnType("INTEGER");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("UserId");
+
+                    b.HasIndex("CallId", "UserId", "StartedAt")
+                        .HasDatabaseName("IX_CallTranscriptSegments_CallId_UserId_StartedAt");
+
+                    b.HasIndex("RecordingId", "StartedAt")
+                        .HasDatabaseName("IX_CallTranscriptSegments_RecordingId_StartedAt");
+
+                    b.ToTable("CallTranscriptSegments");
+                });
+
+            modelBuilder.Entity("AI.Caller.Phone.Entities.CallWrapUp", b =>
+                {
+                    b.Property<int>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("INTEGER");
+
+                    b.Property<int>("CallLogId")
+                        .HasColumnType("INTEGER");
+
+                    b.Property<string>("Disposition")
+                        .HasMaxLength(50)
+                        .HasColumnType("TEXT");
+
+                    b.Property<string>("Notes")
+                        .HasMaxLength(1000)
+                        .HasColumnType("TEXT");
+
+                    b.Property<DateTime>("StartedAt")
+                        .HasColumnType("TEXT");
+
+                    b.Property<DateTime?>("SubmittedAt")
+                        .HasColumnType("TEXT");
+
+                    b.Property<string>("Tags")
+                        .HasMaxLength(500)
+                        .HasColumnType("TEXT");
+
+                    b.Property<int>("UserId")
+                        .HasColumnType("INTEGER");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("CallLogId", "UserId")
+                        .IsUnique()
+                        .HasDatabaseName("IX_CallWrapUps_CallLogId_UserId");
+
+                    b.HasIndex("UserId", "SubmittedAt")
+                        .HasDatabaseName("IX_CallWrapUps_UserId_SubmittedAt");
+
+                    b.ToTable("CallWrapUps");
+                });
+
             modelBuilder.Entity("AI.Caller.Phone.Entities.Contact", b =>
                 {
                     b.Property<int>("Id")
@@ -230,6 +361,9 @@ namespace AI.Caller.Phone.Migrations
                         .HasMaxLength(50)
                         .HasColumnType("TEXT");
 
+                    b.Property<int?>("PreferredLineId")
+                        .HasColumnType("INTEGER");
+
                     b.Property<int?>("UserId")
                         .HasColumnType("INTEGER");
 
@@ -241,6 +375,8 @@ namespace AI.Caller.Phone.Migrations
                     b.HasIndex("PhoneNumber")
                         .HasDatabaseName("IX_Contacts_PhoneNumber");
 
+                    b.HasIndex("PreferredLineId");
+
                     b.HasIndex("UserId")
                         .HasDatabaseName("IX_Contacts_UserId");
 
@@ -724,6 +860,10 @@ namespace AI.Caller.Phone.Migrations
                         .ValueGeneratedOnAdd()
                         .HasColumnType("INTEGER");
 
+                    b.Property<string>("CountryCode")
+                        .HasMaxLength(4)
+                        .HasColumnType("TEXT");
+
                     b.Property<DateTime>("CreatedAt")
                         .ValueGeneratedOnAdd()
                         .HasColumnType("TEXT")
@@ -733,6 +873,10 @@ namespace AI.Caller.Phone.Migrations
                         .HasMaxLength(500)
                         .HasColumnType("TEXT");
 
+                    b.Property<string>("DialPrefixes")
+                        .HasMaxLength(200)
+                        .HasColumnType("TEXT");
+
                     b.Property<bool>("IsActive")
                         .ValueGeneratedOnAdd()
                         .HasColumnType("INTEGER")
@@ -775,6 +919,44 @@ namespace AI.Caller.Phone.Migrations
                     b.ToTable("SipLines");
                 });
 
+            modelBuilder.Entity("AI.Caller.Phone.Entities.SpeedDial", b =>
+                {
+                    b.Property<int>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("INTEGER");
+
+                    b.Property<int?>("ContactId")
+                        .HasColumnType("INTEGER");
+
+                    b.Property<string>("Label")
+                        .HasMaxLength(50)
+                        .HasColumnType("TEXT");
+
+                    b.Property<string>("PhoneNumber")
+                        .HasMaxLength(50)
+                        .HasColumnType("TEXT");
+
+                    b.Property<int>("Position")
+                        .HasColumnType("INTEGER");
+
+                    b.Property<int?>("PreferredLineId")
+                        .HasColumnType("INTEGER");
+
+                    b.Property<int>("UserId")
+                        .HasColumnType("INTEGER");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("ContactId");
+
+                    b.HasIndex("PreferredLineId");
+
+                    b.HasIndex("UserId", "Position")
+                        .HasDatabaseName("IX_SpeedDials_UserId_Position");
+
+                    b.ToTable("SpeedDials");
+                });
+
             modelBuilder.Entity("AI.Caller.Phone.Entities.SystemRingtoneSettings", b =>
                 {
                     b.Property<int>("Id")
@@ -873,6 +1055,16 @@ namespace AI.Caller.Phone.Migrations
                         .ValueGeneratedOnAdd()
                         .HasColumnType("INTEGER");
 
+                    b.Property<int>("AgentStatus")
+                        .HasColumnType("INTEGER");
+
+                    b.Property<DateTime?>("AgentStatusChangedAt")
+                        .HasColumnType("TEXT");
+
+                    b.Property<string>("AgentStatusReason")
+                        .HasMaxLength(20)
+                        .HasColumnType("TEXT");
+
                     b.Property<bool>("AutoRecording")
                         .ValueGeneratedOnAdd()
                         .HasColumnType("INTEGER")
@@ -881,6 +1073,9 @@ namespace AI.Caller.Phone.Migrations
                     b.Property<string>("Bio")
                         .HasColumnType("TEXT");
 
+                    b.Property<DateTime?>("CallHistoryViewedAt")
+                        .HasColumnType("TEXT");
+
                     b.Property<string>("DisplayName")
                         .HasColumnType("TEXT");
 
@@ -893,6 +1088,9 @@ namespace AI.Caller.Phone.Migrations
                     b.Property<bool>("IsAdmin")
                         .HasColumnType("INTEGER");
 
+                    b.Property<string>("KeyboardShortcutsJson")
+                        .HasColumnType("TEXT");
+
                     b.Property<string>("Password")
                         .IsRequired()
                         .HasMaxLength(255)
@@ -932,6 +1130,7 @@ namespace AI.Caller.Phone.Migrations
                         new
                         {
                             Id = 1,
+                            AgentStatus = 0,
                             AutoRecording = false,
                             EnableAI = false,
                             IsAdmin = false,
@@ -952,6 +1151,9 @@ namespace AI.Caller.Phone.Migrations
                         .HasColumnType("TEXT")
                         .HasDefaultValueSql("datetime('now')");
 
+                    b.Property<int?>("HoldToneId")
+                        .HasColumnType("INTEGER");
+
                     b.Property<int?>("IncomingRingtoneId")
                         .HasColumnType("INTEGER");
 
@@ -968,6 +1170,8 @@ namespace AI.Caller.Phone.Migrations
 
                     b.HasKey("Id");
 
+                    b.HasIndex("HoldToneId");
+
                     b.HasIndex("IncomingRingtoneId");
 
                     b.HasIndex("RingbackToneId");
@@ -979,6 +1183,37 @@ namespace AI.Caller.Phone.Migrations
                     b.ToTable("UserRingtoneSettings");
                 });
 
+            modelBuilder.Entity("AI.Caller.Phone.Entities.WrapUpCode", b =>
+                {
+                    b.Property<int>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("INTEGER");
+
+                    b.Property<bool>("IsActive")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("INTEGER")
+                        .HasDefaultValue(true);
+
+                    b.Property<string>("Name")
+                        .IsRequired()
+                        .HasMaxLength(50)
+                        .HasColumnType("TEXT");
+
+                    b.Property<int>("SortOrder")
+                        .HasColumnType("INTEGER");
+
+                    b.Property<int>("Type")
+                        .HasColumnType("INTEGER");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("Type", "Name")
+                        .IsUnique()
+                        .HasDatabaseName("IX_WrapUpCodes_Type_Name");
+
+                    b.ToTable("WrapUpCodes");
+                });
+
             modelBuilder.Entity("AI.Caller.Phone.Models.Recording", b =>
                 {
                     b.Property<int>("Id")
@@ -1109,8 +1344,44 @@ namespace AI.Caller.Phone.Migrations
                     b.Navigation("ScenarioRecording");
                 });
 
+            modelBuilder.Entity("AI.Caller.Phone.Entities.CallTranscriptSegment", b =>
+                {
+                    b.HasOne("AI.Caller.Phone.Models.Recording", null)
+                        .WithMany()
+                        .HasForeignKey("RecordingId")
+                        .OnDelete(DeleteBehavior.SetNull);
+
+                    b.HasOne("AI.Caller.Phone.Entities.User", null)
+                        .WithMany()
+                        .HasForeignKey("UserId")
+                        .OnDelete(DeleteBehavior.Cascade)
+                        .IsRequired();
+                });
+
+            modelBuilder.Entity("AI.Caller.Phone.Entities.CallWrapUp", b =>
+                {
+                    b.HasOne("AI.Caller.Phone.Entities.CallLog", "CallLog")
+                        .WithMany("WrapUps")
+                        .HasForeignKey("CallLogId")
+                        .OnDelete(DeleteBehavior.Cascade)
+                        .IsRequired();
+
+                    b.HasOne("AI.Caller.Phone.Entities.User", null)
+                        .WithMany()
+                        .HasForeignKey("UserId")
+                        .OnDelete(DeleteBehavior.Cascade)
+                        .IsRequired();
+
+                    b.Navigation("CallLog");
+                });
+
             modelBuilder.Entity("AI.Caller.Phone.Entities.Contact", b =>
                 {
+                    b.HasOne("AI.Caller.Phone.Entities.SipLine", "PreferredLine")
+                        .WithMany()
+                        .HasForeignKey("PreferredLineId")
+                        .OnDelete(DeleteBehavior.SetNull);
+
                     b.HasOne("AI.Caller.Phone.Entities.User", null)
                         .WithMany("Contacts")
                         .HasForeignKey("UserId")
@@ -1120,6 +1391,8 @@ namespace AI.Caller.Phone.Migrations
                         .WithMany()
                         .HasForeignKey("UserId1");
 
+                    b.Navigation("PreferredLine");
+
                     b.Navigation("User");
                 });
 
@@ -1198,6 +1471,29 @@ namespace AI.Caller.Phone.Migrations
                     b.Navigation("DefaultLine");
                 });
 
+            modelBuilder.Entity("AI.Caller.Phone.Entities.SpeedDial", b =>
+                {
+                    b.HasOne("AI.Caller.Phone.Entities.Contact", "Contact")
+                        .WithMany()
+                        .HasForeignKey("ContactId")
+                        .OnDelete(DeleteBehavior.Cascade);
+
+                    b.HasOne("AI.Caller.Phone.Entities.SipLine", "PreferredLine")
+                        .WithMany()
+                        .HasForeignKey("PreferredLineId")
+                        .OnDelete(DeleteBehavior.SetNull);
+
+                    b.HasOne("AI.Caller.Phone.Entities.User", null)
+                        .WithMany()
+                        .HasForeignKey("UserId")
+                        .OnDelete(DeleteBehavior.Cascade)
+                        .IsRequired();
+
+                    b.Navigation("Contact");
+
+                    b.Navigation("PreferredLine");
+                });
+
             modelBuilder.Entity("AI.Caller.Phone.Entities.SystemRingtoneSettings", b =>
                 {
                     b.HasOne("AI.Caller.Phone.Entities.Ringtone", "DefaultIncomingRingtone")
@@ -1236,6 +1532,11 @@ namespace AI.Caller.Phone.Migrations
 
             modelBuilder.Entity("AI.Caller.Phone.Entities.UserRingtoneSettings", b =>
                 {
+                    b.HasOne("AI.Caller.Phone.Entities.Ringtone", "HoldTone")
+                        .WithMany()
+                        .HasForeignKey("HoldToneId")
+                        .OnDelete(DeleteBehavior.SetNull);
+
                     b.HasOne("AI.Caller.Phone.Entities.Ringtone", "IncomingRingtone")
                         .WithMany()
                         .HasForeignKey("IncomingRingtoneId")
@@ -1252,6 +1553,8 @@ namespace AI.Caller.Phone.Migrations
                         .OnDelete(DeleteBehavior.Cascade)
                         .IsRequired();
 
+                    b.Navigation("HoldTone");
+
                     b.Navigation("IncomingRingtone");
 
                     b.Navigation("RingbackTone");
@@ -1301,6 +1604,8 @@ namespace AI.Caller.Phone.Migrations
                     b.Navigation("MonitoringSessions");
 
                     b.Navigation("PlaybackControls");
+
+                    b.Navigation("WrapUps");
                 });
 
             modelBuilder.Entity("AI.Caller.Phone.Entities.ScenarioRecording", b =>
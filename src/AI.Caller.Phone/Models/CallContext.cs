@@ -11,6 +11,7 @@ namespace AI.Caller.Phone.Models {
         public Callee?       Callee { get; set; }
 
         public DateTime      CreatedAt       { get; set; } = DateTime.UtcNow;
+        public DateTime?     AnsweredAt      { get; set; }
         public CallState     State           { get; set; } = CallState.Initiating;        
         public bool          IsServerCalling { get; set; }
         
@@ -18,8 +19,30 @@ namespace AI.Caller.Phone.Models {
         public TimeSpan      Duration => DateTime.UtcNow - CreatedAt;
         
         public RingbackTonePlayer? RingbackPlayer { get; set; }
+        public RingbackTonePlayer? HoldPlayer     { get; set; }
+        public int?                HeldByUserId   { get; set; }
+        public HashSet<int>        MutedUserIds   { get; } = new();
+
+        public SIPClientHandle?    ConsultClient  { get; set; }
+        public string?             TransferTarget { get; set; }
+        /// <summary>
+        /// 设置了咨询音频中继的坐席媒体会话，结束咨询时从这里清除中继
+        /// </summary>
+        public MediaSessionManager? ConsultRelayManager { get; set; }
+        /// <summary>
+        /// 解除咨询线路上的事件订阅，线路归还连接池前调用
+        /// </summary>
+        public Action?             ConsultUnsubscribe  { get; set; }
+
+        public ConferenceMixer?    Conference        { get; set; }
+        public int?                ConferenceOwnerId { get; set; }
+        public List<ConferenceParticipant> ConferenceParticipants { get; } = new();
         
         public AI.Caller.Core.Models.SipRoutingInfo? RoutingInfo { get; set; }
+        /// <summary>
+        /// 外呼时为选择的线路名称，呼入时为被叫号码
+        /// </summary>
+        public string? LineName { get; set; }
     }
 
     public class Caller {
@@ -31,6 +54,20 @@ namespace AI.Caller.Phone.Models {
         public MediaSessionManager? MediaManager => Client?.Client?.MediaSessionManager;
     }
 
+    /// <summary>
+    /// 多方通话参与方，Role为owner(发起坐席)、party(原通话对方)或guest(加入的第三方)
+    /// </summary>
+    public class ConferenceParticipant {
+        public string           Id       { get; } = UniqueShortStringProvider.Create();
+        public string           Role     { get; set; } = "guest";
+        public string?          Name     { get; set; }
+        public string?          Number   { get; set; }
+        public string           Status   { get; set; } = "dialing";
+        public bool             IsMuted  { get; set; }
+        public DateTime         JoinedAt { get; set; } = DateTime.UtcNow;
+        public SIPClientHandle? Client   { get; set; }
+    }
+
     public class Callee {
         internal volatile bool IsRecording;
 
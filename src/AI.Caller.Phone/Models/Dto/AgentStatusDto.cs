@@ -0,0 +1,30 @@
+using AI.Caller.Phone.Entities;
+
+namespace AI.Caller.Phone.Models.Dto;
+
+public class AgentStatusDto {
+    public int UserId { get; set; }
+    public string? Username { get; set; }
+    /// <summary>
+    /// 生效的状态：离线或话后处理时覆盖坐席设置的状态
+    /// </summary>
+    public AgentAvailability Status { get; set; }
+    /// <summary>
+    /// 坐席自己设置的状态，用于状态选择器
+    /// </summary>
+    public AgentAvailability SelectedStatus { get; set; }
+    /// <summary>
+    /// 自动设置的原因：autoAway（无操作自动小休）、wrapUp（话后处理），手动设置时为空
+    /// </summary>
+    public string? Reason { get; set; }
+    public DateTime? ChangedAt { get; set; }
+    public string Presence { get; set; } = string.Empty;
+}
+
+public class AgentStatusUpdateDto {
+    public AgentAvailability Status { get; set; }
+    /// <summary>
+    /// 是否由前端无操作检测自动设置
+    /// </summary>
+    public bool Auto { get; set; }
+}
@@ -0,0 +1,41 @@
+namespace AI.Caller.Phone.Models.Dto;
+
+public class CallHistoryItemDto {
+    public int Id { get; set; }
+    public string? CallId { get; set; }
+    /// <summary>
+    /// 相对当前用户的记录类型：missed / inbound / outbound
+    /// </summary>
+    public string Type { get; set; } = string.Empty;
+    public string Status { get; set; } = string.Empty;
+    public string? PeerNumber { get; set; }
+    public string? PeerName { get; set; }
+    public DateTime StartTime { get; set; }
+    public int DurationSeconds { get; set; }
+    public string? FailureReason { get; set; }
+    /// <summary>
+    /// 当前用户提交的话后处理结果
+    /// </summary>
+    public string? Disposition { get; set; }
+    public List<string> Tags { get; set; } = new();
+    public string? WrapUpNotes { get; set; }
+}
+
+public class CallHistoryQueryDto {
+    /// <summary>
+    /// 过滤类型：all / missed / inbound / outbound
+    /// </summary>
+    public string? Type { get; set; }
+    public string? Keyword { get; set; }
+    /// <summary>
+    /// 游标：返回Id小于该值的记录，用于无限滚动
+    /// </summary>
+    public int? BeforeId { get; set; }
+    public int PageSize { get; set; } = 20;
+}
+
+public class CallHistoryPageDto {
+    public List<CallHistoryItemDto> Items { get; set; } = new();
+    public bool HasMore { get; set; }
+    public int? NextBeforeId { get; set; }
+}
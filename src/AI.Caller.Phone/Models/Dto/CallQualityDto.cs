@@ -0,0 +1,30 @@
+namespace AI.Caller.Phone.Models.Dto;
+
+public class CallQualitySampleDto {
+    public DateTime SampledAt { get; set; }
+    public double? JitterMs { get; set; }
+    public double? PacketLossPercent { get; set; }
+    public double? RoundTripTimeMs { get; set; }
+    public double? AudioLevel { get; set; }
+    public double? Mos { get; set; }
+}
+
+public class CallQualityReportDto {
+    public string CallId { get; set; } = string.Empty;
+    /// <summary>
+    /// 采样来源：phone / monitor
+    /// </summary>
+    public string Source { get; set; } = "phone";
+    public List<CallQualitySampleDto> Samples { get; set; } = [];
+}
+
+public class CallQualitySummaryDto {
+    public string CallId { get; set; } = string.Empty;
+    public int SampleCount { get; set; }
+    public double? AverageMos { get; set; }
+    public double? MinMos { get; set; }
+    public double? MaxJitterMs { get; set; }
+    public double? MaxPacketLossPercent { get; set; }
+    public double? MaxRoundTripTimeMs { get; set; }
+    public List<CallQualitySampleDto> Samples { get; set; } = [];
+}
@@ -0,0 +1,51 @@
+namespace AI.Caller.Phone.Models.Dto;
+
+/// <summary>
+/// 来电弹屏信息：本地联系人或CRM中的客户资料、最近通话与未结工单
+/// </summary>
+public class CallerLookupDto {
+    public string Number { get; set; } = string.Empty;
+    public string? Name { get; set; }
+    public string? Company { get; set; }
+    /// <summary>
+    /// 姓名来源：contact（通讯录）、webUser（Web坐席）、crm，未识别时为空
+    /// </summary>
+    public string? Source { get; set; }
+    public string? CustomerId { get; set; }
+    /// <summary>
+    /// 按CallerLookup:CrmUrlTemplate生成的CRM客户页面地址
+    /// </summary>
+    public string? CrmUrl { get; set; }
+    public List<CallerInteractionDto> RecentCalls { get; set; } = new();
+    public List<CrmTicketDto> Tickets { get; set; } = new();
+}
+
+public class CallerInteractionDto {
+    public string? CallId { get; set; }
+    /// <summary>
+    /// 相对呼叫中心的方向：inbound（客户来电）/ outbound（坐席去电）
+    /// </summary>
+    public string Direction { get; set; } = string.Empty;
+    public string Status { get; set; } = string.Empty;
+    public DateTime StartTime { get; set; }
+    public int DurationSeconds { get; set; }
+    public string? AgentName { get; set; }
+    public string? Disposition { get; set; }
+}
+
+/// <summary>
+/// CRM查询接口返回的客户资料
+/// </summary>
+public class CrmCustomerDto {
+    public string? CustomerId { get; set; }
+    public string? Name { get; set; }
+    public string? Company { get; set; }
+    public List<CrmTicketDto> Tickets { get; set; } = new();
+}
+
+public class CrmTicketDto {
+    public string? Id { get; set; }
+    public string? Title { get; set; }
+    public string? Status { get; set; }
+    public string? Url { get; set; }
+}
@@ -18,12 +18,14 @@ public class UserRingtoneSettingsDto {
     public int UserId { get; set; }
     public RingtoneDto? IncomingRingtone { get; set; }
     public RingtoneDto? RingbackTone { get; set; }
+    public RingtoneDto? HoldTone { get; set; }
     public DateTime UpdatedAt { get; set; }
 }
 
 public class UpdateUserRingtoneSettingsDto {
     public int? IncomingRingtoneId { get; set; }
     public int? RingbackToneId { get; set; }
+    public int? HoldToneId { get; set; }
 }
 
 public class UpdateSystemRingtoneDto {
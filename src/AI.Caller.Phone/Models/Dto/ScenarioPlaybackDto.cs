@@ -0,0 +1,34 @@
+namespace AI.Caller.Phone.Models.Dto;
+
+/// <summary>
+/// 场景播放位置，被监听的场景通话定时推送给监听组（scenarioPlaybackUpdated），供监听页面时间轴显示
+/// </summary>
+public class ScenarioPlaybackDto {
+    public string CallId { get; set; } = string.Empty;
+    /// <summary>
+    /// 正在播放的片段ID，场景结束后为空
+    /// </summary>
+    public int? SegmentId { get; set; }
+    public int SegmentIndex { get; set; }
+    public int TotalSegments { get; set; }
+    /// <summary>
+    /// playing（播放中）、paused（已暂停）、intervened（人工接入中）或completed（已结束）
+    /// </summary>
+    public string State { get; set; } = string.Empty;
+    /// <summary>
+    /// 当前片段已播放与总时长（毫秒），仅录音与TTS片段有值，TTS仍在合成时总时长为空
+    /// </summary>
+    public int PositionMs { get; set; }
+    public int? DurationMs { get; set; }
+    /// <summary>
+    /// 推送序号，前端按序号丢弃乱序到达的旧位置
+    /// </summary>
+    public long Sequence { get; set; }
+}
+
+public static class ScenarioPlaybackStates {
+    public const string Playing = "playing";
+    public const string Paused = "paused";
+    public const string Intervened = "intervened";
+    public const string Completed = "completed";
+}
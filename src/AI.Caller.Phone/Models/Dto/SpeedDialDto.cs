@@ -0,0 +1,25 @@
+namespace AI.Caller.Phone.Models.Dto;
+
+public class SpeedDialDto {
+    public int? ContactId { get; set; }
+    public string? PhoneNumber { get; set; }
+    public string? Label { get; set; }
+    public int? PreferredLineId { get; set; }
+}
+
+public class SpeedDialItemDto {
+    public int Id { get; set; }
+    public int Position { get; set; }
+    /// <summary>
+    /// 自定义显示名称，为空时显示联系人姓名或号码
+    /// </summary>
+    public string? Label { get; set; }
+    public int? ContactId { get; set; }
+    public string? ContactName { get; set; }
+    /// <summary>
+    /// 实际拨打的号码：绑定联系人时为联系人当前号码
+    /// </summary>
+    public string PhoneNumber { get; set; } = string.Empty;
+    public int? PreferredLineId { get; set; }
+    public string? PreferredLineName { get; set; }
+}
@@ -0,0 +1,25 @@
+namespace AI.Caller.Phone.Models.Dto;
+
+public class TranscriptSegmentDto {
+    public int Id { get; set; }
+    public string CallId { get; set; } = string.Empty;
+    /// <summary>
+    /// 说话方：agent（坐席）或customer（客户）
+    /// </summary>
+    public string Speaker { get; set; } = string.Empty;
+    public string Text { get; set; } = string.Empty;
+    public DateTime StartedAt { get; set; }
+    public DateTime EndedAt { get; set; }
+    /// <summary>
+    /// 相对录音开始的秒数，用于回放时同步，不是按录音查询时为空
+    /// </summary>
+    public double? OffsetSeconds { get; set; }
+}
+
+public class CallTranscriptDto {
+    /// <summary>
+    /// 服务端是否开启了实时转写
+    /// </summary>
+    public bool Enabled { get; set; }
+    public List<TranscriptSegmentDto> Segments { get; set; } = new();
+}
@@ -0,0 +1,89 @@
+using AI.Caller.Phone.Entities;
+
+namespace AI.Caller.Phone.Models.Dto;
+
+/// <summary>
+/// 班长看板快照，由服务端定时推送给看板组（wallboardUpdated）
+/// </summary>
+public class WallboardSnapshotDto {
+    public List<WallboardAgentDto> Agents { get; set; } = new();
+    public WallboardCountersDto Counters { get; set; } = new();
+    public WallboardThresholdsDto Thresholds { get; set; } = new();
+    /// <summary>
+    /// 快照序号，前端按序号丢弃乱序到达的旧快照
+    /// </summary>
+    public long Sequence { get; set; }
+    public DateTime GeneratedAt { get; set; }
+}
+
+public class WallboardAgentDto {
+    public int UserId { get; set; }
+    public string? Username { get; set; }
+    public AgentAvailability Status { get; set; }
+    public string? Reason { get; set; }
+    public string Presence { get; set; } = string.Empty;
+    /// <summary>
+    /// 当前通话，空闲时为空；同时有多通电话时取最早的一通
+    /// </summary>
+    public WallboardCallDto? Call { get; set; }
+}
+
+public class WallboardCallDto {
+    public string CallId { get; set; } = string.Empty;
+    /// <summary>
+    /// ringing（振铃中）、talking（通话中）、held（保持中）
+    /// </summary>
+    public string State { get; set; } = string.Empty;
+    /// <summary>
+    /// inbound（呼入）或outbound（外呼）
+    /// </summary>
+    public string Direction { get; set; } = string.Empty;
+    public string? PeerName { get; set; }
+    public string? PeerNumber { get; set; }
+    public string? LineName { get; set; }
+    /// <summary>
+    /// 振铃时为呼叫开始时间，接通后为接通时间
+    /// </summary>
+    public DateTime StartedAt { get; set; }
+    public int DurationSeconds { get; set; }
+    /// <summary>
+    /// normal、warning或critical，按振铃或通话时长与阈值比较
+    /// </summary>
+    public string Sla { get; set; } = WallboardSla.Normal;
+    /// <summary>
+    /// 坐席与客户两路的实时音量（0-100），上次推送以来的峰值
+    /// </summary>
+    public int AgentLevel { get; set; }
+    public int CustomerLevel { get; set; }
+    /// <summary>
+    /// AI客服通话才能监听、耳语与接入
+    /// </summary>
+    public bool CanMonitor { get; set; }
+    public int MonitorCount { get; set; }
+}
+
+public class WallboardCountersDto {
+    public int Ringing { get; set; }
+    public int Talking { get; set; }
+    public int Held { get; set; }
+    public int WrapUp { get; set; }
+    public int Available { get; set; }
+    public int Online { get; set; }
+    public int LongestRingingSeconds { get; set; }
+}
+
+/// <summary>
+/// SLA颜色阈值（秒），来自配置Wallboard节
+/// </summary>
+public class WallboardThresholdsDto {
+    public int RingingWarningSeconds { get; set; } = 10;
+    public int RingingCriticalSeconds { get; set; } = 20;
+    public int TalkingWarningSeconds { get; set; } = 300;
+    public int TalkingCriticalSeconds { get; set; } = 600;
+}
+
+public static class WallboardSla {
+    public const string Normal = "normal";
+    public const string Warning = "warning";
+    public const string Critical = "critical";
+}
@@ -0,0 +1,27 @@
+namespace AI.Caller.Phone.Models.Dto;
+
+public class WrapUpOptionsDto {
+    public List<string> Dispositions { get; set; } = new();
+    public List<string> Tags { get; set; } = new();
+    /// <summary>
+    /// 话后处理时限（秒），超过后计时器提示超时
+    /// </summary>
+    public int TimeLimitSeconds { get; set; }
+}
+
+public class WrapUpSubmitDto {
+    public string? Disposition { get; set; }
+    public string? Notes { get; set; }
+    public List<string>? Tags { get; set; }
+}
+
+public class CallWrapUpDto {
+    public int Id { get; set; }
+    public string? CallId { get; set; }
+    public string? PeerNumber { get; set; }
+    public DateTime StartedAt { get; set; }
+    public DateTime? SubmittedAt { get; set; }
+    public string? Disposition { get; set; }
+    public string? Notes { get; set; }
+    public List<string> Tags { get; set; } = new();
+}
@@ -1,5 +1,7 @@
 using AI.Caller.Core;
 using AI.Caller.Core.Extensions;
+using AI.Caller.Core.Media;
+using AI.Caller.Core.Media.Adapters;
 using AI.Caller.Core.Network;
 using AI.Caller.Phone.BackgroundTask;
 using AI.Caller.Phone.Entities;
@@ -46,6 +48,8 @@ namespace AI.Caller.Phone {
             builder.Services.Configure<WebRTCSettings>(builder.Configuration.GetSection("WebRTCSettings"));
             builder.Services.Configure<TTSSettings>(builder.Configuration.GetSection("TTSSettings"));
             builder.Services.Configure<VadSettings>(builder.Configuration.GetSection("VadSettings"));
+            builder.Services.Configure<RecognizerSettings>(builder.Configuration.GetSection("RecognizerSettings"));
+            builder.Services.Configure<CallRoutingOptions>(builder.Configuration.GetSection("CallRouting"));
             builder.Services.AddDbContext<AppDbContext>(options => options.UseSqlite("Data Source=app.db"));
 
             builder.Services.AddScoped<IAICustomerServiceSettingsProvider, AICustomerServiceSettingsProvider>();
@@ -54,6 +58,9 @@ namespace AI.Caller.Phone {
             builder.Services.AddHostedService<QueuedHostedService>();
             builder.Services.AddHostedService<AISipRegistrationService>();
             builder.Services.AddHostedService<SipRegistrationBackgroundService>();
+            builder.Services.AddHostedService<PresenceBroadcastService>();
+            builder.Services.AddHostedService<WallboardBroadcastService>();
+            builder.Services.AddHostedService<ScenarioPlaybackBroadcastService>();
 
             builder.Services.AddSingleton(_ => Channel.CreateUnbounded<SipRegisterModel>());
             builder.Services.AddSingleton(_ => new ApplicationContext());
@@ -61,9 +68,13 @@ namespace AI.Caller.Phone {
                 return new SIPTransportManager(builder.Configuration.GetSection("SipSettings")["ContactHost"], sp.GetRequiredService<ILogger<SIPTransportManager>>());
             });
             builder.Services.AddSingleton<RecordingManager>();
+            builder.Services.AddSingleton<TranscriptionManager>();
+            builder.Services.AddSingleton<IAsrEngine, AsrEngineAdapter>();
             builder.Services.AddSingleton<SIPClientPoolManager>();
             builder.Services.AddSingleton<HangupMonitoringService>();
             builder.Services.AddSingleton<ICallManager, CallManager>();
+            builder.Services.AddSingleton<PresenceService>();
+            builder.Services.AddSingleton<WallboardService>();
             builder.Services.AddSingleton<AICustomerServiceManager>();
             builder.Services.AddSingleton<ISimpleRecordingService, AudioStreamRecordingService>();
             builder.Services.AddSingleton<INetworkMonitoringService, NetworkMonitoringService>();
@@ -83,6 +94,15 @@ namespace AI.Caller.Phone {
             builder.Services.AddScoped<SipService>();
             builder.Services.AddScoped<DataMigrationService>();
             builder.Services.AddScoped<IRingtoneService, RingtoneService>();
+            builder.Services.AddScoped<ICallHistoryService, CallHistoryService>();
+            builder.Services.AddScoped<ICallQualityService, CallQualityService>();
+            builder.Services.AddScoped<IKeyboardShortcutService, KeyboardShortcutService>();
+            builder.Services.AddScoped<ISpeedDialService, SpeedDialService>();
+            builder.Services.AddScoped<IWrapUpService, WrapUpService>();
+            builder.Services.AddScoped<IAgentStatusService, AgentStatusService>();
+            builder.Services.AddHttpClient<ICrmLookupClient, CrmWebhookClient>();
+            builder.Services.AddScoped<ICallerLookupService, CallerLookupService>();
+            builder.Services.AddScoped<ITranscriptService, TranscriptService>();
             builder.Services.AddScoped<ICallRoutingService, CallRouting.Services.CallRoutingService>();
 
             builder.Services.AddScoped<ISipLineSelector, SipLineSelector>();
@@ -183,6 +183,103 @@ public partial class AICustomerServiceManager {
         }
     }
 
+    /// <summary>
+    /// 开始或结束耳语（教练模式），耳语时只有坐席能听到监听者，客户和AI播放不受影响
+    /// </summary>
+    /// <param name="userId">被监听的用户ID</param>
+    /// <param name="monitorUserId">监听者用户ID</param>
+    /// <param name="callId">通话ID</param>
+    /// <param name="active">是否开始耳语</param>
+    public void SetWhisper(int userId, int monitorUserId, string callId, bool active) {
+        var session = GetActiveSession(userId);
+        if (session?.AudioBridge is not AudioBridge audioBridge) {
+            throw new InvalidOperationException("用户没有活跃的AI客服会话");
+        }
+
+        audioBridge.SetWhisperActive(monitorUserId, active);
+        _logger.LogInformation("耳语状态已更新: UserId {UserId}, MonitorUser {MonitorUserId}, CallId {CallId}, Active {Active}", userId, monitorUserId, callId, active);
+    }
+
+    /// <summary>
+    /// 暂停场景播放（监听页面时间轴）
+    /// </summary>
+    /// <param name="callId">通话ID</param>
+    public async Task PausePlaybackAsync(string callId) {
+        var session = GetPlaybackSession(callId);
+
+        session.PausedBySupervisor = true;
+        await session.AutoResponder.PauseAsync();
+        if (session.AudioBridge is AudioBridge audioBridge) {
+            audioBridge.ClearMonitoringBuffer();
+        }
+
+        await UpdatePlaybackStateAsync(callId, PlaybackState.Paused);
+        _logger.LogInformation("场景播放已由班长暂停: CallId {CallId}", callId);
+    }
+
+    /// <summary>
+    /// 恢复场景播放：录音片段从暂停处继续，TTS片段从头重播，其他片段按原逻辑继续
+    /// </summary>
+    /// <param name="callId">通话ID</param>
+    public async Task ResumePlaybackAsync(string callId) {
+        var session = GetPlaybackSession(callId);
+        var position = session.AutoResponder.GetPlaybackPosition();
+
+        session.PausedBySupervisor = false;
+        if (position is { State: ScenarioPlaybackState.Paused, SegmentId: int segmentId }
+            && (position.SegmentType == ScenarioSegmentType.Recording || position.SegmentType == ScenarioSegmentType.TTS)) {
+            var positionMs = position.SegmentType == ScenarioSegmentType.Recording ? position.PositionMs : 0;
+            await session.AutoResponder.JumpToSegmentAsync(segmentId, positionMs);
+        } else {
+            await session.AutoResponder.ResumeAsync();
+        }
+
+        await UpdatePlaybackStateAsync(callId, PlaybackState.Playing);
+        _logger.LogInformation("场景播放已由班长恢复: CallId {CallId}", callId);
+    }
+
+    /// <summary>
+    /// 跳转到指定片段播放（监听页面时间轴的跳转、重播与拖动）
+    /// </summary>
+    /// <param name="callId">通话ID</param>
+    /// <param name="segmentId">目标片段ID</param>
+    /// <param name="positionMs">录音片段的起始位置（毫秒）</param>
+    public async Task JumpToSegmentAsync(string callId, int segmentId, int positionMs = 0) {
+        var session = GetPlaybackSession(callId);
+        if (session.ScenarioRecording?.Segments.Any(s => s.Id == segmentId) == false) {
+            throw new InvalidOperationException($"片段 {segmentId} 不属于当前场景");
+        }
+
+        session.PausedBySupervisor = false;
+        await session.AutoResponder.JumpToSegmentAsync(segmentId, Math.Max(0, positionMs));
+        if (session.AudioBridge is AudioBridge audioBridge) {
+            audioBridge.ClearMonitoringBuffer();
+        }
+
+        await UpdatePlaybackStateAsync(callId, PlaybackState.Playing);
+        _logger.LogInformation("场景播放已跳转: CallId {CallId}, SegmentId {SegmentId}, Position {PositionMs}ms", callId, segmentId, positionMs);
+    }
+
+    /// <summary>
+    /// 获取可由班长控制播放的场景会话，人工接入期间由接入流程控制，不允许操作
+    /// </summary>
+    private AIAutoResponderSession GetPlaybackSession(string callId) {
+        var session = GetSessionByCallId(callId);
+        if (session?.ScenarioRecordingId == null) {
+            throw new InvalidOperationException("通话没有正在执行的场景");
+        }
+        if (session.AudioBridge is AudioBridge { IsInterventionActive: true }) {
+            throw new InvalidOperationException("人工接入中，请在退出接入时选择继续播放的片段");
+        }
+        return session;
+    }
+
+    private async Task UpdatePlaybackStateAsync(string callId, PlaybackState state) {
+        using var scope = _scopeFactory.CreateScope();
+        var playbackControlService = scope.ServiceProvider.GetRequiredService<IPlaybackControlService>();
+        await playbackControlService.UpdatePlaybackStateAsync(callId, state);
+    }
+
     /// <summary>
     /// 获取通话的监听者列表
     /// </summary>
@@ -310,6 +407,7 @@ public partial class AICustomerServiceManager {
                     try {
                         autoResponder.OnUplinkPcmFrame(audioFrame);
                         if (audioBridge is AudioBridge ab3 && ab3.IsInterventionActive) return;
+                        if (GetActiveSession(user.Id)?.PausedBySupervisor == true) return;
 
                         var vadResult = callVad.Update(audioFrame);
                         lock (vadLock) {
@@ -363,5 +363,9 @@ namespace AI.Caller.Phone.Services {
         public Action<byte[]>? OnPcmAudioGeneratedHandler { get; set; }
         public SIPClient? SipClient { get; set; }
         public IDisposable? CallVad { get; set; }
+        /// <summary>
+        /// 班长在监听页面暂停了播放，此时客户说话停顿不自动恢复
+        /// </summary>
+        public bool PausedBySupervisor { get; set; }
     }
 }
\ No newline at end of file
@@ -0,0 +1,142 @@
+using AI.Caller.Phone.Entities;
+using AI.Caller.Phone.Hubs;
+using AI.Caller.Phone.Models.Dto;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.EntityFrameworkCore;
+
+namespace AI.Caller.Phone.Services;
+
+/// <summary>
+/// 坐席状态服务：坐席设置空闲/忙碌/小休，路由呼入时跳过不空闲的坐席；状态变化推送给所有客户端（agentStatusChanged）
+/// </summary>
+public class AgentStatusService : IAgentStatusService {
+    public const string AutoAwayReason = "autoAway";
+    public const string WrapUpReason = "wrapUp";
+
+    private const int DefaultAutoAwayMinutes = 10;
+
+    private readonly AppDbContext _dbContext;
+    private readonly PresenceService _presenceService;
+    private readonly IWrapUpService _wrapUpService;
+    private readonly IHubContext<WebRtcHub> _hubContext;
+    private readonly IConfiguration _configuration;
+    private readonly ILogger<AgentStatusService> _logger;
+
+    public AgentStatusService(
+        AppDbContext dbContext,
+        PresenceService presenceService,
+        IWrapUpService wrapUpService,
+        IHubContext<WebRtcHub> hubContext,
+        IConfiguration configuration,
+        ILogger<AgentStatusService> logger) {
+        _dbContext = dbContext;
+        _presenceService = presenceService;
+        _wrapUpService = wrapUpService;
+        _hubContext = hubContext;
+        _configuration = configuration;
+        _logger = logger;
+    }
+
+    public int AutoAwayMinutes => _configuration.GetValue("AgentStatus:AutoAwayMinutes", DefaultAutoAwayMinutes);
+
+    public async Task<AgentStatusDto?> GetStatusAsync(int userId) {
+        var user = await _dbContext.Users.AsNoTracking().FirstOrDefaultAsync(u => u.Id == userId);
+        if (user == null) {
+            return null;
+        }
+
+        var wrapUpUsers = await _wrapUpService.GetWrapUpUserIdsAsync();
+        var presence = _presenceService.GetPresences([userId])[userId];
+        return ToDto(user, presence, wrapUpUsers.Contains(userId));
+    }
+
+    public async Task<List<AgentStatusDto>> GetAllStatusesAsync() {
+        var users = await _dbContext.Users.AsNoTracking().OrderBy(u => u.Username).ToListAsync();
+        var wrapUpUsers = await _wrapUpService.GetWrapUpUserIdsAsync();
+        var presences = _presenceService.GetAllPresences();
+
+        return users
+            .Select(u => ToDto(u, presences.GetValueOrDefault(u.Id, PresenceService.Offline), wrapUpUsers.Contains(u.Id)))
+            .ToList();
+    }
+
+    public async Task<AgentStatusDto?> SetStatusAsync(int userId, AgentAvailability status, bool auto = false) {
+        if (!Enum.IsDefined(status)) {
+            throw new ArgumentException($"无效的坐席状态: {(int)status}");
+        }
+
+        if (status == AgentAvailability.Offline) {
+            throw new ArgumentException("离线状态由在线情况决定，不能手动设置");
+        }
+
+        var user = await _dbContext.Users.FirstOrDefaultAsync(u => u.Id == userId);
+        if (user == null) {
+            return null;
+        }
+
+        string? reason = null;
+        if (auto) {
+            if (status == AgentAvailability.Break) {
+                // 只有空闲的坐席才自动小休，通话中（如长时间听对方讲话）不算无操作
+                var presence = _presenceService.GetPresences([userId])[userId];
+                if (user.AgentStatus != AgentAvailability.Available || presence == PresenceService.OnCall) {
+                    return await GetStatusAsync(userId);
+                }
+                reason = AutoAwayReason;
+            } else if (status == AgentAvailability.Available) {
+                // 手动设置的忙碌、小休不因恢复操作而自动取消
+                if (user.AgentStatusReason != AutoAwayReason) {
+                    return await GetStatusAsync(userId);
+                }
+            } else {
+                throw new ArgumentException("自动设置只支持小休或空闲");
+            }
+        }
+
+        if (user.AgentStatus != status || user.AgentStatusReason != reason) {
+            user.AgentStatus = status;
+            user.AgentStatusReason = reason;
+            user.AgentStatusChangedAt = DateTime.UtcNow;
+            await _dbContext.SaveChangesAsync();
+
+            _logger.LogInformation("用户 {UserId} 状态切换为 {Status}{Reason}", userId, status, reason == null ? "" : $"（{reason}）");
+            await NotifyStatusChangedAsync(userId);
+        }
+
+        return await GetStatusAsync(userId);
+    }
+
+    public async Task<int[]> GetUnavailableUserIdsAsync() {
+        var unavailableUsers = await _dbContext.Users
+            .Where(u => u.AgentStatus != AgentAvailability.Available)
+            .Select(u => u.Id)
+            .ToArrayAsync();
+        var wrapUpUsers = await _wrapUpService.GetWrapUpUserIdsAsync();
+
+        return unavailableUsers.Union(wrapUpUsers).ToArray();
+    }
+
+    public async Task NotifyStatusChangedAsync(int userId) {
+        try {
+            var status = await GetStatusAsync(userId);
+            if (status == null) return;
+
+            await _hubContext.Clients.All.SendAsync("agentStatusChanged", status);
+        } catch (Exception ex) {
+            _logger.LogError(ex, "发送坐席状态通知失败: 用户 {UserId}", userId);
+        }
+    }
+
+    private static AgentStatusDto ToDto(User user, string presence, bool isWrapUp) {
+        var isOffline = presence == PresenceService.Offline;
+        return new AgentStatusDto {
+            UserId = user.Id,
+            Username = user.DisplayName ?? user.Username,
+            Status = isOffline ? AgentAvailability.Offline : isWrapUp ? AgentAvailability.Busy : user.AgentStatus,
+            SelectedStatus = user.AgentStatus,
+            Reason = isOffline ? null : isWrapUp ? WrapUpReason : user.AgentStatusReason,
+            ChangedAt = user.AgentStatusChangedAt,
+            Presence = presence
+        };
+    }
+}
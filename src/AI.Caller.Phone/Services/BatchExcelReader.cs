@@ -0,0 +1,68 @@
+using NPOI.SS.UserModel;
+using NPOI.XSSF.UserModel;
+
+namespace AI.Caller.Phone.Services;
+
+/// <summary>
+/// 批量呼叫Excel数据文件读写：第一行为列名，其余每行一条呼叫记录
+/// </summary>
+public static class BatchExcelReader {
+    public const string PhoneNumberColumn = "PhoneNumber";
+
+    /// <summary>
+    /// 读取第一个工作表的全部记录，RowNumber为Excel中的行号（从1开始）
+    /// </summary>
+    public static List<BatchExcelRow> ReadRows(Stream stream) {
+        IWorkbook workbook = new XSSFWorkbook(stream);
+        ISheet sheet = workbook.GetSheetAt(0);
+
+        var headers = ReadHeaders(sheet);
+        var rows = new List<BatchExcelRow>();
+        for (int i = sheet.FirstRowNum + 1; i <= sheet.LastRowNum; i++) {
+            IRow row = sheet.GetRow(i);
+            if (row == null) continue;
+
+            var values = new Dictionary<string, string>();
+            for (int j = 0; j < headers.Count; j++) {
+                values[headers[j]] = row.GetCell(j)?.ToString() ?? "";
+            }
+            rows.Add(new BatchExcelRow(i + 1, values));
+        }
+        return rows;
+    }
+
+    /// <summary>
+    /// 用规范化后的号码替换PhoneNumber列，键为Excel行号
+    /// </summary>
+    public static void ReplacePhoneNumbers(Stream input, Stream output, IReadOnlyDictionary<int, string> phoneNumbers) {
+        IWorkbook workbook = new XSSFWorkbook(input);
+        ISheet sheet = workbook.GetSheetAt(0);
+
+        var column = ReadHeaders(sheet).IndexOf(PhoneNumberColumn);
+        if (column < 0) {
+            throw new InvalidOperationException($"The Excel file is missing the {PhoneNumberColumn} column.");
+        }
+
+        foreach (var (rowNumber, phoneNumber) in phoneNumbers) {
+            var cell = sheet.GetRow(rowNumber - 1)?.GetCell(column, MissingCellPolicy.CREATE_NULL_AS_BLANK);
+            cell?.SetCellValue(phoneNumber);
+        }
+
+        workbook.Write(output, true);
+    }
+
+    private static List<string> ReadHeaders(ISheet sheet) {
+        IRow headerRow = sheet.GetRow(0);
+        if (headerRow == null) {
+            throw new InvalidOperationException("The Excel file is missing a header row.");
+        }
+
+        var headers = new List<string>();
+        foreach (ICell headerCell in headerRow) {
+            headers.Add(headerCell.StringCellValue);
+        }
+        return headers;
+    }
+}
+
+public record BatchExcelRow(int RowNumber, Dictionary<string, string> Values);
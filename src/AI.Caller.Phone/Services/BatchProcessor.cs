@@ -1,7 +1,5 @@
 using AI.Caller.Phone.Entities;
 using Microsoft.EntityFrameworkCore;
-using NPOI.SS.UserModel;
-using NPOI.XSSF.UserModel;
 
 namespace AI.Caller.Phone.Services;
 
@@ -39,32 +37,9 @@ public class BatchProcessor : IBatchProcessor {
                 throw new InvalidOperationException("Batch Job must have either TtsTemplateId or ScenarioRecordingId.");
             }
 
-            var records = new List<Dictionary<string, string>>();
+            List<Dictionary<string, string>> records;
             using (var fs = new FileStream(batchJob.StoredFilePath, FileMode.Open, FileAccess.Read)) {
-                IWorkbook workbook = new XSSFWorkbook(fs);
-                ISheet sheet = workbook.GetSheetAt(0); // Get the first sheet
-
-                IRow headerRow = sheet.GetRow(0);
-                if (headerRow == null) {
-                    throw new InvalidOperationException("The Excel file is missing a header row.");
-                }
-                var headers = new List<string>();
-                foreach (ICell headerCell in headerRow) {
-                    headers.Add(headerCell.StringCellValue);
-                }
-
-                for (int i = (sheet.FirstRowNum + 1); i <= sheet.LastRowNum; i++) {
-                    IRow row = sheet.GetRow(i);
-                    if (row == null) continue;
-
-                    var record = new Dictionary<string, string>();
-                    for (int j = 0; j < headers.Count; j++) {
-                        ICell cell = row.GetCell(j);
-                        string cellValue = cell?.ToString() ?? "";
-                        record[headers[j]] = cellValue;
-                    }
-                    records.Add(record);
-                }
+                records = BatchExcelReader.ReadRows(fs).Select(r => r.Values).ToList();
             }
 
             batchJob.TotalCount = records.Count;
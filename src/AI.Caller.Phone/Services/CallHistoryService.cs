@@ -0,0 +1,207 @@
+using AI.Caller.Phone.Entities;
+using AI.Caller.Phone.Hubs;
+using AI.Caller.Phone.Models.Dto;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.EntityFrameworkCore;
+using NPOI.SS.UserModel;
+using NPOI.XSSF.UserModel;
+using System.ComponentModel.DataAnnotations;
+using System.Reflection;
+
+namespace AI.Caller.Phone.Services;
+
+/// <summary>
+/// 通话历史服务，基于CallLog按当前用户视角区分未接、呼入与呼出
+/// </summary>
+public class CallHistoryService : ICallHistoryService {
+    private readonly AppDbContext _dbContext;
+    private readonly IHubContext<WebRtcHub> _hubContext;
+    private readonly ILogger<CallHistoryService> _logger;
+
+    private const int MaxPageSize = 100;
+    private const int MaxExportRows = 10000;
+
+    private static readonly string[] ExportHeaders = {
+        "时间", "类型", "对方号码", "对方名称", "时长(秒)", "状态", "处理结果", "标签", "备注"
+    };
+
+    public CallHistoryService(
+        AppDbContext dbContext,
+        IHubContext<WebRtcHub> hubContext,
+        ILogger<CallHistoryService> logger) {
+        _dbContext = dbContext;
+        _hubContext = hubContext;
+        _logger = logger;
+    }
+
+    public async Task<CallHistoryPageDto> GetCallHistoryAsync(int userId, CallHistoryQueryDto query) {
+        var pageSize = Math.Clamp(query.PageSize, 1, MaxPageSize);
+
+        var logs = BuildQuery(userId, query);
+        if (query.BeforeId.HasValue) {
+            logs = logs.Where(c => c.Id < query.BeforeId.Value);
+        }
+
+        var page = await logs
+            .OrderByDescending(c => c.Id)
+            .Take(pageSize + 1)
+            .ToListAsync();
+
+        var hasMore = page.Count > pageSize;
+        var items = page.Take(pageSize).Select(c => ToDto(c, userId)).ToList();
+
+        return new CallHistoryPageDto {
+            Items = items,
+            HasMore = hasMore,
+            NextBeforeId = hasMore ? items.Last().Id : null
+        };
+    }
+
+    public async Task<byte[]> ExportCallHistoryAsync(int userId, CallHistoryQueryDto query) {
+        var logs = await BuildQuery(userId, query)
+            .OrderByDescending(c => c.Id)
+            .Take(MaxExportRows)
+            .ToListAsync();
+
+        var rows = logs.Select(c => (Status: c.Status, Item: ToDto(c, userId))).Select(x => new string?[] {
+            x.Item.StartTime.ToLocalTime().ToString("yyyy-MM-dd HH:mm:ss"),
+            x.Item.Type switch { "missed" => "未接", "inbound" => "呼入", _ => "呼出" },
+            x.Item.PeerNumber,
+            x.Item.PeerName,
+            x.Item.DurationSeconds.ToString(),
+            x.Item.FailureReason ?? GetStatusName(x.Status),
+            x.Item.Disposition,
+            string.Join("、", x.Item.Tags),
+            x.Item.WrapUpNotes
+        });
+
+        using var memoryStream = new MemoryStream();
+        IWorkbook workbook = new XSSFWorkbook();
+        ISheet sheet = workbook.CreateSheet("通话历史");
+
+        IRow headerRow = sheet.CreateRow(0);
+        for (int i = 0; i < ExportHeaders.Length; i++) {
+            headerRow.CreateCell(i).SetCellValue(ExportHeaders[i]);
+        }
+
+        var rowIndex = 1;
+        foreach (var values in rows) {
+            IRow row = sheet.CreateRow(rowIndex++);
+            for (int i = 0; i < values.Length; i++) {
+                row.CreateCell(i).SetCellValue(values[i] ?? string.Empty);
+            }
+        }
+
+        workbook.Write(memoryStream, true);
+        return memoryStream.ToArray();
+    }
+
+    /// <summary>
+    /// 按当前用户视角过滤通话记录，列表与导出共用
+    /// </summary>
+    private IQueryable<CallLog> BuildQuery(int userId, CallHistoryQueryDto query) {
+        var logs = _dbContext.CallLogs
+            .AsNoTracking()
+            .Include(c => c.CallerUser)
+            .Include(c => c.CalleeUser)
+            .Include(c => c.WrapUps.Where(w => w.UserId == userId && w.SubmittedAt != null))
+            .Where(c => c.CallerUserId == userId || c.CalleeUserId == userId);
+
+        switch (query.Type) {
+            case "missed":
+                logs = logs.Where(c => c.CalleeUserId == userId && c.Status == CallStatus.NoAnswer);
+                break;
+            case "inbound":
+                logs = logs.Where(c => c.CalleeUserId == userId && c.Status != CallStatus.NoAnswer);
+                break;
+            case "outbound":
+                logs = logs.Where(c => c.CallerUserId == userId);
+                break;
+        }
+
+        if (!string.IsNullOrWhiteSpace(query.Keyword)) {
+            var keyword = query.Keyword.Trim();
+            logs = logs.Where(c =>
+                (c.CallerNumber != null && c.CallerNumber.Contains(keyword)) ||
+                (c.CalleeNumber != null && c.CalleeNumber.Contains(keyword)) ||
+                (c.CallerUser != null && c.CallerUser.Username.Contains(keyword)) ||
+                (c.CalleeUser != null && c.CalleeUser.Username.Contains(keyword)));
+        }
+
+        return logs;
+    }
+
+    public async Task<int> GetMissedCallCountAsync(int userId) {
+        var viewedAt = await _dbContext.Users
+            .Where(u => u.Id == userId)
+            .Select(u => u.CallHistoryViewedAt)
+            .FirstOrDefaultAsync();
+
+        var missed = _dbContext.CallLogs.Where(c => c.CalleeUserId == userId && c.Status == CallStatus.NoAnswer);
+        if (viewedAt.HasValue) {
+            missed = missed.Where(c => c.CreatedAt > viewedAt.Value);
+        }
+
+        return await missed.CountAsync();
+    }
+
+    public async Task MarkMissedCallsViewedAsync(int userId) {
+        var user = await _dbContext.Users.FindAsync(userId);
+        if (user == null) return;
+
+        user.CallHistoryViewedAt = DateTime.UtcNow;
+        await _dbContext.SaveChangesAsync();
+
+        await SendMissedCallCountAsync(userId, 0, null);
+    }
+
+    public async Task NotifyMissedCallAsync(CallLog callLog) {
+        if (!callLog.CalleeUserId.HasValue) return;
+
+        var userId = callLog.CalleeUserId.Value;
+        var count = await GetMissedCallCountAsync(userId);
+
+        await SendMissedCallCountAsync(userId, count, new {
+            callId = callLog.CallId,
+            callerNumber = callLog.CallerNumber,
+            startTime = callLog.StartTime ?? callLog.CreatedAt
+        });
+    }
+
+    private async Task SendMissedCallCountAsync(int userId, int count, object? call) {
+        try {
+            await _hubContext.Clients.User(userId.ToString()).SendAsync("missedCallCountChanged", new {
+                count = count,
+                call = call,
+                timestamp = DateTime.UtcNow
+            });
+        } catch (Exception ex) {
+            _logger.LogError(ex, "发送未接来电数量通知失败: 用户 {UserId}", userId);
+        }
+    }
+
+    private static string GetStatusName(CallStatus status) {
+        return typeof(CallStatus).GetField(status.ToString())?.GetCustomAttribute<DisplayAttribute>()?.Name ?? status.ToString();
+    }
+
+    private static CallHistoryItemDto ToDto(CallLog callLog, int userId) {
+        var isOutbound = callLog.CallerUserId == userId;
+        var peerUser = isOutbound ? callLog.CalleeUser : callLog.CallerUser;
+        var wrapUp = callLog.WrapUps.FirstOrDefault(w => w.UserId == userId && w.SubmittedAt != null);
+
+        return new CallHistoryItemDto {
+            Id = callLog.Id,
+            CallId = callLog.CallId,
+            Type = isOutbound ? "outbound" : callLog.Status == CallStatus.NoAnswer ? "missed" : "inbound",
+            Status = callLog.Status.ToString(),
+            PeerNumber = isOutbound ? callLog.CalleeNumber : callLog.CallerNumber,
+            PeerName = peerUser?.DisplayName ?? peerUser?.Username,
+            StartTime = callLog.StartTime ?? callLog.CreatedAt,
+            DurationSeconds = (int)(callLog.Duration?.TotalSeconds ?? 0),
+            FailureReason = callLog.FailureReason,
+            Disposition = wrapUp?.Disposition,
+            Tags = WrapUpService.SplitTags(wrapUp?.Tags),
+            WrapUpNotes = wrapUp?.Notes
+        };
+    }
+}
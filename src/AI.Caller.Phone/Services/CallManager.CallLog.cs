@@ -108,7 +108,8 @@ public partial class CallManager {
     /// <summary>
     /// 更新CallLog记录（通话结束时）
     /// </summary>
-    private async Task UpdateCallLogOnEndAsync(string callId, CallFinishStatus finishStatus) {
+    /// <param name="missed">被叫用户未接听，记为未接来电并推送角标</param>
+    private async Task UpdateCallLogOnEndAsync(string callId, CallFinishStatus finishStatus, bool missed = false) {
         using var scope = _serviceScopeFactory.CreateScope();
         var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
 
@@ -120,6 +121,9 @@ public partial class CallManager {
             return;
         }
 
+        // 双方CallEnded都会触发更新，未接状态只在首次结束时判定
+        var firstEnd = !callLog.EndTime.HasValue;
+        var wasMissed = callLog.Status == Entities.CallStatus.NoAnswer;
         callLog.EndTime = DateTime.UtcNow;
         
         if (callLog.StartTime.HasValue) {
@@ -151,8 +155,19 @@ public partial class CallManager {
             };
         }
 
+        var markMissed = missed && firstEnd && callLog.CalleeUserId.HasValue;
+        if (markMissed || wasMissed) {
+            callLog.Status = Entities.CallStatus.NoAnswer;
+            callLog.FailureReason = "未接来电";
+        }
+
         await dbContext.SaveChangesAsync();
 
+        if (markMissed) {
+            var callHistoryService = scope.ServiceProvider.GetRequiredService<ICallHistoryService>();
+            await callHistoryService.NotifyMissedCallAsync(callLog);
+        }
+
         _logger.LogInformation("更新CallLog: CallId={CallId}, Status={Status}, Duration={Duration}",
             callId, callLog.Status, callLog.Duration);
     }
@@ -0,0 +1,308 @@
+using AI.Caller.Core;
+using AI.Caller.Core.Media;
+using AI.Caller.Phone.Models;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.EntityFrameworkCore;
+using SIPSorcery.SIP;
+
+namespace AI.Caller.Phone.Services;
+
+/// <summary>
+/// CallManager的多方通话扩展
+/// 服务端另起线路呼叫第三方，接通后坐席、原通话对方与第三方的音频统一经ConferenceMixer混音
+/// </summary>
+public partial class CallManager {
+
+    public async Task<bool> AddConferenceParticipantAsync(string callId, int userId, string target) {
+        if (!_contexts.TryGetValue(callId, out var ctx)) {
+            throw new Exception($"无效的呼叫标识:{callId}");
+        }
+
+        var agentManager = GetUserMediaManager(ctx, userId) ?? throw new Exception($"未找到用户{userId}在通话{callId}中的媒体会话");
+        if (string.IsNullOrWhiteSpace(target)) throw new ArgumentException("参与方号码不能为空");
+
+        if (ctx.ConsultClient != null) {
+            _logger.LogWarning("通话 {CallId} 正在咨询转接，无法发起多方通话", callId);
+            return false;
+        }
+
+        if (ctx.ConferenceOwnerId.HasValue && ctx.ConferenceOwnerId != userId) {
+            _logger.LogWarning("通话 {CallId} 的多方通话由用户 {OwnerId} 发起，用户 {UserId} 无权添加参与方", callId, ctx.ConferenceOwnerId, userId);
+            return false;
+        }
+
+        using var scope = _serviceScopeFactory.CreateScope();
+        var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
+        var user = await dbContext.Users.Include(u => u.SipAccount).FirstOrDefaultAsync(u => u.Id == userId);
+        if (user?.SipAccount == null) throw new Exception($"用户{userId}没有有效的SIP账户");
+
+        if (ctx.HeldByUserId == userId) {
+            await ResumeCallAsync(callId, userId);
+        }
+
+        var poolManager = scope.ServiceProvider.GetRequiredService<SIPClientPoolManager>();
+        var handle = await poolManager.AcquireClientAsync(user.SipAccount.SipServer, false, ctx.RoutingInfo);
+        if (handle == null || handle.Client == null) {
+            await NotifyConferenceUpdatedAsync(ctx, userId, "无法获取多方通话线路");
+            return false;
+        }
+
+        EnsureConferenceParticipants(ctx, userId, user.Username);
+
+        var guest = new ConferenceParticipant {
+            Role   = "guest",
+            Name   = target,
+            Number = target,
+            Status = "dialing",
+            Client = handle
+        };
+        lock (ctx.ConferenceParticipants) {
+            ctx.ConferenceParticipants.Add(guest);
+        }
+
+        var guestClient = handle.Client;
+        guestClient.CallAnswered += (client) => {
+            _logger.LogInformation("多方通话参与方已接通: {CallId}, 参与方: {Target}", callId, target);
+            OnConferenceGuestAnswered(ctx, agentManager, guest, client);
+            _ = NotifyConferenceUpdatedAsync(ctx, userId, $"{target} 已加入多方通话");
+        };
+
+        guestClient.CallEnded += (client, status) => {
+            if (guest.Client != handle) return;
+
+            _logger.LogInformation("多方通话参与方已离开: {CallId}, 参与方: {Target}, Status: {Status}", callId, target, status);
+            if (RemoveConferenceGuest(ctx, guest)) {
+                _ = NotifyConferenceUpdatedAsync(ctx, userId, $"{target} 已离开多方通话");
+            }
+        };
+
+        var fromHeader = new SIPFromHeader(user.Username, new SIPURI(user.SipAccount.SipUsername, user.SipAccount.SipServer, string.Empty), CallProperties.CreateNewTag());
+        await NotifyConferenceUpdatedAsync(ctx, userId, $"正在呼叫 {target}...");
+
+        try {
+            await guestClient.CallAsync(target, fromHeader);
+        } catch (Exception ex) {
+            _logger.LogError(ex, "呼叫多方通话参与方失败: {CallId}, 参与方: {Target}", callId, target);
+            RemoveConferenceGuest(ctx, guest);
+            await NotifyConferenceUpdatedAsync(ctx, userId, $"呼叫 {target} 失败: {ex.Message}");
+            return false;
+        }
+
+        return true;
+    }
+
+    public async Task<bool> SetConferenceParticipantMuteAsync(string callId, int userId, string participantId, bool muted) {
+        if (!_contexts.TryGetValue(callId, out var ctx)) {
+            throw new Exception($"无效的呼叫标识:{callId}");
+        }
+
+        var participant = FindConferenceParticipant(ctx, userId, participantId);
+        if (participant == null) {
+            return false;
+        }
+
+        participant.IsMuted = muted;
+        ctx.Conference?.SetMuted(participant.Id, muted);
+
+        _logger.LogInformation("多方通话参与方静音状态变更: {CallId}, 参与方: {ParticipantId}, Muted: {Muted}", callId, participantId, muted);
+        await NotifyConferenceUpdatedAsync(ctx, userId, $"{participant.Name} 已{(muted ? "静音" : "取消静音")}");
+        return true;
+    }
+
+    public async Task<bool> RemoveConferenceParticipantAsync(string callId, int userId, string participantId) {
+        if (!_contexts.TryGetValue(callId, out var ctx)) {
+            throw new Exception($"无效的呼叫标识:{callId}");
+        }
+
+        var participant = FindConferenceParticipant(ctx, userId, participantId);
+        if (participant == null) {
+            return false;
+        }
+
+        if (participant.Role != "guest") {
+            _logger.LogWarning("只能移出加入的第三方: {CallId}, 参与方: {ParticipantId}, Role: {Role}", callId, participantId, participant.Role);
+            return false;
+        }
+
+        var guestClient = participant.Client?.Client;
+        try {
+            if (guestClient?.IsCallActive == true) {
+                guestClient.Hangup();
+            } else {
+                guestClient?.Cancel();
+            }
+        } catch (Exception ex) {
+            _logger.LogWarning(ex, "挂断多方通话参与方失败: {CallId}, 参与方: {ParticipantId}", callId, participantId);
+        }
+
+        RemoveConferenceGuest(ctx, participant);
+        await NotifyConferenceUpdatedAsync(ctx, userId, $"已将 {participant.Name} 移出多方通话");
+        return true;
+    }
+
+    private void EnsureConferenceParticipants(CallContext ctx, int userId, string userName) {
+        lock (ctx.ConferenceParticipants) {
+            if (ctx.ConferenceOwnerId.HasValue) return;
+
+            var isCaller = ctx.Caller?.User?.Id == userId;
+            var partyNumber = isCaller
+                ? ctx.Callee?.Number ?? ctx.Callee?.User?.SipAccount?.SipUsername
+                : ctx.Caller?.Number ?? ctx.Caller?.User?.SipAccount?.SipUsername;
+            var partyName = isCaller ? ctx.Callee?.User?.Username : ctx.Caller?.User?.Username;
+
+            ctx.ConferenceOwnerId = userId;
+            ctx.ConferenceParticipants.Add(new ConferenceParticipant {
+                Role   = "owner",
+                Name   = userName,
+                Status = "connected"
+            });
+            ctx.ConferenceParticipants.Add(new ConferenceParticipant {
+                Role   = "party",
+                Name   = partyName ?? partyNumber ?? "对方",
+                Number = partyNumber,
+                Status = "connected"
+            });
+        }
+    }
+
+    /// <summary>
+    /// 第三方接通后启动混音：浏览器上行与SIP下行改由混音器处理，各方分别收到其他人的混音
+    /// </summary>
+    private void OnConferenceGuestAnswered(CallContext ctx, MediaSessionManager agentManager, ConferenceParticipant guest, SIPClient guestClient) {
+        var guestManager = guestClient.MediaSessionManager;
+        if (guestManager == null) {
+            _logger.LogWarning("多方通话参与方没有媒体会话: {CallId}, 参与方: {ParticipantId}", ctx.CallId, guest.Id);
+            return;
+        }
+
+        ConferenceMixer conference;
+        lock (ctx.ConferenceParticipants) {
+            if (!ctx.ConferenceParticipants.Contains(guest)) return;
+
+            if (ctx.Conference == null) {
+                var mixer = new ConferenceMixer(_logger, GetAudioCodecFactory());
+                foreach (var participant in ctx.ConferenceParticipants) {
+                    if (participant.Role == "owner") {
+                        mixer.AddParticipant(participant.Id, agentManager.SelectedPayloadType, agentManager.SendAudioToWebRtc);
+                        agentManager.WebRtcAudioRelay = payload => mixer.WriteAudio(participant.Id, payload);
+                    } else if (participant.Role == "party") {
+                        mixer.AddParticipant(participant.Id, agentManager.SelectedPayloadType, agentManager.SendAudioFrame);
+                        agentManager.SipAudioRelay = payload => mixer.WriteAudio(participant.Id, payload);
+                    } else {
+                        continue;
+                    }
+                    mixer.SetMuted(participant.Id, participant.IsMuted);
+                }
+                ctx.Conference = mixer;
+            }
+
+            conference = ctx.Conference;
+            conference.AddParticipant(guest.Id, guestManager.SelectedPayloadType, guestManager.SendAudioFrame);
+            conference.SetMuted(guest.Id, guest.IsMuted);
+            guest.Status   = "connected";
+            guest.JoinedAt = DateTime.UtcNow;
+        }
+
+        guestManager.AudioDataReceived += (remote, mediaType, rtpPacket) => conference.WriteAudio(guest.Id, rtpPacket.Payload);
+    }
+
+    private bool RemoveConferenceGuest(CallContext ctx, ConferenceParticipant guest) {
+        bool hasGuests;
+        lock (ctx.ConferenceParticipants) {
+            if (!ctx.ConferenceParticipants.Remove(guest)) return false;
+
+            ctx.Conference?.RemoveParticipant(guest.Id);
+            hasGuests = ctx.ConferenceParticipants.Any(p => p.Role == "guest");
+        }
+
+        var handle = guest.Client;
+        guest.Client = null;
+        try {
+            handle?.Dispose();
+        } catch (Exception ex) {
+            _logger.LogWarning(ex, "释放多方通话线路失败: {CallId}", ctx.CallId);
+        }
+
+        // 最后一位第三方离开后恢复为普通双方通话
+        if (!hasGuests) {
+            CleanConference(ctx);
+        }
+        return true;
+    }
+
+    private ConferenceParticipant? FindConferenceParticipant(CallContext ctx, int userId, string participantId) {
+        if (ctx.ConferenceOwnerId != userId) {
+            _logger.LogWarning("用户 {UserId} 不是通话 {CallId} 多方通话的发起人", userId, ctx.CallId);
+            return null;
+        }
+
+        lock (ctx.ConferenceParticipants) {
+            return ctx.ConferenceParticipants.FirstOrDefault(p => p.Id == participantId);
+        }
+    }
+
+    private void CleanConference(CallContext ctx) {
+        List<ConferenceParticipant> guests;
+        ConferenceMixer? mixer;
+        lock (ctx.ConferenceParticipants) {
+            if (!ctx.ConferenceOwnerId.HasValue) return;
+
+            guests = ctx.ConferenceParticipants.Where(p => p.Role == "guest").ToList();
+            ctx.ConferenceParticipants.Clear();
+            ctx.ConferenceOwnerId = null;
+
+            mixer = ctx.Conference;
+            ctx.Conference = null;
+        }
+
+        foreach (var manager in new[] { ctx.Caller?.MediaManager, ctx.Callee?.MediaManager }) {
+            if (manager == null) continue;
+            manager.WebRtcAudioRelay = null;
+            manager.SipAudioRelay    = null;
+        }
+
+        foreach (var guest in guests) {
+            var handle = guest.Client;
+            guest.Client = null;
+            try {
+                if (handle?.Client?.IsCallActive == true) {
+                    handle.Client.Hangup();
+                }
+                handle?.Dispose();
+            } catch (Exception ex) {
+                _logger.LogWarning(ex, "挂断多方通话参与方失败: {CallId}, 参与方: {ParticipantId}", ctx.CallId, guest.Id);
+            }
+        }
+
+        mixer?.Dispose();
+        _logger.LogInformation("多方通话已结束: {CallId}", ctx.CallId);
+    }
+
+    private async Task NotifyConferenceUpdatedAsync(CallContext ctx, int userId, string message) {
+        List<object> participants;
+        lock (ctx.ConferenceParticipants) {
+            participants = ctx.ConferenceParticipants.Select(p => (object)new {
+                id       = p.Id,
+                role     = p.Role,
+                name     = p.Name,
+                number   = p.Number,
+                status   = p.Status,
+                isMuted  = p.IsMuted,
+                joinedAt = p.JoinedAt
+            }).ToList();
+        }
+
+        try {
+            await _hubContext.Clients.User(userId.ToString()).SendAsync("conferenceUpdated", new {
+                callId       = ctx.CallId,
+                active       = ctx.ConferenceOwnerId.HasValue,
+                participants = participants,
+                message      = message,
+                sequence     = NextEventSequence(),
+                timestamp    = DateTime.UtcNow
+            });
+        } catch (Exception ex) {
+            _logger.LogError(ex, "发送多方通话状态通知失败: {CallId}", ctx.CallId);
+        }
+    }
+}
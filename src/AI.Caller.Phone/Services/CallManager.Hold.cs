@@ -0,0 +1,141 @@
+using AI.Caller.Core;
+using AI.Caller.Core.Media;
+using AI.Caller.Phone.Entities;
+using AI.Caller.Phone.Models;
+using Microsoft.AspNetCore.SignalR;
+
+namespace AI.Caller.Phone.Services;
+
+/// <summary>
+/// CallManager的通话保持扩展
+/// 保持期间停止双方音频转发，并向对方播放保持音乐
+/// </summary>
+public partial class CallManager {
+
+    public async Task<bool> HoldCallAsync(string callId, int userId) {
+        if (!_contexts.TryGetValue(callId, out var ctx)) {
+            throw new Exception($"无效的呼叫标识:{callId}");
+        }
+
+        if (ctx.HeldByUserId.HasValue) {
+            _logger.LogWarning("通话已处于保持状态: {CallId}, 保持方: {HeldBy}", callId, ctx.HeldByUserId);
+            return ctx.HeldByUserId == userId;
+        }
+
+        var mediaManager = GetUserMediaManager(ctx, userId);
+        if (mediaManager == null) {
+            _logger.LogWarning("保持失败，未找到用户 {UserId} 在通话 {CallId} 中的媒体会话", userId, callId);
+            return false;
+        }
+
+        mediaManager.SetHold(true);
+        ctx.HeldByUserId = userId;
+        ctx.State        = CallState.OnHold;
+
+        string? holdTonePath = null;
+        try {
+            using var scope = _serviceScopeFactory.CreateScope();
+            var ringtoneService = scope.ServiceProvider.GetRequiredService<IRingtoneService>();
+            var holdTone = await ringtoneService.GetRingtoneForUserAsync(userId, RingtoneType.Hold);
+            holdTonePath = holdTone.FilePath;
+        } catch (Exception ex) {
+            _logger.LogError(ex, "获取保持音乐失败，使用默认提示音: {CallId}", callId);
+        }
+
+        StartHoldMusic(ctx, mediaManager, holdTonePath);
+
+        _logger.LogInformation("通话已保持: {CallId}, 保持方: {UserId}", callId, userId);
+        await NotifyHoldStateAsync(ctx, userId, "callHeld");
+        return true;
+    }
+
+    public async Task<bool> ResumeCallAsync(string callId, int userId) {
+        if (!_contexts.TryGetValue(callId, out var ctx)) {
+            throw new Exception($"无效的呼叫标识:{callId}");
+        }
+
+        if (ctx.HeldByUserId != userId) {
+            _logger.LogWarning("恢复失败，通话 {CallId} 未被用户 {UserId} 保持", callId, userId);
+            return false;
+        }
+
+        CleanHoldMusic(ctx);
+
+        GetUserMediaManager(ctx, userId)?.SetHold(false);
+        ctx.HeldByUserId = null;
+        ctx.State        = CallState.Connected;
+
+        _logger.LogInformation("通话已恢复: {CallId}, 恢复方: {UserId}", callId, userId);
+        await NotifyHoldStateAsync(ctx, userId, "callResumed");
+        return true;
+    }
+
+    private static MediaSessionManager? GetUserMediaManager(CallContext ctx, int userId) {
+        if (ctx.Caller != null && ctx.Caller.User != null && ctx.Caller.User.Id == userId) {
+            return ctx.Caller.MediaManager;
+        }
+
+        if (ctx.Callee != null && ctx.Callee.User != null && ctx.Callee.User.Id == userId) {
+            return ctx.Callee.MediaManager;
+        }
+
+        return null;
+    }
+
+    private void StartHoldMusic(CallContext ctx, MediaSessionManager mediaManager, string? holdTonePath) {
+        try {
+            CleanHoldMusic(ctx);
+
+            var audioFilePath = string.IsNullOrEmpty(holdTonePath)
+                ? Path.Combine("wwwroot", "ringtones", "default.mp3")
+                : Path.Combine("wwwroot", holdTonePath.TrimStart('/'));
+
+            ctx.HoldPlayer = new RingbackTonePlayer(
+                _logger,
+                mediaManager,
+                GetAudioCodecFactory(),
+                audioFilePath
+            );
+            ctx.HoldPlayer.Start();
+
+            _logger.LogInformation("保持音乐已启动: {CallId}, 文件: {FilePath}", ctx.CallId, audioFilePath);
+        } catch (Exception ex) {
+            _logger.LogError(ex, "启动保持音乐失败: {CallId}", ctx.CallId);
+        }
+    }
+
+    private void CleanHoldMusic(CallContext ctx) {
+        try {
+            _semaphoreSlim.Wait();
+            if (ctx.HoldPlayer != null) {
+                _logger.LogDebug("停止保持音乐: {CallId}", ctx.CallId);
+                try {
+                    ctx.HoldPlayer.Stop();
+                    ctx.HoldPlayer.Dispose();
+                    ctx.HoldPlayer = null;
+                } catch {
+                }
+            }
+        } finally {
+            _semaphoreSlim.Release();
+        }
+    }
+
+    private async Task NotifyHoldStateAsync(CallContext ctx, int userId, string eventName) {
+        var recipients = new[] { ctx.Caller?.User?.Id, ctx.Callee?.User?.Id };
+
+        foreach (var recipient in recipients.Where(x => x.HasValue).Distinct()) {
+            try {
+                await _hubContext.Clients.User(recipient!.Value.ToString()).SendAsync(eventName, new {
+                    callId    = ctx.CallId,
+                    heldBy    = userId,
+                    isLocal   = recipient == userId,
+                    sequence  = NextEventSequence(),
+                    timestamp = DateTime.UtcNow
+                });
+            } catch (Exception ex) {
+                _logger.LogError(ex, "发送保持状态通知失败: {CallId}, {EventName}, 用户: {UserId}", ctx.CallId, eventName, recipient);
+            }
+        }
+    }
+}
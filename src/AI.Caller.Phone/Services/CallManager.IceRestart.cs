@@ -0,0 +1,22 @@
+using SIPSorcery.Net;
+
+namespace AI.Caller.Phone.Services;
+
+/// <summary>
+/// CallManager的ICE重启扩展
+/// 浏览器网络切换或短暂中断时，只重新协商WebRTC侧连接，SIP侧通话保持不变
+/// </summary>
+public partial class CallManager {
+
+    public async Task<RTCSessionDescriptionInit> RestartIceAsync(string callId, int userId, RTCSessionDescriptionInit offer) {
+        if (!_contexts.TryGetValue(callId, out var ctx)) {
+            throw new Exception($"无效的呼叫标识:{callId}");
+        }
+
+        var mediaManager = GetUserMediaManager(ctx, userId) ?? throw new Exception($"未找到用户{userId}在通话{callId}中的媒体会话");
+
+        var answer = await mediaManager.RenegotiateWebRtcAsync(offer);
+        _logger.LogInformation("通话 {CallId} 用户 {UserId} 完成ICE重启协商", callId, userId);
+        return answer;
+    }
+}
@@ -0,0 +1,58 @@
+using AI.Caller.Phone.Models;
+using Microsoft.AspNetCore.SignalR;
+
+namespace AI.Caller.Phone.Services;
+
+/// <summary>
+/// CallManager的坐席静音扩展
+/// 静音在浏览器端停用麦克风音轨完成，服务端只记录状态并通知坐席的所有标签页与监听该通话的班长
+/// </summary>
+public partial class CallManager {
+
+    public async Task<bool> SetAgentMuteAsync(string callId, int userId, bool muted) {
+        if (!_contexts.TryGetValue(callId, out var ctx)) {
+            throw new Exception($"无效的呼叫标识:{callId}");
+        }
+
+        if (GetUserMediaManager(ctx, userId) == null) {
+            _logger.LogWarning("设置静音失败，用户 {UserId} 不在通话 {CallId} 中", userId, callId);
+            return false;
+        }
+
+        lock (ctx.MutedUserIds) {
+            if (muted) {
+                ctx.MutedUserIds.Add(userId);
+            } else {
+                ctx.MutedUserIds.Remove(userId);
+            }
+        }
+
+        _logger.LogInformation("通话 {CallId} 用户 {UserId} {Action}", callId, userId, muted ? "已静音" : "已取消静音");
+
+        var payload = new {
+            callId    = callId,
+            userId    = userId,
+            muted     = muted,
+            sequence  = NextEventSequence(),
+            timestamp = DateTime.UtcNow
+        };
+
+        try {
+            await _hubContext.Clients.User(userId.ToString()).SendAsync("agentMuteChanged", payload);
+            await _hubContext.Clients.Group($"monitoring_{callId}").SendAsync("agentMuteChanged", payload);
+        } catch (Exception ex) {
+            _logger.LogError(ex, "发送静音状态通知失败: {CallId}, 用户: {UserId}", callId, userId);
+        }
+        return true;
+    }
+
+    public IReadOnlyCollection<int> GetMutedUserIds(string callId) {
+        if (!_contexts.TryGetValue(callId, out var ctx)) {
+            return Array.Empty<int>();
+        }
+
+        lock (ctx.MutedUserIds) {
+            return ctx.MutedUserIds.ToArray();
+        }
+    }
+}
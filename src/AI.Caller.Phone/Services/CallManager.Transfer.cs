@@ -0,0 +1,258 @@
+using AI.Caller.Core;
+using AI.Caller.Phone.Models;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.EntityFrameworkCore;
+using SIPSorcery.Net;
+using SIPSorcery.SIP;
+using System.Net;
+
+namespace AI.Caller.Phone.Services;
+
+/// <summary>
+/// CallManager的通话转接扩展
+/// 盲转直接发送REFER；咨询转接先保持原通话并由服务端发起咨询呼叫，浏览器音频中继到咨询方
+/// </summary>
+public partial class CallManager {
+
+    public async Task<bool> BlindTransferAsync(string callId, int userId, string target) {
+        if (!_contexts.TryGetValue(callId, out var ctx)) {
+            throw new Exception($"无效的呼叫标识:{callId}");
+        }
+
+        var client = GetUserClient(ctx, userId) ?? throw new Exception($"未找到用户{userId}在通话{callId}中的SIP会话");
+        if (string.IsNullOrWhiteSpace(target)) throw new ArgumentException("转接目标不能为空");
+
+        var transferUri = BuildTransferUri(client, target);
+        ctx.TransferTarget = target;
+        ctx.State          = CallState.Transferring;
+
+        await NotifyTransferProgressAsync(ctx, userId, "blind", "initiated", $"正在转接至 {target}...");
+
+        void onStatus(SIPClient c, string message) {
+            if (message.StartsWith("Transfer failed")) {
+                _ = NotifyTransferProgressAsync(ctx, userId, "blind", "failed", $"转接失败: {message}");
+            }
+        }
+
+        client.StatusMessage += onStatus;
+        try {
+            var accepted = await client.BlindTransferAsync(transferUri);
+            if (!accepted) {
+                ctx.State = CallState.Connected;
+                await NotifyTransferProgressAsync(ctx, userId, "blind", "failed", "转接请求被拒绝或超时");
+                return false;
+            }
+
+            _logger.LogInformation("盲转已被接受: {CallId}, 用户: {UserId}, 目标: {Target}", callId, userId, transferUri);
+            await NotifyTransferProgressAsync(ctx, userId, "blind", "completed", $"已转接至 {target}");
+            return true;
+        } finally {
+            client.StatusMessage -= onStatus;
+        }
+    }
+
+    public async Task<bool> StartConsultTransferAsync(string callId, int userId, string target) {
+        if (!_contexts.TryGetValue(callId, out var ctx)) {
+            throw new Exception($"无效的呼叫标识:{callId}");
+        }
+
+        if (ctx.ConsultClient != null) {
+            _logger.LogWarning("通话 {CallId} 已存在咨询呼叫", callId);
+            return false;
+        }
+
+        var agentManager = GetUserMediaManager(ctx, userId) ?? throw new Exception($"未找到用户{userId}在通话{callId}中的媒体会话");
+        if (string.IsNullOrWhiteSpace(target)) throw new ArgumentException("转接目标不能为空");
+
+        using var scope = _serviceScopeFactory.CreateScope();
+        var dbContext = scope.ServiceProvider.GetRequiredService<AppDbContext>();
+        var user = await dbContext.Users.Include(u => u.SipAccount).FirstOrDefaultAsync(u => u.Id == userId);
+        if (user?.SipAccount == null) throw new Exception($"用户{userId}没有有效的SIP账户");
+
+        // 坐席已手动保持时不重复保持，咨询失败后也不恢复，保持原来的保持状态
+        var heldForConsult = ctx.HeldByUserId != userId;
+        if (heldForConsult && !await HoldCallAsync(callId, userId)) {
+            return false;
+        }
+
+        var poolManager = scope.ServiceProvider.GetRequiredService<SIPClientPoolManager>();
+        var handle = await poolManager.AcquireClientAsync(user.SipAccount.SipServer, false, ctx.RoutingInfo);
+        if (handle == null || handle.Client == null) {
+            if (heldForConsult) await ResumeCallAsync(callId, userId);
+            await NotifyTransferProgressAsync(ctx, userId, "attended", "failed", "无法获取咨询线路");
+            return false;
+        }
+
+        ctx.ConsultClient  = handle;
+        ctx.TransferTarget = target;
+
+        var consultClient = handle.Client;
+        void onAnswered(SIPClient client) {
+            _logger.LogInformation("咨询呼叫已接通: {CallId}, 目标: {Target}", callId, target);
+            _ = NotifyTransferProgressAsync(ctx, userId, "attended", "consulting", $"已与 {target} 接通，可完成转接或取消");
+        }
+
+        // 只处理对方挂断；主动取消时CleanConsult已先解除关联，这里直接返回
+        void onEnded(SIPClient client, CallFinishStatus status) {
+            if (ctx.ConsultClient != handle) return;
+
+            _logger.LogInformation("咨询呼叫结束: {CallId}, Status: {Status}", callId, status);
+            CleanConsult(ctx);
+
+            if (ctx.State != CallState.Transferring) {
+                _ = NotifyTransferProgressAsync(ctx, userId, "attended", "consultEnded", $"咨询呼叫已结束({status})，已恢复原通话");
+                _ = ResumeCallAsync(callId, userId);
+            }
+        }
+
+        consultClient.CallAnswered += onAnswered;
+        consultClient.CallEnded    += onEnded;
+        ctx.ConsultUnsubscribe = () => {
+            consultClient.CallAnswered -= onAnswered;
+            consultClient.CallEnded    -= onEnded;
+        };
+
+        var fromHeader = new SIPFromHeader(user.Username, new SIPURI(user.SipAccount.SipUsername, user.SipAccount.SipServer, string.Empty), CallProperties.CreateNewTag());
+        await NotifyTransferProgressAsync(ctx, userId, "attended", "initiated", $"正在呼叫 {target} 进行咨询...");
+
+        try {
+            await consultClient.CallAsync(target, fromHeader);
+        } catch (Exception ex) {
+            _logger.LogError(ex, "发起咨询呼叫失败: {CallId}, 目标: {Target}", callId, target);
+            CleanConsult(ctx);
+            if (heldForConsult) await ResumeCallAsync(callId, userId);
+            await NotifyTransferProgressAsync(ctx, userId, "attended", "failed", $"咨询呼叫失败: {ex.Message}");
+            return false;
+        }
+
+        var consultManager = consultClient.MediaSessionManager;
+        if (consultManager != null && ctx.ConsultClient == handle) {
+            void onConsultAudio(IPEndPoint remote, SDPMediaTypesEnum mediaType, RTPPacket rtpPacket) {
+                agentManager.SendAudioToWebRtc(rtpPacket.Payload);
+            }
+
+            agentManager.WebRtcAudioRelay    = payload => consultManager.SendAudioFrame(payload);
+            consultManager.AudioDataReceived += onConsultAudio;
+            ctx.ConsultRelayManager = agentManager;
+
+            var unsubscribeCalls = ctx.ConsultUnsubscribe;
+            ctx.ConsultUnsubscribe = () => {
+                unsubscribeCalls?.Invoke();
+                consultManager.AudioDataReceived -= onConsultAudio;
+            };
+        }
+
+        return true;
+    }
+
+    public async Task<bool> CompleteConsultTransferAsync(string callId, int userId) {
+        if (!_contexts.TryGetValue(callId, out var ctx)) {
+            throw new Exception($"无效的呼叫标识:{callId}");
+        }
+
+        var client = GetUserClient(ctx, userId) ?? throw new Exception($"未找到用户{userId}在通话{callId}中的SIP会话");
+        var consultClient = ctx.ConsultClient?.Client;
+        if (consultClient == null || !consultClient.IsCallActive) {
+            await NotifyTransferProgressAsync(ctx, userId, "attended", "failed", "咨询呼叫未接通，无法完成转接");
+            return false;
+        }
+
+        ctx.State = CallState.Transferring;
+
+        var accepted = await client.AttendedTransferAsync(consultClient.Dialogue);
+        if (!accepted) {
+            ctx.State = CallState.OnHold;
+            await NotifyTransferProgressAsync(ctx, userId, "attended", "failed", "转接请求被拒绝或超时");
+            return false;
+        }
+
+        _logger.LogInformation("咨询转接已完成: {CallId}, 用户: {UserId}, 目标: {Target}", callId, userId, ctx.TransferTarget);
+        await NotifyTransferProgressAsync(ctx, userId, "attended", "completed", $"已转接至 {ctx.TransferTarget}");
+        return true;
+    }
+
+    public async Task<bool> CancelConsultTransferAsync(string callId, int userId) {
+        if (!_contexts.TryGetValue(callId, out var ctx)) {
+            throw new Exception($"无效的呼叫标识:{callId}");
+        }
+
+        if (ctx.ConsultClient == null) {
+            return await ResumeCallAsync(callId, userId);
+        }
+
+        CleanConsult(ctx, hangup: true);
+
+        var resumed = await ResumeCallAsync(callId, userId);
+        await NotifyTransferProgressAsync(ctx, userId, "attended", "cancelled", "已取消咨询，恢复原通话");
+        return resumed;
+    }
+
+    private static SIPClient? GetUserClient(CallContext ctx, int userId) {
+        if (ctx.Caller != null && ctx.Caller.User != null && ctx.Caller.User.Id == userId) {
+            return ctx.Caller.Client?.Client;
+        }
+
+        if (ctx.Callee != null && ctx.Callee.User != null && ctx.Callee.User.Id == userId) {
+            return ctx.Callee.Client?.Client;
+        }
+
+        return null;
+    }
+
+    private static string BuildTransferUri(SIPClient client, string target) {
+        var uri = target.StartsWith("sip:", StringComparison.OrdinalIgnoreCase) ? target : $"sip:{target}";
+        return uri.Contains('@') ? uri : $"{uri}@{client.CallServer}";
+    }
+
+    /// <summary>
+    /// 结束咨询呼叫并归还线路。先解除与通话的关联再挂断，
+    /// 挂断同步触发的CallEnded不会再重复恢复通话和推送consultEnded
+    /// </summary>
+    private void CleanConsult(CallContext ctx, bool hangup = false) {
+        var handle = ctx.ConsultClient;
+        if (handle == null) return;
+
+        ctx.ConsultClient = null;
+        ctx.ConsultUnsubscribe?.Invoke();
+        ctx.ConsultUnsubscribe = null;
+
+        if (ctx.ConsultRelayManager != null) {
+            ctx.ConsultRelayManager.WebRtcAudioRelay = null;
+            ctx.ConsultRelayManager = null;
+        }
+
+        if (hangup && handle.Client != null) {
+            try {
+                if (handle.Client.IsCallActive) {
+                    handle.Client.Hangup();
+                } else {
+                    handle.Client.Cancel();
+                }
+            } catch (Exception ex) {
+                _logger.LogWarning(ex, "挂断咨询呼叫失败: {CallId}", ctx.CallId);
+            }
+        }
+
+        try {
+            handle.Dispose();
+        } catch (Exception ex) {
+            _logger.LogWarning(ex, "释放咨询线路失败: {CallId}", ctx.CallId);
+        }
+    }
+
+    private async Task NotifyTransferProgressAsync(CallContext ctx, int userId, string mode, string status, string message) {
+        try {
+            await _hubContext.Clients.User(userId.ToString()).SendAsync("transferProgress", new {
+                callId    = ctx.CallId,
+                mode      = mode,
+                status    = status,
+                target    = ctx.TransferTarget,
+                message   = message,
+                sequence  = NextEventSequence(),
+                timestamp = DateTime.UtcNow
+            });
+        } catch (Exception ex) {
+            _logger.LogError(ex, "发送转接状态通知失败: {CallId}, {Status}", ctx.CallId, status);
+        }
+    }
+}
@@ -0,0 +1,82 @@
+using AI.Caller.Phone.Entities;
+using AI.Caller.Phone.Models.Dto;
+using Microsoft.EntityFrameworkCore;
+
+namespace AI.Caller.Phone.Services;
+
+/// <summary>
+/// 通话质量服务，保存浏览器上报的getStats采样，供排查"线路差"问题时回看
+/// </summary>
+public class CallQualityService : ICallQualityService {
+    private readonly AppDbContext _dbContext;
+    private readonly ILogger<CallQualityService> _logger;
+
+    private const int MaxSamplesPerReport = 100;
+
+    private static readonly string[] Sources = ["phone", "monitor"];
+
+    public CallQualityService(AppDbContext dbContext, ILogger<CallQualityService> logger) {
+        _dbContext = dbContext;
+        _logger = logger;
+    }
+
+    public async Task<int> SaveSamplesAsync(int userId, CallQualityReportDto report) {
+        if (string.IsNullOrWhiteSpace(report.CallId) || report.Samples.Count == 0) {
+            return 0;
+        }
+
+        var source = Sources.Contains(report.Source) ? report.Source : "phone";
+        var samples = report.Samples
+            .Take(MaxSamplesPerReport)
+            .Select(s => new CallQualitySample {
+                CallId = report.CallId,
+                UserId = userId,
+                Source = source,
+                SampledAt = s.SampledAt == default ? DateTime.UtcNow : s.SampledAt.ToUniversalTime(),
+                JitterMs = s.JitterMs,
+                PacketLossPercent = s.PacketLossPercent,
+                RoundTripTimeMs = s.RoundTripTimeMs,
+                AudioLevel = s.AudioLevel,
+                Mos = s.Mos
+            })
+            .ToList();
+
+        _dbContext.CallQualitySamples.AddRange(samples);
+        await _dbContext.SaveChangesAsync();
+
+        _logger.LogDebug("保存通话质量采样: 通话 {CallId}, 用户 {UserId}, {Count} 条", report.CallId, userId, samples.Count);
+        return samples.Count;
+    }
+
+    public async Task<CallQualitySummaryDto?> GetSummaryAsync(string callId, int userId, bool includeAllUsers) {
+        var query = _dbContext.CallQualitySamples.AsNoTracking().Where(s => s.CallId == callId);
+        if (!includeAllUsers) {
+            query = query.Where(s => s.UserId == userId);
+        }
+
+        var samples = await query.OrderBy(s => s.SampledAt).ToListAsync();
+        if (samples.Count == 0) {
+            return null;
+        }
+
+        var mosValues = samples.Where(s => s.Mos.HasValue).Select(s => s.Mos!.Value).ToList();
+
+        return new CallQualitySummaryDto {
+            CallId = callId,
+            SampleCount = samples.Count,
+            AverageMos = mosValues.Count > 0 ? Math.Round(mosValues.Average(), 2) : null,
+            MinMos = mosValues.Count > 0 ? mosValues.Min() : null,
+            MaxJitterMs = samples.Max(s => s.JitterMs),
+            MaxPacketLossPercent = samples.Max(s => s.PacketLossPercent),
+            MaxRoundTripTimeMs = samples.Max(s => s.RoundTripTimeMs),
+            Samples = samples.Select(s => new CallQualitySampleDto {
+                SampledAt = s.SampledAt,
+                JitterMs = s.JitterMs,
+                PacketLossPercent = s.PacketLossPercent,
+                RoundTripTimeMs = s.RoundTripTimeMs,
+                AudioLevel = s.AudioLevel,
+                Mos = s.Mos
+            }).ToList()
+        };
+    }
+}
@@ -0,0 +1,136 @@
+using AI.Caller.Phone.Entities;
+using AI.Caller.Phone.Models.Dto;
+using Microsoft.EntityFrameworkCore;
+
+namespace AI.Caller.Phone.Services;
+
+/// <summary>
+/// 来电弹屏查询：本地通讯录优先，CRM补充公司与工单，最近通话来自通话记录
+/// </summary>
+public class CallerLookupService : ICallerLookupService {
+    private const int RecentCallCount = 5;
+    /// <summary>
+    /// 号码后缀匹配的最小位数，避免短分机号误匹配
+    /// </summary>
+    private const int MinSuffixMatchLength = 7;
+
+    private readonly AppDbContext _dbContext;
+    private readonly ICrmLookupClient _crmLookupClient;
+    private readonly IConfiguration _configuration;
+    private readonly ILogger<CallerLookupService> _logger;
+
+    public CallerLookupService(
+        AppDbContext dbContext,
+        ICrmLookupClient crmLookupClient,
+        IConfiguration configuration,
+        ILogger<CallerLookupService> logger) {
+        _dbContext = dbContext;
+        _crmLookupClient = crmLookupClient;
+        _configuration = configuration;
+        _logger = logger;
+    }
+
+    public async Task<CallerLookupDto> LookupAsync(int userId, string number, string? excludeCallId = null) {
+        number = number.Trim();
+        var result = new CallerLookupDto { Number = number };
+
+        var contacts = await _dbContext.Contacts.AsNoTracking().Where(c => c.UserId == userId).ToListAsync();
+        var contact = contacts.FirstOrDefault(c => NumbersMatch(c.PhoneNumber, number));
+        if (contact != null) {
+            result.Name = contact.Name;
+            result.Source = "contact";
+        } else {
+            var webUser = await _dbContext.Users
+                .AsNoTracking()
+                .Include(u => u.SipAccount)
+                .FirstOrDefaultAsync(u => u.SipAccount != null && u.SipAccount.SipUsername == number);
+            if (webUser != null) {
+                result.Name = webUser.DisplayName ?? webUser.Username;
+                result.Source = "webUser";
+            }
+        }
+
+        // Web坐席之间的通话不查CRM
+        if (result.Source != "webUser") {
+            var customer = await _crmLookupClient.LookupAsync(number);
+            if (customer != null) {
+                result.CustomerId = customer.CustomerId;
+                result.Company = customer.Company;
+                result.Tickets = customer.Tickets ?? new();
+                if (result.Name == null && !string.IsNullOrEmpty(customer.Name)) {
+                    result.Name = customer.Name;
+                    result.Source = "crm";
+                }
+            }
+        }
+
+        var numbers = new[] { number, contact?.PhoneNumber }.OfType<string>().Distinct().ToArray();
+        result.RecentCalls = await GetRecentCallsAsync(numbers, excludeCallId);
+        result.CrmUrl = BuildCrmUrl(number, result.CustomerId);
+
+        _logger.LogInformation("来电弹屏查询: {Number}, 来源={Source}, 最近通话={Calls}, 工单={Tickets}",
+            number, result.Source ?? "未识别", result.RecentCalls.Count, result.Tickets.Count);
+        return result;
+    }
+
+    private async Task<List<CallerInteractionDto>> GetRecentCallsAsync(string[] numbers, string? excludeCallId) {
+        var callLogs = await _dbContext.CallLogs
+            .AsNoTracking()
+            .Include(c => c.CallerUser)
+            .Include(c => c.CalleeUser)
+            .Include(c => c.WrapUps.Where(w => w.SubmittedAt != null))
+            .Where(c => (c.CallerNumber != null && numbers.Contains(c.CallerNumber)) || (c.CalleeNumber != null && numbers.Contains(c.CalleeNumber)))
+            .Where(c => excludeCallId == null || c.CallId != excludeCallId)
+            .OrderByDescending(c => c.Id)
+            .Take(RecentCallCount)
+            .ToListAsync();
+
+        return callLogs.Select(c => {
+            var isInbound = c.CallerNumber != null && numbers.Contains(c.CallerNumber);
+            var agent = isInbound ? c.CalleeUser : c.CallerUser;
+            return new CallerInteractionDto {
+                CallId = c.CallId,
+                Direction = isInbound ? "inbound" : "outbound",
+                Status = c.Status.ToString(),
+                StartTime = c.StartTime ?? c.CreatedAt,
+                DurationSeconds = (int)(c.Duration?.TotalSeconds ?? 0),
+                AgentName = agent?.DisplayName ?? agent?.Username,
+                Disposition = c.WrapUps.Select(w => w.Disposition).FirstOrDefault(d => d != null)
+            };
+        }).ToList();
+    }
+
+    /// <summary>
+    /// CallerLookup:CrmUrlTemplate支持{number}与{customerId}占位符；模板需要客户ID而CRM未识别时不生成链接
+    /// </summary>
+    private string? BuildCrmUrl(string number, string? customerId) {
+        var template = _configuration["CallerLookup:CrmUrlTemplate"];
+        if (string.IsNullOrWhiteSpace(template)) {
+            return null;
+        }
+        if (template.Contains("{customerId}") && string.IsNullOrEmpty(customerId)) {
+            return null;
+        }
+
+        return template
+            .Replace("{number}", Uri.EscapeDataString(number))
+            .Replace("{customerId}", Uri.EscapeDataString(customerId ?? string.Empty));
+    }
+
+    /// <summary>
+    /// 忽略格式字符比较号码，较长号码以较短号码结尾也视为同一号码（如+8613800138000与13800138000）
+    /// </summary>
+    public static bool NumbersMatch(string? a, string? b) {
+        var digitsA = new string((a ?? string.Empty).Where(char.IsDigit).ToArray());
+        var digitsB = new string((b ?? string.Empty).Where(char.IsDigit).ToArray());
+        if (digitsA.Length == 0 || digitsB.Length == 0) {
+            return string.Equals(a?.Trim(), b?.Trim(), StringComparison.OrdinalIgnoreCase);
+        }
+        if (digitsA == digitsB) {
+            return true;
+        }
+
+        var (shorter, longer) = digitsA.Length < digitsB.Length ? (digitsA, digitsB) : (digitsB, digitsA);
+        return shorter.Length >= MinSuffixMatchLength && longer.EndsWith(shorter.TrimStart('0'));
+    }
+}
@@ -0,0 +1,45 @@
+using AI.Caller.Phone.Models.Dto;
+using System.Net;
+
+namespace AI.Caller.Phone.Services;
+
+/// <summary>
+/// 通过Webhook查询CRM：GET {CallerLookup:WebhookUrl}?number=号码，返回CrmCustomerDto格式的JSON，未找到客户时返回404。
+/// 来电弹屏不能等待太久，超过CallerLookup:TimeoutSeconds即放弃
+/// </summary>
+public class CrmWebhookClient : ICrmLookupClient {
+    private const int DefaultTimeoutSeconds = 3;
+
+    private readonly HttpClient _httpClient;
+    private readonly IConfiguration _configuration;
+    private readonly ILogger<CrmWebhookClient> _logger;
+
+    public CrmWebhookClient(HttpClient httpClient, IConfiguration configuration, ILogger<CrmWebhookClient> logger) {
+        _httpClient = httpClient;
+        _configuration = configuration;
+        _logger = logger;
+        _httpClient.Timeout = TimeSpan.FromSeconds(_configuration.GetValue("CallerLookup:TimeoutSeconds", DefaultTimeoutSeconds));
+    }
+
+    public async Task<CrmCustomerDto?> LookupAsync(string number, CancellationToken cancellationToken = default) {
+        var webhookUrl = _configuration["CallerLookup:WebhookUrl"];
+        if (string.IsNullOrWhiteSpace(webhookUrl)) {
+            return null;
+        }
+
+        var separator = webhookUrl.Contains('?') ? '&' : '?';
+        var requestUrl = $"{webhookUrl}{separator}number={Uri.EscapeDataString(number)}";
+        try {
+            using var response = await _httpClient.GetAsync(requestUrl, cancellationToken);
+            if (response.StatusCode == HttpStatusCode.NotFound) {
+                return null;
+            }
+
+            response.EnsureSuccessStatusCode();
+            return await response.Content.ReadFromJsonAsync<CrmCustomerDto>(cancellationToken);
+        } catch (Exception ex) when (ex is not OperationCanceledException || !cancellationToken.IsCancellationRequested) {
+            _logger.LogWarning(ex, "查询CRM客户失败: {Number}", number);
+            return null;
+        }
+    }
+}
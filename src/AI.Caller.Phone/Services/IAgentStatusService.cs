@@ -0,0 +1,33 @@
+using AI.Caller.Phone.Entities;
+using AI.Caller.Phone.Models.Dto;
+
+namespace AI.Caller.Phone.Services;
+
+public interface IAgentStatusService {
+    /// <summary>
+    /// 无操作多少分钟后自动切换为小休，0表示不自动切换
+    /// </summary>
+    int AutoAwayMinutes { get; }
+
+    Task<AgentStatusDto?> GetStatusAsync(int userId);
+
+    /// <summary>
+    /// 所有坐席的状态，供班长查看
+    /// </summary>
+    Task<List<AgentStatusDto>> GetAllStatusesAsync();
+
+    /// <summary>
+    /// 设置坐席状态；自动设置时只在空闲与自动小休之间切换，通话中不自动小休。用户不存在时返回null
+    /// </summary>
+    Task<AgentStatusDto?> SetStatusAsync(int userId, AgentAvailability status, bool auto = false);
+
+    /// <summary>
+    /// 不接收呼入的坐席（忙碌、小休或话后处理中）
+    /// </summary>
+    Task<int[]> GetUnavailableUserIdsAsync();
+
+    /// <summary>
+    /// 话后处理开始或提交后推送坐席的生效状态
+    /// </summary>
+    Task NotifyStatusChangedAsync(int userId);
+}
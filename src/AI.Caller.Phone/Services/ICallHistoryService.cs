@@ -0,0 +1,19 @@
+using AI.Caller.Phone.Entities;
+using AI.Caller.Phone.Models.Dto;
+
+namespace AI.Caller.Phone.Services;
+
+public interface ICallHistoryService {
+    Task<CallHistoryPageDto> GetCallHistoryAsync(int userId, CallHistoryQueryDto query);
+
+    /// <summary>
+    /// 按列表的过滤条件导出通话历史（含话后处理结果）为Excel
+    /// </summary>
+    Task<byte[]> ExportCallHistoryAsync(int userId, CallHistoryQueryDto query);
+
+    Task<int> GetMissedCallCountAsync(int userId);
+
+    Task MarkMissedCallsViewedAsync(int userId);
+
+    Task NotifyMissedCallAsync(CallLog callLog);
+}
@@ -16,6 +16,10 @@ namespace AI.Caller.Phone.Services {
     public interface ICallManager {
         void AddIceCandidate(string callId, int userId, RTCIceCandidateInit candidate);
         IEnumerable<User> GetActiviteUsers();
+        /// <summary>
+        /// 获取所有未结束的通话（含振铃中的），供班长看板使用
+        /// </summary>
+        IReadOnlyList<CallContext> GetActiveCalls();
         bool GetSecureContextState(string callId, int userId);
 
         Task AnswerAsync(string callId, RTCSessionDescriptionInit? answer);
@@ -23,6 +27,54 @@ namespace AI.Caller.Phone.Services {
         Task<bool> IncomingCallAsync(SIPRequest sipRequest, CallRoutingResult routingResult);
         Task SendDtmfAsync(byte tone, int sendUser, string callId);
         Task<CallContext> MakeCallAsync(string destination, User caller, RTCSessionDescriptionInit? offer, CallScenario scenario, int? preferredLineId = null, bool autoSelectLine = true);
+        /// <summary>
+        /// 保持通话，向对方播放保持音乐
+        /// </summary>
+        Task<bool> HoldCallAsync(string callId, int userId);
+        /// <summary>
+        /// 恢复被保持的通话
+        /// </summary>
+        Task<bool> ResumeCallAsync(string callId, int userId);
+        /// <summary>
+        /// 盲转：直接将通话转接给目标
+        /// </summary>
+        Task<bool> BlindTransferAsync(string callId, int userId, string target);
+        /// <summary>
+        /// 咨询转接：保持原通话并呼叫目标进行咨询
+        /// </summary>
+        Task<bool> StartConsultTransferAsync(string callId, int userId, string target);
+        /// <summary>
+        /// 完成咨询转接，将原通话与咨询方连接
+        /// </summary>
+        Task<bool> CompleteConsultTransferAsync(string callId, int userId);
+        /// <summary>
+        /// 取消咨询转接，挂断咨询呼叫并恢复原通话
+        /// </summary>
+        Task<bool> CancelConsultTransferAsync(string callId, int userId);
+        /// <summary>
+        /// 多方通话：呼叫第三方并与原通话合并，由服务端混音
+        /// </summary>
+        Task<bool> AddConferenceParticipantAsync(string callId, int userId, string target);
+        /// <summary>
+        /// 设置多方通话参与方静音
+        /// </summary>
+        Task<bool> SetConferenceParticipantMuteAsync(string callId, int userId, string participantId, bool muted);
+        /// <summary>
+        /// 将第三方移出多方通话并挂断其线路
+        /// </summary>
+        Task<bool> RemoveConferenceParticipantAsync(string callId, int userId, string participantId);
+        /// <summary>
+        /// 设置坐席麦克风静音状态，通知坐席自身与监听该通话的班长
+        /// </summary>
+        Task<bool> SetAgentMuteAsync(string callId, int userId, bool muted);
+        /// <summary>
+        /// 获取通话中处于静音状态的坐席
+        /// </summary>
+        IReadOnlyCollection<int> GetMutedUserIds(string callId);
+        /// <summary>
+        /// 浏览器网络中断后发起ICE重启，与服务端重新协商WebRTC连接并返回Answer
+        /// </summary>
+        Task<RTCSessionDescriptionInit> RestartIceAsync(string callId, int userId, RTCSessionDescriptionInit offer);
 
         Task<string> StartDtmfCollectionAsync(string callId, AI.Caller.Core.Services.DtmfCollectionConfig? config = null, CancellationToken ct = default);
         Task StopDtmfCollectionAsync(string callId);
@@ -47,28 +99,32 @@ namespace AI.Caller.Phone.Services {
         private readonly IDtmfService _dtmfService;
         private readonly ConcurrentDictionary<string, CallContext> _contexts;
         private readonly RecordingManager _recordingManager;
+        private readonly TranscriptionManager _transcriptionManager;
         private readonly HangupRetryPolicy _hangupRetryPolicy;
         private readonly IHubContext<WebRtcHub> _hubContext;
         private readonly IServiceScopeFactory _serviceScopeFactory;
         private readonly AICustomerServiceManager _aiManager;
         private readonly SemaphoreSlim _semaphoreSlim = new (1, 1);
+        private static long _eventSequence;
 
         public CallManager(
             ILogger<ICallManager> logger,
             IDtmfService dtmfService,
             RecordingManager recordingManager,
+            TranscriptionManager transcriptionManager,
             IHubContext<WebRtcHub> hubContext,
             IServiceScopeFactory serviceScopeFactory,
             AICustomerServiceManager aiManager
             ) {
-            _logger              = logger;
-            _contexts            = new();
-            _hubContext          = hubContext;
-            _recordingManager    = recordingManager;
-            _hangupRetryPolicy   = new();
-            _serviceScopeFactory = serviceScopeFactory;
-            _aiManager           = aiManager;
-            _dtmfService         = dtmfService;
+            _logger               = logger;
+            _contexts             = new();
+            _hubContext           = hubContext;
+            _recordingManager     = recordingManager;
+            _transcriptionManager = transcriptionManager;
+            _hangupRetryPolicy    = new();
+            _serviceScopeFactory  = serviceScopeFactory;
+            _aiManager            = aiManager;
+            _dtmfService          = dtmfService;
 
             _monitoringTimer = new Timer(OnCleanupContext, null, TimeSpan.FromSeconds(0), TimeSpan.FromSeconds(5));
         }
@@ -95,6 +151,10 @@ namespace AI.Caller.Phone.Services {
             }
         }
 
+        public IReadOnlyList<CallContext> GetActiveCalls() {
+            return _contexts.Values.Where(ctx => ctx.IsActive).ToList();
+        }
+
         public async Task AnswerAsync(string callId, RTCSessionDescriptionInit? answer) {
             if (!_contexts.TryGetValue(callId, out var ctx)) {
                 throw new Exception($"无效的呼叫标识:{callId}");
@@ -118,11 +178,12 @@ namespace AI.Caller.Phone.Services {
                 }
             }
             await ctx.Callee.Client.Client.AnswerAsync();
+            ctx.AnsweredAt ??= DateTime.UtcNow;
 
             ctx.Callee.Client.Client.MediaSessionManager!.UpdateNegotiatedCodecFromSession();
 
             if (ctx.Caller != null && ctx.Caller.User != null) {
-                await _hubContext.Clients.User(ctx.Caller.User.Id.ToString()).SendAsync("answered");
+                await _hubContext.Clients.User(ctx.Caller.User.Id.ToString()).SendAsync("answered", new { callId = ctx.CallId });
             }
         }
 
@@ -160,7 +221,7 @@ namespace AI.Caller.Phone.Services {
             if (targetClient != null) {
                 _logger.LogInformation("Initiating active hangup for CallId: {CallId}, User: {UserId}", callId, hangupUser);
                 targetClient.Hangup();
-                await NotifyHangupStatusAsync("已挂断", hangupUser);
+                await NotifyHangupStatusAsync("已挂断", hangupUser, callId: callId);
             } else {
                 _logger.LogWarning("Could not find matching client for user {UserId} in call {CallId}", hangupUser, callId);
             }
@@ -184,7 +245,8 @@ namespace AI.Caller.Phone.Services {
                     Caller = new Models.Caller {
                         User = routingResult.CallerUser,
                         Number = routingResult.CallerNumber
-                    }
+                    },
+                    LineName = sipRequest.Header.To.ToURI.User
                 };
                 _contexts.TryAdd(ctx.CallId, ctx);
             }
@@ -268,7 +330,8 @@ namespace AI.Caller.Phone.Services {
                 Caller = new Models.Caller {
                     User = caller
                 },
-                RoutingInfo = coreRoutingInfo
+                RoutingInfo = coreRoutingInfo,
+                LineName = phoneRoutingInfo.SelectedLine?.Name ?? phoneRoutingInfo.ProxyServer
             };
             _contexts.TryAdd(ctx.CallId, ctx);
 
@@ -288,8 +351,9 @@ namespace AI.Caller.Phone.Services {
                 ctx.Caller.Client.Client.CallAnswered += (client) => {
                     _logger.LogInformation("CallAnswered事件触发，停止回铃音: {CallId}", ctx.CallId);
                     CleanRingback(ctx);
+                    ctx.AnsweredAt ??= DateTime.UtcNow;
                     if (ctx.Caller != null && ctx.Caller.User != null) {
-                        _ = _hubContext.Clients.User(ctx.Caller.User.Id.ToString()).SendAsync("answered");
+                        _ = _hubContext.Clients.User(ctx.Caller.User.Id.ToString()).SendAsync("answered", new { callId = ctx.CallId });
                     }
                 };
 
@@ -385,6 +449,10 @@ namespace AI.Caller.Phone.Services {
 
         private void OnHangupCall(CallContext ctx) {
             CleanRingback(ctx);
+            CleanHoldMusic(ctx);
+
+            CleanConsult(ctx, hangup: ctx.State != CallState.Transferring);
+            CleanConference(ctx);
 
             _ = _dtmfService.StopCollectionAsync(ctx.CallId);
 
@@ -392,6 +460,7 @@ namespace AI.Caller.Phone.Services {
                 if (ctx.Caller.Client != null && ctx.Caller.Client.Client != null) {
                     _recordingManager.OnSipHanguped(ctx.Caller.User.Id, ctx.Caller.Client.Client);
                 }
+                _transcriptionManager.OnSipHanguped(ctx.CallId, ctx.Caller.User.Id);
                 _logger.LogInformation("Hangup detected. Stopping AI service for Caller User ID: {UserId}", ctx.Caller.User.Id);
                 _ = _aiManager.StopAICustomerServiceAsync(ctx.Caller.User.Id);
             }
@@ -400,6 +469,7 @@ namespace AI.Caller.Phone.Services {
                 if (ctx.Callee.Client != null && ctx.Callee.Client.Client != null) {
                     _recordingManager.OnSipHanguped(ctx.Callee.User.Id, ctx.Callee.Client.Client);
                 }
+                _transcriptionManager.OnSipHanguped(ctx.CallId, ctx.Callee.User.Id);
                 _logger.LogInformation("Hangup detected. Stopping AI service for Callee User ID: {UserId}", ctx.Callee.User.Id);
                 _ = _aiManager.StopAICustomerServiceAsync(ctx.Callee.User.Id);
             }
@@ -412,11 +482,13 @@ namespace AI.Caller.Phone.Services {
             if (ctx.Caller != null && ctx.Caller.User != null && ctx.Caller.Client != null && ctx.Caller.Client.Client != null && !ctx.Caller.IsRecording) {
                 ctx.Caller.IsRecording = true;
                 _recordingManager.OnSipCalled(ctx.Caller.User.Id, ctx.Caller.Client.Client);
+                _transcriptionManager.OnSipCalled(ctx.CallId, ctx.Caller.User.Id, ctx.Caller.Client.Client);
             }
 
             if (ctx.Callee != null && ctx.Callee.User != null && ctx.Callee.Client != null && ctx.Callee.Client.Client != null && !ctx.Callee.IsRecording) {
                 ctx.Callee.IsRecording = true;
                 _recordingManager.OnSipCalled(ctx.Callee.User.Id, ctx.Callee.Client.Client);
+                _transcriptionManager.OnSipCalled(ctx.CallId, ctx.Callee.User.Id, ctx.Callee.Client.Client);
             }
         }
 
@@ -455,13 +527,21 @@ namespace AI.Caller.Phone.Services {
             }
         }
 
-        protected async Task NotifyHangupStatusAsync(string message, int userId, string status = "callEnded") {
+        /// <summary>
+        /// 生成推送事件的序号，前端事件总线按callId与序号丢弃重复或过期的通知。
+        /// Hub与后台推送服务共用此序号，保证在JS安全整数范围内
+        /// </summary>
+        internal static long NextEventSequence() => Interlocked.Increment(ref _eventSequence);
+
+        protected async Task NotifyHangupStatusAsync(string message, int userId, string status = "callEnded", string? callId = null) {
             using var notificationCts = new CancellationTokenSource(_hangupRetryPolicy.NotificationTimeout);
 
             try {
                 var notificationTask = _hubContext.Clients.User(userId.ToString())
                     .SendAsync(status, new {
+                        callId = callId,
                         message = message,
+                        sequence = NextEventSequence(),
                         timestamp = DateTime.UtcNow
                     }, notificationCts.Token);
 
@@ -491,19 +571,22 @@ namespace AI.Caller.Phone.Services {
 
             _logger.LogInformation("呼叫结束处理中: {CallId}, UserId={UserId}, Status={status}", callId, userId, status);
 
-            // 更新CallLog记录
-            _ = UpdateCallLogOnEndAsync(callId, status);
+            // 更新CallLog记录，被叫未接听且并非被叫主动拒接的来电记为未接
+            var calleeUserId = ctx.Callee?.User?.Id;
+            var missed = !ctx.AnsweredAt.HasValue && calleeUserId.HasValue
+                && !(userId == calleeUserId && (status == CallFinishStatus.Hangup || status == CallFinishStatus.Rejected));
+            _ = UpdateCallLogOnEndAsync(callId, status, missed);
 
             try {
                 if (status == CallFinishStatus.RemoteHangUp || status == CallFinishStatus.Hangup) {
                     if (ctx.Callee != null && ctx.Callee.User != null) {
-                        await NotifyHangupStatusAsync(ctx.Callee.User.Id == userId ? "已挂断" : "对方已挂断", ctx.Callee.User!.Id);
+                        await NotifyHangupStatusAsync(ctx.Callee.User.Id == userId ? "已挂断" : "对方已挂断", ctx.Callee.User!.Id, callId: callId);
                     }
                     if (ctx.Caller != null && ctx.Caller.User != null) {
-                        await NotifyHangupStatusAsync(ctx.Caller.User.Id == userId ? "已挂断" : "对方已挂断", ctx.Caller.User!.Id);
+                        await NotifyHangupStatusAsync(ctx.Caller.User.Id == userId ? "已挂断" : "对方已挂断", ctx.Caller.User!.Id, callId: callId);
                     }
                 } else if(status == CallFinishStatus.Failed) {
-                    await NotifyHangupStatusAsync("呼叫失败/超时", userId, "callTimeout");
+                    await NotifyHangupStatusAsync("呼叫失败/超时", userId, "callTimeout", callId);
                 } else {
                     string notifyMsg = "通话结束";
                     switch (status) {                        
@@ -517,7 +600,7 @@ namespace AI.Caller.Phone.Services {
                             notifyMsg = "已取消";
                             break;
                     }
-                    await NotifyHangupStatusAsync(notifyMsg, userId);
+                    await NotifyHangupStatusAsync(notifyMsg, userId, callId: callId);
                 }
 
                 if (ctx.Callee?.Client?.Client != null) {
@@ -688,7 +771,7 @@ namespace AI.Caller.Phone.Services {
                 if (handle.Client.MediaSessionManager.PeerConnection?.signalingState == RTCSignalingState.have_remote_offer ||
                     handle.Client.MediaSessionManager.PeerConnection?.signalingState == RTCSignalingState.stable) {
                     try {
-                        _hubContext.Clients.User(routingResult.TargetUser.Id.ToString()).SendAsync("receiveIceCandidate", candidate.toJSON());
+                        _hubContext.Clients.User(routingResult.TargetUser.Id.ToString()).SendAsync("receiveIceCandidate", candidate.toJSON(), callContext.CallId);
                     } catch (Exception e) {
                         _logger.LogError(e, "发送ICE candidate失败");
                     }
@@ -722,12 +805,12 @@ namespace AI.Caller.Phone.Services {
             callContext.Caller!.Client = handle;
 
             var answer = await handle.Client.OfferAsync(sdpOffer) ?? throw new Exception("无法配置RTPPeerContext");
-            await _hubContext.Clients.User(callerUser.Id.ToString()).SendAsync("sdpAnswered", answer.toJSON());
+            await _hubContext.Clients.User(callerUser.Id.ToString()).SendAsync("sdpAnswered", answer.toJSON(), callContext.CallId);
 
             handle.Client.MediaSessionManager!.IceCandidateGenerated += async (candidate) => {
                 if (candidate != null) {
                     try {
-                        await _hubContext.Clients.User(callerUser.Id.ToString()).SendAsync("receiveIceCandidate", candidate.toJSON());
+                        await _hubContext.Clients.User(callerUser.Id.ToString()).SendAsync("receiveIceCandidate", candidate.toJSON(), callContext.CallId);
                     } catch (Exception e) {
                         _logger.LogError(e, e.Message);
                     }
@@ -795,12 +878,12 @@ namespace AI.Caller.Phone.Services {
             callContext.Caller!.Client = handle;
 
             var answer = await handle.Client.OfferAsync(sdpOffer) ?? throw new Exception("无法配置RTPPeerContext");
-            await _hubContext.Clients.User(callerUser.Id.ToString()).SendAsync("sdpAnswered", answer.toJSON());
+            await _hubContext.Clients.User(callerUser.Id.ToString()).SendAsync("sdpAnswered", answer.toJSON(), callContext.CallId);
 
             handle.Client.MediaSessionManager!.IceCandidateGenerated += async (candidate) => {
                 if (candidate != null) {
                     try {
-                        await _hubContext.Clients.User(callerUser.Id.ToString()).SendAsync("receiveIceCandidate", candidate.toJSON());
+                        await _hubContext.Clients.User(callerUser.Id.ToString()).SendAsync("receiveIceCandidate", candidate.toJSON(), callContext.CallId);
                     } catch (Exception e) {
                         _logger.LogError(e, e.Message);
                     }
@@ -898,7 +981,7 @@ namespace AI.Caller.Phone.Services {
                 if (handle.Client.MediaSessionManager.PeerConnection?.signalingState == RTCSignalingState.have_remote_offer ||
                     handle.Client.MediaSessionManager.PeerConnection?.signalingState == RTCSignalingState.stable) {
                     try {
-                        _hubContext.Clients.User(user.Id.ToString()).SendAsync("receiveIceCandidate", candidate.toJSON());
+                        _hubContext.Clients.User(user.Id.ToString()).SendAsync("receiveIceCandidate", candidate.toJSON(), callContext.CallId);
                     } catch (Exception e) {
                         _logger.LogError(e, "发送ICE candidate失败");
                     }
@@ -957,7 +1040,7 @@ namespace AI.Caller.Phone.Services {
                 if (handle.Client.MediaSessionManager.PeerConnection?.signalingState == RTCSignalingState.have_remote_offer ||
                     handle.Client.MediaSessionManager.PeerConnection?.signalingState == RTCSignalingState.stable) {
                     try {
-                        _hubContext.Clients.User(routingResult.TargetUser.Id.ToString()).SendAsync("receiveIceCandidate", candidate.toJSON());
+                        _hubContext.Clients.User(routingResult.TargetUser.Id.ToString()).SendAsync("receiveIceCandidate", candidate.toJSON(), callContext.CallId);
                     } catch (Exception e) {
                         _logger.LogError(e, "发送ICE candidate失败");
                     }
@@ -1035,6 +1118,7 @@ namespace AI.Caller.Phone.Services {
             await Task.Delay(1500);
 
             await handle.Client.AnswerAsync();
+            callContext.AnsweredAt = DateTime.UtcNow;
 
             handle.Client.MediaSessionManager!.UpdateNegotiatedCodecFromSession();
 
@@ -1054,13 +1138,13 @@ namespace AI.Caller.Phone.Services {
             callContext.Caller!.Client = handle;
 
             var answer = await handle.Client.OfferAsync(sdpOffer) ?? throw new Exception("无法配置RTPPeerContext");
-            await _hubContext.Clients.User(callerUser.Id.ToString()).SendAsync("sdpAnswered", answer.toJSON());
+            await _hubContext.Clients.User(callerUser.Id.ToString()).SendAsync("sdpAnswered", answer.toJSON(), callContext.CallId);
 
             handle.Client.MediaSessionManager!.IceCandidateGenerated += (candidate) => {
                 if (handle.Client.MediaSessionManager.PeerConnection?.signalingState == RTCSignalingState.have_remote_offer ||
                     handle.Client.MediaSessionManager.PeerConnection?.signalingState == RTCSignalingState.stable) {
                     try {
-                        _hubContext.Clients.User(callerUser.Id.ToString()).SendAsync("receiveIceCandidate", candidate.toJSON());
+                        _hubContext.Clients.User(callerUser.Id.ToString()).SendAsync("receiveIceCandidate", candidate.toJSON(), callContext.CallId);
                     } catch (Exception e) {
                         _logger.LogError(e, "发送ICE candidate失败");
                     }
@@ -1151,6 +1235,7 @@ namespace AI.Caller.Phone.Services {
             uas.Progress(SIPResponseStatusCodesEnum.Ringing, "Ringing", null, null, null);
 
             await handle.Client.AnswerAsync();
+            callContext.AnsweredAt = DateTime.UtcNow;
 
             handle.Client.MediaSessionManager!.UpdateNegotiatedCodecFromSession();
 
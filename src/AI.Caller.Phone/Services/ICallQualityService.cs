@@ -0,0 +1,9 @@
+using AI.Caller.Phone.Models.Dto;
+
+namespace AI.Caller.Phone.Services;
+
+public interface ICallQualityService {
+    Task<int> SaveSamplesAsync(int userId, CallQualityReportDto report);
+
+    Task<CallQualitySummaryDto?> GetSummaryAsync(string callId, int userId, bool includeAllUsers);
+}
@@ -0,0 +1,13 @@
+using AI.Caller.Phone.Models.Dto;
+
+namespace AI.Caller.Phone.Services;
+
+public interface ICallerLookupService {
+    /// <summary>
+    /// 查询来电号码的弹屏信息：先查坐席通讯录与Web坐席，再查CRM
+    /// </summary>
+    /// <param name="userId">接听的坐席</param>
+    /// <param name="number">来电号码</param>
+    /// <param name="excludeCallId">正在振铃的通话，不计入最近通话</param>
+    Task<CallerLookupDto> LookupAsync(int userId, string number, string? excludeCallId = null);
+}
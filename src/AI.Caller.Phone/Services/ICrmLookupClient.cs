@@ -0,0 +1,10 @@
+using AI.Caller.Phone.Models.Dto;
+
+namespace AI.Caller.Phone.Services;
+
+public interface ICrmLookupClient {
+    /// <summary>
+    /// 按号码查询CRM客户，未配置CRM、未找到或查询失败时返回null
+    /// </summary>
+    Task<CrmCustomerDto?> LookupAsync(string number, CancellationToken cancellationToken = default);
+}
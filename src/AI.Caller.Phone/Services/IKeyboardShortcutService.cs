@@ -0,0 +1,7 @@
+namespace AI.Caller.Phone.Services;
+
+public interface IKeyboardShortcutService {
+    Task<Dictionary<string, string>> GetShortcutsAsync(int userId);
+
+    Task<Dictionary<string, string>> SaveShortcutsAsync(int userId, Dictionary<string, string>? shortcuts);
+}
@@ -22,6 +22,11 @@ public interface IPlaybackControlService {
     /// </summary>
     Task UpdateCurrentSegmentAsync(string callId, int segmentId);
 
+    /// <summary>
+    /// 更新播放状态（暂停/恢复）
+    /// </summary>
+    Task UpdatePlaybackStateAsync(string callId, PlaybackState state);
+
     /// <summary>
     /// 跳过片段
     /// </summary>
@@ -15,7 +15,7 @@ public interface IRingtoneService {
 
     Task<UserRingtoneSettingsDto?> GetUserSettingsAsync(int userId);
 
-    Task<bool> UpdateUserSettingsAsync(int userId, int? incomingRingtoneId, int? ringbackToneId);
+    Task<bool> UpdateUserSettingsAsync(int userId, int? incomingRingtoneId, int? ringbackToneId, int? holdToneId = null);
 
     Task<SystemRingtoneSettings?> GetSystemSettingsAsync();
 
@@ -0,0 +1,13 @@
+using AI.Caller.Phone.Models.Dto;
+
+namespace AI.Caller.Phone.Services;
+
+public interface ISpeedDialService {
+    Task<List<SpeedDialItemDto>> GetSpeedDialsAsync(int userId);
+
+    /// <summary>
+    /// 按传入顺序整体替换用户的快速拨号按钮
+    /// </summary>
+    /// <exception cref="ArgumentException">数量超限、联系人或线路不属于该用户、号码为空</exception>
+    Task<List<SpeedDialItemDto>> SaveSpeedDialsAsync(int userId, List<SpeedDialDto> speedDials);
+}
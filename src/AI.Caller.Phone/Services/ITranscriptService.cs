@@ -0,0 +1,18 @@
+using AI.Caller.Phone.Entities;
+using AI.Caller.Phone.Models.Dto;
+
+namespace AI.Caller.Phone.Services;
+
+public interface ITranscriptService {
+    /// <summary>
+    /// 保存一句转写，关联坐席正在进行的录音
+    /// </summary>
+    Task<TranscriptSegmentDto> AddSegmentAsync(int userId, string callId, TranscriptSpeaker speaker, string text, DateTime startedAt, DateTime endedAt);
+
+    Task<List<TranscriptSegmentDto>> GetCallTranscriptAsync(int userId, string callId);
+
+    /// <summary>
+    /// 录音对应的转写，userId为空时不限制录音所属用户（管理员）；录音不存在或无权访问时返回null
+    /// </summary>
+    Task<List<TranscriptSegmentDto>?> GetRecordingTranscriptAsync(int recordingId, int? userId);
+}
@@ -0,0 +1,24 @@
+using AI.Caller.Phone.Models.Dto;
+
+namespace AI.Caller.Phone.Services;
+
+public interface IWrapUpService {
+    Task<WrapUpOptionsDto> GetOptionsAsync();
+
+    /// <summary>
+    /// 开始话后处理，重复调用返回已有记录；通话记录不存在或用户不是通话方时返回null
+    /// </summary>
+    Task<CallWrapUpDto?> StartWrapUpAsync(int userId, string callId);
+
+    Task<CallWrapUpDto?> GetPendingWrapUpAsync(int userId);
+
+    /// <summary>
+    /// 提交话后处理，未开始时返回null
+    /// </summary>
+    Task<CallWrapUpDto?> SubmitWrapUpAsync(int userId, string callId, WrapUpSubmitDto submit);
+
+    /// <summary>
+    /// 正在话后处理（暂不可用）的坐席
+    /// </summary>
+    Task<int[]> GetWrapUpUserIdsAsync();
+}
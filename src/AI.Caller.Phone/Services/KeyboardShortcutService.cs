@@ -0,0 +1,96 @@
+using System.Text.Json;
+using Microsoft.EntityFrameworkCore;
+
+namespace AI.Caller.Phone.Services;
+
+/// <summary>
+/// 拨号页快捷键服务，保存用户自定义的按键映射；未自定义的动作由前端使用默认快捷键
+/// </summary>
+public class KeyboardShortcutService : IKeyboardShortcutService {
+    private readonly AppDbContext _dbContext;
+    private readonly ILogger<KeyboardShortcutService> _logger;
+
+    private const int MaxKeyLength = 20;
+
+    /// <summary>
+    /// 可自定义的动作，与前端KeyboardShortcutManager保持一致
+    /// </summary>
+    public static readonly string[] Actions = [
+        "answer", "hangup", "mute", "hold", "toggleRecording",
+        "focusDialer", "redial", "toggleMonitor", "cheatSheet"
+    ];
+
+    private static readonly string[] Modifiers = ["Ctrl", "Alt", "Shift", "Meta"];
+
+    public KeyboardShortcutService(AppDbContext dbContext, ILogger<KeyboardShortcutService> logger) {
+        _dbContext = dbContext;
+        _logger = logger;
+    }
+
+    public async Task<Dictionary<string, string>> GetShortcutsAsync(int userId) {
+        var json = await _dbContext.Users
+            .Where(u => u.Id == userId)
+            .Select(u => u.KeyboardShortcutsJson)
+            .FirstOrDefaultAsync();
+
+        if (string.IsNullOrEmpty(json)) {
+            return new Dictionary<string, string>();
+        }
+
+        try {
+            return JsonSerializer.Deserialize<Dictionary<string, string>>(json) ?? new Dictionary<string, string>();
+        } catch (JsonException ex) {
+            _logger.LogWarning(ex, "用户 {UserId} 的快捷键配置无法解析，使用默认快捷键", userId);
+            return new Dictionary<string, string>();
+        }
+    }
+
+    /// <summary>
+    /// 保存自定义快捷键，传入空集合时恢复默认
+    /// </summary>
+    /// <exception cref="ArgumentException">动作未知、按键格式错误或按键重复</exception>
+    public async Task<Dictionary<string, string>> SaveShortcutsAsync(int userId, Dictionary<string, string>? shortcuts) {
+        var user = await _dbContext.Users.FindAsync(userId)
+            ?? throw new ArgumentException("用户不存在");
+
+        var normalized = Validate(shortcuts ?? new Dictionary<string, string>());
+        user.KeyboardShortcutsJson = normalized.Count == 0 ? null : JsonSerializer.Serialize(normalized);
+        await _dbContext.SaveChangesAsync();
+
+        _logger.LogInformation("用户 {UserId} 更新快捷键: {Count} 项自定义", userId, normalized.Count);
+        return normalized;
+    }
+
+    private static Dictionary<string, string> Validate(Dictionary<string, string> shortcuts) {
+        var result = new Dictionary<string, string>();
+        var usedKeys = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase);
+
+        foreach (var (action, key) in shortcuts) {
+            if (!Actions.Contains(action)) {
+                throw new ArgumentException($"未知的快捷键动作: {action}");
+            }
+            if (string.IsNullOrWhiteSpace(key) || !IsValidKey(key)) {
+                throw new ArgumentException($"快捷键格式无效: {key}");
+            }
+            if (usedKeys.TryGetValue(key, out var existing)) {
+                throw new ArgumentException($"快捷键 {key} 同时分配给了 {existing} 和 {action}");
+            }
+
+            usedKeys[key] = action;
+            result[action] = key;
+        }
+
+        return result;
+    }
+
+    private static bool IsValidKey(string key) {
+        var parts = key.Split('+');
+        var mainKey = parts[^1];
+        if (mainKey.Length == 0 || mainKey.Length > MaxKeyLength || Modifiers.Contains(mainKey)) {
+            return false;
+        }
+
+        var modifiers = parts[..^1];
+        return modifiers.All(m => Modifiers.Contains(m)) && modifiers.Distinct().Count() == modifiers.Length;
+    }
+}
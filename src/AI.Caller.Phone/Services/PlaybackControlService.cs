@@ -73,6 +73,27 @@ public class PlaybackControlService : IPlaybackControlService {
         }
     }
 
+    public async Task UpdatePlaybackStateAsync(string callId, PlaybackState state) {
+        try {
+            var control = await GetOrCreateControlAsync(callId);
+
+            control.PlaybackState = state;
+            if (state == PlaybackState.Paused) {
+                control.PausedAt = DateTime.UtcNow;
+            } else if (state == PlaybackState.Playing) {
+                control.ResumedAt = DateTime.UtcNow;
+            }
+            control.UpdatedAt = DateTime.UtcNow;
+
+            await _dbContext.SaveChangesAsync();
+
+            _logger.LogInformation("播放状态已更新: CallId {CallId}, State {State}", callId, state);
+        } catch (Exception ex) {
+            _logger.LogError(ex, "更新播放状态失败: {CallId}, {State}", callId, state);
+            throw;
+        }
+    }
+
 
     public async Task SkipSegmentAsync(string callId, int segmentId) {
         try {
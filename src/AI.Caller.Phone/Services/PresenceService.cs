@@ -0,0 +1,48 @@
+using AI.Caller.Phone.Models;
+
+namespace AI.Caller.Phone.Services;
+
+/// <summary>
+/// Web坐席在线状态：由SignalR连接与心跳判断是否在线，由进行中的通话判断是否通话中
+/// </summary>
+public class PresenceService {
+    public const string Online = "online";
+    public const string OnCall = "onCall";
+    public const string Offline = "offline";
+
+    /// <summary>
+    /// 前端每5秒发送一次心跳，超过该时长未活动视为离线
+    /// </summary>
+    private static readonly TimeSpan OnlineThreshold = TimeSpan.FromSeconds(30);
+
+    private readonly ApplicationContext _applicationContext;
+    private readonly ICallManager _callManager;
+
+    public PresenceService(ApplicationContext applicationContext, ICallManager callManager) {
+        _applicationContext = applicationContext;
+        _callManager = callManager;
+    }
+
+    /// <summary>
+    /// 获取指定用户的在线状态，不在结果中的用户视为离线
+    /// </summary>
+    public Dictionary<int, string> GetPresences(IEnumerable<int> userIds) {
+        var presences = GetAllPresences();
+        return userIds.Distinct().ToDictionary(id => id, id => presences.GetValueOrDefault(id, Offline));
+    }
+
+    /// <summary>
+    /// 获取所有在线或通话中用户的状态
+    /// </summary>
+    public Dictionary<int, string> GetAllPresences() {
+        var cutoff = DateTime.UtcNow - OnlineThreshold;
+        var presences = _applicationContext.UserSessions.Values
+            .Where(s => s.IsOnline && s.LastActivity >= cutoff)
+            .ToDictionary(s => s.UserId, _ => Online);
+
+        foreach (var user in _callManager.GetActiviteUsers()) {
+            presences[user.Id] = OnCall;
+        }
+        return presences;
+    }
+}
@@ -58,11 +58,14 @@ public class RingtoneService : IRingtoneService {
         var userSettings = await _dbContext.UserRingtoneSettings
             .Include(s => s.IncomingRingtone)
             .Include(s => s.RingbackTone)
+            .Include(s => s.HoldTone)
             .FirstOrDefaultAsync(s => s.UserId == userId);
 
-        Ringtone? userRingtone = type == RingtoneType.Incoming
-            ? userSettings?.IncomingRingtone
-            : userSettings?.RingbackTone;
+        Ringtone? userRingtone = type switch {
+            RingtoneType.Incoming => userSettings?.IncomingRingtone,
+            RingtoneType.Hold     => userSettings?.HoldTone,
+            _                     => userSettings?.RingbackTone
+        };
 
         if (userRingtone != null) {
             _logger.LogInformation("使用用户自定义铃音: {RingtoneName}", userRingtone.Name);
@@ -74,6 +77,7 @@ public class RingtoneService : IRingtoneService {
             .Include(s => s.DefaultRingbackTone)
             .FirstOrDefaultAsync();
 
+        // 系统未单独配置保持音乐，保持音乐回退使用系统默认回铃音
         if (systemSettings != null) {
             Ringtone? systemRingtone = type == RingtoneType.Incoming
                 ? systemSettings.DefaultIncomingRingtone
@@ -168,7 +172,7 @@ public class RingtoneService : IRingtoneService {
         }
 
         var isInUse = await _dbContext.UserRingtoneSettings
-            .AnyAsync(s => s.IncomingRingtoneId == ringtoneId || s.RingbackToneId == ringtoneId);
+            .AnyAsync(s => s.IncomingRingtoneId == ringtoneId || s.RingbackToneId == ringtoneId || s.HoldToneId == ringtoneId);
 
         if (isInUse) {
             throw new InvalidOperationException("此铃音正在被使用，无法删除");
@@ -191,6 +195,7 @@ public class RingtoneService : IRingtoneService {
         var settings = await _dbContext.UserRingtoneSettings
             .Include(s => s.IncomingRingtone)
             .Include(s => s.RingbackTone)
+            .Include(s => s.HoldTone)
             .FirstOrDefaultAsync(s => s.UserId == userId);
 
         if (settings == null) {
@@ -213,11 +218,18 @@ public class RingtoneService : IRingtoneService {
                 Type = settings.RingbackTone.Type,
                 IsSystem = settings.RingbackTone.IsSystem
             } : null,
+            HoldTone = settings.HoldTone != null ? new RingtoneDto {
+                Id = settings.HoldTone.Id,
+                Name = settings.HoldTone.Name,
+                FilePath = settings.HoldTone.FilePath,
+                Type = settings.HoldTone.Type,
+                IsSystem = settings.HoldTone.IsSystem
+            } : null,
             UpdatedAt = settings.UpdatedAt
         };
     }
 
-    public async Task<bool> UpdateUserSettingsAsync(int userId, int? incomingRingtoneId, int? ringbackToneId) {
+    public async Task<bool> UpdateUserSettingsAsync(int userId, int? incomingRingtoneId, int? ringbackToneId, int? holdToneId = null) {
         var settings = await _dbContext.UserRingtoneSettings
             .FirstOrDefaultAsync(s => s.UserId == userId);
 
@@ -226,6 +238,7 @@ public class RingtoneService : IRingtoneService {
                 UserId = userId,
                 IncomingRingtoneId = incomingRingtoneId,
                 RingbackToneId = ringbackToneId,
+                HoldToneId = holdToneId,
                 CreatedAt = DateTime.UtcNow,
                 UpdatedAt = DateTime.UtcNow
             };
@@ -233,6 +246,7 @@ public class RingtoneService : IRingtoneService {
         } else {
             settings.IncomingRingtoneId = incomingRingtoneId;
             settings.RingbackToneId = ringbackToneId;
+            settings.HoldToneId = holdToneId;
             settings.UpdatedAt = DateTime.UtcNow;
         }
 
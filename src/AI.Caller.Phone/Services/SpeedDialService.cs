@@ -0,0 +1,98 @@
+using AI.Caller.Phone.Entities;
+using AI.Caller.Phone.Models.Dto;
+using Microsoft.EntityFrameworkCore;
+
+namespace AI.Caller.Phone.Services;
+
+/// <summary>
+/// 拨号页收藏栏（快速拨号）服务，每个用户最多保存MaxSpeedDials个按钮
+/// </summary>
+public class SpeedDialService : ISpeedDialService {
+    public const int MaxSpeedDials = 12;
+
+    private const int MaxLabelLength = 50;
+    private const int MaxPhoneNumberLength = 50;
+
+    private readonly AppDbContext _dbContext;
+    private readonly ILogger<SpeedDialService> _logger;
+
+    public SpeedDialService(AppDbContext dbContext, ILogger<SpeedDialService> logger) {
+        _dbContext = dbContext;
+        _logger = logger;
+    }
+
+    public async Task<List<SpeedDialItemDto>> GetSpeedDialsAsync(int userId) {
+        var speedDials = await _dbContext.SpeedDials
+            .Include(s => s.Contact)
+            .Include(s => s.PreferredLine)
+            .Where(s => s.UserId == userId)
+            .OrderBy(s => s.Position)
+            .ToListAsync();
+
+        return speedDials.Select(s => new SpeedDialItemDto {
+            Id = s.Id,
+            Position = s.Position,
+            Label = s.Label,
+            ContactId = s.ContactId,
+            ContactName = s.Contact?.Name,
+            PhoneNumber = s.Contact?.PhoneNumber ?? s.PhoneNumber ?? string.Empty,
+            PreferredLineId = s.PreferredLineId,
+            PreferredLineName = s.PreferredLine?.Name
+        }).ToList();
+    }
+
+    public async Task<List<SpeedDialItemDto>> SaveSpeedDialsAsync(int userId, List<SpeedDialDto> speedDials) {
+        if (speedDials.Count > MaxSpeedDials) {
+            throw new ArgumentException($"快速拨号最多 {MaxSpeedDials} 个");
+        }
+
+        var contactIds = await _dbContext.Contacts
+            .Where(c => c.UserId == userId)
+            .Select(c => c.Id)
+            .ToListAsync();
+        var lineIds = await _dbContext.Users
+            .Where(u => u.Id == userId && u.SipAccount != null)
+            .SelectMany(u => u.SipAccount!.AvailableLines.Select(l => l.Id))
+            .ToListAsync();
+
+        var entities = speedDials.Select((dto, index) => {
+            var phoneNumber = dto.PhoneNumber?.Trim();
+            var label = dto.Label?.Trim();
+
+            if (dto.ContactId.HasValue) {
+                if (!contactIds.Contains(dto.ContactId.Value)) {
+                    throw new ArgumentException($"联系人 {dto.ContactId} 不存在");
+                }
+                phoneNumber = null;
+            } else if (string.IsNullOrEmpty(phoneNumber)) {
+                throw new ArgumentException($"第 {index + 1} 个快速拨号未设置联系人或号码");
+            } else if (phoneNumber.Length > MaxPhoneNumberLength) {
+                throw new ArgumentException($"号码过长: {phoneNumber}");
+            }
+
+            if (label?.Length > MaxLabelLength) {
+                throw new ArgumentException($"显示名称不能超过 {MaxLabelLength} 个字符");
+            }
+            if (dto.PreferredLineId.HasValue && !lineIds.Contains(dto.PreferredLineId.Value)) {
+                throw new ArgumentException($"线路 {dto.PreferredLineId} 不可用");
+            }
+
+            return new SpeedDial {
+                UserId = userId,
+                Position = index,
+                Label = string.IsNullOrEmpty(label) ? null : label,
+                ContactId = dto.ContactId,
+                PhoneNumber = phoneNumber,
+                PreferredLineId = dto.PreferredLineId
+            };
+        }).ToList();
+
+        var existing = await _dbContext.SpeedDials.Where(s => s.UserId == userId).ToListAsync();
+        _dbContext.SpeedDials.RemoveRange(existing);
+        _dbContext.SpeedDials.AddRange(entities);
+        await _dbContext.SaveChangesAsync();
+
+        _logger.LogInformation("用户 {UserId} 更新快速拨号: {Count} 个", userId, entities.Count);
+        return await GetSpeedDialsAsync(userId);
+    }
+}
@@ -0,0 +1,89 @@
+using AI.Caller.Phone.Entities;
+using AI.Caller.Phone.Models;
+using AI.Caller.Phone.Models.Dto;
+using Microsoft.EntityFrameworkCore;
+
+namespace AI.Caller.Phone.Services;
+
+/// <summary>
+/// 通话转写存储：实时转写的每句话按坐席保存并关联录音，供通话中刷新页面恢复与录音回放
+/// </summary>
+public class TranscriptService : ITranscriptService {
+    private const int MaxTextLength = 2000;
+
+    private readonly AppDbContext _dbContext;
+    private readonly ILogger<TranscriptService> _logger;
+
+    public TranscriptService(AppDbContext dbContext, ILogger<TranscriptService> logger) {
+        _dbContext = dbContext;
+        _logger = logger;
+    }
+
+    public async Task<TranscriptSegmentDto> AddSegmentAsync(int userId, string callId, TranscriptSpeaker speaker, string text, DateTime startedAt, DateTime endedAt) {
+        var recording = await _dbContext.Recordings
+            .AsNoTracking()
+            .Where(r => r.UserId == userId && r.Status == RecordingStatus.Recording)
+            .OrderByDescending(r => r.StartTime)
+            .FirstOrDefaultAsync();
+
+        text = text.Trim();
+        var segment = new CallTranscriptSegment {
+            CallId = callId,
+            UserId = userId,
+            RecordingId = recording?.Id,
+            Speaker = speaker,
+            Text = text.Length > MaxTextLength ? text[..MaxTextLength] : text,
+            StartedAt = startedAt,
+            EndedAt = endedAt
+        };
+        _dbContext.CallTranscriptSegments.Add(segment);
+        await _dbContext.SaveChangesAsync();
+
+        _logger.LogDebug("已保存通话转写: 用户 {UserId}, CallId={CallId}, RecordingId={RecordingId}", userId, callId, segment.RecordingId);
+        return ToDto(segment, recording?.StartTime);
+    }
+
+    public async Task<List<TranscriptSegmentDto>> GetCallTranscriptAsync(int userId, string callId) {
+        var segments = await _dbContext.CallTranscriptSegments
+            .AsNoTracking()
+            .Where(s => s.CallId == callId && s.UserId == userId)
+            .OrderBy(s => s.StartedAt)
+            .ThenBy(s => s.Id)
+            .ToListAsync();
+
+        return segments.Select(s => ToDto(s, null)).ToList();
+    }
+
+    public async Task<List<TranscriptSegmentDto>?> GetRecordingTranscriptAsync(int recordingId, int? userId) {
+        var recording = await _dbContext.Recordings
+            .AsNoTracking()
+            .FirstOrDefaultAsync(r => r.Id == recordingId && (userId == null || r.UserId == userId));
+        if (recording == null) {
+            return null;
+        }
+
+        var segments = await _dbContext.CallTranscriptSegments
+            .AsNoTracking()
+            .Where(s => s.RecordingId == recordingId)
+            .OrderBy(s => s.StartedAt)
+            .ThenBy(s => s.Id)
+            .ToListAsync();
+
+        return segments.Select(s => ToDto(s, recording.StartTime)).ToList();
+    }
+
+    private static TranscriptSegmentDto ToDto(CallTranscriptSegment segment, DateTime? recordingStartTime) {
+        return new TranscriptSegmentDto {
+            Id = segment.Id,
+            CallId = segment.CallId,
+            Speaker = segment.Speaker == TranscriptSpeaker.Agent ? "agent" : "customer",
+            Text = segment.Text,
+            StartedAt = segment.StartedAt,
+            EndedAt = segment.EndedAt,
+            // 录音在接通后稍晚开始，之前说的话从录音开头显示
+            OffsetSeconds = recordingStartTime.HasValue
+                ? Math.Max(0, (segment.StartedAt - recordingStartTime.Value).TotalSeconds)
+                : null
+        };
+    }
+}
@@ -0,0 +1,304 @@
+using AI.Caller.Core;
+using AI.Caller.Core.Media;
+using AI.Caller.Core.Media.Encoders;
+using AI.Caller.Core.Media.Vad;
+using AI.Caller.Phone.Entities;
+using AI.Caller.Phone.Hubs;
+using Microsoft.AspNetCore.SignalR;
+using SIPSorcery.Net;
+using System.Buffers.Binary;
+using System.Collections.Concurrent;
+using System.Net;
+using System.Threading.Channels;
+
+namespace AI.Caller.Phone.Services;
+
+/// <summary>
+/// 通话实时转写：通话接通后对坐席和客户两路音频分别做语音活动检测，每说完一句用离线识别模型转写，
+/// 保存后通过SignalR（transcriptSegment）推送给坐席。需在配置中开启Transcription:Enabled并提供识别模型
+/// </summary>
+public class TranscriptionManager {
+    private readonly ILogger _logger;
+    private readonly IServiceProvider _serviceProvider;
+    private readonly IServiceScopeFactory _serviceScopeFactory;
+    private readonly IHubContext<WebRtcHub> _hubContext;
+    private readonly IConfiguration _configuration;
+    private readonly ConcurrentDictionary<string, TranscriptionSession> _sessions = new();
+
+    public TranscriptionManager(
+        IServiceProvider serviceProvider,
+        IServiceScopeFactory serviceScopeFactory,
+        IHubContext<WebRtcHub> hubContext,
+        IConfiguration configuration,
+        ILogger<TranscriptionManager> logger) {
+        _logger = logger;
+        _serviceProvider = serviceProvider;
+        _serviceScopeFactory = serviceScopeFactory;
+        _hubContext = hubContext;
+        _configuration = configuration;
+    }
+
+    public bool IsEnabled => _configuration.GetValue("Transcription:Enabled", false);
+
+    public void OnSipCalled(string callId, int userId, SIPClient sipClient) {
+        if (!IsEnabled) return;
+
+        try {
+            var session = new TranscriptionSession(callId, userId, sipClient, this, _logger);
+            if (!_sessions.TryAdd(GetKey(callId, userId), session)) return;
+
+            session.Attach();
+            _logger.LogDebug("已为SIP客户端 {UserId} 订阅转写事件, CallId={CallId}", userId, callId);
+        } catch (Exception ex) {
+            _logger.LogError(ex, "为SIP客户端 {UserId} 订阅转写事件失败", userId);
+        }
+    }
+
+    public void OnSipHanguped(string callId, int userId) {
+        if (!_sessions.TryRemove(GetKey(callId, userId), out var session)) return;
+
+        _ = Task.Run(async () => {
+            try {
+                await session.StopAsync();
+                _logger.LogDebug("已清理SIP客户端 {UserId} 的转写资源, CallId={CallId}", userId, callId);
+            } catch (Exception ex) {
+                _logger.LogError(ex, "清理SIP客户端 {UserId} 转写资源失败", userId);
+            }
+        });
+    }
+
+    /// <summary>
+    /// 识别模型加载较慢且占用内存，首次转写时才创建；模型缺失时返回null，本次通话不转写
+    /// </summary>
+    internal IAsrEngine? GetAsrEngine() {
+        try {
+            return _serviceProvider.GetRequiredService<IAsrEngine>();
+        } catch (Exception ex) {
+            _logger.LogError(ex, "加载语音识别模型失败，请检查RecognizerSettings配置");
+            return null;
+        }
+    }
+
+    internal IServiceScope CreateScope() => _serviceScopeFactory.CreateScope();
+
+    internal async Task OnSegmentRecognizedAsync(string callId, int userId, TranscriptSpeaker speaker, string text, DateTime startedAt, DateTime endedAt) {
+        try {
+            using var scope = _serviceScopeFactory.CreateScope();
+            var transcriptService = scope.ServiceProvider.GetRequiredService<ITranscriptService>();
+            var segment = await transcriptService.AddSegmentAsync(userId, callId, speaker, text, startedAt, endedAt);
+
+            await _hubContext.Clients.User(userId.ToString()).SendAsync("transcriptSegment", segment, callId);
+        } catch (Exception ex) {
+            _logger.LogError(ex, "保存或推送通话转写失败: 用户 {UserId}, CallId={CallId}", userId, callId);
+        }
+    }
+
+    private static string GetKey(string callId, int userId) => $"{callId}:{userId}";
+}
+
+/// <summary>
+/// 单个坐席一通电话的转写会话，音频回调只解码入队，识别在后台顺序进行，不阻塞媒体线程
+/// </summary>
+internal class TranscriptionSession {
+    private const int SampleRate = 8000;
+    private const int BytesPerSecond = SampleRate * 2;
+    private const int MaxSegmentBytes = BytesPerSecond * 15;   // 单句最长15秒，超过后先转写已说的部分
+    private const int MinSegmentBytes = BytesPerSecond / 4;    // 短于250毫秒的多为噪声，不转写
+    private const int PreRollBytes = BytesPerSecond * 3 / 10;  // 检测到说话前保留300毫秒，避免丢掉句首
+
+    private readonly string _callId;
+    private readonly int _userId;
+    private readonly SIPClient _sipClient;
+    private readonly TranscriptionManager _manager;
+    private readonly ILogger _logger;
+    private readonly Channel<AudioFrame> _frames = Channel.CreateBounded<AudioFrame>(new BoundedChannelOptions(1000) {
+        FullMode = BoundedChannelFullMode.DropOldest,
+        SingleReader = true
+    });
+    private readonly object _lock = new();
+
+    private MediaSessionManager? _mediaSessionManager;
+    private IServiceScope? _scope;
+    private Task? _processTask;
+    private bool _started;
+    private bool _stopped;
+
+    public TranscriptionSession(string callId, int userId, SIPClient sipClient, TranscriptionManager manager, ILogger logger) {
+        _callId = callId;
+        _userId = userId;
+        _sipClient = sipClient;
+        _manager = manager;
+        _logger = logger;
+    }
+
+    public void Attach() {
+        _sipClient.CallAnswered += OnCallAnswered;
+        _sipClient.CallEnding += OnCallEnding;
+
+        // 接听事件可能早于订阅触发
+        if (_sipClient.IsCallActive) {
+            OnCallAnswered(_sipClient);
+        }
+    }
+
+    public async Task StopAsync() {
+        lock (_lock) {
+            if (_stopped) return;
+            _stopped = true;
+
+            _sipClient.CallAnswered -= OnCallAnswered;
+            _sipClient.CallEnding -= OnCallEnding;
+            if (_mediaSessionManager != null) {
+                _mediaSessionManager.AudioDataReceived -= OnAudioDataReceived;
+                _mediaSessionManager.AudioDataSent -= OnAudioDataSent;
+            }
+        }
+
+        _frames.Writer.TryComplete();
+        if (_processTask != null) {
+            await _processTask;
+        }
+        _scope?.Dispose();
+    }
+
+    private void OnCallAnswered(SIPClient client) {
+        lock (_lock) {
+            if (_started || _stopped) return;
+            _started = true;
+        }
+
+        var asrEngine = _manager.GetAsrEngine();
+        var mediaSessionManager = client.MediaSessionManager;
+        if (asrEngine == null || mediaSessionManager == null) return;
+
+        lock (_lock) {
+            // 加载模型期间可能已经挂断
+            if (_stopped) return;
+
+            _scope = _manager.CreateScope();
+            var legs = new Dictionary<TranscriptSpeaker, LegState> {
+                [TranscriptSpeaker.Agent] = new(_scope.ServiceProvider.GetRequiredService<IVoiceActivityDetector>()),
+                [TranscriptSpeaker.Customer] = new(_scope.ServiceProvider.GetRequiredService<IVoiceActivityDetector>())
+            };
+
+            _mediaSessionManager = mediaSessionManager;
+            _mediaSessionManager.AudioDataReceived += OnAudioDataReceived; // 对方的声音
+            _mediaSessionManager.AudioDataSent += OnAudioDataSent;         // 坐席的声音
+            _processTask = Task.Run(() => ProcessAsync(asrEngine, legs));
+        }
+
+        _logger.LogInformation("通话实时转写已开始 - 用户: {UserId}, CallId={CallId}", _userId, _callId);
+    }
+
+    private void OnCallEnding(SIPClient client, CallFinishStatus status) {
+        _manager.OnSipHanguped(_callId, _userId);
+    }
+
+    private void OnAudioDataReceived(IPEndPoint remote, SDPMediaTypesEnum mediaType, RTPPacket rtpPacket) {
+        Enqueue(TranscriptSpeaker.Customer, mediaType, rtpPacket);
+    }
+
+    private void OnAudioDataSent(IPEndPoint remote, SDPMediaTypesEnum mediaType, RTPPacket rtpPacket) {
+        Enqueue(TranscriptSpeaker.Agent, mediaType, rtpPacket);
+    }
+
+    private void Enqueue(TranscriptSpeaker speaker, SDPMediaTypesEnum mediaType, RTPPacket rtpPacket) {
+        if (mediaType != SDPMediaTypesEnum.audio || rtpPacket?.Payload == null || rtpPacket.Payload.Length == 0) return;
+
+        var pcm = DecodeG711(rtpPacket.Payload, rtpPacket.Header.PayloadType);
+        if (pcm != null) {
+            _frames.Writer.TryWrite(new AudioFrame(speaker, pcm, DateTime.UtcNow));
+        }
+    }
+
+    private async Task ProcessAsync(IAsrEngine asrEngine, Dictionary<TranscriptSpeaker, LegState> legs) {
+        var lastFrameAt = DateTime.UtcNow;
+        try {
+            await foreach (var frame in _frames.Reader.ReadAllAsync()) {
+                var leg = legs[frame.Speaker];
+                lastFrameAt = frame.ReceivedAt;
+
+                if (leg.Vad.Update(frame.Pcm).State == VADState.Speaking) {
+                    if (leg.Buffer.Length == 0) {
+                        leg.StartedAt = frame.ReceivedAt.AddSeconds(-(double)leg.PreRollLength / BytesPerSecond);
+                        foreach (var preRoll in leg.PreRoll) {
+                            leg.Buffer.Write(preRoll);
+                        }
+                        leg.ClearPreRoll();
+                    }
+                    leg.Buffer.Write(frame.Pcm);
+
+                    if (leg.Buffer.Length >= MaxSegmentBytes) {
+                        await FlushAsync(asrEngine, frame.Speaker, leg, frame.ReceivedAt);
+                    }
+                } else if (leg.Buffer.Length > 0) {
+                    leg.Buffer.Write(frame.Pcm);
+                    await FlushAsync(asrEngine, frame.Speaker, leg, frame.ReceivedAt);
+                } else {
+                    leg.AddPreRoll(frame.Pcm, PreRollBytes);
+                }
+            }
+
+            // 挂断时说到一半的话也转写出来
+            foreach (var (speaker, leg) in legs) {
+                await FlushAsync(asrEngine, speaker, leg, lastFrameAt);
+            }
+        } catch (Exception ex) {
+            _logger.LogError(ex, "通话实时转写处理失败 - 用户: {UserId}, CallId={CallId}", _userId, _callId);
+        }
+    }
+
+    private async Task FlushAsync(IAsrEngine asrEngine, TranscriptSpeaker speaker, LegState leg, DateTime endedAt) {
+        var pcm = leg.Buffer.ToArray();
+        leg.Buffer.SetLength(0);
+        if (pcm.Length < MinSegmentBytes) return;
+
+        var text = asrEngine.RecognizeStream(pcm);
+        if (string.IsNullOrWhiteSpace(text)) return;
+
+        await _manager.OnSegmentRecognizedAsync(_callId, _userId, speaker, text, leg.StartedAt, endedAt);
+    }
+
+    /// <summary>
+    /// 只转写G.711（PCMU/PCMA），解码为8kHz 16位PCM；其他编码返回null
+    /// </summary>
+    private static byte[]? DecodeG711(byte[] payload, int payloadType) {
+        if (payloadType != 0 && payloadType != 8) return null;
+
+        var pcm = new byte[payload.Length * 2];
+        for (int i = 0; i < payload.Length; i++) {
+            var sample = payloadType == 0
+                ? MuLawDecoder.MuLawToLinearSample(payload[i])
+                : ALawDecoder.ALawToLinearSample(payload[i]);
+            BinaryPrimitives.WriteInt16LittleEndian(pcm.AsSpan(i * 2), sample);
+        }
+        return pcm;
+    }
+
+    private readonly record struct AudioFrame(TranscriptSpeaker Speaker, byte[] Pcm, DateTime ReceivedAt);
+
+    private class LegState {
+        public LegState(IVoiceActivityDetector vad) {
+            Vad = vad;
+        }
+
+        public IVoiceActivityDetector Vad { get; }
+        public MemoryStream Buffer { get; } = new();
+        public Queue<byte[]> PreRoll { get; } = new();
+        public int PreRollLength { get; private set; }
+        public DateTime StartedAt { get; set; }
+
+        public void AddPreRoll(byte[] pcm, int maxBytes) {
+            PreRoll.Enqueue(pcm);
+            PreRollLength += pcm.Length;
+            while (PreRollLength > maxBytes && PreRoll.Count > 1) {
+                PreRollLength -= PreRoll.Dequeue().Length;
+            }
+        }
+
+        public void ClearPreRoll() {
+            PreRoll.Clear();
+            PreRollLength = 0;
+        }
+    }
+}
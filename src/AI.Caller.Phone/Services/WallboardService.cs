@@ -0,0 +1,270 @@
+using AI.Caller.Core;
+using AI.Caller.Core.Media;
+using AI.Caller.Core.Media.Encoders;
+using AI.Caller.Phone.Entities;
+using AI.Caller.Phone.Models;
+using AI.Caller.Phone.Models.Dto;
+using SIPSorcery.Net;
+using System.Collections.Concurrent;
+using System.Net;
+
+namespace AI.Caller.Phone.Services;
+
+/// <summary>
+/// 班长看板：汇总坐席状态、进行中的通话与两路实时音量，由WallboardBroadcastService定时推送给看板组（wallboardUpdated）。
+/// 只有看板打开时才统计音量，最后一个看板关闭后释放
+/// </summary>
+public class WallboardService {
+    public const string GroupName = "wallboard";
+
+    private readonly IServiceScopeFactory _serviceScopeFactory;
+    private readonly ICallManager _callManager;
+    private readonly AICustomerServiceManager _aiServiceManager;
+    private readonly IConfiguration _configuration;
+    private readonly ILogger<WallboardService> _logger;
+    private readonly ConcurrentDictionary<string, byte> _subscribers = new();
+    private readonly ConcurrentDictionary<string, CallLevelMeter> _levelMeters = new();
+    private long _sequence;
+
+    public WallboardService(
+        IServiceScopeFactory serviceScopeFactory,
+        ICallManager callManager,
+        AICustomerServiceManager aiServiceManager,
+        IConfiguration configuration,
+        ILogger<WallboardService> logger) {
+        _serviceScopeFactory = serviceScopeFactory;
+        _callManager = callManager;
+        _aiServiceManager = aiServiceManager;
+        _configuration = configuration;
+        _logger = logger;
+    }
+
+    public bool HasSubscribers => !_subscribers.IsEmpty;
+
+    public void AddSubscriber(string connectionId) {
+        _subscribers.TryAdd(connectionId, 0);
+    }
+
+    public void RemoveSubscriber(string connectionId) {
+        if (_subscribers.TryRemove(connectionId, out _) && _subscribers.IsEmpty) {
+            ReleaseLevelMeters();
+        }
+    }
+
+    public WallboardThresholdsDto GetThresholds() {
+        return _configuration.GetSection("Wallboard").Get<WallboardThresholdsDto>() ?? new WallboardThresholdsDto();
+    }
+
+    public async Task<WallboardSnapshotDto> GetSnapshotAsync() {
+        List<AgentStatusDto> statuses;
+        using (var scope = _serviceScopeFactory.CreateScope()) {
+            var agentStatusService = scope.ServiceProvider.GetRequiredService<IAgentStatusService>();
+            statuses = await agentStatusService.GetAllStatusesAsync();
+        }
+
+        var calls = _callManager.GetActiveCalls();
+        UpdateLevelMeters(calls);
+
+        var snapshot = BuildSnapshot(statuses, calls, GetThresholds(), DateTime.UtcNow, ReadLevels, GetMonitorCount);
+        snapshot.Sequence = Interlocked.Increment(ref _sequence);
+        return snapshot;
+    }
+
+    /// <summary>
+    /// 由坐席状态与进行中的通话生成看板快照
+    /// </summary>
+    /// <param name="getLevels">按(callId, userId)获取坐席与客户两路音量</param>
+    /// <param name="getMonitorCount">按(callId, userId)获取监听人数，不能监听的通话返回null</param>
+    public static WallboardSnapshotDto BuildSnapshot(
+        IEnumerable<AgentStatusDto> statuses,
+        IEnumerable<CallContext> calls,
+        WallboardThresholdsDto thresholds,
+        DateTime now,
+        Func<string, int, (int Agent, int Customer)>? getLevels = null,
+        Func<string, int, int?>? getMonitorCount = null) {
+        var counters = new WallboardCountersDto();
+        var agentCalls = new Dictionary<int, WallboardCallDto>();
+
+        foreach (var ctx in calls.OrderBy(c => c.CreatedAt)) {
+            var isRinging = ctx.AnsweredAt == null;
+            var startedAt = ctx.AnsweredAt ?? ctx.CreatedAt;
+            var duration = Math.Max(0, (int)(now - startedAt).TotalSeconds);
+            var state = isRinging ? "ringing" : ctx.State == CallState.OnHold ? "held" : "talking";
+
+            if (isRinging) {
+                counters.Ringing++;
+                counters.LongestRingingSeconds = Math.Max(counters.LongestRingingSeconds, duration);
+            } else if (state == "held") {
+                counters.Held++;
+            } else {
+                counters.Talking++;
+            }
+
+            var sla = isRinging
+                ? GetSla(duration, thresholds.RingingWarningSeconds, thresholds.RingingCriticalSeconds)
+                : GetSla(duration, thresholds.TalkingWarningSeconds, thresholds.TalkingCriticalSeconds);
+
+            foreach (var leg in GetAgentLegs(ctx)) {
+                if (agentCalls.ContainsKey(leg.Agent.Id)) continue;
+
+                var levels = getLevels?.Invoke(ctx.CallId, leg.Agent.Id) ?? default;
+                var monitorCount = getMonitorCount?.Invoke(ctx.CallId, leg.Agent.Id);
+                agentCalls[leg.Agent.Id] = new WallboardCallDto {
+                    CallId = ctx.CallId,
+                    State = state,
+                    Direction = leg.Direction,
+                    PeerName = leg.PeerName,
+                    PeerNumber = leg.PeerNumber,
+                    LineName = ctx.LineName,
+                    StartedAt = startedAt,
+                    DurationSeconds = duration,
+                    Sla = sla,
+                    AgentLevel = levels.Agent,
+                    CustomerLevel = levels.Customer,
+                    CanMonitor = monitorCount != null,
+                    MonitorCount = monitorCount ?? 0
+                };
+            }
+        }
+
+        var agents = statuses.Select(status => new WallboardAgentDto {
+            UserId = status.UserId,
+            Username = status.Username,
+            Status = status.Status,
+            Reason = status.Reason,
+            Presence = status.Presence,
+            Call = agentCalls.GetValueOrDefault(status.UserId)
+        }).ToList();
+
+        counters.WrapUp = agents.Count(a => a.Reason == AgentStatusService.WrapUpReason);
+        counters.Available = agents.Count(a => a.Status == AgentAvailability.Available);
+        counters.Online = agents.Count(a => a.Status != AgentAvailability.Offline);
+
+        return new WallboardSnapshotDto {
+            Agents = agents,
+            Counters = counters,
+            Thresholds = thresholds,
+            GeneratedAt = now
+        };
+    }
+
+    public static string GetSla(int seconds, int warningSeconds, int criticalSeconds) {
+        if (criticalSeconds > 0 && seconds >= criticalSeconds) return WallboardSla.Critical;
+        if (warningSeconds > 0 && seconds >= warningSeconds) return WallboardSla.Warning;
+        return WallboardSla.Normal;
+    }
+
+    /// <summary>
+    /// 通话中的Web坐席：主叫坐席为外呼，被叫坐席为呼入，坐席之间的通话双方各算一通
+    /// </summary>
+    private static IEnumerable<(User Agent, string Direction, string? PeerName, string? PeerNumber)> GetAgentLegs(CallContext ctx) {
+        if (ctx.Caller?.User != null) {
+            yield return (ctx.Caller.User, "outbound", GetDisplayName(ctx.Callee?.User), ctx.Callee?.Number);
+        }
+        if (ctx.Callee?.User != null) {
+            yield return (ctx.Callee.User, "inbound", GetDisplayName(ctx.Caller?.User), ctx.Caller?.Number);
+        }
+    }
+
+    private static string? GetDisplayName(User? user) => user == null ? null : user.DisplayName ?? user.Username;
+
+    private int? GetMonitorCount(string callId, int userId) {
+        var session = _aiServiceManager.GetActiveSession(userId);
+        if (session == null || session.CallId != callId) return null;
+        return _aiServiceManager.GetCallMonitors(userId).Count;
+    }
+
+    /// <summary>
+    /// 为新通话订阅音量统计，释放已结束通话的统计
+    /// </summary>
+    private void UpdateLevelMeters(IEnumerable<CallContext> calls) {
+        var activeKeys = new HashSet<string>();
+        foreach (var ctx in calls) {
+            TrackLevels(ctx.CallId, ctx.Caller?.User, ctx.Caller?.MediaManager, activeKeys);
+            TrackLevels(ctx.CallId, ctx.Callee?.User, ctx.Callee?.MediaManager, activeKeys);
+        }
+
+        foreach (var key in _levelMeters.Keys.Where(k => !activeKeys.Contains(k))) {
+            if (_levelMeters.TryRemove(key, out var meter)) {
+                meter.Dispose();
+            }
+        }
+    }
+
+    private void TrackLevels(string callId, User? user, MediaSessionManager? mediaSessionManager, HashSet<string> activeKeys) {
+        if (user == null || mediaSessionManager == null) return;
+
+        var key = GetKey(callId, user.Id);
+        activeKeys.Add(key);
+        _levelMeters.GetOrAdd(key, _ => new CallLevelMeter(mediaSessionManager));
+    }
+
+    private (int Agent, int Customer) ReadLevels(string callId, int userId) {
+        return _levelMeters.TryGetValue(GetKey(callId, userId), out var meter) ? meter.Read() : default;
+    }
+
+    private void ReleaseLevelMeters() {
+        foreach (var key in _levelMeters.Keys) {
+            if (_levelMeters.TryRemove(key, out var meter)) {
+                meter.Dispose();
+            }
+        }
+        _logger.LogDebug("班长看板已全部关闭，释放通话音量统计");
+    }
+
+    private static string GetKey(string callId, int userId) => $"{callId}:{userId}";
+}
+
+/// <summary>
+/// 一个坐席一通电话两路RTP音频的峰值音量，只统计G.711，其他编码音量为0
+/// </summary>
+internal sealed class CallLevelMeter : IDisposable {
+    private readonly MediaSessionManager _mediaSessionManager;
+    private int _agentPeak;
+    private int _customerPeak;
+
+    public CallLevelMeter(MediaSessionManager mediaSessionManager) {
+        _mediaSessionManager = mediaSessionManager;
+        _mediaSessionManager.AudioDataReceived += OnAudioDataReceived; // 对方的声音
+        _mediaSessionManager.AudioDataSent += OnAudioDataSent;         // 坐席的声音
+    }
+
+    /// <summary>
+    /// 读取上次读取以来的峰值音量（0-100）并清零
+    /// </summary>
+    public (int Agent, int Customer) Read() {
+        return (AudioLevel.FromPeak(Interlocked.Exchange(ref _agentPeak, 0)), AudioLevel.FromPeak(Interlocked.Exchange(ref _customerPeak, 0)));
+    }
+
+    private void OnAudioDataReceived(IPEndPoint remote, SDPMediaTypesEnum mediaType, RTPPacket rtpPacket) {
+        UpdatePeak(ref _customerPeak, mediaType, rtpPacket);
+    }
+
+    private void OnAudioDataSent(IPEndPoint remote, SDPMediaTypesEnum mediaType, RTPPacket rtpPacket) {
+        UpdatePeak(ref _agentPeak, mediaType, rtpPacket);
+    }
+
+    private static void UpdatePeak(ref int peak, SDPMediaTypesEnum mediaType, RTPPacket rtpPacket) {
+        if (mediaType != SDPMediaTypesEnum.audio || rtpPacket?.Payload == null) return;
+
+        var payloadType = rtpPacket.Header.PayloadType;
+        if (payloadType != 0 && payloadType != 8) return;
+
+        int max = 0;
+        foreach (var value in rtpPacket.Payload) {
+            int sample = payloadType == 0 ? MuLawDecoder.MuLawToLinearSample(value) : ALawDecoder.ALawToLinearSample(value);
+            max = Math.Max(max, Math.Abs(sample));
+        }
+
+        int current;
+        do {
+            current = Volatile.Read(ref peak);
+            if (max <= current) return;
+        } while (Interlocked.CompareExchange(ref peak, max, current) != current);
+    }
+
+    public void Dispose() {
+        _mediaSessionManager.AudioDataReceived -= OnAudioDataReceived;
+        _mediaSessionManager.AudioDataSent -= OnAudioDataSent;
+    }
+}
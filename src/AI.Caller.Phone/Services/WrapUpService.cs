@@ -0,0 +1,182 @@
+using AI.Caller.Phone.Entities;
+using AI.Caller.Phone.Hubs;
+using AI.Caller.Phone.Models.Dto;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.EntityFrameworkCore;
+
+namespace AI.Caller.Phone.Services;
+
+/// <summary>
+/// 话后处理服务：坐席通话结束后填写处理结果、备注与标签，提交前不接收新来电
+/// </summary>
+public class WrapUpService : IWrapUpService {
+    public const char TagSeparator = ',';
+
+    private const int DefaultTimeLimitSeconds = 120;
+    private const int MaxNotesLength = 1000;
+    private const int MaxTagsLength = 500;
+
+    private readonly AppDbContext _dbContext;
+    private readonly IHubContext<WebRtcHub> _hubContext;
+    private readonly IConfiguration _configuration;
+    private readonly ILogger<WrapUpService> _logger;
+
+    public WrapUpService(
+        AppDbContext dbContext,
+        IHubContext<WebRtcHub> hubContext,
+        IConfiguration configuration,
+        ILogger<WrapUpService> logger) {
+        _dbContext = dbContext;
+        _hubContext = hubContext;
+        _configuration = configuration;
+        _logger = logger;
+    }
+
+    public async Task<WrapUpOptionsDto> GetOptionsAsync() {
+        var codes = await _dbContext.WrapUpCodes
+            .AsNoTracking()
+            .Where(c => c.IsActive)
+            .OrderBy(c => c.SortOrder)
+            .ThenBy(c => c.Id)
+            .ToListAsync();
+
+        return new WrapUpOptionsDto {
+            Dispositions = codes.Where(c => c.Type == WrapUpCodeType.Disposition).Select(c => c.Name).ToList(),
+            Tags = codes.Where(c => c.Type == WrapUpCodeType.Tag).Select(c => c.Name).ToList(),
+            TimeLimitSeconds = _configuration.GetValue("WrapUp:TimeLimitSeconds", DefaultTimeLimitSeconds)
+        };
+    }
+
+    public async Task<CallWrapUpDto?> StartWrapUpAsync(int userId, string callId) {
+        var callLog = await _dbContext.CallLogs
+            .Include(c => c.WrapUps.Where(w => w.UserId == userId))
+            .FirstOrDefaultAsync(c => c.CallId == callId && (c.CallerUserId == userId || c.CalleeUserId == userId));
+        if (callLog == null) {
+            _logger.LogWarning("开始话后处理失败，未找到通话记录: 用户 {UserId}, CallId={CallId}", userId, callId);
+            return null;
+        }
+
+        var wrapUp = callLog.WrapUps.FirstOrDefault();
+        if (wrapUp != null) {
+            return ToDto(wrapUp, callLog, userId);
+        }
+
+        wrapUp = new CallWrapUp {
+            CallLogId = callLog.Id,
+            UserId = userId,
+            StartedAt = DateTime.UtcNow
+        };
+        callLog.WrapUps.Add(wrapUp);
+        await _dbContext.SaveChangesAsync();
+
+        _logger.LogInformation("用户 {UserId} 开始话后处理: CallId={CallId}", userId, callId);
+
+        var dto = ToDto(wrapUp, callLog, userId);
+        await SendWrapUpChangedAsync(userId, dto);
+        return dto;
+    }
+
+    public async Task<CallWrapUpDto?> GetPendingWrapUpAsync(int userId) {
+        var wrapUp = await _dbContext.CallWrapUps
+            .AsNoTracking()
+            .Include(w => w.CallLog)
+            .Where(w => w.UserId == userId && w.SubmittedAt == null)
+            .OrderByDescending(w => w.StartedAt)
+            .FirstOrDefaultAsync();
+
+        return wrapUp == null ? null : ToDto(wrapUp, wrapUp.CallLog, userId);
+    }
+
+    public async Task<CallWrapUpDto?> SubmitWrapUpAsync(int userId, string callId, WrapUpSubmitDto submit) {
+        var wrapUp = await _dbContext.CallWrapUps
+            .Include(w => w.CallLog)
+            .FirstOrDefaultAsync(w => w.UserId == userId && w.CallLog.CallId == callId);
+        if (wrapUp == null) {
+            return null;
+        }
+
+        var options = await GetOptionsAsync();
+        var disposition = submit.Disposition?.Trim();
+        if (string.IsNullOrEmpty(disposition)) {
+            if (options.Dispositions.Count > 0) {
+                throw new ArgumentException("请选择处理结果");
+            }
+            disposition = null;
+        } else if (!options.Dispositions.Contains(disposition)) {
+            throw new ArgumentException($"处理结果不可用: {disposition}");
+        }
+
+        var tags = (submit.Tags ?? [])
+            .Select(t => t.Trim())
+            .Where(t => t.Length > 0)
+            .Distinct()
+            .ToList();
+        var invalidTag = tags.FirstOrDefault(t => !options.Tags.Contains(t));
+        if (invalidTag != null) {
+            throw new ArgumentException($"标签不可用: {invalidTag}");
+        }
+
+        var joinedTags = string.Join(TagSeparator, tags);
+        if (joinedTags.Length > MaxTagsLength) {
+            throw new ArgumentException("选择的标签过多");
+        }
+
+        var notes = submit.Notes?.Trim();
+        if (notes?.Length > MaxNotesLength) {
+            throw new ArgumentException($"备注不能超过 {MaxNotesLength} 个字符");
+        }
+
+        wrapUp.Disposition = disposition;
+        wrapUp.Tags = tags.Count > 0 ? joinedTags : null;
+        wrapUp.Notes = string.IsNullOrEmpty(notes) ? null : notes;
+        wrapUp.SubmittedAt = DateTime.UtcNow;
+        await _dbContext.SaveChangesAsync();
+
+        _logger.LogInformation("用户 {UserId} 提交话后处理: CallId={CallId}, 处理结果={Disposition}, 用时={Seconds}秒",
+            userId, callId, disposition, (int)(wrapUp.SubmittedAt.Value - wrapUp.StartedAt).TotalSeconds);
+
+        var dto = ToDto(wrapUp, wrapUp.CallLog, userId);
+        await SendWrapUpChangedAsync(userId, dto);
+        return dto;
+    }
+
+    public async Task<int[]> GetWrapUpUserIdsAsync() {
+        return await _dbContext.CallWrapUps
+            .Where(w => w.SubmittedAt == null)
+            .Select(w => w.UserId)
+            .Distinct()
+            .ToArrayAsync();
+    }
+
+    public static List<string> SplitTags(string? tags) {
+        return string.IsNullOrEmpty(tags) ? [] : tags.Split(TagSeparator).ToList();
+    }
+
+    /// <summary>
+    /// 通知坐席的所有标签页显示或关闭话后处理表单
+    /// </summary>
+    private async Task SendWrapUpChangedAsync(int userId, CallWrapUpDto wrapUp) {
+        try {
+            await _hubContext.Clients.User(userId.ToString()).SendAsync("wrapUpChanged", new {
+                pending = wrapUp.SubmittedAt == null,
+                wrapUp = wrapUp,
+                timestamp = DateTime.UtcNow
+            });
+        } catch (Exception ex) {
+            _logger.LogError(ex, "发送话后处理状态通知失败: 用户 {UserId}", userId);
+        }
+    }
+
+    private static CallWrapUpDto ToDto(CallWrapUp wrapUp, CallLog callLog, int userId) {
+        return new CallWrapUpDto {
+            Id = wrapUp.Id,
+            CallId = callLog.CallId,
+            PeerNumber = callLog.CallerUserId == userId ? callLog.CalleeNumber : callLog.CallerNumber,
+            StartedAt = wrapUp.StartedAt,
+            SubmittedAt = wrapUp.SubmittedAt,
+            Disposition = wrapUp.Disposition,
+            Notes = wrapUp.Notes,
+            Tags = SplitTags(wrapUp.Tags)
+        };
+    }
+}
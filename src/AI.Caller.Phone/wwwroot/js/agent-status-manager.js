@@ -0,0 +1,197 @@
+/**
+ * 坐席状态管理器
+ * 导航栏的状态选择器（空闲/忙碌/小休），只有空闲的坐席接收呼入；话后处理期间服务端自动显示为忙碌。
+ * 所有标签页的键盘鼠标操作记录在localStorage，主标签页检测到长时间无操作时自动切换为小休，恢复操作后自动切回空闲。
+ * 状态由服务端（agentStatusChanged）同步到坐席的所有标签页与班长的坐席状态列表
+ */
+const AgentStatus = Object.freeze({
+    AVAILABLE: 0,
+    BUSY: 1,
+    BREAK: 2,
+    OFFLINE: 3
+});
+
+const AGENT_STATUS_INFO = {
+    [AgentStatus.AVAILABLE]: { key: 'available', label: '空闲' },
+    [AgentStatus.BUSY]: { key: 'busy', label: '忙碌' },
+    [AgentStatus.BREAK]: { key: 'break', label: '小休' },
+    [AgentStatus.OFFLINE]: { key: 'offline', label: '离线' }
+};
+
+const AGENT_STATUS_REASON_LABELS = {
+    autoAway: '无操作',
+    wrapUp: '话后处理'
+};
+
+class AgentStatusManager {
+    constructor() {
+        this.handlerId = 'agent-status-manager';
+        this.userId = document.querySelector('meta[name="user-id"]')?.content || null;
+        this.status = null;
+        this.autoAwayMinutes = 0;
+        this.activityKey = `agentLastActivity:${this.userId}`;
+        this.lastActivityAt = Date.now();
+        this.activityWriteIntervalMs = 5000; // 操作记录写入localStorage的最小间隔
+        this.idleCheckIntervalMs = 30000;
+        this.idleTimer = null;
+        this.isRestoring = false;
+        this.elements = {
+            dot: document.getElementById('agentStatusDot'),
+            text: document.getElementById('agentStatusText'),
+            menu: document.getElementById('agentStatusMenu')
+        };
+    }
+
+    async initialize() {
+        if (!this.userId || !this.elements.menu) return;
+
+        this.elements.menu.addEventListener('click', (event) => {
+            const item = event.target.closest('[data-agent-status]');
+            if (!item) return;
+            this.setStatus(parseInt(item.dataset.agentStatus));
+        });
+
+        ['mousemove', 'mousedown', 'keydown', 'wheel', 'touchstart'].forEach(type => {
+            document.addEventListener(type, () => this.recordActivity(), { passive: true });
+        });
+
+        const bus = window.globalSignalRManager?.eventBus;
+        if (bus) {
+            bus.subscribe(this.handlerId, SignalREvents.AGENT_STATUS_CHANGED, (data) => {
+                // 所有坐席的状态变化都会广播，只处理自己的
+                if (String(data?.userId) !== this.userId) return;
+                this.applyStatus(data);
+            });
+            window.addEventListener('beforeunload', () => bus.unsubscribe(this.handlerId));
+        }
+
+        await this.load();
+        this.recordActivity(true);
+        this.idleTimer = setInterval(() => this.checkIdle(), this.idleCheckIntervalMs);
+
+        console.log('坐席状态管理器已初始化');
+    }
+
+    async load() {
+        try {
+            const response = await fetch('/api/AgentStatus');
+            if (!response.ok) {
+                throw new Error(await response.text());
+            }
+
+            const data = await response.json();
+            this.autoAwayMinutes = data.autoAwayMinutes || 0;
+            this.applyStatus(data.status);
+        } catch (error) {
+            console.error('加载坐席状态失败:', error);
+        }
+    }
+
+    /**
+     * 设置坐席状态
+     * @param {number} status - AgentStatus
+     * @param {boolean} auto - 是否为无操作检测自动设置
+     * @returns {Promise<boolean>} 是否设置成功
+     */
+    async setStatus(status, auto = false) {
+        try {
+            const response = await fetch('/api/AgentStatus', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ status, auto })
+            });
+            if (!response.ok) {
+                throw new Error(await response.text());
+            }
+
+            this.applyStatus(await response.json());
+            return true;
+        } catch (error) {
+            console.error('设置坐席状态失败:', error);
+            return false;
+        }
+    }
+
+    applyStatus(status) {
+        if (!status) return;
+        this.status = status;
+        this.render();
+    }
+
+    render() {
+        // 页面刚打开时心跳尚未送达，服务端可能认为坐席离线，此时显示坐席设置的状态
+        const value = this.status.status === AgentStatus.OFFLINE ? this.status.selectedStatus : this.status.status;
+        const info = AGENT_STATUS_INFO[value] || AGENT_STATUS_INFO[AgentStatus.AVAILABLE];
+        const reason = AGENT_STATUS_REASON_LABELS[this.status.reason];
+
+        if (this.elements.dot) {
+            this.elements.dot.className = `agent-status-dot agent-status-${info.key}`;
+        }
+        if (this.elements.text) {
+            this.elements.text.textContent = reason ? `${info.label}（${reason}）` : info.label;
+        }
+
+        this.elements.menu.querySelectorAll('[data-agent-status]').forEach(item => {
+            item.classList.toggle('active', parseInt(item.dataset.agentStatus) === this.status.selectedStatus);
+        });
+    }
+
+    /**
+     * 记录操作时间，供其他标签页（主标签页）判断是否无操作；自动小休中的坐席恢复操作后切回空闲
+     */
+    recordActivity(force = false) {
+        const now = Date.now();
+        if (!force && now - this.lastActivityAt < this.activityWriteIntervalMs) return;
+
+        this.lastActivityAt = now;
+        try {
+            localStorage.setItem(this.activityKey, String(now));
+        } catch (error) {
+            // localStorage不可用时只按本页操作判断
+        }
+
+        if (this.status?.reason === 'autoAway') {
+            this.restoreFromAutoAway();
+        }
+    }
+
+    getLastActivity() {
+        const stored = parseInt(localStorage.getItem(this.activityKey));
+        return Math.max(stored || 0, this.lastActivityAt);
+    }
+
+    /**
+     * 由主标签页检测无操作，避免多个标签页重复设置
+     */
+    checkIdle() {
+        if (!this.autoAwayMinutes || this.status?.selectedStatus !== AgentStatus.AVAILABLE) return;
+        if (window.tabCoordinator && !window.tabCoordinator.isLeader) return;
+        if (Date.now() - this.getLastActivity() < this.autoAwayMinutes * 60000) return;
+
+        this.setStatus(AgentStatus.BREAK, true);
+    }
+
+    async restoreFromAutoAway() {
+        if (this.isRestoring) return;
+
+        this.isRestoring = true;
+        try {
+            await this.setStatus(AgentStatus.AVAILABLE, true);
+        } finally {
+            this.isRestoring = false;
+        }
+    }
+}
+
+window.AgentStatus = AgentStatus;
+window.AGENT_STATUS_INFO = AGENT_STATUS_INFO;
+window.AGENT_STATUS_REASON_LABELS = AGENT_STATUS_REASON_LABELS;
+window.AgentStatusManager = AgentStatusManager;
+
+// 在全局SignalR管理器与标签页协调器创建之后初始化
+document.addEventListener('DOMContentLoaded', () => {
+    if (!window.agentStatusManager) {
+        window.agentStatusManager = new AgentStatusManager();
+        window.agentStatusManager.initialize();
+    }
+});
@@ -0,0 +1,240 @@
+/**
+ * 音频设备设置管理器
+ * 负责音频设置对话框：列出麦克风与扬声器、实时显示输入电平、播放扬声器测试音，保存后由WebRTCManager热切换设备
+ */
+class AudioDeviceManager {
+    constructor(elements, webRTCManager, uiManager) {
+        this.elements = elements;
+        this.webRTCManager = webRTCManager;
+        this.uiManager = uiManager;
+        this.modal = null;
+        this.audioContext = null;
+        this.testStream = null;
+        this.meterFrame = null;
+        this.toneTimer = null;
+        this.toneOscillator = null;
+    }
+
+    initialize() {
+        if (!this.elements.audioSettingsModal) {
+            console.warn('音频设置对话框未找到，设备选择功能不可用');
+            return;
+        }
+
+        this.modal = new bootstrap.Modal(this.elements.audioSettingsModal);
+        this.bindEvents();
+
+        if (typeof this.elements.remoteAudio.setSinkId !== 'function') {
+            this.elements.audioOutputSelect.disabled = true;
+            this.setStatus('当前浏览器不支持选择扬声器，将使用系统默认输出', 'warning');
+        }
+
+        console.log('音频设备设置管理器已初始化');
+    }
+
+    bindEvents() {
+        this.elements.audioSettingsButton?.addEventListener('click', () => this.open());
+        this.elements.audioInputSelect.addEventListener('change', () => this.startInputMeter());
+        this.elements.audioTestToneButton?.addEventListener('click', () => this.playTestTone());
+        this.elements.audioSettingsSaveButton?.addEventListener('click', () => this.save());
+
+        this.elements.audioSettingsModal.addEventListener('hidden.bs.modal', () => this.stopTests());
+
+        // 插拔设备时刷新对话框中的列表
+        document.addEventListener('audioDevicesChanged', () => {
+            if (this.elements.audioSettingsModal.classList.contains('show')) {
+                this.loadDevices(this.elements.audioInputSelect.value, this.elements.audioOutputSelect.value);
+            }
+        });
+    }
+
+    async open() {
+        const saved = this.webRTCManager.loadAudioDevicePreferences();
+        this.setStatus('');
+        await this.loadDevices(
+            saved.microphoneId || this.webRTCManager.getCurrentMicrophoneId(),
+            saved.speakerId || this.webRTCManager.getCurrentSpeakerId());
+        this.modal.show();
+        this.startInputMeter();
+    }
+
+    /**
+     * 刷新设备列表
+     * @param {string} microphoneId - 需选中的麦克风
+     * @param {string} speakerId - 需选中的扬声器
+     */
+    async loadDevices(microphoneId, speakerId) {
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+
+            this.fillSelect(this.elements.audioInputSelect, devices.filter(device => device.kind === 'audioinput'), microphoneId, '麦克风');
+            this.fillSelect(this.elements.audioOutputSelect, devices.filter(device => device.kind === 'audiooutput'), speakerId, '扬声器');
+        } catch (error) {
+            console.error('枚举音频设备失败:', error);
+            this.setStatus('无法获取音频设备列表', 'danger');
+        }
+    }
+
+    fillSelect(select, devices, selectedId, deviceType) {
+        select.innerHTML = '<option value="">系统默认</option>' + devices
+            .filter(device => device.deviceId && device.deviceId !== 'default')
+            .map((device, index) => {
+                const label = device.label || `${deviceType} ${index + 1}`;
+                return `<option value="${this.escapeAttribute(device.deviceId)}">${this.escapeHtml(label)}</option>`;
+            })
+            .join('');
+
+        select.value = Array.from(select.options).some(option => option.value === selectedId) ? selectedId : '';
+    }
+
+    getAudioContext() {
+        if (!this.audioContext) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+        return this.audioContext;
+    }
+
+    /**
+     * 使用所选麦克风单独取流，显示实时输入电平
+     */
+    async startInputMeter() {
+        this.stopInputMeter();
+
+        const deviceId = this.elements.audioInputSelect.value;
+        try {
+            this.testStream = await navigator.mediaDevices.getUserMedia({
+                video: false,
+                audio: this.webRTCManager.buildAudioConstraints(deviceId)
+            });
+        } catch (error) {
+            console.error('打开麦克风失败:', error);
+            this.setStatus('无法打开所选麦克风', 'danger');
+            return;
+        }
+
+        const context = this.getAudioContext();
+        const source = context.createMediaStreamSource(this.testStream);
+        const analyser = context.createAnalyser();
+        analyser.fftSize = 512;
+        source.connect(analyser);
+
+        const samples = new Uint8Array(analyser.fftSize);
+        const draw = () => {
+            analyser.getByteTimeDomainData(samples);
+
+            let sum = 0;
+            for (const sample of samples) {
+                const value = (sample - 128) / 128;
+                sum += value * value;
+            }
+            const level = Math.min(100, Math.round(Math.sqrt(sum / samples.length) * 300));
+
+            this.elements.audioInputLevel.style.width = `${level}%`;
+            this.elements.audioInputLevel.classList.toggle('bg-danger', level > 90);
+            this.meterFrame = requestAnimationFrame(draw);
+        };
+        draw();
+    }
+
+    stopInputMeter() {
+        if (this.meterFrame) {
+            cancelAnimationFrame(this.meterFrame);
+            this.meterFrame = null;
+        }
+        if (this.testStream) {
+            this.testStream.getTracks().forEach(track => track.stop());
+            this.testStream = null;
+        }
+        if (this.elements.audioInputLevel) {
+            this.elements.audioInputLevel.style.width = '0%';
+        }
+    }
+
+    /**
+     * 通过所选扬声器播放1秒440Hz测试音
+     */
+    async playTestTone() {
+        if (this.toneTimer) return;
+
+        const context = this.getAudioContext();
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        const destination = context.createMediaStreamDestination();
+        oscillator.frequency.value = 440;
+        gain.gain.value = 0.2;
+        oscillator.connect(gain).connect(destination);
+
+        const output = this.elements.audioTestOutput;
+        try {
+            const speakerId = this.elements.audioOutputSelect.value;
+            if (typeof output.setSinkId === 'function') {
+                await output.setSinkId(speakerId);
+            }
+            output.srcObject = destination.stream;
+            await output.play();
+        } catch (error) {
+            console.error('播放测试音失败:', error);
+            this.setStatus('无法通过所选扬声器播放测试音', 'danger');
+            return;
+        }
+
+        oscillator.start();
+        this.toneOscillator = oscillator;
+        this.elements.audioTestToneButton.disabled = true;
+        this.toneTimer = setTimeout(() => this.stopTestTone(), 1000);
+    }
+
+    stopTestTone() {
+        clearTimeout(this.toneTimer);
+        this.toneTimer = null;
+        this.toneOscillator?.stop();
+        this.toneOscillator = null;
+        this.elements.audioTestOutput.srcObject = null;
+        this.elements.audioTestToneButton.disabled = false;
+    }
+
+    async save() {
+        const preferences = {
+            microphoneId: this.elements.audioInputSelect.value,
+            speakerId: this.elements.audioOutputSelect.value
+        };
+
+        this.elements.audioSettingsSaveButton.disabled = true;
+        try {
+            await this.webRTCManager.applyAudioDevices(preferences);
+            this.modal.hide();
+            this.uiManager.updateStatus('音频设备已更新', 'success');
+        } catch (error) {
+            console.error('切换音频设备失败:', error);
+            this.setStatus(`切换音频设备失败: ${error.message}`, 'danger');
+        } finally {
+            this.elements.audioSettingsSaveButton.disabled = false;
+        }
+    }
+
+    stopTests() {
+        this.stopInputMeter();
+        if (this.toneTimer) {
+            this.stopTestTone();
+        }
+    }
+
+    setStatus(message, type = 'muted') {
+        if (!this.elements.audioSettingsStatus) return;
+        this.elements.audioSettingsStatus.textContent = message || '';
+        this.elements.audioSettingsStatus.className = `small mt-2 text-${type}`;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
+}
@@ -0,0 +1,279 @@
+/**
+ * 通话历史管理器
+ * 负责首页通话历史面板：按类型/关键字过滤、滚动到底自动加载更多、一键回拨，并同步未接来电角标
+ */
+class CallHistoryManager {
+    constructor(elements, actions) {
+        this.elements = elements;
+        this.actions = actions || {};
+        this.handlerId = 'call-history-panel';
+        this.pageSize = 20;
+        this.filter = 'all';
+        this.keyword = '';
+        this.nextBeforeId = null;
+        this.hasMore = true;
+        this.isLoading = false;
+        this.requestSeq = 0;
+        this.searchTimer = null;
+        this.observer = null;
+    }
+
+    initialize() {
+        if (!this.elements.callHistoryList) {
+            console.warn('通话历史面板未找到，通话历史功能不可用');
+            return;
+        }
+
+        this.bindEvents();
+        this.registerMissedCallHandler();
+        this.loadMissedCount();
+        this.reload();
+
+        console.log('通话历史管理器已初始化');
+    }
+
+    bindEvents() {
+        document.querySelectorAll('input[name="callHistoryFilter"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                this.filter = radio.value;
+                if (this.filter === 'missed') {
+                    this.markMissedViewed();
+                }
+                this.reload();
+            });
+        });
+
+        this.elements.callHistorySearch?.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => {
+                this.keyword = this.elements.callHistorySearch.value.trim();
+                this.reload();
+            }, 300);
+        });
+
+        this.elements.callHistoryList.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-history-action="redial"]');
+            if (!button) return;
+
+            this.actions.redial?.(button.getAttribute('data-number'), button.getAttribute('data-name'));
+        });
+
+        // 滚动到列表底部时加载下一页
+        if (this.elements.callHistorySentinel && 'IntersectionObserver' in window) {
+            this.observer = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    this.loadMore();
+                }
+            }, { root: this.elements.callHistoryList, rootMargin: '40px' });
+            this.observer.observe(this.elements.callHistorySentinel);
+        } else {
+            this.elements.callHistoryList.addEventListener('scroll', () => {
+                const list = this.elements.callHistoryList;
+                if (list.scrollTop + list.clientHeight >= list.scrollHeight - 40) {
+                    this.loadMore();
+                }
+            });
+        }
+
+        // 通话结束后服务端异步写入CallLog，稍后刷新第一页
+        const refreshLater = () => setTimeout(() => this.reload(), 1500);
+        document.addEventListener('callEnded', refreshLater);
+        document.addEventListener('remoteHangup', refreshLater);
+        // 提交话后处理后显示处理结果
+        document.addEventListener('wrapUpStateChanged', (event) => {
+            if (!event.detail?.pending) this.reload();
+        });
+    }
+
+    /**
+     * 通过SignalR事件总线接收未接来电通知
+     */
+    registerMissedCallHandler() {
+        const bus = window.globalSignalRManager?.eventBus;
+        if (!bus) return;
+
+        bus.subscribe(this.handlerId, SignalREvents.MISSED_CALL_COUNT_CHANGED, (data) => {
+            this.updateMissedCount(data?.count ?? 0);
+            if (data?.call) {
+                this.reload();
+            }
+        });
+
+        window.addEventListener('beforeunload', () => bus.unsubscribe(this.handlerId));
+    }
+
+    reload() {
+        this.updateExportLink();
+
+        // 丢弃仍在进行中的旧请求结果
+        this.requestSeq++;
+        this.isLoading = false;
+        this.nextBeforeId = null;
+        this.hasMore = true;
+        this.elements.callHistoryItems.innerHTML = '';
+        this.loadMore();
+    }
+
+    async loadMore() {
+        if (this.isLoading || !this.hasMore) return;
+
+        const seq = this.requestSeq;
+        this.isLoading = true;
+        this.setLoading(true);
+
+        const params = new URLSearchParams({ type: this.filter, pageSize: this.pageSize });
+        if (this.keyword) params.append('keyword', this.keyword);
+        if (this.nextBeforeId) params.append('beforeId', this.nextBeforeId);
+
+        try {
+            const response = await fetch(`/api/CallHistory?${params.toString()}`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const page = await response.json();
+            if (seq !== this.requestSeq) return;
+
+            this.hasMore = page.hasMore;
+            this.nextBeforeId = page.nextBeforeId;
+            this.appendItems(page.items || []);
+        } catch (error) {
+            if (seq !== this.requestSeq) return;
+
+            console.error('加载通话历史失败:', error);
+            this.hasMore = false;
+            this.showEmpty('加载通话历史失败');
+        } finally {
+            if (seq === this.requestSeq) {
+                this.isLoading = false;
+                this.setLoading(false);
+            }
+        }
+    }
+
+    /**
+     * 导出与列表使用相同的过滤条件
+     */
+    updateExportLink() {
+        if (!this.elements.callHistoryExport) return;
+
+        const params = new URLSearchParams({ type: this.filter });
+        if (this.keyword) params.append('keyword', this.keyword);
+        this.elements.callHistoryExport.href = `/api/CallHistory/export?${params.toString()}`;
+    }
+
+    appendItems(items) {
+        if (items.length === 0 && this.elements.callHistoryItems.children.length === 0) {
+            this.showEmpty(this.filter === 'missed' ? '暂无未接来电' : '暂无通话记录');
+            return;
+        }
+
+        this.elements.callHistoryItems.insertAdjacentHTML('beforeend', items.map(item => this.renderItem(item)).join(''));
+    }
+
+    renderItem(item) {
+        const number = item.peerNumber || '';
+        const name = item.peerName || number || '未知号码';
+        const duration = item.type !== 'missed' && item.durationSeconds > 0 ? ` · ${this.formatDuration(item.durationSeconds)}` : '';
+        const reason = item.type !== 'missed' && item.status === 'Failed' && item.failureReason ? ` · ${this.escapeHtml(item.failureReason)}` : '';
+
+        return `
+            <li class="list-group-item d-flex justify-content-between align-items-center">
+                <div class="text-truncate">
+                    <i class="bi ${this.getTypeIcon(item.type)} me-2"></i>
+                    <span class="${item.type === 'missed' ? 'text-danger fw-semibold' : ''}">${this.escapeHtml(name)}</span>
+                    ${number && number !== name ? `<small class="text-muted ms-1">${this.escapeHtml(number)}</small>` : ''}
+                    <div class="small text-muted">${this.formatTime(item.startTime)}${duration}${reason}</div>
+                    ${this.renderWrapUp(item)}
+                </div>
+                ${number ? `
+                <button class="btn btn-sm btn-outline-success" data-history-action="redial"
+                        data-number="${this.escapeAttribute(number)}" data-name="${this.escapeAttribute(name)}" title="回拨">
+                    <i class="bi bi-telephone-outbound"></i>
+                </button>` : ''}
+            </li>`;
+    }
+
+    renderWrapUp(item) {
+        if (!item.disposition && !(item.tags?.length)) return '';
+
+        const tags = (item.tags || []).map(tag => `<span class="badge bg-light text-dark me-1">${this.escapeHtml(tag)}</span>`).join('');
+        return `
+                    <div class="small" title="${this.escapeAttribute(item.wrapUpNotes || '')}">
+                        ${item.disposition ? `<span class="badge bg-info text-dark me-1">${this.escapeHtml(item.disposition)}</span>` : ''}${tags}
+                    </div>`;
+    }
+
+    async loadMissedCount() {
+        try {
+            const response = await fetch('/api/CallHistory/missed-count');
+            if (response.ok) {
+                const data = await response.json();
+                this.updateMissedCount(data.count);
+            }
+        } catch (error) {
+            console.warn('加载未接来电数量失败:', error);
+        }
+    }
+
+    async markMissedViewed() {
+        try {
+            await fetch('/api/CallHistory/missed-viewed', { method: 'POST' });
+            this.updateMissedCount(0);
+            window.globalSignalRManager?.updateMissedCallBadge(0);
+        } catch (error) {
+            console.warn('标记未接来电已读失败:', error);
+        }
+    }
+
+    updateMissedCount(count) {
+        const badge = this.elements.callHistoryMissedCount;
+        if (!badge) return;
+
+        badge.textContent = count;
+        badge.classList.toggle('d-none', !count);
+    }
+
+    getTypeIcon(type) {
+        switch (type) {
+            case 'missed': return 'bi-telephone-x text-danger';
+            case 'inbound': return 'bi-telephone-inbound text-success';
+            default: return 'bi-telephone-outbound text-primary';
+        }
+    }
+
+    formatTime(value) {
+        const date = new Date(value.endsWith?.('Z') ? value : `${value}Z`);
+        const now = new Date();
+        const time = date.toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' });
+
+        if (date.toDateString() === now.toDateString()) {
+            return `今天 ${time}`;
+        }
+        return `${date.getMonth() + 1}-${date.getDate()} ${time}`;
+    }
+
+    formatDuration(seconds) {
+        const minutes = Math.floor(seconds / 60).toString().padStart(2, '0');
+        const secs = (seconds % 60).toString().padStart(2, '0');
+        return `${minutes}:${secs}`;
+    }
+
+    showEmpty(message) {
+        this.elements.callHistoryItems.innerHTML = `<li class="list-group-item text-center text-muted small py-4">${message}</li>`;
+    }
+
+    setLoading(loading) {
+        this.elements.callHistorySentinel?.classList.toggle('invisible', !loading);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
+}
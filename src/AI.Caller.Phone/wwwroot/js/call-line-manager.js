@@ -0,0 +1,248 @@
+/**
+ * 多线路管理器
+ * 负责呼叫等待与线路切换：通话中来电时可接听并保持当前通话、拒接，或在保持的线路间切换
+ */
+class CallLineManager {
+    constructor(elements, signalRManager, callStateManager, webRTCManager, uiManager, actions) {
+        this.elements = elements;
+        this.signalRManager = signalRManager;
+        this.callStateManager = callStateManager;
+        this.webRTCManager = webRTCManager;
+        this.uiManager = uiManager;
+        this.actions = actions || {};
+        this.isBusy = false;
+    }
+
+    initialize() {
+        if (!this.elements.callLinesPanel || !this.elements.callLinesList) {
+            console.warn('线路面板未找到，呼叫等待功能不可用');
+            return;
+        }
+
+        document.addEventListener('callSessionsChanged', () => this.render());
+        document.addEventListener('callWaiting', (event) => {
+            this.uiManager.updateStatus(`呼叫等待：${event.detail.caller} 来电，可接听并保持当前通话`, 'info');
+            this.render();
+        });
+
+        this.elements.callLinesList.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-line-action]');
+            if (!button) return;
+
+            const callId = button.getAttribute('data-call-id');
+            switch (button.getAttribute('data-line-action')) {
+                case 'answer':
+                    this.answerWaiting(callId);
+                    break;
+                case 'reject':
+                    this.rejectWaiting(callId);
+                    break;
+                case 'swap':
+                    this.swapTo(callId);
+                    break;
+            }
+        });
+
+        console.log('线路管理器已初始化');
+    }
+
+    /**
+     * 接听等待中的来电，当前通话先转为保持
+     * @param {string} callId - 等待线路标识
+     */
+    async answerWaiting(callId) {
+        const session = this.callStateManager.getSession(callId);
+        if (!session || session.state !== CallState.INCOMING || this.isBusy) return;
+
+        this.setBusy(true);
+        window.ringtoneManager?.stopCallWaiting();
+        try {
+            await this.holdActiveLine();
+
+            this.callStateManager.switchToSession(callId);
+            this.showLineInfo(session);
+            await this.actions.answer?.();
+        } catch (error) {
+            console.error('接听等待来电失败:', error);
+            this.uiManager.updateStatus(`接听等待来电失败: ${error.message}`, 'danger');
+        } finally {
+            this.setBusy(false);
+        }
+    }
+
+    /**
+     * 拒接等待中的来电
+     * @param {string} callId - 等待线路标识
+     */
+    async rejectWaiting(callId) {
+        const session = this.callStateManager.getSession(callId);
+        if (!session || this.isBusy) return;
+
+        this.setBusy(true);
+        try {
+            await this.signalRManager.connection.invoke("HangupCallAsync", {
+                CallId: callId,
+                Target: session.context?.caller?.sipUsername || '',
+                Reason: '呼叫等待拒接'
+            });
+            this.actions.endSession?.(callId);
+        } catch (error) {
+            console.error('拒接等待来电失败:', error);
+            this.uiManager.updateStatus(`拒接失败: ${error.message}`, 'danger');
+        } finally {
+            this.setBusy(false);
+        }
+    }
+
+    /**
+     * 切换到保持中的线路：保持当前通话后恢复目标线路
+     * @param {string} callId - 目标线路标识
+     */
+    async swapTo(callId) {
+        const session = this.callStateManager.getSession(callId);
+        if (!session || session.state !== CallState.HELD || this.isBusy) return;
+
+        this.setBusy(true);
+        try {
+            await this.holdActiveLine();
+
+            this.callStateManager.switchToSession(callId);
+            this.webRTCManager.switchSession(callId);
+            this.showLineInfo(session);
+
+            const result = await this.signalRManager.connection.invoke("ResumeCallAsync", { CallId: callId });
+            if (!result || !result.success) {
+                throw new Error(result?.message || '恢复通话失败');
+            }
+
+            this.webRTCManager.setHold(false, callId);
+            this.callStateManager.setState(CallState.CONNECTED);
+            this.uiManager.updateStatus(`已切换到 ${session.label}`, 'success');
+        } catch (error) {
+            console.error('切换线路失败:', error);
+            this.uiManager.updateStatus(`切换线路失败: ${error.message}`, 'danger');
+        } finally {
+            this.setBusy(false);
+        }
+    }
+
+    /**
+     * 保持当前活动线路；已保持或未接通时无需处理
+     */
+    async holdActiveLine() {
+        const activeCallId = this.callStateManager.getActiveCallId();
+        if (!activeCallId || this.callStateManager.getCurrentState() !== CallState.CONNECTED) {
+            return;
+        }
+
+        const result = await this.signalRManager.connection.invoke("HoldCallAsync", { CallId: activeCallId });
+        if (!result || !result.success) {
+            throw new Error(result?.message || '保持当前通话失败');
+        }
+
+        this.webRTCManager.setHold(true, activeCallId);
+        this.callStateManager.setState(CallState.HELD);
+    }
+
+    showLineInfo(session) {
+        this.elements.callerName.textContent = session.label;
+        this.elements.callerNumber.textContent = session.context?.caller?.sipUsername || '';
+        this.uiManager.showCallInfo(true);
+    }
+
+    render() {
+        const sessions = this.callStateManager.getSessions();
+        const activeCallId = this.callStateManager.getActiveCallId();
+
+        // 只有一条线路时无需显示线路面板
+        if (sessions.length <= 1) {
+            this.elements.callLinesPanel.classList.add('d-none');
+            this.elements.callLinesList.innerHTML = '';
+            return;
+        }
+
+        this.elements.callLinesList.innerHTML = sessions.map(session => {
+            const isActive = session.callId === activeCallId;
+            return `
+                <li class="list-group-item d-flex justify-content-between align-items-center${isActive ? ' active' : ''}">
+                    <div>
+                        <i class="bi ${this.getStateIcon(session.state)} me-2"></i>
+                        <span class="fw-semibold">${this.escapeHtml(session.label)}</span>
+                        <span class="badge ${this.getStateBadge(session.state)} ms-2">${this.getStateText(session.state, isActive)}</span>
+                    </div>
+                    <div class="btn-group btn-group-sm">${this.renderActions(session, isActive)}</div>
+                </li>`;
+        }).join('');
+
+        this.elements.callLinesPanel.classList.remove('d-none');
+    }
+
+    renderActions(session, isActive) {
+        if (isActive) return '';
+
+        const disabled = this.isBusy ? ' disabled' : '';
+        if (session.state === CallState.INCOMING) {
+            return `
+                <button class="btn btn-success" data-line-action="answer" data-call-id="${session.callId}"${disabled}>
+                    <i class="bi bi-telephone-inbound"></i> 接听并保持当前
+                </button>
+                <button class="btn btn-outline-danger" data-line-action="reject" data-call-id="${session.callId}"${disabled}>
+                    <i class="bi bi-telephone-x"></i> 拒接
+                </button>`;
+        }
+
+        if (session.state === CallState.HELD) {
+            return `
+                <button class="btn btn-outline-primary" data-line-action="swap" data-call-id="${session.callId}"${disabled}>
+                    <i class="bi bi-arrow-repeat"></i> 切换
+                </button>`;
+        }
+
+        return '';
+    }
+
+    getStateText(state, isActive) {
+        const stateMap = {
+            INCOMING: '等待接听',
+            OUTGOING: '呼叫中',
+            CONNECTED: '通话中',
+            RECONNECTING: '重连中',
+            HELD: '已保持',
+            TRANSFERRING: '转接中',
+            CONSULTING: '咨询中',
+            ENDING: '挂断中'
+        };
+        const text = stateMap[state] || state;
+        return isActive ? `${text} · 当前` : text;
+    }
+
+    getStateBadge(state) {
+        switch (state) {
+            case CallState.INCOMING: return 'bg-warning text-dark';
+            case CallState.CONNECTED: return 'bg-success';
+            case CallState.RECONNECTING: return 'bg-warning text-dark';
+            case CallState.HELD: return 'bg-secondary';
+            default: return 'bg-info';
+        }
+    }
+
+    getStateIcon(state) {
+        switch (state) {
+            case CallState.INCOMING: return 'bi-bell';
+            case CallState.HELD: return 'bi-pause-circle';
+            case CallState.RECONNECTING: return 'bi-arrow-repeat';
+            default: return 'bi-telephone';
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+
+    setBusy(busy) {
+        this.isBusy = busy;
+        this.render();
+    }
+}
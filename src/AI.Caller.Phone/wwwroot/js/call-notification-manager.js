@@ -0,0 +1,278 @@
+/**
+ * 来电桌面通知管理器
+ * 页面在后台时用系统通知提示来电，通知上的接听/拒接分别交给PhoneApp.handleAnswer与GlobalCallMonitor.rejectCall；
+ * 同时通过Badging API在应用图标上显示未接来电数量。每个用户可单独关闭来电通知
+ */
+class CallNotificationManager {
+    constructor() {
+        this.handlerId = 'call-notification';
+        this.userId = document.querySelector('meta[name="user-id"]')?.content || 'default';
+        this.optOutKey = `callNotificationsDisabled:${this.userId}`;
+        this.isSupported = 'Notification' in window;
+        this.registration = null;
+        this.notifications = new Map(); // callId -> Notification（无Service Worker时使用）
+        this.elements = {
+            prompt: document.getElementById('callNotificationPrompt'),
+            enableButton: document.getElementById('callNotificationEnable'),
+            dismissButton: document.getElementById('callNotificationDismiss'),
+            toggle: document.getElementById('callNotificationToggle'),
+            toggleState: document.getElementById('callNotificationToggleState')
+        };
+    }
+
+    initialize() {
+        this.bindUIEvents();
+        this.updateToggle();
+
+        if (!this.isSupported) {
+            console.warn('浏览器不支持桌面通知，来电仅通过页面提示');
+            return;
+        }
+
+        this.registerServiceWorker();
+        this.registerCallHandlers();
+        this.showPromptIfNeeded();
+
+        // 回到页面后由页面自身提示来电
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this.closeAll();
+            }
+        });
+
+        console.log('来电桌面通知管理器已初始化');
+    }
+
+    bindUIEvents() {
+        this.elements.enableButton?.addEventListener('click', () => this.enable());
+        this.elements.dismissButton?.addEventListener('click', () => {
+            this.setOptOut(true);
+            this.hidePrompt();
+        });
+        this.elements.toggle?.addEventListener('click', () => {
+            if (this.isEnabled()) {
+                this.setOptOut(true);
+            } else {
+                this.enable();
+            }
+        });
+    }
+
+    /**
+     * 通知按钮（接听/拒接）只能由Service Worker显示的通知提供，Service Worker由PwaManager注册
+     */
+    async registerServiceWorker() {
+        this.registration = await window.pwaManager?.ready ?? null;
+        if (!this.registration) {
+            console.warn('Service Worker不可用，来电通知不显示接听/拒接按钮');
+            return;
+        }
+
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            const message = event.data;
+            if (message?.type !== 'callNotificationAction') return;
+            if (message.tabId && window.tabCoordinator && message.tabId !== window.tabCoordinator.tabId) return;
+
+            this.handleAction(message.action, message.callId);
+        });
+    }
+
+    registerCallHandlers() {
+        const bus = window.globalSignalRManager?.eventBus;
+        if (!bus) return;
+
+        bus.subscribe(this.handlerId, SignalREvents.IN_CALLING, (callData) => this.showIncomingCall(callData));
+
+        [
+            SignalREvents.CALL_ANSWERED,
+            SignalREvents.ANSWERED,
+            SignalREvents.CALL_ENDED,
+            SignalREvents.REMOTE_HANGUP,
+            SignalREvents.CALL_TIMEOUT,
+            SignalREvents.CALL_FAILED
+        ].forEach(eventType => {
+            bus.subscribe(this.handlerId, eventType, (data) => this.close(data?.callId));
+        });
+
+        window.addEventListener('beforeunload', () => {
+            bus.unsubscribe(this.handlerId);
+            this.closeAll();
+        });
+    }
+
+    /**
+     * 首次使用时提示开启通知
+     */
+    showPromptIfNeeded() {
+        if (!this.elements.prompt || this.isOptedOut() || Notification.permission !== 'default') return;
+        this.elements.prompt.classList.remove('d-none');
+    }
+
+    hidePrompt() {
+        this.elements.prompt?.classList.add('d-none');
+    }
+
+    async enable() {
+        if (!this.isSupported) {
+            alert('当前浏览器不支持桌面通知');
+            return;
+        }
+
+        this.setOptOut(false);
+        this.hidePrompt();
+
+        // 申请权限必须由用户点击触发
+        const permission = Notification.permission === 'default'
+            ? await Notification.requestPermission()
+            : Notification.permission;
+
+        if (permission === 'denied') {
+            alert('浏览器已禁止本站通知，请在浏览器的网站设置中允许通知');
+        }
+        this.updateToggle();
+    }
+
+    isEnabled() {
+        return this.isSupported && !this.isOptedOut() && Notification.permission === 'granted';
+    }
+
+    isOptedOut() {
+        return localStorage.getItem(this.optOutKey) === 'true';
+    }
+
+    setOptOut(optOut) {
+        if (optOut) {
+            localStorage.setItem(this.optOutKey, 'true');
+            this.closeAll();
+        } else {
+            localStorage.removeItem(this.optOutKey);
+        }
+        this.updateToggle();
+    }
+
+    updateToggle() {
+        if (!this.elements.toggleState) return;
+        this.elements.toggleState.textContent = this.isEnabled() ? '已开启' : '已关闭';
+    }
+
+    /**
+     * 页面在后台且由本标签页响铃时显示来电通知
+     * @param {Object} callData - inCalling事件数据
+     */
+    async showIncomingCall(callData) {
+        if (!this.isEnabled() || !callData?.callId) return;
+        if (document.visibilityState === 'visible') return;
+        if (window.tabCoordinator && !window.tabCoordinator.isLeader) return;
+
+        const caller = callData.caller || {};
+        const number = caller.sipUsername || (caller.userId ? `用户 ${caller.userId}` : '未知号码');
+        const title = callData.isExternal ? `外部来电: ${number}` : `来电: ${number}`;
+        const options = {
+            body: caller.userId && caller.sipUsername ? `${caller.sipUsername}（用户 ${caller.userId}）` : '点击接听',
+            tag: `incoming-call:${callData.callId}`,
+            icon: '/favicon.ico',
+            requireInteraction: true,
+            data: {
+                callId: callData.callId,
+                tabId: window.tabCoordinator?.tabId || null,
+                url: window.location.href
+            }
+        };
+
+        try {
+            if (this.registration) {
+                await this.registration.showNotification(title, {
+                    ...options,
+                    actions: [
+                        { action: 'answer', title: '接听' },
+                        { action: 'reject', title: '拒接' }
+                    ]
+                });
+                return;
+            }
+
+            const notification = new Notification(title, options);
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+                this.handleAction('answer', callData.callId);
+            };
+            this.notifications.set(callData.callId, notification);
+        } catch (error) {
+            console.warn('显示来电通知失败:', error);
+        }
+    }
+
+    /**
+     * 执行通知上的操作
+     * @param {string} action - answer | reject
+     * @param {string} callId - 来电标识
+     */
+    handleAction(action, callId) {
+        console.log(`来电通知操作: ${action} (${callId})`);
+        this.close(callId);
+
+        if (action === 'reject') {
+            window.globalCallMonitor?.rejectCall(callId);
+            return;
+        }
+
+        const phoneApp = window.phoneApp;
+        if (!phoneApp?.isInitialized) {
+            window.globalCallMonitor?.answerCall(callId);
+            return;
+        }
+
+        if (phoneApp.callStateManager.getCallContext()?.callId === callId) {
+            phoneApp.handleAnswer();
+        } else {
+            // 呼叫等待中的来电由线路管理器接听
+            document.dispatchEvent(new CustomEvent('globalAnswerRequest', { detail: { callId } }));
+        }
+    }
+
+    async close(callId) {
+        if (!callId) return;
+
+        this.notifications.get(callId)?.close();
+        this.notifications.delete(callId);
+
+        if (this.registration) {
+            const notifications = await this.registration.getNotifications({ tag: `incoming-call:${callId}` });
+            notifications.forEach(notification => notification.close());
+        }
+    }
+
+    async closeAll() {
+        this.notifications.forEach(notification => notification.close());
+        this.notifications.clear();
+
+        if (this.registration) {
+            const notifications = await this.registration.getNotifications();
+            notifications
+                .filter(notification => notification.tag?.startsWith('incoming-call:'))
+                .forEach(notification => notification.close());
+        }
+    }
+
+    /**
+     * 在应用图标上显示未接来电数量（仅支持Badging API的浏览器或已安装的应用）
+     * @param {number} count - 未接来电数量
+     */
+    updateAppBadge(count) {
+        if (!('setAppBadge' in navigator)) return;
+
+        const request = count ? navigator.setAppBadge(count) : navigator.clearAppBadge();
+        request.catch(error => console.warn('更新应用角标失败:', error));
+    }
+}
+
+window.CallNotificationManager = CallNotificationManager;
+
+// 在全局SignalR管理器创建之后初始化
+document.addEventListener('DOMContentLoaded', () => {
+    if (!window.callNotificationManager) {
+        window.callNotificationManager = new CallNotificationManager();
+        window.callNotificationManager.initialize();
+    }
+});
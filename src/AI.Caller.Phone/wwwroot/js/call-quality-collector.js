@@ -0,0 +1,157 @@
+/**
+ * 通话质量采集器
+ * 周期调用RTCPeerConnection.getStats，计算抖动、丢包率、往返时延、音频电平和MOS估值，并批量上报服务端
+ * 坐席通话(WebRTCManager)与监听(MonitorWebRTCManager)共用
+ */
+class CallQualityCollector {
+    /**
+     * @param {Function} getPeerConnection - 返回当前要采集的RTCPeerConnection
+     * @param {Object} options - { source: 'phone'|'monitor', interval, onSample(sample) }
+     */
+    constructor(getPeerConnection, options = {}) {
+        this.getPeerConnection = getPeerConnection;
+        this.source = options.source || 'phone';
+        this.interval = options.interval || 2000;
+        this.onSample = options.onSample || null;
+        this.uploadBatchSize = 10;
+        this.callId = null;
+        this.timer = null;
+        this.pending = [];
+        this.previous = null;
+    }
+
+    /**
+     * 开始采集指定通话
+     * @param {string} callId - 通话标识，用于与CallLog关联
+     */
+    start(callId) {
+        if (this.timer && this.callId === callId) return;
+
+        this.stop();
+        this.callId = callId;
+        this.previous = null;
+        this.timer = setInterval(() => this.collect(), this.interval);
+        console.log(`开始采集通话质量: ${callId}`);
+    }
+
+    stop() {
+        if (!this.timer) return;
+
+        clearInterval(this.timer);
+        this.timer = null;
+        this.flush(true);
+        console.log(`停止采集通话质量: ${this.callId}`);
+        this.callId = null;
+    }
+
+    async collect() {
+        const pc = this.getPeerConnection();
+        if (!pc || pc.connectionState === 'closed') return;
+
+        try {
+            const sample = this.buildSample(await pc.getStats());
+            if (!sample) return;
+
+            this.onSample?.(sample);
+            this.pending.push(sample);
+            if (this.pending.length >= this.uploadBatchSize) {
+                this.flush();
+            }
+        } catch (error) {
+            console.warn('采集通话质量失败:', error);
+        }
+    }
+
+    /**
+     * 从getStats报告中提取一次采样，丢包率按两次采样间的增量计算
+     * @param {RTCStatsReport} report - getStats结果
+     */
+    buildSample(report) {
+        let inbound = null;
+        let remoteInbound = null;
+        let candidatePair = null;
+
+        report.forEach(stat => {
+            if (stat.type === 'inbound-rtp' && stat.kind === 'audio') {
+                inbound = stat;
+            } else if (stat.type === 'remote-inbound-rtp' && stat.kind === 'audio') {
+                remoteInbound = stat;
+            } else if (stat.type === 'candidate-pair' && stat.nominated && stat.state === 'succeeded') {
+                candidatePair = stat;
+            }
+        });
+
+        if (!inbound) return null;
+
+        const packetsLost = inbound.packetsLost || 0;
+        const packetsReceived = inbound.packetsReceived || 0;
+        const lostDelta = packetsLost - (this.previous?.packetsLost || 0);
+        const receivedDelta = packetsReceived - (this.previous?.packetsReceived || 0);
+        this.previous = { packetsLost, packetsReceived };
+
+        const total = lostDelta + receivedDelta;
+        const packetLossPercent = total > 0 ? Math.max(0, lostDelta) / total * 100 : 0;
+
+        const rttSeconds = remoteInbound?.roundTripTime ?? candidatePair?.currentRoundTripTime;
+        const jitterMs = inbound.jitter !== undefined ? inbound.jitter * 1000 : null;
+        const roundTripTimeMs = rttSeconds !== undefined ? rttSeconds * 1000 : null;
+
+        return {
+            sampledAt: new Date().toISOString(),
+            jitterMs: this.round(jitterMs),
+            packetLossPercent: this.round(packetLossPercent),
+            roundTripTimeMs: this.round(roundTripTimeMs),
+            audioLevel: this.round(inbound.audioLevel ?? null, 3),
+            mos: this.round(this.estimateMos(jitterMs ?? 0, packetLossPercent, roundTripTimeMs ?? 0))
+        };
+    }
+
+    /**
+     * 按简化E-Model估算MOS（1.0 ~ 4.5）
+     */
+    estimateMos(jitterMs, packetLossPercent, roundTripTimeMs) {
+        const latency = roundTripTimeMs / 2 + jitterMs * 2 + 10;
+        let r = latency < 160 ? 93.2 - latency / 40 : 93.2 - (latency - 120) / 10;
+        r -= packetLossPercent * 2.5;
+
+        if (r <= 0) return 1;
+        const mos = 1 + 0.035 * r + 0.000007 * r * (r - 60) * (100 - r);
+        return Math.min(4.5, Math.max(1, mos));
+    }
+
+    /**
+     * 上报累积的采样，页面关闭或通话结束时使用keepalive保证请求发出
+     * @param {boolean} final - 是否为最后一次上报
+     */
+    flush(final = false) {
+        if (this.pending.length === 0 || !this.callId) return;
+
+        const samples = this.pending;
+        this.pending = [];
+
+        fetch('/api/CallQuality', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ callId: this.callId, source: this.source, samples }),
+            keepalive: final
+        }).catch(error => console.warn('上报通话质量失败:', error));
+    }
+
+    round(value, digits = 1) {
+        if (value === null || value === undefined || Number.isNaN(value)) return null;
+        const factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * 根据MOS给出质量等级
+     * @param {number} mos - MOS估值
+     * @returns {{text: string, type: string}}
+     */
+    static getQualityLevel(mos) {
+        if (mos >= 4.0) return { text: '优', type: 'success' };
+        if (mos >= 3.6) return { text: '良', type: 'primary' };
+        if (mos >= 3.1) return { text: '一般', type: 'warning' };
+        return { text: '差', type: 'danger' };
+    }
+}
@@ -8,15 +8,23 @@ const CallState = {
     OUTGOING: 'OUTGOING',
     INCOMING: 'INCOMING',
     CONNECTED: 'CONNECTED',
+    RECONNECTING: 'RECONNECTING',
+    HELD: 'HELD',
+    TRANSFERRING: 'TRANSFERRING',
+    CONSULTING: 'CONSULTING',
     ENDING: 'ENDING'
 };
 
 const BUTTON_STATES = {
-    IDLE: { call: true, answer: false, hangup: false, pauseRecording: false, resumeRecording: false },
-    OUTGOING: { call: false, answer: false, hangup: true, pauseRecording: false, resumeRecording: false },
-    INCOMING: { call: false, answer: true, hangup: true, pauseRecording: false, resumeRecording: false },  // 来电时显示接听和挂断按钮
-    CONNECTED: { call: false, answer: false, hangup: true, pauseRecording: true, resumeRecording: false },
-    ENDING: { call: false, answer: false, hangup: false, pauseRecording: false, resumeRecording: false }
+    IDLE: { call: true, answer: false, hangup: false, hold: false, resume: false, mute: false, transfer: false, conference: false, pauseRecording: false, resumeRecording: false },
+    OUTGOING: { call: false, answer: false, hangup: true, hold: false, resume: false, mute: false, transfer: false, conference: false, pauseRecording: false, resumeRecording: false },
+    INCOMING: { call: false, answer: true, hangup: true, hold: false, resume: false, mute: false, transfer: false, conference: false, pauseRecording: false, resumeRecording: false },  // 来电时显示接听和挂断按钮
+    CONNECTED: { call: false, answer: false, hangup: true, hold: true, resume: false, mute: true, transfer: true, conference: true, pauseRecording: true, resumeRecording: false },
+    RECONNECTING: { call: false, answer: false, hangup: true, hold: false, resume: false, mute: false, transfer: false, conference: false, pauseRecording: false, resumeRecording: false },  // 网络中断恢复中，只允许挂断
+    HELD: { call: false, answer: false, hangup: true, hold: false, resume: true, mute: true, transfer: true, conference: false, pauseRecording: false, resumeRecording: false },  // 保持中只允许恢复、静音、转接或挂断
+    TRANSFERRING: { call: false, answer: false, hangup: true, hold: false, resume: false, mute: false, transfer: false, conference: false, pauseRecording: false, resumeRecording: false },  // 盲转进行中，等待转接结果
+    CONSULTING: { call: false, answer: false, hangup: true, hold: false, resume: false, mute: true, transfer: false, conference: false, pauseRecording: false, resumeRecording: false },  // 咨询中由转接面板完成或取消
+    ENDING: { call: false, answer: false, hangup: false, hold: false, resume: false, mute: false, transfer: false, conference: false, pauseRecording: false, resumeRecording: false }
 };
 
 class CallStateManager {
@@ -24,10 +32,19 @@ class CallStateManager {
         this.currentState = CallState.IDLE;
         this.isTransitioning = false;
         this.elements = elements;
+
+        // 多线路会话：callId -> { callId, state, context, label }，currentState/callContext始终对应活动线路
+        this.sessions = new Map();
+        this.activeCallId = null;
         this.buttons = {
             call: elements.callButton,
             answer: elements.answerButton,
             hangup: elements.hangupButton,
+            hold: elements.holdButton,
+            resume: elements.resumeButton,
+            mute: elements.muteButton,
+            transfer: elements.transferButton,
+            conference: elements.conferenceButton,
             pauseRecording: elements.pauseRecordingButton,
             resumeRecording: elements.resumeRecordingButton
         };
@@ -57,10 +74,19 @@ class CallStateManager {
         
         this.isTransitioning = true;
         this.currentState = newState;
+
+        const activeSession = this.sessions.get(this.activeCallId);
+        if (activeSession) {
+            activeSession.state = newState;
+            this.notifySessionsChanged();
+        }
         
         try {
             this.updateButtonVisibility();
             console.log(`State successfully changed to: ${newState}`);
+            document.dispatchEvent(new CustomEvent('callStateChanged', {
+                detail: { oldState, newState, callId: this.activeCallId }
+            }));
             return true;
         } catch (error) {
             console.error(`Error during state transition to ${newState}:`, error);
@@ -84,6 +110,11 @@ class CallStateManager {
             this.updateButton('call', config.call);
             this.updateButton('answer', config.answer);
             this.updateButton('hangup', config.hangup);
+            this.updateButton('hold', config.hold);
+            this.updateButton('resume', config.resume);
+            this.updateButton('mute', config.mute);
+            this.updateButton('transfer', config.transfer);
+            this.updateButton('conference', config.conference);
             this.updateButton('pauseRecording', config.pauseRecording);
             this.updateButton('resumeRecording', config.resumeRecording);
 
@@ -138,14 +169,31 @@ class CallStateManager {
         console.log('Resetting to IDLE state');
         this.clearCallContext();
         this.setState(CallState.IDLE);
+        this.clearSessions();
     }
 
     getCurrentState() {
         return this.currentState;
     }
 
-    setCallContext(context) {
+    /**
+     * 设置活动线路的通话上下文，带callId时同时登记为线路会话
+     * @param {Object} context - 通话上下文
+     * @param {string} label - 线路显示名称（可选）
+     */
+    setCallContext(context, label = null) {
         this.callContext = context;
+        if (context && context.callId) {
+            const session = this.sessions.get(context.callId);
+            this.sessions.set(context.callId, {
+                callId: context.callId,
+                state: this.currentState,
+                context: context,
+                label: label || session?.label || context.callee?.sipUsername || context.callId
+            });
+            this.activeCallId = context.callId;
+            this.notifySessionsChanged();
+        }
         console.log('设置通话上下文:', context);
     }
 
@@ -158,6 +206,133 @@ class CallStateManager {
         console.log('清除通话上下文');
     }
 
+    /**
+     * 登记后台线路（如呼叫等待来电），不影响活动线路
+     * @param {Object} context - 通话上下文
+     * @param {string} state - 线路状态
+     * @param {string} label - 线路显示名称
+     */
+    addSession(context, state, label) {
+        if (!context || !context.callId) return;
+        this.sessions.set(context.callId, {
+            callId: context.callId,
+            state: state,
+            context: context,
+            label: label || context.callId
+        });
+        console.log(`登记线路 ${context.callId}，状态: ${state}`);
+        this.notifySessionsChanged();
+    }
+
+    getSession(callId) {
+        return this.sessions.get(callId) || null;
+    }
+
+    getSessions() {
+        return Array.from(this.sessions.values());
+    }
+
+    getSessionCount() {
+        return this.sessions.size;
+    }
+
+    getActiveCallId() {
+        return this.activeCallId;
+    }
+
+    /**
+     * 更新指定线路的状态，活动线路同时切换按钮状态
+     * @param {string} callId - 线路标识
+     * @param {string} state - 新状态
+     */
+    setSessionState(callId, state) {
+        if (callId === this.activeCallId) {
+            return this.setState(state);
+        }
+
+        const session = this.sessions.get(callId);
+        if (!session) return false;
+
+        session.state = state;
+        this.notifySessionsChanged();
+        return true;
+    }
+
+    /**
+     * 将指定线路切换为活动线路
+     * @param {string} callId - 线路标识
+     * @returns {Object|null} 切换后的线路会话
+     */
+    switchToSession(callId) {
+        const session = this.sessions.get(callId);
+        if (!session) {
+            console.warn(`线路不存在: ${callId}`);
+            return null;
+        }
+
+        this.activeCallId = callId;
+        this.callContext = session.context;
+        this.setState(session.state);
+        this.notifySessionsChanged();
+        console.log(`已切换到线路 ${callId}`);
+        return session;
+    }
+
+    /**
+     * 移除线路；移除活动线路时自动切换到剩余的第一条线路
+     * @param {string} callId - 线路标识
+     * @returns {Object|null} 移除后的活动线路会话
+     */
+    removeSession(callId) {
+        if (!this.sessions.delete(callId)) {
+            return this.sessions.get(this.activeCallId) || null;
+        }
+
+        console.log(`移除线路 ${callId}`);
+        if (callId !== this.activeCallId) {
+            this.notifySessionsChanged();
+            return this.sessions.get(this.activeCallId) || null;
+        }
+
+        const next = this.sessions.values().next().value;
+        if (next) {
+            return this.switchToSession(next.callId);
+        }
+
+        this.resetToIdle();
+        return null;
+    }
+
+    clearSessions() {
+        if (this.sessions.size === 0 && !this.activeCallId) return;
+        this.sessions.clear();
+        this.activeCallId = null;
+        this.notifySessionsChanged();
+    }
+
+    /**
+     * 用主标签页同步来的线路快照覆盖本页状态（从标签页使用）
+     * @param {string} activeCallId - 活动线路
+     * @param {Array} sessions - 线路会话列表
+     * @param {string} state - 活动线路状态
+     */
+    applyMirror(activeCallId, sessions, state) {
+        this.sessions = new Map((sessions || []).map(session => [session.callId, session]));
+        this.activeCallId = activeCallId || null;
+        this.callContext = this.sessions.get(this.activeCallId)?.context || null;
+        this.setState(state || CallState.IDLE);
+        this.notifySessionsChanged();
+    }
+
+    notifySessionsChanged() {
+        document.dispatchEvent(new CustomEvent('callSessionsChanged', {
+            detail: {
+                activeCallId: this.activeCallId,
+                sessions: this.getSessions()
+            }
+        }));
+    }
+
     /**
      * 检查是否在通话中
      * @returns {boolean} 是否在通话中
@@ -166,6 +341,22 @@ class CallStateManager {
         return this.currentState === CallState.CONNECTED;
     }
 
+    /**
+     * 检查通话是否处于保持状态
+     * @returns {boolean} 是否保持中
+     */
+    isOnHold() {
+        return this.currentState === CallState.HELD;
+    }
+
+    /**
+     * 检查是否处于转接流程中（盲转或咨询）
+     * @returns {boolean} 是否转接中
+     */
+    isTransferring() {
+        return this.currentState === CallState.TRANSFERRING || this.currentState === CallState.CONSULTING;
+    }
+
     /**
      * 检查是否可以发送DTMF
      * @returns {boolean} 是否可以发送DTMF
@@ -227,6 +418,9 @@ window.testCallStateManager = {
     testOutgoingState: () => window.phoneApp?.callStateManager?.testState('OUTGOING'),
     testIncomingState: () => window.phoneApp?.callStateManager?.testState('INCOMING'),
     testConnectedState: () => window.phoneApp?.callStateManager?.testState('CONNECTED'),
+    testHeldState: () => window.phoneApp?.callStateManager?.testState('HELD'),
+    testTransferringState: () => window.phoneApp?.callStateManager?.testState('TRANSFERRING'),
+    testConsultingState: () => window.phoneApp?.callStateManager?.testState('CONSULTING'),
     testAllStates: () => window.phoneApp?.callStateManager?.runAllTests(),
     getCurrentState: () => window.phoneApp?.callStateManager?.getCurrentState()
 };
\ No newline at end of file
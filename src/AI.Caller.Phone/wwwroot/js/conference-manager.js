@@ -0,0 +1,277 @@
+/**
+ * 多方通话管理器
+ * 负责"添加参与方"面板：呼叫第三方并入当前通话，参与方列表由服务端conferenceUpdated推送实时刷新，可逐个静音或移出
+ */
+class ConferenceManager {
+    constructor(elements, signalRManager, callStateManager, uiManager) {
+        this.elements = elements;
+        this.signalRManager = signalRManager;
+        this.callStateManager = callStateManager;
+        this.uiManager = uiManager;
+        this.handlerId = 'conference-panel';
+        this.participants = [];
+        this.isBusy = false;
+    }
+
+    initialize() {
+        if (!this.elements.conferencePanel) {
+            console.warn('多方通话面板未找到，添加参与方功能不可用');
+            return;
+        }
+
+        this.bindEvents();
+        this.registerUpdateHandler();
+
+        console.log('多方通话管理器已初始化');
+    }
+
+    bindEvents() {
+        this.elements.conferenceButton?.addEventListener('click', () => this.togglePanel());
+        this.elements.conferenceCloseButton?.addEventListener('click', () => this.hidePanel());
+        this.elements.conferenceAddButton?.addEventListener('click', () => this.addParticipant());
+        this.elements.conferenceTarget?.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') this.addParticipant();
+        });
+
+        this.elements.conferenceParticipantList?.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-conference-action]');
+            if (!button) return;
+
+            const participantId = button.getAttribute('data-participant-id');
+            switch (button.getAttribute('data-conference-action')) {
+                case 'mute':
+                    this.setMuted(participantId, true);
+                    break;
+                case 'unmute':
+                    this.setMuted(participantId, false);
+                    break;
+                case 'kick':
+                    this.removeParticipant(participantId);
+                    break;
+            }
+        });
+
+        document.addEventListener('callEnded', () => this.reset());
+        document.addEventListener('remoteHangup', () => this.reset());
+    }
+
+    /**
+     * 通过SignalR事件总线接收参与方列表
+     */
+    registerUpdateHandler() {
+        const bus = window.globalSignalRManager?.eventBus;
+        if (!bus) return;
+
+        bus.subscribe(this.handlerId, SignalREvents.CONFERENCE_UPDATED, (data) => {
+            this.handleConferenceUpdated(data);
+        });
+
+        window.addEventListener('beforeunload', () => bus.unsubscribe(this.handlerId));
+    }
+
+    isPanelVisible() {
+        return !this.elements.conferencePanel.classList.contains('d-none');
+    }
+
+    togglePanel() {
+        if (this.isPanelVisible()) {
+            this.hidePanel();
+        } else {
+            this.elements.conferencePanel.classList.remove('d-none');
+            this.render();
+            this.elements.conferenceTarget?.focus();
+        }
+    }
+
+    hidePanel() {
+        this.elements.conferencePanel.classList.add('d-none');
+    }
+
+    async addParticipant() {
+        const callContext = this.callStateManager.getCallContext();
+        const target = this.elements.conferenceTarget?.value.trim();
+
+        if (!callContext || !callContext.callId) {
+            this.setStatus('当前没有可加入的通话', 'danger');
+            return;
+        }
+        if (!target) {
+            this.setStatus('请输入参与方号码或选择联系人', 'warning');
+            return;
+        }
+        if (this.isBusy) return;
+
+        this.setBusy(true);
+        try {
+            const result = await this.signalRManager.connection.invoke("AddConferenceParticipantAsync", {
+                CallId: callContext.callId,
+                Target: target
+            });
+
+            if (!result || !result.success) {
+                this.setStatus(result?.message || '添加参与方失败', 'danger');
+            } else if (this.elements.conferenceTarget) {
+                this.elements.conferenceTarget.value = '';
+            }
+        } catch (error) {
+            console.error('添加参与方失败:', error);
+            this.setStatus(`添加参与方失败: ${error.message}`, 'danger');
+        } finally {
+            this.setBusy(false);
+        }
+    }
+
+    /**
+     * 设置参与方静音
+     * @param {string} participantId - 参与方标识
+     * @param {boolean} muted - 是否静音
+     */
+    async setMuted(participantId, muted) {
+        await this.invokeParticipantAction("SetConferenceParticipantMuteAsync", participantId, { Muted: muted }, '设置静音失败');
+    }
+
+    /**
+     * 将第三方移出多方通话
+     * @param {string} participantId - 参与方标识
+     */
+    async removeParticipant(participantId) {
+        await this.invokeParticipantAction("RemoveConferenceParticipantAsync", participantId, {}, '移出参与方失败');
+    }
+
+    async invokeParticipantAction(method, participantId, extra, failureMessage) {
+        const callContext = this.callStateManager.getCallContext();
+        if (!callContext || !participantId || this.isBusy) return;
+
+        this.setBusy(true);
+        try {
+            const result = await this.signalRManager.connection.invoke(method, {
+                CallId: callContext.callId,
+                ParticipantId: participantId,
+                ...extra
+            });
+
+            if (!result || !result.success) {
+                this.setStatus(result?.message || failureMessage, 'danger');
+            }
+        } catch (error) {
+            console.error(`${failureMessage}:`, error);
+            this.setStatus(`${failureMessage}: ${error.message}`, 'danger');
+        } finally {
+            this.setBusy(false);
+        }
+    }
+
+    /**
+     * 处理服务端推送的参与方列表
+     * @param {Object} data - { callId, active, participants, message }
+     */
+    handleConferenceUpdated(data) {
+        const callContext = this.callStateManager.getCallContext();
+        if (!data || !callContext || data.callId !== callContext.callId) {
+            return;
+        }
+
+        console.log('多方通话更新:', data);
+
+        this.participants = data.active ? (data.participants || []) : [];
+        if (data.message) {
+            this.setStatus(data.message, data.active ? 'info' : 'muted');
+        }
+        if (this.participants.length > 0) {
+            this.elements.conferencePanel.classList.remove('d-none');
+        }
+        this.render();
+    }
+
+    render() {
+        const list = this.elements.conferenceParticipantList;
+        if (!list) return;
+
+        if (this.participants.length === 0) {
+            list.innerHTML = '<li class="list-group-item text-muted small">暂无其他参与方，输入号码添加</li>';
+            return;
+        }
+
+        list.innerHTML = this.participants.map(participant => `
+            <li class="list-group-item d-flex justify-content-between align-items-center">
+                <div>
+                    <i class="bi ${this.getRoleIcon(participant.role)} me-2"></i>
+                    <span class="fw-semibold">${this.escapeHtml(participant.name)}</span>
+                    ${participant.number && participant.number !== participant.name ? `<small class="text-muted ms-1">${this.escapeHtml(participant.number)}</small>` : ''}
+                    <span class="badge ${participant.status === 'connected' ? 'bg-success' : 'bg-warning text-dark'} ms-2">${this.getStatusText(participant)}</span>
+                    ${participant.isMuted ? '<span class="badge bg-secondary ms-1"><i class="bi bi-mic-mute"></i> 已静音</span>' : ''}
+                </div>
+                <div class="btn-group btn-group-sm">${this.renderActions(participant)}</div>
+            </li>`).join('');
+    }
+
+    renderActions(participant) {
+        const disabled = this.isBusy ? ' disabled' : '';
+        const muteAction = participant.isMuted
+            ? `<button class="btn btn-outline-secondary" data-conference-action="unmute" data-participant-id="${participant.id}" title="取消静音"${disabled}>
+                   <i class="bi bi-mic"></i>
+               </button>`
+            : `<button class="btn btn-outline-secondary" data-conference-action="mute" data-participant-id="${participant.id}" title="静音"${disabled}>
+                   <i class="bi bi-mic-mute"></i>
+               </button>`;
+
+        if (participant.role !== 'guest') {
+            return muteAction;
+        }
+
+        return `${muteAction}
+            <button class="btn btn-outline-danger" data-conference-action="kick" data-participant-id="${participant.id}" title="移出"${disabled}>
+                <i class="bi bi-person-x"></i>
+            </button>`;
+    }
+
+    getStatusText(participant) {
+        if (participant.status === 'dialing') return '呼叫中';
+        switch (participant.role) {
+            case 'owner': return '我';
+            case 'party': return '原通话方';
+            default: return '已加入';
+        }
+    }
+
+    getRoleIcon(role) {
+        switch (role) {
+            case 'owner': return 'bi-headset';
+            case 'party': return 'bi-person';
+            default: return 'bi-person-plus';
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+
+    setBusy(busy) {
+        this.isBusy = busy;
+        if (this.elements.conferenceAddButton) {
+            this.elements.conferenceAddButton.disabled = busy;
+        }
+        this.render();
+    }
+
+    setStatus(message, type = 'muted') {
+        if (!this.elements.conferenceStatus) return;
+        this.elements.conferenceStatus.textContent = message || '';
+        this.elements.conferenceStatus.className = `small mt-2 text-${type}`;
+    }
+
+    reset() {
+        this.isBusy = false;
+        this.participants = [];
+        this.setStatus('');
+        if (this.elements.conferenceTarget) {
+            this.elements.conferenceTarget.value = '';
+        }
+        if (this.elements.conferenceAddButton) {
+            this.elements.conferenceAddButton.disabled = false;
+        }
+        this.elements.conferencePanel?.classList.add('d-none');
+    }
+}
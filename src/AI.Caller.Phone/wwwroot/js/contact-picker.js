@@ -0,0 +1,243 @@
+/**
+ * 联系人选择器
+ * 通讯录列表支持搜索，拨号输入框输入时按姓名或号码提示联系人；点击联系人直接使用其首选线路拨打。
+ * Web坐席联系人显示在线状态（在线/通话中/离线），由服务端presenceChanged事件实时更新
+ */
+const ContactPresence = Object.freeze({
+    ONLINE: 'online',
+    ON_CALL: 'onCall',
+    OFFLINE: 'offline'
+});
+
+const CONTACT_PRESENCE_LABELS = {
+    [ContactPresence.ONLINE]: '在线',
+    [ContactPresence.ON_CALL]: '通话中',
+    [ContactPresence.OFFLINE]: '离线'
+};
+
+class ContactPicker {
+    /**
+     * @param {Object} elements - PhoneApp的DOM元素集合
+     * @param {Object} actions - { dial(contact): 拨打联系人 }
+     */
+    constructor(elements, actions = {}) {
+        this.elements = elements;
+        this.actions = actions;
+        this.handlerId = 'contact-picker';
+        this.contacts = [];
+        this.suggestions = [];
+        this.activeIndex = -1;
+        this.maxSuggestions = 8;
+    }
+
+    async initialize() {
+        this.bindEvents();
+        this.subscribePresence();
+        await this.loadContacts();
+    }
+
+    bindEvents() {
+        const list = this.elements.contactsList;
+        if (list) {
+            list.addEventListener('click', (event) => {
+                const item = event.target.closest('.contact-item');
+                if (!item) return;
+                this.dial(this.findContact(item));
+            });
+        }
+
+        this.elements.contactSearch?.addEventListener('input', () => this.renderList());
+
+        const input = this.elements.destinationInput;
+        const suggestions = this.elements.contactSuggestions;
+        if (!input || !suggestions) return;
+
+        input.setAttribute('autocomplete', 'off');
+        input.addEventListener('input', () => this.showSuggestions(input.value));
+        input.addEventListener('focus', () => this.showSuggestions(input.value));
+        input.addEventListener('keydown', (event) => this.handleSuggestionKey(event));
+        // 延迟隐藏，保证点击提示项时先触发mousedown
+        input.addEventListener('blur', () => setTimeout(() => this.hideSuggestions(), 150));
+
+        suggestions.addEventListener('mousedown', (event) => {
+            const item = event.target.closest('[data-index]');
+            if (!item) return;
+            event.preventDefault();
+            this.selectSuggestion(parseInt(item.dataset.index));
+        });
+    }
+
+    subscribePresence() {
+        const bus = window.globalSignalRManager?.eventBus;
+        if (!bus) return;
+
+        bus.subscribe(this.handlerId, SignalREvents.PRESENCE_CHANGED, (data) => {
+            let changed = false;
+            (data?.changes || []).forEach(change => {
+                this.contacts
+                    .filter(contact => contact.webUserId === change.userId)
+                    .forEach(contact => {
+                        contact.presence = change.presence;
+                        changed = true;
+                    });
+            });
+            if (changed) {
+                this.renderList();
+            }
+        });
+        window.addEventListener('beforeunload', () => bus.unsubscribe(this.handlerId));
+    }
+
+    /**
+     * 加载联系人，失败时保留服务端渲染的列表
+     */
+    async loadContacts() {
+        try {
+            const response = await fetch('/api/Contacts');
+            if (!response.ok) {
+                throw new Error(await response.text());
+            }
+
+            this.contacts = await response.json();
+            this.renderList();
+        } catch (error) {
+            console.error('加载联系人失败:', error);
+        }
+    }
+
+    /**
+     * 服务端渲染的列表项只有姓名与号码，按号码匹配已加载的联系人
+     */
+    findContact(item) {
+        const id = parseInt(item.dataset.contactId);
+        const phone = item.dataset.phone;
+        return this.contacts.find(contact => contact.id === id)
+            || this.contacts.find(contact => contact.phoneNumber === phone)
+            || { name: item.dataset.name, phoneNumber: phone, preferredLineId: null };
+    }
+
+    filter(query, limit) {
+        const keyword = (query || '').trim().toLowerCase();
+        const matches = keyword
+            ? this.contacts.filter(contact =>
+                contact.name.toLowerCase().includes(keyword) || contact.phoneNumber.includes(keyword))
+            : this.contacts;
+        return limit ? matches.slice(0, limit) : matches;
+    }
+
+    renderList() {
+        const list = this.elements.contactsList;
+        if (!list || this.contacts.length === 0) return;
+
+        const contacts = this.filter(this.elements.contactSearch?.value);
+        if (contacts.length === 0) {
+            list.innerHTML = '<div class="list-group-item text-center text-muted small py-4 border-0">没有匹配的联系人</div>';
+            return;
+        }
+
+        list.innerHTML = contacts.map(contact => `
+            <button type="button" class="list-group-item list-group-item-action contact-item"
+                    data-contact-id="${contact.id}" title="点击拨打${contact.preferredLineName ? `（线路: ${this.escapeAttribute(contact.preferredLineName)}）` : ''}">
+                <div class="d-flex justify-content-between align-items-center gap-1">
+                    <div>
+                        ${this.renderPresence(contact)}
+                        <span class="contact-name">${this.escapeHtml(contact.name)}</span>
+                        ${contact.preferredLineName ? `<small class="text-muted ms-1"><i class="bi bi-diagram-3"></i> ${this.escapeHtml(contact.preferredLineName)}</small>` : ''}
+                    </div>
+                    <span class="badge bg-light text-dark">${this.escapeHtml(contact.phoneNumber)}</span>
+                </div>
+            </button>
+        `).join('');
+    }
+
+    renderPresence(contact) {
+        if (!contact.isWebUser) {
+            return '<i class="bi bi-person-circle text-primary me-2"></i>';
+        }
+
+        const presence = contact.presence || ContactPresence.OFFLINE;
+        return `<span class="contact-presence contact-presence-${presence} me-2" title="${CONTACT_PRESENCE_LABELS[presence] || presence}"></span>`;
+    }
+
+    showSuggestions(query) {
+        const container = this.elements.contactSuggestions;
+        if (!container) return;
+
+        this.suggestions = query?.trim() ? this.filter(query, this.maxSuggestions) : [];
+        this.activeIndex = -1;
+
+        if (this.suggestions.length === 0) {
+            this.hideSuggestions();
+            return;
+        }
+
+        container.innerHTML = this.suggestions.map((contact, index) => `
+            <button type="button" class="list-group-item list-group-item-action d-flex justify-content-between align-items-center" data-index="${index}">
+                <span>
+                    ${this.renderPresence(contact)}
+                    ${this.escapeHtml(contact.name)}
+                    ${contact.presence ? `<small class="text-muted ms-1">${CONTACT_PRESENCE_LABELS[contact.presence] || ''}</small>` : ''}
+                </span>
+                <small class="text-muted">${this.escapeHtml(contact.phoneNumber)}</small>
+            </button>
+        `).join('');
+        container.classList.remove('d-none');
+    }
+
+    hideSuggestions() {
+        this.suggestions = [];
+        this.activeIndex = -1;
+        this.elements.contactSuggestions?.classList.add('d-none');
+    }
+
+    /**
+     * 上下键选择提示项，回车拨打选中的联系人，Esc关闭提示
+     */
+    handleSuggestionKey(event) {
+        if (this.suggestions.length === 0) return;
+
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                event.preventDefault();
+                const step = event.key === 'ArrowDown' ? 1 : -1;
+                this.activeIndex = (this.activeIndex + step + this.suggestions.length) % this.suggestions.length;
+                this.elements.contactSuggestions.querySelectorAll('[data-index]').forEach((item, index) => {
+                    item.classList.toggle('active', index === this.activeIndex);
+                });
+                break;
+            }
+            case 'Enter':
+                if (this.activeIndex < 0) return;
+                event.preventDefault();
+                this.selectSuggestion(this.activeIndex);
+                break;
+            case 'Escape':
+                this.hideSuggestions();
+                break;
+        }
+    }
+
+    selectSuggestion(index) {
+        const contact = this.suggestions[index];
+        this.hideSuggestions();
+        this.dial(contact);
+    }
+
+    dial(contact) {
+        if (!contact?.phoneNumber) return;
+        this.actions.dial?.(contact);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
+}
+
+window.ContactPicker = ContactPicker;
@@ -0,0 +1,150 @@
+/**
+ * 拨号规则
+ * 把坐席输入或粘贴的号码（含空格、横线、括号、+86、00国际前缀、分机号）规范为E.164或内部分机格式，
+ * 并按SIP线路配置的国家区号与允许前缀校验。拨号盘与批量任务导入预览共用
+ */
+const DialNumberType = Object.freeze({
+    E164: 'e164',
+    EXTENSION: 'extension',
+    SIP_USER: 'sipUser'
+});
+
+class DialPlan {
+    /**
+     * @param {Object} rules - { countryCode: 国家区号如'86', dialPrefixes: 允许的E.164前缀, lineName: 线路名称 }
+     */
+    constructor(rules = {}) {
+        this.countryCode = (rules.countryCode || '').replace(/^\+/, '');
+        this.dialPrefixes = DialPlan.parsePrefixes(rules.dialPrefixes);
+        this.lineName = rules.lineName || '';
+        this.extensionMaxLength = 6; // 不超过该长度的纯数字视为内部分机
+    }
+
+    /**
+     * 根据线路选择生成拨号规则
+     * 指定线路时使用该线路的规则；自动选择时使用默认线路的区号，号码只需被任一线路允许
+     * @param {Array} lines - /api/SipLine/account/lines 返回的线路
+     * @param {number|null} selectedLineId - 指定的线路，null表示自动选择
+     * @returns {DialPlan}
+     */
+    static forLines(lines, selectedLineId) {
+        const activeLines = (lines || []).filter(line => line.isActive);
+        const lineId = Number(selectedLineId) || null;
+        const selected = lineId ? activeLines.find(line => line.id === lineId) : null;
+        if (selected) {
+            return new DialPlan({
+                countryCode: selected.countryCode,
+                dialPrefixes: selected.dialPrefixes,
+                lineName: selected.name
+            });
+        }
+
+        const defaultLine = activeLines.find(line => line.isDefault && line.countryCode)
+            || activeLines.find(line => line.countryCode);
+        // 任一线路不限制前缀时，自动选择即不限制
+        const unrestricted = activeLines.length === 0 || activeLines.some(line => !line.dialPrefixes);
+        return new DialPlan({
+            countryCode: defaultLine?.countryCode,
+            dialPrefixes: unrestricted ? null : activeLines.map(line => line.dialPrefixes).join(',')
+        });
+    }
+
+    static parsePrefixes(prefixes) {
+        return (prefixes || '')
+            .split(',')
+            .map(prefix => prefix.trim().replace(/^\+?/, '+'))
+            .filter(prefix => prefix.length > 1);
+    }
+
+    /**
+     * 规范化并校验号码
+     * @param {string} input - 原始输入
+     * @returns {{ input: string, number: string, type: string|null, extension: string|null, valid: boolean, error: string|null }}
+     */
+    normalize(input) {
+        const raw = (input ?? '').toString().trim();
+        const result = { input: raw, number: raw, type: null, extension: null, valid: false, error: null };
+
+        if (!raw) {
+            result.error = '请输入电话号码';
+            return result;
+        }
+
+        // Web坐席的SIP账号可以包含字母，原样拨打
+        if (/^[A-Za-z][\w.-]*$/.test(raw)) {
+            return { ...result, type: DialNumberType.SIP_USER, valid: true };
+        }
+
+        let text = DialPlan.toHalfWidth(raw);
+
+        // 分机号：ext/x/转/#后的数字在接通后按键输入
+        const extensionMatch = text.match(/(?:ext\.?|x|转|#)\s*(\d{1,6})\s*$/i);
+        if (extensionMatch) {
+            result.extension = extensionMatch[1];
+            text = text.slice(0, extensionMatch.index);
+        }
+
+        // +86 (0)10 ... 中括号内的国内长途前缀不拨
+        text = text.replace(/^(\+\d{1,3})\s*\(0\)/, '$1');
+
+        const hasPlus = text.trim().startsWith('+');
+        const digits = text.replace(/[\s\-.()\/]/g, '').replace(/^\+/, '');
+        if (!/^\d+$/.test(digits)) {
+            result.error = '号码包含无效字符';
+            return result;
+        }
+
+        if (!hasPlus && digits.length <= this.extensionMaxLength) {
+            if (digits.length < 2) {
+                result.error = '号码过短';
+                return result;
+            }
+            return { ...result, number: digits, type: DialNumberType.EXTENSION, valid: true };
+        }
+
+        let e164;
+        if (hasPlus) {
+            e164 = '+' + digits;
+        } else if (digits.startsWith('00')) {
+            e164 = '+' + digits.slice(2);
+        } else if (this.countryCode && digits.startsWith(this.countryCode) && digits.length > 10) {
+            // 粘贴时丢了"+"的国际格式，如 8613800138000
+            e164 = '+' + digits;
+        } else if (this.countryCode) {
+            e164 = '+' + this.countryCode + digits.replace(/^0/, '');
+        } else {
+            result.error = '线路未配置国家区号，请以+或00开头输入国际号码';
+            return result;
+        }
+
+        result.number = e164;
+        result.type = DialNumberType.E164;
+
+        if (!/^\+[1-9]\d{6,14}$/.test(e164)) {
+            result.error = '不是有效的E.164号码';
+            return result;
+        }
+
+        if (this.dialPrefixes.length > 0 && !this.dialPrefixes.some(prefix => e164.startsWith(prefix))) {
+            result.error = this.lineName
+                ? `线路“${this.lineName}”不允许拨打该号码段`
+                : '当前可用线路都不允许拨打该号码段';
+            return result;
+        }
+
+        result.valid = true;
+        return result;
+    }
+
+    /**
+     * 全角数字与符号转半角，便于处理从文档中复制的号码
+     */
+    static toHalfWidth(text) {
+        return text
+            .replace(/[！-～]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xFEE0))
+            .replace(/　/g, ' ');
+    }
+}
+
+window.DialPlan = DialPlan;
+window.DialNumberType = DialNumberType;
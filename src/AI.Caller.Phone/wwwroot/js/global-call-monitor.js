@@ -65,15 +65,10 @@ class GlobalWebRTCManager {
         }
     }
 
-    toggleMute() {
-        if (this.localStream) {
-            const audioTrack = this.localStream.getAudioTracks()[0];
-            if (audioTrack) {
-                audioTrack.enabled = !audioTrack.enabled;
-                return !audioTrack.enabled; // 返回是否静音
-            }
-        }
-        return false;
+    setMuted(muted) {
+        this.localStream?.getAudioTracks().forEach(track => {
+            track.enabled = !muted;
+        });
     }
 
     cleanup() {
@@ -126,10 +121,6 @@ class GlobalCallMonitor {
         this.callStartTime = null;
         this.callTimerInterval = null;
 
-        // 🔧 新增：事件去重机制
-        this.lastProcessedEvents = new Map(); // 存储最近处理的事件
-        this.eventDeduplicationTimeout = 1000; // 1秒内的重复事件将被忽略
-
         // WebRTC管理器
         this.webrtcManager = new GlobalWebRTCManager();
 
@@ -185,8 +176,8 @@ class GlobalCallMonitor {
             await this.setupGlobalSignalR();
         }, 2000);
 
-        // 定期获取活跃通话
-        this.startActiveCallsPolling();
+        // 获取一次活跃通话，之后由SignalR通话事件触发刷新
+        this.refreshActiveCalls();
 
         this.isActive = true;
     }
@@ -326,7 +317,7 @@ class GlobalCallMonitor {
 
         // 查看监控页面
         document.getElementById('view-all-monitoring').addEventListener('click', () => {
-            window.open('/Monitoring/ActiveCalls', '_blank');
+            window.open('/Monitoring/Wallboard', '_blank');
         });
 
         // 导出日志
@@ -1036,52 +1027,90 @@ class GlobalCallMonitor {
     }
 
     /**
-     * 注册监控事件处理器
+     * 通过SignalR事件总线注册监控事件处理器
      */
     registerMonitoringHandlers() {
         const handlerId = 'global-monitor';
+        const bus = window.globalSignalRManager.eventBus;
 
-        // 注册来电监听
-        window.globalSignalRManager.registerEventHandler(handlerId, 'inCalling', (callData) => {
+        // 监控面板延迟启动，回放启动前已到达的来电与接听状态
+        bus.subscribe(handlerId, SignalREvents.IN_CALLING, (callData) => {
             this.handleIncomingCall(callData);
-        });
+        }, { replay: true });
 
-        // 注册通话状态监听
-        window.globalSignalRManager.registerEventHandler(handlerId, 'callAnswered', (data) => {
+        bus.subscribe(handlerId, SignalREvents.CALL_ANSWERED, (data) => {
             this.handleCallAnswered(data);
-        });
+        }, { replay: true });
 
-        window.globalSignalRManager.registerEventHandler(handlerId, 'callEnded', (data) => {
+        bus.subscribe(handlerId, SignalREvents.CALL_ENDED, (data) => {
             this.handleCallEnded(data);
         });
 
-        window.globalSignalRManager.registerEventHandler(handlerId, 'callTimeout', (data) => {
+        bus.subscribe(handlerId, SignalREvents.CALL_TIMEOUT, (data) => {
             this.handleCallTimeout(data);
         });
 
-        // 🔧 注册对方挂断事件
-        window.globalSignalRManager.registerEventHandler(handlerId, 'remoteHangup', (data) => {
+        bus.subscribe(handlerId, SignalREvents.REMOTE_HANGUP, (data) => {
             this.handleRemoteHangup(data);
         });
 
-        // 🔧 注册通话失败事件
-        window.globalSignalRManager.registerEventHandler(handlerId, 'callFailed', (data) => {
+        bus.subscribe(handlerId, SignalREvents.CALL_FAILED, (data) => {
             this.handleCallFailed(data);
         });
 
-        // 🔧 注册网络断开事件
-        window.globalSignalRManager.registerEventHandler(handlerId, 'connectionLost', (data) => {
+        bus.subscribe(handlerId, SignalREvents.CONNECTION_LOST, (data) => {
             this.handleConnectionLost(data);
         });
 
+        this.registerTabActions();
+        this.registerMuteProvider();
+
         // 页面卸载时注销处理器
         window.addEventListener('beforeunload', () => {
-            if (window.globalSignalRManager) {
-                window.globalSignalRManager.unregisterEventHandler(handlerId);
-            }
+            bus.unsubscribe(handlerId);
+        });
+    }
+
+    /**
+     * 非Home页面作为主标签页时，执行其他标签页转发的接听与挂断（Home页面由PhoneApp注册）
+     */
+    registerTabActions() {
+        const coordinator = window.tabCoordinator;
+        if (!coordinator || this.isOnHomePage()) return;
+
+        coordinator.registerAction('answer', ({ callId }) => this.performGlobalAnswer(callId));
+        coordinator.registerAction('hangup', () => this.hangupCall());
+    }
+
+    /**
+     * 非Home页面接听的通话由本页持有麦克风音轨，静音状态与Home页面共用MuteManager
+     */
+    registerMuteProvider() {
+        const muteManager = window.muteManager;
+        if (!muteManager) return;
+
+        if (!this.isOnHomePage()) {
+            muteManager.registerProvider({
+                setMuted: (muted) => this.webrtcManager.setMuted(muted),
+                getInputStream: () => this.webrtcManager.localStream,
+                getCallId: () => this.isInCall ? this.currentIncomingCall?.callId : null
+            });
+        }
+
+        document.addEventListener('muteStateChanged', (event) => {
+            if (!this.isInCall) return;
+            this.updateMuteButton(event.detail.muted);
+            this.addLog(event.detail.muted ? '已静音' : '已取消静音', 'info');
         });
     }
 
+    /**
+     * 是否为镜像主标签页的从标签页
+     */
+    isMirrorTab() {
+        return !!window.tabCoordinator && !window.tabCoordinator.isLeader;
+    }
+
     /**
      * 等待PhoneApp初始化完成（有超时机制）
      */
@@ -1105,69 +1134,10 @@ class GlobalCallMonitor {
         });
     }
 
-    /**
-     * 创建独立的SignalR连接（备用方案）
-     */
-    async createIndependentSignalR() {
-        this.signalRConnection = new signalR.HubConnectionBuilder()
-            .withUrl("/webrtc")
-            .withHubProtocol(new signalR.protocols.msgpack.MessagePackHubProtocol()) 
-            .configureLogging(signalR.LogLevel.Information)
-            .withAutomaticReconnect()
-            .build();
-
-        // 监听来电事件
-        this.signalRConnection.on("inCalling", (callData) => {
-            this.handleIncomingCall(callData);
-        });
-
-        // 监听通话状态变化
-        this.signalRConnection.on("callAnswered", (data) => {
-            this.handleCallAnswered(data);
-        });
-
-        this.signalRConnection.on("callEnded", (data) => {
-            this.handleCallEnded(data);
-        });
-
-        this.signalRConnection.on("callTimeout", (data) => {
-            this.handleCallTimeout(data);
-        });
-
-        // 🔧 监听对方挂断事件
-        this.signalRConnection.on("remoteHangup", (data) => {
-            this.handleRemoteHangup(data);
-        });
-
-        // 🔧 监听其他挂断相关事件
-        this.signalRConnection.on("callFailed", (data) => {
-            this.handleCallFailed(data);
-        });
-
-        this.signalRConnection.on("connectionLost", (data) => {
-            this.handleConnectionLost(data);
-        });
-
-        // 启动连接
-        await this.signalRConnection.start();
-        this.addLog('独立SignalR全局监听已启动', 'info');
-    }
-
     /**
      * 监听现有系统事件
      */
     setupEventListeners() {
-        // 监听页面通话事件
-        document.addEventListener('callEnded', () => {
-            this.addLog('检测到通话结束事件', 'info');
-            this.handleCallEnded({ reason: 'local' });
-        });
-
-        document.addEventListener('remoteHangup', () => {
-            this.addLog('检测到对方挂断事件', 'warning');
-            this.handleCallEnded({ reason: 'remote' });
-        });
-
         // 监听网络状态
         window.addEventListener('online', () => {
             this.addLog('网络连接已恢复', 'info');
@@ -1222,38 +1192,10 @@ class GlobalCallMonitor {
         }
     }
 
-    /**
-     * 事件去重检查
-     */
-    isDuplicateEvent(eventType, callId) {
-        const eventKey = `${eventType}_${callId || 'unknown'}`;
-        const now = Date.now();
-        const lastProcessed = this.lastProcessedEvents.get(eventKey);
-
-        if (lastProcessed && (now - lastProcessed) < this.eventDeduplicationTimeout) {
-            console.log(`🔄 忽略重复事件: ${eventType} (${callId})`);
-            return true;
-        }
-
-        this.lastProcessedEvents.set(eventKey, now);
-
-        // 清理过期的事件记录
-        for (const [key, timestamp] of this.lastProcessedEvents.entries()) {
-            if (now - timestamp > this.eventDeduplicationTimeout * 2) {
-                this.lastProcessedEvents.delete(key);
-            }
-        }
-
-        return false;
-    }
-
     /**
      * 处理通话接听（SignalR事件）
      */
     handleCallAnswered(data) {
-        const callId = data?.callId || this.currentIncomingCall?.callId;
-        if (this.isDuplicateEvent('callAnswered', callId)) return;
-
         if (!this.isInCall) {
             this.isInCall = true;
             this.isIncomingCallActive = false;
@@ -1272,9 +1214,6 @@ class GlobalCallMonitor {
      * 处理通话结束（SignalR事件）
      */
     handleCallEnded(data) {
-        const callId = data?.callId || this.currentIncomingCall?.callId;
-        if (this.isDuplicateEvent('callEnded', callId)) return;
-
         const reason = data?.reason || 'unknown';
         let logMessage = '通话已结束';
 
@@ -1429,6 +1368,13 @@ class GlobalCallMonitor {
                 return;
             }
 
+            // 从标签页：由主标签页接听，本页只显示通话控制
+            if (this.isMirrorTab()) {
+                await window.tabCoordinator.performAction('answer', { callId });
+                this.markCallActive();
+                return;
+            }
+
             // 在其他页面：直接处理
             await this.performGlobalAnswer(callId);
 
@@ -1459,14 +1405,8 @@ class GlobalCallMonitor {
                 AnswerSdp: JSON.stringify(answerSdp)
             });
 
-            // 3. 更新状态
-            this.isInCall = true;
-            this.isIncomingCallActive = false;
-            this.updateIncomingStatus('active', '通话进行中');
-            this.addLog('通话已接听', 'success');
-
-            // 4. 显示通话控制界面
-            this.showCallControlUI();
+            // 3. 更新状态并显示通话控制界面
+            this.markCallActive();
 
         } catch (error) {
             // 清理WebRTC资源
@@ -1475,6 +1415,17 @@ class GlobalCallMonitor {
         }
     }
 
+    /**
+     * 标记通话已接听并显示通话控制界面
+     */
+    markCallActive() {
+        this.isInCall = true;
+        this.isIncomingCallActive = false;
+        this.updateIncomingStatus('active', '通话进行中');
+        this.addLog('通话已接听', 'success');
+        this.showCallControlUI();
+    }
+
     /**
      * 拒接通话
      */
@@ -1535,7 +1486,7 @@ class GlobalCallMonitor {
         controlSection.className = 'call-control-section';
         controlSection.innerHTML = `
             <div class="monitor-section">
-                <h4>📞 通话中</h4>
+                <h4>📞 通话中 <span id="global-mute-indicator" class="badge bg-danger d-none">MUTED</span></h4>
                 <div class="call-controls">
                     <button id="global-mute-btn" class="btn btn-sm btn-control-call btn-warning">🔇 静音</button>
                     <button id="global-hangup-btn" class="btn btn-sm btn-control-call btn-danger">📞 挂断</button>
@@ -1557,6 +1508,8 @@ class GlobalCallMonitor {
             this.hangupCall();
         });
 
+        this.updateMuteButton(window.muteManager?.isMuted ?? false);
+
         // 启动通话计时器
         this.startCallTimer();
     }
@@ -1565,7 +1518,15 @@ class GlobalCallMonitor {
      * 切换静音
      */
     toggleMute() {
-        const isMuted = this.webrtcManager.toggleMute();
+        // 从标签页由MuteManager转交主标签页，按钮随muteStateChanged更新
+        window.muteManager?.toggle()
+            .catch(error => this.addLog(`静音失败: ${error.message}`, 'error'));
+    }
+
+    /**
+     * 更新静音按钮显示
+     */
+    updateMuteButton(isMuted) {
         const muteBtn = document.getElementById('global-mute-btn');
 
         if (muteBtn) {
@@ -1578,7 +1539,7 @@ class GlobalCallMonitor {
             }
         }
 
-        this.addLog(isMuted ? '已静音' : '已取消静音', 'info');
+        document.getElementById('global-mute-indicator')?.classList.toggle('d-none', !isMuted);
     }
 
     /**
@@ -1587,7 +1548,9 @@ class GlobalCallMonitor {
     async hangupCall() {
         try {
             const callId = this.currentIncomingCall?.callId;
-            if (callId) {
+            if (this.isMirrorTab()) {
+                await window.tabCoordinator.performAction('hangup');
+            } else if (callId) {
                 await window.globalSignalRManager.invoke("HangupCallAsync", {
                     CallId: callId,
                     Reason: "UserHangup"
@@ -1663,6 +1626,9 @@ class GlobalCallMonitor {
         this.isIncomingCallActive = false;
         this.isInCall = false;
         this.callStartTime = null;
+        if (!this.isOnHomePage()) {
+            window.muteManager?.reset();
+        }
         this.updateIncomingStatus('waiting', '等待来电...');
         this.updateIncomingCallsUI(false);
 
@@ -1701,19 +1667,6 @@ class GlobalCallMonitor {
         this.addLog('来电超时未接听', 'warning');
     }
 
-    /**
-     * 开始活跃通话轮询
-     */
-    startActiveCallsPolling() {
-        // 立即获取一次
-        this.refreshActiveCalls();
-
-        // 每10秒刷新一次
-        this.activeCallsPollingInterval = setInterval(() => {
-            this.refreshActiveCalls();
-        }, 10000);
-    }
-
     /**
      * 刷新活跃通话
      */
@@ -1969,23 +1922,23 @@ class GlobalCallMonitor {
         console.log('启用SignalR事件调试模式');
 
         // 🔧 修复：只记录事件，不重复处理
-        if (window.globalSignalRManager && window.globalSignalRManager.connection) {
-            const connection = window.globalSignalRManager.connection;
+        if (window.globalSignalRManager) {
+            const bus = window.globalSignalRManager.eventBus;
 
             // 监听所有可能的事件，但只用于调试记录
             const possibleEvents = [
-                'callEnded',        // 通话结束
-                'callTimeout',      // 通话超时
-                'remoteHangup',     // 对方挂断
-                'callFailed',       // 通话失败
-                'connectionLost'    // 连接丢失
+                SignalREvents.CALL_ENDED,       // 通话结束
+                SignalREvents.CALL_TIMEOUT,     // 通话超时
+                SignalREvents.REMOTE_HANGUP,    // 对方挂断
+                SignalREvents.CALL_FAILED,      // 通话失败
+                SignalREvents.CONNECTION_LOST   // 连接丢失
             ];
 
             // 🔧 修复：使用不同的处理器ID避免冲突
             const debugHandlerId = 'global-monitor-debug';
 
             possibleEvents.forEach(eventName => {
-                window.globalSignalRManager.registerEventHandler(debugHandlerId, eventName, (data) => {
+                bus.subscribe(debugHandlerId, eventName, (data) => {
                     console.log(`🔥 [DEBUG] 收到SignalR事件: ${eventName}`, data);
                     this.addLog(`[调试] 收到事件: ${eventName}`, 'info');
                     // 🔧 修复：不在这里处理事件，避免重复处理
@@ -2037,10 +1990,6 @@ class GlobalCallMonitor {
      * 清理资源
      */
     cleanup() {
-        if (this.activeCallsPollingInterval) {
-            clearInterval(this.activeCallsPollingInterval);
-        }
-
         // 停止通话计时器
         this.stopCallTimer();
 
@@ -2074,13 +2023,9 @@ class GlobalCallMonitor {
         // 清理WebRTC资源
         this.webrtcManager.cleanup();
 
-        // 如果使用的是独立连接，才关闭SignalR连接
-        if (this.signalRConnection &&
-            this.signalRConnection !== window.phoneApp?.signalRManager?.connection) {
-            this.signalRConnection.stop();
-        } else {
-            console.log('使用共享SignalR连接，不关闭连接');
-        }
+        // SignalR连接由全局管理器统一关闭，这里只注销事件总线订阅
+        window.globalSignalRManager?.eventBus.unsubscribe('global-monitor');
+        window.globalSignalRManager?.eventBus.unsubscribe('global-monitor-debug');
 
         // 隐藏UI
         if (this.ui) {
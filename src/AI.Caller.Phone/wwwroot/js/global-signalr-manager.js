@@ -7,8 +7,14 @@ class GlobalSignalRManager {
         this.connection = null;
         this.isConnected = false;
         this.eventHandlers = new Map(); // 存储各页面的事件处理器
+        this.eventBus = new SignalREventBus(this); // 各模块通过事件总线订阅，避免重复处理
         this.heartbeatInterval = null;
         this.heartbeatIntervalMs = 5000;
+        this.tabCoordinator = new TabCoordinator({
+            userId: document.querySelector('meta[name="user-id"]')?.content,
+            dialer: !!document.getElementById('callButton')
+        });
+        window.tabCoordinator = this.tabCoordinator;
 
         // 自动初始化
         this.initialize();
@@ -21,10 +27,12 @@ class GlobalSignalRManager {
         console.log('初始化全局SignalR连接...');
 
         try {
+            this.tabCoordinator.start();
             this.createConnection();
             this.setupConnectionEvents();
             await this.startConnection();
             this.startHeartbeat();
+            this.loadMissedCallCount();
 
             console.log('全局SignalR连接已建立');
         } catch (error) {
@@ -33,10 +41,10 @@ class GlobalSignalRManager {
     }
 
     /**
-     * 创建SignalR连接
+     * 创建SignalR连接，多个标签页共用主标签页的连接
      */
     createConnection() {
-        this.connection = new signalR.HubConnectionBuilder()
+        this.connection = new SharedHubConnection(() => new signalR.HubConnectionBuilder()
             .withUrl("/webrtc")
             .withHubProtocol(new signalR.protocols.msgpack.MessagePackHubProtocol()) 
             .configureLogging(signalR.LogLevel.Information)
@@ -48,7 +56,7 @@ class GlobalSignalRManager {
                     return delay;
                 }
             })
-            .build();
+            .build(), this.tabCoordinator);
     }
 
     /**
@@ -66,6 +74,7 @@ class GlobalSignalRManager {
             console.log(`全局SignalR重连成功，连接ID: ${connectionId}`);
             this.notifyAllHandlers('connectionStateChanged', { state: 'connected', connectionId });
             this.startHeartbeat();
+            this.loadMissedCallCount();
         });
 
         this.connection.onclose((error) => {
@@ -78,6 +87,7 @@ class GlobalSignalRManager {
         // 设置通用事件监听
         this.setupCallEvents();
         this.setupRecordingEvents();
+        this.setupInterventionEvents();
     }
 
     /**
@@ -111,12 +121,34 @@ class GlobalSignalRManager {
             this.notifyAllHandlers('callTimeout', data);
         });
 
-        this.connection.on("sdpAnswered", (answerDesc) => {
-            this.notifyAllHandlers('sdpAnswered', answerDesc);
+        // SDP应答与ICE候选者的第二个参数为callId，用于多线路路由
+        this.connection.on("sdpAnswered", (answerDesc, callId) => {
+            this.notifyAllHandlers('sdpAnswered', answerDesc, callId);
+        });
+
+        this.connection.on("receiveIceCandidate", (candidate, callId) => {
+            this.notifyAllHandlers('receiveIceCandidate', candidate, callId);
+        });
+
+        this.connection.on("callHeld", (data) => {
+            this.notifyAllHandlers('callHeld', data);
+        });
+
+        this.connection.on("callResumed", (data) => {
+            this.notifyAllHandlers('callResumed', data);
         });
 
-        this.connection.on("receiveIceCandidate", (candidate) => {
-            this.notifyAllHandlers('receiveIceCandidate', candidate);
+        // 坐席静音状态，坐席本人的所有标签页与监听该通话的班长都会收到
+        this.connection.on("agentMuteChanged", (data) => {
+            this.notifyAllHandlers('agentMuteChanged', data);
+        });
+
+        this.connection.on("transferProgress", (data) => {
+            this.notifyAllHandlers('transferProgress', data);
+        });
+
+        this.connection.on("conferenceUpdated", (data) => {
+            this.notifyAllHandlers('conferenceUpdated', data);
         });
 
         // 🔧 添加缺失的通话结束相关事件
@@ -135,10 +167,88 @@ class GlobalSignalRManager {
             this.notifyAllHandlers('callFailed', data);
         });
 
+        this.connection.on("hangupFailed", (data) => {
+            this.notifyAllHandlers('hangupFailed', data);
+        });
+
         this.connection.on("connectionLost", (data) => {
             console.log('全局SignalR收到connectionLost:', data);
             this.notifyAllHandlers('connectionLost', data);
         });
+
+        // 未接来电数量变化，更新导航栏角标
+        this.connection.on("missedCallCountChanged", (data) => {
+            this.updateMissedCallBadge(data?.count ?? 0);
+            this.notifyAllHandlers('missedCallCountChanged', data);
+        });
+
+        // Web坐席在线状态变化，联系人列表据此更新状态
+        this.connection.on("presenceChanged", (data) => {
+            this.notifyAllHandlers('presenceChanged', data);
+        });
+
+        // 坐席话后处理开始或提交，同步到该坐席的所有标签页
+        this.connection.on("wrapUpChanged", (data) => {
+            this.notifyAllHandlers('wrapUpChanged', data);
+        });
+
+        // 坐席状态变化（空闲/忙碌/小休），坐席的状态选择器与班长的坐席状态列表据此更新
+        this.connection.on("agentStatusChanged", (data) => {
+            this.notifyAllHandlers('agentStatusChanged', data);
+        });
+
+        // 通话实时转写，每识别出一句推送一次
+        this.connection.on("transcriptSegment", (segment, callId) => {
+            this.notifyAllHandlers('transcriptSegment', segment, callId);
+        });
+
+        // 班长耳语或接入坐席的通话，坐席页面显示提示
+        this.connection.on("supervisorModeChanged", (data) => {
+            this.notifyAllHandlers('supervisorModeChanged', data);
+        });
+
+        // 班长看板快照，打开看板的管理员每秒收到一次
+        this.connection.on("wallboardUpdated", (data) => {
+            this.notifyAllHandlers('wallboardUpdated', data);
+        });
+
+        // 监听页面的两路音量（客户、坐席/AI），每100ms一条
+        this.connection.on("monitorAudioLevels", (data) => {
+            this.notifyAllHandlers('monitorAudioLevels', data, data?.callId);
+        });
+
+        // 被监听的场景通话的播放位置，每500ms一条，监听页面时间轴据此显示进度
+        this.connection.on("scenarioPlaybackUpdated", (data) => {
+            this.notifyAllHandlers('scenarioPlaybackUpdated', data);
+        });
+    }
+
+    /**
+     * 从服务端加载未接来电数量
+     */
+    async loadMissedCallCount() {
+        try {
+            const response = await fetch('/api/CallHistory/missed-count');
+            if (!response.ok) return;
+
+            const data = await response.json();
+            this.updateMissedCallBadge(data.count);
+        } catch (error) {
+            console.warn('加载未接来电数量失败:', error);
+        }
+    }
+
+    /**
+     * 更新导航栏未接来电角标
+     */
+    updateMissedCallBadge(count) {
+        const badge = document.getElementById('missedCallBadge');
+        if (!badge) return;
+
+        badge.textContent = count > 99 ? '99+' : String(count);
+        badge.classList.toggle('d-none', !count);
+        badge.title = count ? `${count} 个未接来电` : '';
+        window.callNotificationManager?.updateAppBadge(count);
     }
 
     /**
@@ -162,6 +272,19 @@ class GlobalSignalRManager {
         });
     }
 
+    /**
+     * 设置监听页人工接入事件监听
+     */
+    setupInterventionEvents() {
+        this.connection.on("interventionStarted", (data) => {
+            this.notifyAllHandlers('interventionStarted', data);
+        });
+
+        this.connection.on("interventionEnded", (data) => {
+            this.notifyAllHandlers('interventionEnded', data);
+        });
+    }
+
     /**
      * 启动连接
      */
@@ -177,12 +300,13 @@ class GlobalSignalRManager {
     }
 
     /**
-     * 开始心跳
+     * 开始心跳，只由持有连接的主标签页发送
      */
     startHeartbeat() {
         if (this.heartbeatInterval) {
             clearInterval(this.heartbeatInterval);
         }
+        if (!this.connection.isOwner) return;
 
         this.heartbeatInterval = setInterval(async () => {
             if (this.connection && this.connection.state === signalR.HubConnectionState.Connected) {
@@ -239,13 +363,13 @@ class GlobalSignalRManager {
     /**
      * 通知所有处理器
      */
-    notifyAllHandlers(eventType, data) {
+    notifyAllHandlers(eventType, ...args) {
         this.eventHandlers.forEach((handlerEvents, handlerId) => {
             if (handlerEvents.has(eventType)) {
                 const callbacks = handlerEvents.get(eventType);
                 callbacks.forEach(callback => {
                     try {
-                        callback(data);
+                        callback(...args);
                     } catch (error) {
                         console.error(`事件处理器 ${handlerId} 处理 ${eventType} 事件时出错:`, error);
                     }
@@ -277,6 +401,7 @@ class GlobalSignalRManager {
         return {
             isConnected: this.isConnected,
             state: this.connection?.state || 'Not initialized',
+            isOwner: this.connection?.isOwner ?? false,
             handlersCount: this.eventHandlers.size
         };
     }
@@ -294,6 +419,7 @@ class GlobalSignalRManager {
         }
 
         this.eventHandlers.clear();
+        this.eventBus.cleanup();
         this.isConnected = false;
 
         console.log('全局SignalR资源清理完成');
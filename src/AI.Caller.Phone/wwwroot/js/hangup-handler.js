@@ -90,6 +90,7 @@ class HangupHandler {
         this.updateStatusFunc = this.uiElements.updateStatus || window.updateStatus;
         this.showCallInfo = this.uiElements.showCallInfo || window.showCallInfo;
         this.clearCallUI = this.uiElements.clearCallUI || window.clearCallUI;
+        this.endCallSession = this.uiElements.endCallSession;
         
         // 验证必要的UI元素是否存在
         if (!this.hangupButton) {
@@ -102,37 +103,39 @@ class HangupHandler {
     }
 
     /**
-     * 设置SignalR事件处理器
+     * 通过SignalR事件总线订阅挂断相关事件
      */
     setupSignalRHandlers() {
-        // 挂断开始通知
-        this.connection.on('hangupInitiated', (data) => {
-            this.handleHangupInitiated(data);
-        });
+        this.handlerId = 'hangup-handler';
+        this.eventBus = window.globalSignalRManager?.eventBus;
+        if (!this.eventBus) {
+            console.warn('SignalR事件总线未找到，挂断通知将无法处理');
+            return;
+        }
 
         // 通话结束通知
-        this.connection.on('callEnded', (data) => {
+        this.eventBus.subscribe(this.handlerId, SignalREvents.CALL_ENDED, (data) => {
             this.handleCallEnded(data);
         });
 
         // 挂断失败通知
-        this.connection.on('hangupFailed', (data) => {
+        this.eventBus.subscribe(this.handlerId, SignalREvents.HANGUP_FAILED, (data) => {
             this.handleHangupFailed(data);
         });
 
         // 对方挂断通知
-        this.connection.on('remoteHangup', (data) => {
+        this.eventBus.subscribe(this.handlerId, SignalREvents.REMOTE_HANGUP, (data) => {
             this.handleRemoteHangup(data);
         });
 
         // 连接状态变化
-        this.connection.onclose(() => {
-            this.updateStatus('连接已断开', 'danger');
-            this.disableHangupButton();
-        });
-
-        this.connection.onreconnected(() => {
-            this.updateStatus('连接已恢复', 'success');
+        this.eventBus.subscribe(this.handlerId, SignalREvents.CONNECTION_STATE_CHANGED, (data) => {
+            if (data.state === 'disconnected') {
+                this.updateStatus('连接已断开', 'danger');
+                this.disableHangupButton();
+            } else if (data.state === 'connected') {
+                this.updateStatus('连接已恢复', 'success');
+            }
         });
     }
 
@@ -147,19 +150,11 @@ class HangupHandler {
             }
         };
 
-        this.keydownHandler = (event) => {
-            if (event.ctrlKey && event.key === 'h' && this.canInitiateHangup()) {
-                event.preventDefault();
-                this.initiateHangup();
-            }
-        };
-
         if (this.hangupButton) {
             this.hangupButton.addEventListener('click', this.clickHandler);
         }
 
-        // 键盘快捷键 (Ctrl+H)
-        document.addEventListener('keydown', this.keydownHandler);
+        // 挂断快捷键由KeyboardShortcutManager统一处理
     }
 
     /**
@@ -171,10 +166,16 @@ class HangupHandler {
             return;
         }
 
+        // 从标签页的挂断由PhoneApp转发给主标签页执行
+        if (window.tabCoordinator && !window.tabCoordinator.isLeader) {
+            return;
+        }
+
         try {
             this.isHangingUp = true;
 
             if (this.stateManager && typeof this.stateManager.setState === 'function') {
+                this.stateBeforeHangup = this.stateManager.getCurrentState?.();
                 this.stateManager.setState('ENDING');
             }
 
@@ -237,6 +238,10 @@ class HangupHandler {
         console.log('收到通话结束通知:', data);
         this.isHangingUp = false;
         this.hideHangupProgress();
+
+        if (this.endSessionOnly(data)) {
+            return;
+        }
         
         // ===== 第一步：停止铃音 =====
         if (window.ringtoneManager) {
@@ -275,8 +280,8 @@ class HangupHandler {
         
         // 通过StateManager恢复到之前的状态
         if (this.stateManager && typeof this.stateManager.setState === 'function') {
-            // 如果挂断失败，通常应该恢复到CONNECTED状态
-            this.stateManager.setState('CONNECTED');
+            // 如果挂断失败，通常应该恢复到CONNECTED状态；保持中的通话恢复为HELD
+            this.stateManager.setState(this.stateBeforeHangup === 'HELD' ? 'HELD' : 'CONNECTED');
         }        
     }
 
@@ -286,6 +291,10 @@ class HangupHandler {
     handleRemoteHangup(data) {
         console.log('收到对方挂断通知:', data);
         this.isHangingUp = false;
+
+        if (this.endSessionOnly(data)) {
+            return;
+        }
         
         // ===== 第一步：停止铃音 =====
         if (window.ringtoneManager) {
@@ -321,6 +330,24 @@ class HangupHandler {
         console.log('对方挂断处理完成，系统已重置到就绪状态');
     }
 
+    /**
+     * 多线路时只结束通知对应的线路，其余线路保持不变
+     * @returns {boolean} 是否已按线路处理
+     */
+    endSessionOnly(data) {
+        if (typeof this.endCallSession !== 'function' || !data?.callId) {
+            return false;
+        }
+
+        if (!this.endCallSession(data.callId)) {
+            return false;
+        }
+
+        this.enableHangupButton();
+        console.log('线路结束处理完成，其余线路继续保持:', data.callId);
+        return true;
+    }
+
     /**
      * 更新状态显示 - 使用全局updateStatus函数或回退到本地实现
      */
@@ -474,7 +501,7 @@ class HangupHandler {
         // 检查StateManager状态
         if (this.stateManager && typeof this.stateManager.getCurrentState === 'function') {
             const currentState = this.stateManager.getCurrentState();
-            return currentState === 'CONNECTED' || currentState === 'OUTGOING';
+            return ['CONNECTED', 'HELD', 'TRANSFERRING', 'CONSULTING', 'OUTGOING'].includes(currentState);
         }
         
         return true;
@@ -496,6 +523,9 @@ class HangupHandler {
                 break;
             case 'OUTGOING':
             case 'CONNECTED':
+            case 'HELD':
+            case 'TRANSFERRING':
+            case 'CONSULTING':
                 this.enableHangupButton();
                 break;
             case 'ENDING':
@@ -516,20 +546,12 @@ class HangupHandler {
             this.hangupButton.removeEventListener('click', this.clickHandler);
         }
         
-        if (this.keydownHandler) {
-            document.removeEventListener('keydown', this.keydownHandler);
-        }
-        
-        // 清理SignalR处理器
-        if (this.connection) {
-            this.connection.off('hangupInitiated');
-            this.connection.off('callEnded');
-            this.connection.off('hangupFailed');
-            this.connection.off('remoteHangup');
-        }
+        // 注销事件总线订阅，不影响其他模块对同一事件的处理
+        this.eventBus?.unsubscribe(this.handlerId);
         
         // 清理引用以防止内存泄漏
         this.connection = null;
+        this.eventBus = null;
         this.uiElements = null;
         this.stateManager = null;
         this.hangupButton = null;
@@ -537,8 +559,8 @@ class HangupHandler {
         this.updateStatusFunc = null;
         this.showCallInfo = null;
         this.clearCallUI = null;
+        this.endCallSession = null;
         this.clickHandler = null;
-        this.keydownHandler = null;
         this.lastStatusUpdate = null;
     }
 }
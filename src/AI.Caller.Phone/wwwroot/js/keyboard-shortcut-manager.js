@@ -0,0 +1,451 @@
+/**
+ * 快捷键管理器
+ * 统一处理接听、挂断、静音、保持、录音、聚焦拨号框、重拨与通话监控面板的快捷键；
+ * 按 ? 打开快捷键速查表，可在速查表中重新设置按键，自定义结果保存到服务端（/api/KeyboardShortcuts）
+ */
+const KEYBOARD_SHORTCUT_ACTIONS = [
+    { action: 'answer', label: '接听来电', defaultKey: 'Alt+A' },
+    { action: 'hangup', label: '挂断 / 拒接', defaultKey: 'Ctrl+H' },
+    { action: 'mute', label: '静音 / 取消静音', defaultKey: 'Alt+M' },
+    { action: 'hold', label: '保持 / 恢复通话', defaultKey: 'Alt+P' },
+    { action: 'toggleRecording', label: '暂停 / 继续录音', defaultKey: 'Alt+R' },
+    { action: 'focusDialer', label: '聚焦拨号输入框', defaultKey: 'Alt+D' },
+    { action: 'redial', label: '重拨上一个号码', defaultKey: 'Alt+L' },
+    { action: 'toggleMonitor', label: '显示 / 隐藏通话监控面板', defaultKey: 'Alt+G' },
+    { action: 'cheatSheet', label: '快捷键速查表', defaultKey: '?' }
+];
+
+// 浏览器自身占用、页面无法拦截的组合键
+const BROWSER_RESERVED_SHORTCUTS = [
+    'Ctrl+W', 'Ctrl+T', 'Ctrl+N', 'Ctrl+Tab', 'Ctrl+Shift+Tab',
+    'Ctrl+Shift+W', 'Ctrl+Shift+T', 'Ctrl+Shift+N', 'Alt+F4'
+];
+
+class KeyboardShortcutManager {
+    constructor() {
+        this.customShortcuts = {};
+        this.shortcuts = {};
+        this.bindings = new Map(); // 按键组合 -> 动作
+        this.modal = null;
+        this.modalElement = null;
+        this.capturingAction = null;
+        this.applyShortcuts();
+    }
+
+    initialize() {
+        // 捕获阶段监听，修改快捷键时先于拨号键盘等其他处理
+        document.addEventListener('keydown', (event) => this.handleKeydown(event), true);
+
+        // 其他标签页修改快捷键后同步
+        window.tabCoordinator?.on('keyboardShortcutsChanged', (custom) => {
+            this.customShortcuts = custom || {};
+            this.applyShortcuts();
+            this.renderCheatSheet();
+        });
+
+        this.load();
+        console.log('快捷键管理器已初始化');
+    }
+
+    async load() {
+        try {
+            const response = await fetch('/api/KeyboardShortcuts');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            this.customShortcuts = await response.json();
+            this.applyShortcuts();
+        } catch (error) {
+            console.warn('加载自定义快捷键失败，使用默认快捷键:', error);
+        }
+    }
+
+    applyShortcuts() {
+        this.shortcuts = {};
+        this.bindings.clear();
+
+        KEYBOARD_SHORTCUT_ACTIONS.forEach(({ action, defaultKey }) => {
+            const key = this.customShortcuts[action] || defaultKey;
+            this.shortcuts[action] = key;
+            if (!this.bindings.has(key.toLowerCase())) {
+                this.bindings.set(key.toLowerCase(), action);
+            }
+        });
+    }
+
+    /**
+     * 把键盘事件转换为按键组合，如 Ctrl+Alt+A；修饰键顺序固定为Ctrl、Alt、Shift、Meta
+     * @param {KeyboardEvent} event
+     * @returns {string|null} 只按下修饰键时为null
+     */
+    static toCombo(event) {
+        if (['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'CapsLock'].includes(event.key)) {
+            return null;
+        }
+
+        const hasCommandModifier = event.ctrlKey || event.altKey || event.metaKey;
+        let key = event.key;
+
+        // 按住Alt/Ctrl时部分系统会改变event.key（如macOS的Alt+A为å），字母与数字改用物理键位
+        const codeMatch = /^(?:Key([A-Z])|Digit([0-9]))$/.exec(event.code || '');
+        if (hasCommandModifier && codeMatch) {
+            key = codeMatch[1] || codeMatch[2];
+        }
+
+        if (key === ' ') {
+            key = 'Space';
+        } else if (key === '+') {
+            key = 'Plus';
+        } else if (key.length === 1) {
+            key = key.toUpperCase();
+        }
+
+        // ?、* 等符号本身已包含Shift，不再单独记录
+        const isSymbol = key.length === 1 && !/[A-Z0-9]/.test(key);
+        const modifiers = [];
+        if (event.ctrlKey) modifiers.push('Ctrl');
+        if (event.altKey) modifiers.push('Alt');
+        if (event.shiftKey && !isSymbol) modifiers.push('Shift');
+        if (event.metaKey) modifiers.push('Meta');
+
+        return [...modifiers, key].join('+');
+    }
+
+    static hasCommandModifier(combo) {
+        return /(^|\+)(Ctrl|Alt|Meta)\+/.test(combo);
+    }
+
+    /**
+     * 焦点在输入框内时，不带Ctrl/Alt/Meta的快捷键留给输入框
+     */
+    static isEditableTarget(target) {
+        if (!target) return false;
+        return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+    }
+
+    handleKeydown(event) {
+        if (this.capturingAction) {
+            this.captureKey(event);
+            return;
+        }
+        if (event.repeat || event.isComposing || event.defaultPrevented) return;
+
+        const combo = KeyboardShortcutManager.toCombo(event);
+        if (!combo) return;
+
+        const action = this.bindings.get(combo.toLowerCase());
+        if (!action) return;
+
+        if (KeyboardShortcutManager.isEditableTarget(event.target) && !KeyboardShortcutManager.hasCommandModifier(combo)) {
+            return;
+        }
+
+        event.preventDefault();
+        this.execute(action);
+    }
+
+    async execute(action) {
+        console.log(`快捷键: ${action}`);
+
+        try {
+            switch (action) {
+                case 'answer': await this.answer(); break;
+                case 'hangup': await this.hangup(); break;
+                case 'mute': await this.toggleMute(); break;
+                case 'hold': await this.toggleHold(); break;
+                case 'toggleRecording': this.toggleRecording(); break;
+                case 'focusDialer': this.focusDialer(); break;
+                case 'redial': await this.redial(); break;
+                case 'toggleMonitor': window.globalCallMonitor?.toggleUI(); break;
+                case 'cheatSheet': this.toggleCheatSheet(); break;
+            }
+        } catch (error) {
+            console.error(`快捷键操作失败: ${action}`, error);
+        }
+    }
+
+    /**
+     * 首页由PhoneApp处理（从标签页会转交主标签页），其他页面由全局通话监控处理
+     */
+    getPhoneApp() {
+        const phoneApp = window.phoneApp;
+        return phoneApp?.isInitialized ? phoneApp : null;
+    }
+
+    async answer() {
+        const phoneApp = this.getPhoneApp();
+        if (phoneApp && phoneApp.callStateManager.getCurrentState() === CallState.INCOMING) {
+            await phoneApp.handleAnswer();
+            return;
+        }
+
+        const incomingCall = window.globalCallMonitor?.currentIncomingCall;
+        if (incomingCall && !window.globalCallMonitor.isInCall) {
+            await window.globalCallMonitor.answerCall(incomingCall.callId);
+        }
+    }
+
+    async hangup() {
+        const phoneApp = this.getPhoneApp();
+        if (phoneApp) {
+            if (phoneApp.callStateManager.getCurrentState() !== CallState.IDLE) {
+                await phoneApp.handleHangup();
+            }
+            return;
+        }
+
+        const monitor = window.globalCallMonitor;
+        if (monitor?.isInCall) {
+            await monitor.hangupCall();
+        } else if (monitor?.currentIncomingCall) {
+            await monitor.rejectCall(monitor.currentIncomingCall.callId);
+        }
+    }
+
+    async toggleMute() {
+        await window.muteManager?.toggle();
+    }
+
+    async toggleHold() {
+        const phoneApp = this.getPhoneApp();
+        if (!phoneApp) return;
+
+        if (phoneApp.callStateManager.isOnHold()) {
+            await phoneApp.handleResume();
+        } else if (phoneApp.callStateManager.getCurrentState() === CallState.CONNECTED) {
+            await phoneApp.handleHold();
+        }
+    }
+
+    /**
+     * 按当前显示的录音按钮暂停或继续录音（按钮只对管理员可用）
+     */
+    toggleRecording() {
+        const elements = this.getPhoneApp()?.elements;
+        if (!elements) return;
+
+        const isVisible = (button) => button && !button.classList.contains('d-none') && !button.disabled;
+        if (isVisible(elements.pauseRecordingButton)) {
+            elements.pauseRecordingButton.click();
+        } else if (isVisible(elements.resumeRecordingButton)) {
+            elements.resumeRecordingButton.click();
+        }
+    }
+
+    focusDialer() {
+        const phoneApp = this.getPhoneApp();
+        if (phoneApp) {
+            phoneApp.uiManager.focusDestinationInput();
+            return;
+        }
+
+        window.location.href = '/';
+    }
+
+    async redial() {
+        const phoneApp = this.getPhoneApp();
+        if (!phoneApp) return;
+
+        const response = await fetch('/api/CallHistory?type=outbound&pageSize=1');
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const page = await response.json();
+        const lastCall = page.items?.[0];
+        if (!lastCall?.peerNumber) {
+            phoneApp.uiManager.updateStatus('没有可重拨的号码', 'warning');
+            return;
+        }
+
+        await phoneApp.redial(lastCall.peerNumber, lastCall.peerName);
+    }
+
+    /**
+     * 检查新的按键组合是否可用
+     * @returns {string|null} 不可用的原因
+     */
+    validate(action, combo) {
+        const mainKey = combo.split('+').pop();
+        if (!KeyboardShortcutManager.hasCommandModifier(combo) && /^[0-9*#]$/.test(mainKey)) {
+            return '数字键与 * # 用于通话中发送DTMF，请搭配Ctrl、Alt或Meta使用';
+        }
+        if (BROWSER_RESERVED_SHORTCUTS.some(key => key.toLowerCase() === combo.toLowerCase())) {
+            return `${combo} 由浏览器占用，页面无法响应`;
+        }
+
+        const existing = this.bindings.get(combo.toLowerCase());
+        if (existing && existing !== action) {
+            return `${combo} 已分配给「${this.getLabel(existing)}」`;
+        }
+        return null;
+    }
+
+    getLabel(action) {
+        return KEYBOARD_SHORTCUT_ACTIONS.find(item => item.action === action)?.label || action;
+    }
+
+    async save(custom) {
+        const response = await fetch('/api/KeyboardShortcuts', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(custom)
+        });
+        if (!response.ok) {
+            throw new Error(await response.text() || `HTTP ${response.status}`);
+        }
+
+        this.customShortcuts = await response.json();
+        this.applyShortcuts();
+        this.renderCheatSheet();
+        window.tabCoordinator?.broadcast('keyboardShortcutsChanged', this.customShortcuts);
+    }
+
+    async setShortcut(action, combo) {
+        const defaultKey = KEYBOARD_SHORTCUT_ACTIONS.find(item => item.action === action).defaultKey;
+        const custom = { ...this.customShortcuts };
+        if (combo === defaultKey) {
+            delete custom[action];
+        } else {
+            custom[action] = combo;
+        }
+
+        await this.save(custom);
+    }
+
+    toggleCheatSheet() {
+        this.ensureCheatSheet();
+        if (this.modalElement.classList.contains('show')) {
+            this.modal.hide();
+        } else {
+            this.renderCheatSheet();
+            this.modal.show();
+        }
+    }
+
+    ensureCheatSheet() {
+        if (this.modalElement) return;
+
+        this.modalElement = document.createElement('div');
+        this.modalElement.className = 'modal fade';
+        this.modalElement.id = 'keyboardShortcutModal';
+        this.modalElement.tabIndex = -1;
+        this.modalElement.innerHTML = `
+            <div class="modal-dialog modal-dialog-centered">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title"><i class="bi bi-keyboard me-2"></i>快捷键</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="关闭"></button>
+                    </div>
+                    <div class="modal-body">
+                        <table class="table table-sm align-middle mb-2">
+                            <tbody id="keyboardShortcutList"></tbody>
+                        </table>
+                        <div class="small text-danger d-none" id="keyboardShortcutError"></div>
+                        <div class="small text-muted">不带Ctrl、Alt或Meta的快捷键在输入框中不生效</div>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-outline-secondary btn-sm" id="keyboardShortcutReset">恢复默认</button>
+                        <button type="button" class="btn btn-primary btn-sm" data-bs-dismiss="modal">关闭</button>
+                    </div>
+                </div>
+            </div>`;
+        document.body.appendChild(this.modalElement);
+
+        this.modal = new bootstrap.Modal(this.modalElement);
+        this.modalElement.addEventListener('hidden.bs.modal', () => this.cancelCapture());
+        this.modalElement.querySelector('#keyboardShortcutList').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-shortcut-action]');
+            if (button) {
+                this.startCapture(button.getAttribute('data-shortcut-action'));
+            }
+        });
+        this.modalElement.querySelector('#keyboardShortcutReset').addEventListener('click', () => {
+            this.save({}).catch(error => this.showError(`恢复默认失败: ${error.message}`));
+        });
+    }
+
+    renderCheatSheet() {
+        const list = this.modalElement?.querySelector('#keyboardShortcutList');
+        if (!list) return;
+
+        list.innerHTML = KEYBOARD_SHORTCUT_ACTIONS.map(({ action, label }) => {
+            const keys = this.capturingAction === action
+                ? '<span class="text-primary small">请按下新的快捷键，Esc取消</span>'
+                : this.shortcuts[action].split('+').map(key => `<kbd>${this.escapeHtml(key)}</kbd>`).join(' + ');
+            const customized = this.customShortcuts[action] ? '<span class="badge bg-info ms-1">自定义</span>' : '';
+
+            return `
+                <tr>
+                    <td>${label}${customized}</td>
+                    <td class="text-nowrap">${keys}</td>
+                    <td class="text-end">
+                        <button type="button" class="btn btn-link btn-sm p-0" data-shortcut-action="${action}">修改</button>
+                    </td>
+                </tr>`;
+        }).join('');
+    }
+
+    startCapture(action) {
+        this.capturingAction = action;
+        this.showError(null);
+        this.renderCheatSheet();
+    }
+
+    cancelCapture() {
+        this.capturingAction = null;
+        this.renderCheatSheet();
+    }
+
+    async captureKey(event) {
+        event.preventDefault();
+        event.stopPropagation();
+
+        if (event.key === 'Escape') {
+            this.cancelCapture();
+            return;
+        }
+
+        const combo = KeyboardShortcutManager.toCombo(event);
+        if (!combo) return;
+
+        const action = this.capturingAction;
+        const error = this.validate(action, combo);
+        if (error) {
+            this.showError(error);
+            return;
+        }
+
+        this.capturingAction = null;
+        try {
+            await this.setShortcut(action, combo);
+        } catch (saveError) {
+            this.showError(`保存快捷键失败: ${saveError.message}`);
+            this.renderCheatSheet();
+        }
+    }
+
+    showError(message) {
+        const element = this.modalElement?.querySelector('#keyboardShortcutError');
+        if (!element) return;
+
+        element.textContent = message || '';
+        element.classList.toggle('d-none', !message);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+}
+
+window.KeyboardShortcutManager = KeyboardShortcutManager;
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (!window.keyboardShortcutManager) {
+        window.keyboardShortcutManager = new KeyboardShortcutManager();
+        window.keyboardShortcutManager.initialize();
+    }
+});
@@ -0,0 +1,185 @@
+/**
+ * 监听页面的双路音量显示
+ * 服务端在混音前分别统计客户与坐席/AI两路的逐帧音量（monitorAudioLevels，每100ms一条），
+ * 这里绘制两路音量条与滚动波形，并标出长时间双方静音（AI可能卡住）与双方同时说话（抢话），便于班长及时接入
+ */
+const MONITOR_LEVEL_DEFAULTS = {
+    speechLevel: 35,       // 高于该音量（0-100，约-39dBFS）视为在说话
+    hangoverMs: 300,       // 说话判定的拖尾，避免字间停顿被算作静音
+    silenceMs: 5000,       // 双方静音超过该时长提示
+    crosstalkMs: 1500,     // 双方同时说话超过该时长提示
+    historyMs: 10000       // 波形显示的时长
+};
+
+class MonitorAudioLevels {
+    /**
+     * @param {Object} elements - { customerMeter, customerValue, agentMeter, agentValue, canvas, alert }
+     * @param {Object} options - 覆盖MONITOR_LEVEL_DEFAULTS
+     */
+    constructor(elements, options = {}) {
+        this.elements = elements;
+        this.options = { ...MONITOR_LEVEL_DEFAULTS, ...options };
+        this.frameMs = 20;
+        this.drawPending = false;
+        this.reset();
+    }
+
+    reset() {
+        this.history = []; // [{ customer, agent, silent, crosstalk }]
+        this.frameIndex = 0;
+        this.customerSpokeAt = -Infinity;
+        this.agentSpokeAt = -Infinity;
+        this.lastSpeechAt = 0;
+        this.crosstalkStartAt = null;
+        this.setMeter('customer', 0, false);
+        this.setMeter('agent', 0, false);
+        this.showAlert(null);
+        this.draw();
+    }
+
+    /**
+     * @param {number[]} customerLevels - 客户逐帧音量
+     * @param {number[]} agentLevels - 坐席/AI逐帧音量
+     * @param {number} frameMs - 每帧时长
+     */
+    push(customerLevels, agentLevels, frameMs) {
+        if (!Array.isArray(customerLevels) || !Array.isArray(agentLevels)) return;
+
+        this.frameMs = frameMs || this.frameMs;
+        const frames = Math.min(customerLevels.length, agentLevels.length);
+        let state = null;
+        for (let i = 0; i < frames; i++) {
+            state = this.addFrame(customerLevels[i], agentLevels[i]);
+        }
+        if (!state) return;
+
+        const maxFrames = Math.ceil(this.options.historyMs / this.frameMs);
+        if (this.history.length > maxFrames) {
+            this.history.splice(0, this.history.length - maxFrames);
+        }
+
+        this.setMeter('customer', Math.max(...customerLevels), state.customerSpeaking);
+        this.setMeter('agent', Math.max(...agentLevels), state.agentSpeaking);
+        this.updateAlert(state);
+        this.scheduleDraw();
+    }
+
+    addFrame(customer, agent) {
+        const now = ++this.frameIndex * this.frameMs;
+        const { speechLevel, hangoverMs, silenceMs, crosstalkMs } = this.options;
+
+        if (customer >= speechLevel) this.customerSpokeAt = now;
+        if (agent >= speechLevel) this.agentSpokeAt = now;
+
+        const customerSpeaking = now - this.customerSpokeAt <= hangoverMs;
+        const agentSpeaking = now - this.agentSpokeAt <= hangoverMs;
+        if (customerSpeaking || agentSpeaking) {
+            this.lastSpeechAt = now;
+        }
+
+        if (customerSpeaking && agentSpeaking) {
+            this.crosstalkStartAt ??= now;
+        } else {
+            this.crosstalkStartAt = null;
+        }
+
+        const silenceDuration = now - this.lastSpeechAt;
+        const state = {
+            customerSpeaking,
+            agentSpeaking,
+            silenceDuration,
+            silent: silenceDuration >= silenceMs,
+            crosstalk: this.crosstalkStartAt !== null && now - this.crosstalkStartAt >= crosstalkMs
+        };
+
+        this.history.push({ customer, agent, silent: state.silent, crosstalk: state.crosstalk });
+        return state;
+    }
+
+    setMeter(leg, level, speaking) {
+        const meter = this.elements[`${leg}Meter`];
+        const value = this.elements[`${leg}Value`];
+        if (meter) {
+            meter.style.width = `${level}%`;
+            meter.classList.toggle('monitor-level-speaking', speaking);
+        }
+        if (value) {
+            value.textContent = speaking ? '说话中' : '';
+        }
+    }
+
+    updateAlert(state) {
+        if (state.crosstalk) {
+            this.showAlert('alert-danger', '抢话：客户与坐席/AI同时说话');
+        } else if (state.silent) {
+            this.showAlert('alert-warning', `双方静音 ${Math.floor(state.silenceDuration / 1000)} 秒，AI可能没有响应`);
+        } else {
+            this.showAlert(null);
+        }
+    }
+
+    showAlert(type, text) {
+        const alert = this.elements.alert;
+        if (!alert) return;
+
+        alert.className = `alert ${type || ''} py-1 px-2 small mb-0 mt-2`;
+        alert.classList.toggle('d-none', !type);
+        alert.textContent = text || '';
+    }
+
+    scheduleDraw() {
+        if (this.drawPending) return;
+
+        this.drawPending = true;
+        requestAnimationFrame(() => {
+            this.drawPending = false;
+            this.draw();
+        });
+    }
+
+    /**
+     * 滚动波形：客户在中线上方，坐席/AI在下方，最新的帧在最右侧；静音与抢话的时段加底色
+     */
+    draw() {
+        const canvas = this.elements.canvas;
+        if (!canvas) return;
+
+        const width = canvas.clientWidth || canvas.width;
+        const height = canvas.clientHeight || canvas.height;
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        const context = canvas.getContext('2d');
+        context.clearRect(0, 0, width, height);
+
+        const maxFrames = Math.ceil(this.options.historyMs / this.frameMs);
+        const step = width / maxFrames;
+        const middle = height / 2;
+        const offset = width - this.history.length * step;
+
+        this.history.forEach((frame, i) => {
+            const x = offset + i * step;
+            if (frame.crosstalk || frame.silent) {
+                context.fillStyle = frame.crosstalk ? 'rgba(239, 68, 68, 0.15)' : 'rgba(245, 158, 11, 0.15)';
+                context.fillRect(x, 0, Math.ceil(step), height);
+            }
+
+            const customerHeight = frame.customer / 100 * (middle - 2);
+            const agentHeight = frame.agent / 100 * (middle - 2);
+            context.fillStyle = '#22C55E';
+            context.fillRect(x, middle - customerHeight, Math.max(1, step - 0.5), customerHeight);
+            context.fillStyle = '#3B82F6';
+            context.fillRect(x, middle, Math.max(1, step - 0.5), agentHeight);
+        });
+
+        context.strokeStyle = '#D1D5DB';
+        context.beginPath();
+        context.moveTo(0, middle);
+        context.lineTo(width, middle);
+        context.stroke();
+    }
+}
+
+window.MonitorAudioLevels = MonitorAudioLevels;
@@ -1,13 +1,16 @@
 class MonitorWebRTCManager {
-    constructor(signalRManager, remoteAudioElement) {
+    constructor(signalRManager, remoteAudioElement, onQualitySample = null) {
         this.signalRManager = signalRManager;
         this.remoteAudio = remoteAudioElement;
+        this.onQualitySample = onQualitySample;
+        this.qualityCollector = null;
         this.pc = null;
         this.iceServers = [];
         this.callId = null;
         this.targetUserId = null;
         this.localStream = null;
         this.isInterventionActive = false;
+        this.isWhisperActive = false;
     }
 
     async initialize() {
@@ -74,6 +77,15 @@ class MonitorWebRTCManager {
 
         if (result.success && result.answer) {
             await this.pc.setRemoteDescription({ type: 'answer', sdp: result.answer });
+
+            // 采集监听链路的通话质量
+            if (typeof CallQualityCollector !== 'undefined') {
+                this.qualityCollector = new CallQualityCollector(() => this.pc, {
+                    source: 'monitor',
+                    onSample: this.onQualitySample
+                });
+                this.qualityCollector.start(callId);
+            }
         } else {
             this.stop();
             throw new Error(result.message || "Connection failed");
@@ -118,7 +130,38 @@ class MonitorWebRTCManager {
         this.isInterventionActive = false;
     }
 
+    /**
+     * 耳语时同样打开麦克风，由服务端只转发给坐席（需先调用StartWhisperAsync切换路由）
+     */
+    startWhisper() {
+        if (!this.pc) throw new Error("WebRTC connection not established");
+        if (this.isWhisperActive) return;
+
+        if (this.localStream) {
+            this.localStream.getAudioTracks().forEach(track => {
+                track.enabled = true;
+            });
+            this.isWhisperActive = true;
+            console.log("Whisper active (Mic Unmuted)");
+        } else {
+            throw new Error("Microphone stream not available");
+        }
+    }
+
+    stopWhisper() {
+        if (this.localStream && !this.isInterventionActive) {
+            this.localStream.getAudioTracks().forEach(track => {
+                track.enabled = false;
+            });
+            console.log("Whisper stopped (Mic Muted)");
+        }
+        this.isWhisperActive = false;
+    }
+
     stop() {
+        this.qualityCollector?.stop();
+        this.qualityCollector = null;
+        this.stopWhisper();
         this.stopIntervention();
         if (this.localStream) {
             this.localStream.getTracks().forEach(t => t.stop());
@@ -0,0 +1,185 @@
+/**
+ * 坐席静音管理器
+ * 首页PhoneApp与其他页面的GlobalCallMonitor共用同一个静音状态：由持有通话媒体的页面注册音轨提供者，
+ * 其他标签页通过主标签页切换；静音状态经服务端（agentMuteChanged）同步到坐席的所有标签页与监听该通话的班长。
+ * 静音期间检测到坐席在讲话时提示取消静音
+ */
+class MuteManager {
+    constructor() {
+        this.handlerId = 'mute-manager';
+        this.userId = document.querySelector('meta[name="user-id"]')?.content || null;
+        this.isMuted = false;
+        this.provider = null; // { setMuted(muted), getInputStream(), getCallId() }
+        this.speechDetector = null;
+        this.speechThreshold = 0.04;      // 麦克风音量RMS超过该值视为讲话
+        this.speechCheckIntervalMs = 200;
+        this.speechFramesToPrompt = 5;    // 连续约1秒讲话才提示
+        this.promptSnoozeMs = 30000;      // 忽略提示后30秒内不再提示
+        this.promptSnoozedUntil = 0;
+        this.elements = {
+            prompt: document.getElementById('mutedSpeakingPrompt'),
+            unmuteButton: document.getElementById('mutedSpeakingUnmute'),
+            dismissButton: document.getElementById('mutedSpeakingDismiss')
+        };
+    }
+
+    initialize() {
+        this.elements.unmuteButton?.addEventListener('click', () => {
+            this.setMuted(false).catch(error => console.error('取消静音失败:', error));
+        });
+        this.elements.dismissButton?.addEventListener('click', () => {
+            this.promptSnoozedUntil = Date.now() + this.promptSnoozeMs;
+            this.hidePrompt();
+        });
+
+        // 由持有通话媒体的主标签页执行，从标签页的静音请求都转到这里
+        window.tabCoordinator?.registerAction('mute', ({ muted }) => this.setMuted(muted ?? !this.isMuted));
+
+        const bus = window.globalSignalRManager?.eventBus;
+        if (bus) {
+            bus.subscribe(this.handlerId, SignalREvents.AGENT_MUTE_CHANGED, (data) => {
+                // 班长监听其他坐席时也会收到该事件
+                if (this.userId && String(data?.userId) !== this.userId) return;
+                this.applyState(!!data.muted);
+            });
+            window.addEventListener('beforeunload', () => bus.unsubscribe(this.handlerId));
+        }
+
+        console.log('静音管理器已初始化');
+    }
+
+    /**
+     * 注册持有通话麦克风音轨的一方（首页为WebRTCManager，其他页面为GlobalWebRTCManager）
+     */
+    registerProvider(provider) {
+        this.provider = provider;
+    }
+
+    toggle() {
+        return this.setMuted(!this.isMuted);
+    }
+
+    /**
+     * 设置静音状态
+     * @param {boolean} muted - 是否静音
+     * @returns {Promise<boolean>} 设置后是否静音
+     */
+    async setMuted(muted) {
+        if (window.tabCoordinator && !window.tabCoordinator.isLeader) {
+            const result = await window.tabCoordinator.performAction('mute', { muted });
+            this.applyState(!!result);
+            return !!result;
+        }
+
+        const callId = this.provider?.getCallId();
+        if (!callId) {
+            console.warn('当前没有进行中的通话，忽略静音操作');
+            return this.isMuted;
+        }
+
+        this.provider.setMuted(muted);
+        this.applyState(muted);
+
+        if (muted) {
+            this.startSpeechDetection();
+        } else {
+            this.stopSpeechDetection();
+        }
+
+        try {
+            await window.globalSignalRManager?.invoke('SetMuteStateAsync', { CallId: callId, Muted: muted });
+        } catch (error) {
+            console.warn('同步静音状态到服务端失败:', error);
+        }
+        return muted;
+    }
+
+    /**
+     * 通话结束后恢复为未静音，下一通电话不会带着静音开始
+     */
+    reset() {
+        this.stopSpeechDetection();
+        this.provider?.setMuted(false);
+        this.applyState(false);
+    }
+
+    applyState(muted) {
+        if (!muted) {
+            this.hidePrompt();
+        }
+        if (this.isMuted === muted) return;
+
+        this.isMuted = muted;
+        document.dispatchEvent(new CustomEvent('muteStateChanged', { detail: { muted } }));
+    }
+
+    /**
+     * 用麦克风原始音轨的副本检测讲话，发送给对方的音轨保持停用
+     */
+    startSpeechDetection() {
+        this.stopSpeechDetection();
+
+        const track = this.provider?.getInputStream()?.getAudioTracks()[0];
+        if (!track || !window.AudioContext) return;
+
+        try {
+            const probe = track.clone();
+            probe.enabled = true;
+
+            const context = new AudioContext();
+            const analyser = context.createAnalyser();
+            analyser.fftSize = 512;
+            context.createMediaStreamSource(new MediaStream([probe])).connect(analyser);
+
+            const samples = new Uint8Array(analyser.fftSize);
+            let speakingFrames = 0;
+            const timer = setInterval(() => {
+                analyser.getByteTimeDomainData(samples);
+
+                let sum = 0;
+                for (const sample of samples) {
+                    const value = (sample - 128) / 128;
+                    sum += value * value;
+                }
+
+                speakingFrames = Math.sqrt(sum / samples.length) >= this.speechThreshold ? speakingFrames + 1 : 0;
+                if (speakingFrames >= this.speechFramesToPrompt) {
+                    speakingFrames = 0;
+                    this.showPrompt();
+                }
+            }, this.speechCheckIntervalMs);
+
+            this.speechDetector = { context, probe, timer };
+        } catch (error) {
+            console.warn('静音讲话检测启动失败:', error);
+        }
+    }
+
+    stopSpeechDetection() {
+        if (!this.speechDetector) return;
+
+        clearInterval(this.speechDetector.timer);
+        this.speechDetector.probe.stop();
+        this.speechDetector.context.close().catch(() => null);
+        this.speechDetector = null;
+    }
+
+    showPrompt() {
+        if (!this.isMuted || Date.now() < this.promptSnoozedUntil) return;
+        this.elements.prompt?.classList.remove('d-none');
+    }
+
+    hidePrompt() {
+        this.elements.prompt?.classList.add('d-none');
+    }
+}
+
+window.MuteManager = MuteManager;
+
+// 在全局SignalR管理器与标签页协调器创建之后初始化
+document.addEventListener('DOMContentLoaded', () => {
+    if (!window.muteManager) {
+        window.muteManager = new MuteManager();
+        window.muteManager.initialize();
+    }
+});
@@ -8,9 +8,21 @@ class PhoneApp {
         this.callStateManager = null;
         this.signalRManager = null;
         this.webRTCManager = null;
+        this.audioDeviceManager = null;
         this.recordingManager = null;
         this.uiManager = null;
         this.hangupHandler = null;
+        this.transferManager = null;
+        this.conferenceManager = null;
+        this.callHistoryManager = null;
+        this.wrapUpManager = null;
+        this.screenPop = null;
+        this.transcriptPane = null;
+        this.supervisorBanner = null;
+        this.callLineManager = null;
+        this.callQualityCollector = null;
+        this.contactPicker = null;
+        this.speedDialBar = null;
 
         // DTMF输入管理
         this.dtmfInputBuffer = '';
@@ -24,9 +36,98 @@ class PhoneApp {
     initializeElements() {
         return {
             destinationInput: document.getElementById('destination'),
+            destinationFeedback: document.getElementById('destinationFeedback'),
             callButton: document.getElementById('callButton'),
             answerButton: document.getElementById('answerButton'),
             hangupButton: document.getElementById('hangupButton'),
+            holdButton: document.getElementById('holdButton'),
+            resumeButton: document.getElementById('resumeButton'),
+            muteButton: document.getElementById('muteButton'),
+            holdIndicator: document.getElementById('holdIndicator'),
+            muteIndicator: document.getElementById('muteIndicator'),
+
+            // 转接相关元素
+            transferButton: document.getElementById('transferButton'),
+            transferPanel: document.getElementById('transferPanel'),
+            transferTarget: document.getElementById('transferTarget'),
+            transferStartButton: document.getElementById('transferStartButton'),
+            transferStartText: document.getElementById('transferStartText'),
+            transferCompleteButton: document.getElementById('transferCompleteButton'),
+            transferCancelButton: document.getElementById('transferCancelButton'),
+            transferCloseButton: document.getElementById('transferCloseButton'),
+            transferConsultActions: document.getElementById('transferConsultActions'),
+            transferStatus: document.getElementById('transferStatus'),
+
+            // 多方通话相关元素
+            conferenceButton: document.getElementById('conferenceButton'),
+            conferencePanel: document.getElementById('conferencePanel'),
+            conferenceTarget: document.getElementById('conferenceTarget'),
+            conferenceAddButton: document.getElementById('conferenceAddButton'),
+            conferenceCloseButton: document.getElementById('conferenceCloseButton'),
+            conferenceParticipantList: document.getElementById('conferenceParticipantList'),
+            conferenceStatus: document.getElementById('conferenceStatus'),
+
+            // 通话历史相关元素
+            callHistoryList: document.getElementById('callHistoryList'),
+            callHistoryItems: document.getElementById('callHistoryItems'),
+            callHistorySentinel: document.getElementById('callHistorySentinel'),
+            callHistorySearch: document.getElementById('callHistorySearch'),
+            callHistoryMissedCount: document.getElementById('callHistoryMissedCount'),
+            callHistoryExport: document.getElementById('callHistoryExport'),
+
+            // 联系人选择相关元素
+            contactsList: document.getElementById('contactsList'),
+            contactSearch: document.getElementById('contactSearch'),
+            contactSuggestions: document.getElementById('contactSuggestions'),
+
+            // 收藏栏（快速拨号）相关元素
+            speedDialBar: document.getElementById('speedDialBar'),
+            speedDialList: document.getElementById('speedDialList'),
+            speedDialEditToggle: document.getElementById('speedDialEditToggle'),
+            speedDialAddButton: document.getElementById('speedDialAddButton'),
+            speedDialModal: document.getElementById('speedDialModal'),
+            speedDialContactSelect: document.getElementById('speedDialContactSelect'),
+            speedDialNumberInput: document.getElementById('speedDialNumberInput'),
+            speedDialLabelInput: document.getElementById('speedDialLabelInput'),
+            speedDialLineSelect: document.getElementById('speedDialLineSelect'),
+            speedDialError: document.getElementById('speedDialError'),
+            speedDialSaveButton: document.getElementById('speedDialSaveButton'),
+            speedDialDeleteButton: document.getElementById('speedDialDeleteButton'),
+
+            // 多线路（呼叫等待）相关元素
+            callLinesPanel: document.getElementById('callLinesPanel'),
+            callLinesList: document.getElementById('callLinesList'),
+
+            // 话后处理相关元素
+            wrapUpPanel: document.getElementById('wrapUpPanel'),
+            wrapUpTimer: document.getElementById('wrapUpTimer'),
+            wrapUpPeer: document.getElementById('wrapUpPeer'),
+            wrapUpDisposition: document.getElementById('wrapUpDisposition'),
+            wrapUpTags: document.getElementById('wrapUpTags'),
+            wrapUpNotes: document.getElementById('wrapUpNotes'),
+            wrapUpError: document.getElementById('wrapUpError'),
+            wrapUpSubmitButton: document.getElementById('wrapUpSubmitButton'),
+
+            // 来电弹屏相关元素
+            screenPopPanel: document.getElementById('screenPopPanel'),
+            screenPopName: document.getElementById('screenPopName'),
+            screenPopDetails: document.getElementById('screenPopDetails'),
+            screenPopCrmLink: document.getElementById('screenPopCrmLink'),
+            screenPopClose: document.getElementById('screenPopClose'),
+            screenPopTickets: document.getElementById('screenPopTickets'),
+            screenPopRecentCalls: document.getElementById('screenPopRecentCalls'),
+
+            // 实时转写相关元素
+            transcriptPanel: document.getElementById('transcriptPanel'),
+            transcriptList: document.getElementById('transcriptList'),
+            transcriptSearch: document.getElementById('transcriptSearch'),
+            transcriptCopyButton: document.getElementById('transcriptCopyButton'),
+            transcriptSaveButton: document.getElementById('transcriptSaveButton'),
+            transcriptStatus: document.getElementById('transcriptStatus'),
+
+            // 班长耳语/接入提示
+            supervisorBanner: document.getElementById('supervisorBanner'),
+            supervisorBannerText: document.getElementById('supervisorBannerText'),
 
             pauseRecordingButton: document.getElementById('pauseRecordingButton'),
             resumeRecordingButton: document.getElementById('resumeRecordingButton'),
@@ -43,8 +144,22 @@ class PhoneApp {
             callerNumber: document.getElementById('callerNumber'),
             callInfo: document.getElementById('callInfo'),
             callTimer: document.getElementById('callTimer'),
+            callQualityIndicator: document.getElementById('callQualityIndicator'),
+            callQualityBadge: document.getElementById('callQualityBadge'),
+            callQualityDetails: document.getElementById('callQualityDetails'),
             remoteAudio: document.getElementById('remoteAudio'),
 
+            // 音频设置相关元素
+            audioSettingsButton: document.getElementById('audioSettingsButton'),
+            audioSettingsModal: document.getElementById('audioSettingsModal'),
+            audioInputSelect: document.getElementById('audioInputSelect'),
+            audioInputLevel: document.getElementById('audioInputLevel'),
+            audioOutputSelect: document.getElementById('audioOutputSelect'),
+            audioTestToneButton: document.getElementById('audioTestToneButton'),
+            audioTestOutput: document.getElementById('audioTestOutput'),
+            audioSettingsSaveButton: document.getElementById('audioSettingsSaveButton'),
+            audioSettingsStatus: document.getElementById('audioSettingsStatus'),
+
             // DTMF相关元素
             dtmfStatusIndicator: document.getElementById('dtmfStatusIndicator'),
             dtmfInputDisplay: document.getElementById('dtmfInputDisplay'),
@@ -72,6 +187,10 @@ class PhoneApp {
             this.webRTCManager = new WebRTCManager(this.elements, this.callStateManager);
             await this.webRTCManager.initialize();
 
+            // 初始化音频设备设置
+            this.audioDeviceManager = new AudioDeviceManager(this.elements, this.webRTCManager, this.uiManager);
+            this.audioDeviceManager.initialize();
+
             // 初始化SignalR管理器
             this.signalRManager = new SignalRManager(this.elements, this.callStateManager, this.webRTCManager);
             await this.signalRManager.initialize();
@@ -81,6 +200,9 @@ class PhoneApp {
                 this.lineSelector = new LineSelector('lineSelectorContainer', {
                     onLineChange: (selection) => {
                         console.log('线路选择变化:', selection);
+                        if (this.elements.destinationInput.value.trim()) {
+                            this.validateDestination();
+                        }
                     }
                 });
             }
@@ -89,13 +211,78 @@ class PhoneApp {
             this.recordingManager = new SimpleRecordingManager(this.elements, this.signalRManager, this.callStateManager);
             this.recordingManager.initialize();
 
+            // 初始化转接管理器
+            this.transferManager = new TransferManager(this.elements, this.signalRManager, this.callStateManager, this.uiManager, this.webRTCManager);
+            this.transferManager.initialize();
+
+            // 初始化多方通话管理器
+            this.conferenceManager = new ConferenceManager(this.elements, this.signalRManager, this.callStateManager, this.uiManager);
+            this.conferenceManager.initialize();
+
+            // 初始化通话历史管理器
+            this.callHistoryManager = new CallHistoryManager(this.elements, {
+                redial: (number, name) => this.redial(number, name)
+            });
+            this.callHistoryManager.initialize();
+
+            // 初始化话后处理
+            this.wrapUpManager = new WrapUpManager(this.elements, this.callStateManager);
+            this.wrapUpManager.initialize();
+
+            // 初始化来电弹屏
+            this.screenPop = new ScreenPop(this.elements);
+            this.screenPop.initialize();
+
+            // 初始化实时转写面板
+            this.transcriptPane = new TranscriptPane(this.elements, this.wrapUpManager);
+            this.transcriptPane.initialize();
+
+            // 初始化班长耳语/接入提示
+            this.supervisorBanner = new SupervisorBanner(this.elements);
+            this.supervisorBanner.initialize();
+
+            // 初始化联系人选择器
+            this.contactPicker = new ContactPicker(this.elements, {
+                dial: (contact) => this.dialContact(contact)
+            });
+            this.contactPicker.initialize();
+
+            // 初始化收藏栏（快速拨号）
+            this.speedDialBar = new SpeedDialBar(this.elements, {
+                dial: (contact) => this.dialContact(contact),
+                getContacts: () => this.contactPicker.contacts,
+                getLines: () => this.lineSelector?.availableLines || []
+            });
+            this.speedDialBar.initialize();
+
+            // 初始化多线路管理器（呼叫等待）
+            this.callLineManager = new CallLineManager(
+                this.elements,
+                this.signalRManager,
+                this.callStateManager,
+                this.webRTCManager,
+                this.uiManager,
+                {
+                    answer: () => this.handleAnswer(),
+                    endSession: (callId) => this.endCallSession(callId)
+                }
+            );
+            this.callLineManager.initialize();
+
+            // 初始化通话质量采集
+            this.callQualityCollector = new CallQualityCollector(() => this.webRTCManager.pc, {
+                source: 'phone',
+                onSample: (sample) => this.updateCallQualityIndicator(sample)
+            });
+
             // 初始化挂断处理器
             this.hangupHandler = new HangupHandler(
                 this.signalRManager.connection,
                 {
                     ...this.elements,
                     updateStatus: (message, type) => this.uiManager.updateStatus(message, type),
-                    clearCallUI: () => this.clearCallUI()
+                    clearCallUI: () => this.clearCallUI(),
+                    endCallSession: (callId) => this.endCallSession(callId)
                 },
                 this.callStateManager
             );
@@ -106,6 +293,12 @@ class PhoneApp {
             // 设置全局监控事件监听
             this.setupGlobalMonitoringEvents();
 
+            // 多标签页协作
+            this.setupTabCoordination();
+
+            // 静音与全局通话监控共用
+            this.setupMute();
+
             this.isInitialized = true;
             this.uiManager.updateStatus('就绪', 'success');
             console.log('电话应用初始化完成');
@@ -121,9 +314,6 @@ class PhoneApp {
         // 拨号盘事件
         this.setupDialpadEvents();
 
-        // 联系人选择事件
-        this.setupContactEvents();
-
         // 通话控制事件
         this.setupCallControlEvents();
 
@@ -135,6 +325,53 @@ class PhoneApp {
 
         // DTMF输入管理事件
         this.setupDtmfInputEvents();
+
+        // 通话质量采集事件
+        this.setupCallQualityEvents();
+    }
+
+    /**
+     * 活动线路接通时采集通话质量，切换线路或通话结束时停止并上报
+     */
+    setupCallQualityEvents() {
+        document.addEventListener('callSessionsChanged', (event) => {
+            const { activeCallId, sessions } = event.detail;
+            const active = sessions.find(session => session.callId === activeCallId);
+
+            if (active && active.state === CallState.CONNECTED) {
+                this.callQualityCollector.start(activeCallId);
+            } else {
+                this.stopCallQuality();
+            }
+        });
+
+        window.addEventListener('beforeunload', () => this.callQualityCollector?.stop());
+    }
+
+    stopCallQuality() {
+        this.callQualityCollector?.stop();
+        this.elements.callQualityIndicator?.classList.add('d-none');
+    }
+
+    /**
+     * 刷新通话信息区域的质量指示
+     * @param {Object} sample - 通话质量采样
+     */
+    updateCallQualityIndicator(sample) {
+        const { callQualityIndicator, callQualityBadge, callQualityDetails } = this.elements;
+        if (!callQualityIndicator) return;
+
+        const level = CallQualityCollector.getQualityLevel(sample.mos);
+        callQualityBadge.className = `badge p-2 bg-${level.type}`;
+        callQualityBadge.innerHTML = `<i class="bi bi-reception-4"></i> 通话质量 ${level.text}`;
+
+        const details = [`MOS ${sample.mos.toFixed(1)}`];
+        if (sample.jitterMs !== null) details.push(`抖动 ${Math.round(sample.jitterMs)}ms`);
+        details.push(`丢包 ${sample.packetLossPercent}%`);
+        if (sample.roundTripTimeMs !== null) details.push(`RTT ${Math.round(sample.roundTripTimeMs)}ms`);
+        callQualityDetails.textContent = details.join(' · ');
+
+        callQualityIndicator.classList.remove('d-none');
     }
 
     setupDialpadEvents() {
@@ -202,7 +439,8 @@ class PhoneApp {
 
         // 键盘快捷键支持
         document.addEventListener('keydown', (event) => {
-            if (this.callStateManager.isInCall() && event.target.tagName !== 'INPUT') {
+            if (this.callStateManager.isInCall() && event.target.tagName !== 'INPUT'
+                && !event.ctrlKey && !event.altKey && !event.metaKey) {
                 if (event.key >= '0' && event.key <= '9') {
                     event.preventDefault();
                     this.sendDtmfTone(event.key);
@@ -364,17 +602,7 @@ class PhoneApp {
 
                 this.showDtmfFeedback(key);
 
-                if (this.signalRManager && this.signalRManager.connection) {
-                    try {
-                        await this.signalRManager.connection.invoke("LogDtmfTone", {
-                            CallId: callContext?.callId,
-                            Tone: key,
-                            Method: usedMethod // 使用明确的方法变量
-                        });
-                    } catch (logError) {
-                        console.warn('DTMF日志记录失败:', logError);
-                    }
-                }
+                await this.logDtmfTone(callContext?.callId, key, usedMethod);
             } else {
                 console.warn('所有DTMF发送方式都不可用');
                 this.uiManager.updateStatus('DTMF功能不可用', 'warning');
@@ -386,6 +614,27 @@ class PhoneApp {
         }
     }
 
+    /**
+     * 记录DTMF日志：SignalR未连接时改用HTTP上报，离线期间由Service Worker排队补发
+     */
+    async logDtmfTone(callId, tone, method) {
+        const log = { CallId: callId, Tone: tone, Method: method };
+        try {
+            if (this.signalRManager?.connection?.state === signalR.HubConnectionState.Connected) {
+                await this.signalRManager.connection.invoke("LogDtmfTone", log);
+                return;
+            }
+
+            await fetch('/api/logs/dtmf', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(log)
+            });
+        } catch (logError) {
+            console.warn('DTMF日志记录失败:', logError);
+        }
+    }
+
     /**
      * 显示DTMF按键反馈
      * @param {string} key - 按键字符
@@ -431,23 +680,56 @@ class PhoneApp {
         }, 300);
     }
 
-    setupContactEvents() {
-        document.querySelectorAll('.contact-item').forEach(item => {
-            item.addEventListener('click', () => {
-                const name = item.getAttribute('data-name');
-                const phone = item.getAttribute('data-phone');
-
-                this.elements.destinationInput.value = phone;
-                this.elements.callerName.textContent = name;
-                this.elements.callerNumber.textContent = phone;
-            });
-        });
-    }
-
     setupCallControlEvents() {
         this.elements.callButton.addEventListener('click', () => this.handleCall());
         this.elements.answerButton.addEventListener('click', () => this.handleAnswer());
         this.elements.hangupButton.addEventListener('click', () => this.handleHangup());
+
+        if (this.elements.holdButton) {
+            this.elements.holdButton.addEventListener('click', () => this.handleHold());
+        }
+        if (this.elements.resumeButton) {
+            this.elements.resumeButton.addEventListener('click', () => this.handleResume());
+        }
+        if (this.elements.muteButton) {
+            this.elements.muteButton.addEventListener('click', () => this.handleMute());
+        }
+
+        // 输入时清除错误提示，离开输入框时按当前线路规则校验
+        const destinationInput = this.elements.destinationInput;
+        destinationInput.addEventListener('input', () => this.setDestinationError(null));
+        destinationInput.addEventListener('blur', () => {
+            if (destinationInput.value.trim()) {
+                this.validateDestination();
+            }
+        });
+    }
+
+    /**
+     * 当前线路选择对应的拨号规则
+     * @returns {DialPlan}
+     */
+    getDialPlan() {
+        const selection = this.lineSelector?.getLineSelection();
+        return DialPlan.forLines(this.lineSelector?.availableLines, selection?.autoSelectLine ? null : selection?.selectedLineId);
+    }
+
+    /**
+     * 规范化并校验拨号输入框中的号码，无效时高亮输入框
+     * @returns {Object} DialPlan.normalize的结果
+     */
+    validateDestination() {
+        const result = this.getDialPlan().normalize(this.elements.destinationInput.value);
+        this.setDestinationError(result.valid ? null : result.error);
+        return result;
+    }
+
+    setDestinationError(message) {
+        this.elements.destinationInput.classList.toggle('is-invalid', !!message);
+        if (this.elements.destinationFeedback) {
+            this.elements.destinationFeedback.textContent = message || '';
+            this.elements.destinationFeedback.classList.toggle('d-none', !message);
+        }
     }
 
     setupRecordingEvents() {
@@ -511,6 +793,11 @@ class PhoneApp {
             this.clearDtmfInput(); 
         });
 
+        document.addEventListener('callHoldChanged', (event) => {
+            console.log('收到通话保持状态变化事件:', event.detail);
+            this.applyHoldState(event.detail);
+        });
+
         document.addEventListener('callConnected', (event) => {
             console.log('收到通话连接事件:', event.detail);
             this.showDtmfInputDisplay();
@@ -527,6 +814,13 @@ class PhoneApp {
             const { callId } = event.detail;
             console.log('收到全局接听请求:', callId);
 
+            // 呼叫等待中的来电由线路管理器接听
+            const session = this.callStateManager.getSession(callId);
+            if (session && this.callStateManager.getActiveCallId() !== callId) {
+                this.callLineManager?.answerWaiting(callId);
+                return;
+            }
+
             // 检查是否是当前来电
             const currentCall = this.callStateManager.getCallContext();
             if (currentCall && currentCall.callId === callId) {
@@ -552,17 +846,208 @@ class PhoneApp {
         console.log('全局监控事件监听已设置');
     }
 
+    /**
+     * 多标签页协作：主标签页执行其他标签页转发的通话操作并同步线路状态，从标签页只镜像状态
+     */
+    setupTabCoordination() {
+        const coordinator = window.tabCoordinator;
+        if (!coordinator) return;
+
+        coordinator.registerAction('answer', ({ callId }) => {
+            document.dispatchEvent(new CustomEvent('globalAnswerRequest', { detail: { callId } }));
+        });
+        coordinator.registerAction('hangup', () => this.handleHangup());
+        coordinator.registerAction('hold', () => this.handleHold());
+        coordinator.registerAction('resume', () => this.handleResume());
+        coordinator.registerAction('dial', ({ number, name, lineId }) => this.dialContact({ phoneNumber: number, name, preferredLineId: lineId }));
+
+        const broadcastCallState = () => {
+            if (coordinator.isLeader) {
+                coordinator.broadcast('callState', this.getCallStateSnapshot());
+            }
+        };
+        document.addEventListener('callSessionsChanged', broadcastCallState);
+        document.addEventListener('callStateChanged', broadcastCallState);
+        coordinator.on('peerJoined', broadcastCallState);
+
+        coordinator.on('callState', (snapshot) => {
+            if (!coordinator.isLeader) {
+                this.applyMirroredCallState(snapshot);
+            }
+        });
+
+        coordinator.onRoleChange((isLeader) => {
+            if (!isLeader) {
+                window.ringtoneManager?.stop();
+                window.ringtoneManager?.stopCallWaiting();
+            }
+        });
+
+        console.log(`多标签页协作已启用，当前为${coordinator.isLeader ? '主' : '从'}标签页`);
+    }
+
+    /**
+     * 向静音管理器提供本页的麦克风音轨，并同步静音按钮与MUTED标识
+     */
+    setupMute() {
+        const muteManager = window.muteManager;
+        if (!muteManager) return;
+
+        muteManager.registerProvider({
+            setMuted: (muted) => this.webRTCManager.setMuted(muted),
+            getInputStream: () => this.webRTCManager.localStream,
+            getCallId: () => {
+                const state = this.callStateManager.getCurrentState();
+                return state === CallState.IDLE || state === CallState.INCOMING ? null : this.callStateManager.getCallContext()?.callId;
+            }
+        });
+
+        document.addEventListener('muteStateChanged', (event) => this.updateMuteUI(event.detail.muted));
+        document.addEventListener('callStateChanged', (event) => {
+            if (event.detail.newState === CallState.IDLE) {
+                muteManager.reset();
+            }
+        });
+        this.updateMuteUI(muteManager.isMuted);
+    }
+
+    async handleMute() {
+        try {
+            await window.muteManager?.toggle();
+        } catch (error) {
+            console.error('切换静音失败:', error);
+            this.uiManager.updateStatus('切换静音失败: ' + error.message, 'danger');
+        }
+    }
+
+    updateMuteUI(muted) {
+        if (this.elements.muteButton) {
+            this.elements.muteButton.innerHTML = muted
+                ? '<i class="bi bi-mic-fill"></i> 取消静音'
+                : '<i class="bi bi-mic-mute-fill"></i> 静音';
+            this.elements.muteButton.classList.toggle('btn-outline-secondary', !muted);
+            this.elements.muteButton.classList.toggle('btn-danger', muted);
+        }
+        this.elements.muteIndicator?.classList.toggle('d-none', !muted);
+    }
+
+    getCallStateSnapshot() {
+        return {
+            activeCallId: this.callStateManager.getActiveCallId(),
+            sessions: this.callStateManager.getSessions(),
+            state: this.callStateManager.getCurrentState(),
+            callerName: this.elements.callerName.textContent,
+            callerNumber: this.elements.callerNumber.textContent,
+            callStartTime: this.uiManager.callStartTime?.getTime() || null
+        };
+    }
+
+    /**
+     * 从标签页应用主标签页的通话状态
+     * @param {Object} snapshot - getCallStateSnapshot的结果
+     */
+    applyMirroredCallState(snapshot) {
+        if (!snapshot) return;
+
+        this.callStateManager.applyMirror(snapshot.activeCallId, snapshot.sessions, snapshot.state);
+        this.elements.callerName.textContent = snapshot.callerName || '';
+        this.elements.callerNumber.textContent = snapshot.callerNumber || '';
+
+        const inCall = snapshot.state === CallState.CONNECTED || snapshot.state === CallState.HELD;
+        this.uiManager.showCallInfo(snapshot.state !== CallState.IDLE);
+        if (inCall && snapshot.callStartTime && !this.uiManager.callTimerInterval) {
+            this.uiManager.startCallTimer(new Date(snapshot.callStartTime));
+        } else if (!inCall) {
+            this.uiManager.stopCallTimer();
+        }
+    }
+
+    /**
+     * 从标签页把通话操作转发给主标签页
+     * @returns {boolean} 是否已转发，主标签页返回false由调用方在本页执行
+     */
+    forwardToOwnerTab(action, payload = {}) {
+        const coordinator = window.tabCoordinator;
+        if (!coordinator || coordinator.isLeader) return false;
+
+        this.uiManager.updateStatus('已转交主标签页处理...', 'info');
+        coordinator.performAction(action, payload).catch(error => {
+            console.error(`转发通话操作 ${action} 失败:`, error);
+            this.uiManager.updateStatus(`操作失败: ${error.message}`, 'danger');
+        });
+        return true;
+    }
+
+    /**
+     * 从通话历史一键回拨
+     * @param {string} number - 回拨号码
+     * @param {string} name - 显示名称
+     */
+    async redial(number, name) {
+        if (!number) return;
+
+        if (this.callStateManager.getCurrentState() !== CallState.IDLE) {
+            this.uiManager.updateStatus('当前通话未结束，无法回拨', 'warning');
+            return;
+        }
+
+        this.elements.destinationInput.value = number;
+        this.elements.callerName.textContent = name || number;
+        this.elements.callerNumber.textContent = number;
+        await this.handleCall();
+    }
+
+    /**
+     * 点击联系人拨打，联系人设置了可用的首选线路时切换到该线路
+     * @param {Object} contact - { name, phoneNumber, preferredLineId }
+     */
+    async dialContact(contact) {
+        if (this.forwardToOwnerTab('dial', { number: contact.phoneNumber, name: contact.name, lineId: contact.preferredLineId })) {
+            return;
+        }
+
+        if (this.callStateManager.getCurrentState() !== CallState.IDLE) {
+            this.uiManager.updateStatus('当前通话未结束，无法拨打', 'warning');
+            return;
+        }
+
+        const line = contact.preferredLineId
+            ? this.lineSelector?.availableLines.find(l => l.id === contact.preferredLineId && l.isActive)
+            : null;
+        if (line) {
+            this.lineSelector.setLineSelection(line.id, false);
+        } else if (contact.preferredLineId) {
+            console.warn(`联系人首选线路 ${contact.preferredLineId} 当前不可用，使用当前线路设置`);
+        }
+
+        await this.redial(contact.phoneNumber, contact.name);
+    }
+
     async handleCall() {
-        const destination = this.elements.destinationInput.value;
-        if (!destination) {
+        const input = this.elements.destinationInput.value;
+        if (!input) {
             alert('请输入电话号码或选择联系人');
             return;
         }
 
+        const dialResult = this.validateDestination();
+        if (!dialResult.valid) {
+            this.uiManager.updateStatus(`号码无效: ${dialResult.error}`, 'warning');
+            return;
+        }
+
+        // 主标签页按自己的线路规则重新规范化
+        if (this.forwardToOwnerTab('dial', { number: input, name: this.elements.callerName.textContent })) {
+            return;
+        }
+
+        const destination = dialResult.number;
+        this.elements.destinationInput.value = destination;
+
         try {
             console.log('开始呼叫:', destination);
             this.callStateManager.setState(CallState.OUTGOING);
-            this.uiManager.updateStatus('正在呼叫...', 'warning');
+            this.uiManager.updateStatus(dialResult.extension ? `正在呼叫... 接通后请按键输入分机号 ${dialResult.extension}` : '正在呼叫...', 'warning');
 
             const sdpOffer = await this.webRTCManager.createPeerConnection(true, null);
 
@@ -587,8 +1072,9 @@ class PhoneApp {
                 const result = await response.json();
 
                 console.log('收到服务器返回的callContext:', result.callContext);
-                this.callStateManager.setCallContext(result.callContext);
-                await this.webRTCManager.sendPendingIceCandidates();
+                this.callStateManager.setCallContext(result.callContext, destination);
+                this.webRTCManager.bindCallId(result.callContext.callId);
+                await this.webRTCManager.sendPendingIceCandidates(result.callContext.callId);
                 console.log('呼叫方callContext已设置，解决了Web2Web呼叫方缺少上下文的问题');
             }
 
@@ -601,6 +1087,10 @@ class PhoneApp {
     }
 
     async handleAnswer() {
+        if (this.forwardToOwnerTab('answer', { callId: this.callStateManager.getCallContext()?.callId })) {
+            return;
+        }
+
         // ===== 第一步：停止铃音 =====
         if (window.ringtoneManager) {
             console.log('接听电话，停止铃音');
@@ -609,19 +1099,20 @@ class PhoneApp {
         // ==============================
 
         this.uiManager.updateStatus('正在接听...', 'warning');
+        const callContext = this.callStateManager.getCallContext();
         try {
+            // 优先使用线路上下文中的Offer，呼叫等待的来电不会写入接听按钮
             const offerData = this.elements.answerButton.getAttribute('data-offer');
-            const offer = offerData ? JSON.parse(offerData) : null;
+            const offer = callContext?.offer || (offerData ? JSON.parse(offerData) : null);
 
             const answerSdp = await this.webRTCManager.createPeerConnection(
                 false,
-                offer
+                offer,
+                callContext?.callId
             );
 
             console.log('接听SDP:', answerSdp);
 
-            const callContext = this.callStateManager.getCallContext();
-
             await this.signalRManager.connection.invoke("AnswerAsync", {
                 CallId: callContext.callId,
                 AnswerSdp: JSON.stringify(answerSdp)
@@ -641,14 +1132,123 @@ class PhoneApp {
 
         } catch (error) {
             this.uiManager.updateStatus(`接听失败: ${error.message}`, 'danger');
-            this.callStateManager.resetToIdle();
+            if (!this.endCallSession(callContext?.callId)) {
+                this.callStateManager.resetToIdle();
+            }
 
             this.hideDtmfInputDisplay();
             this.clearDtmfInput();
         }
     }
 
+    async handleHold() {
+        const callContext = this.callStateManager.getCallContext();
+        if (!callContext || !callContext.callId || !this.callStateManager.isInCall()) {
+            console.warn('当前没有可保持的通话');
+            return;
+        }
+        if (this.forwardToOwnerTab('hold')) {
+            return;
+        }
+
+        this.elements.holdButton.disabled = true;
+        this.uiManager.updateStatus('正在保持通话...', 'warning');
+        try {
+            const result = await this.signalRManager.connection.invoke("HoldCallAsync", {
+                CallId: callContext.callId
+            });
+
+            if (result && result.success) {
+                this.applyHoldState({ callId: callContext.callId, held: true, isLocal: true });
+            } else {
+                this.elements.holdButton.disabled = false;
+                this.uiManager.updateStatus(result?.message || '通话保持失败', 'danger');
+            }
+        } catch (error) {
+            console.error('保持通话失败:', error);
+            this.elements.holdButton.disabled = false;
+            this.uiManager.updateStatus(`通话保持失败: ${error.message}`, 'danger');
+        }
+    }
+
+    async handleResume() {
+        const callContext = this.callStateManager.getCallContext();
+        if (!callContext || !callContext.callId || !this.callStateManager.isOnHold()) {
+            console.warn('当前没有保持中的通话');
+            return;
+        }
+        if (this.forwardToOwnerTab('resume')) {
+            return;
+        }
+
+        this.elements.resumeButton.disabled = true;
+        this.uiManager.updateStatus('正在恢复通话...', 'warning');
+        try {
+            const result = await this.signalRManager.connection.invoke("ResumeCallAsync", {
+                CallId: callContext.callId
+            });
+
+            if (result && result.success) {
+                this.applyHoldState({ callId: callContext.callId, held: false, isLocal: true });
+            } else {
+                this.elements.resumeButton.disabled = false;
+                this.uiManager.updateStatus(result?.message || '通话恢复失败', 'danger');
+            }
+        } catch (error) {
+            console.error('恢复通话失败:', error);
+            this.elements.resumeButton.disabled = false;
+            this.uiManager.updateStatus(`通话恢复失败: ${error.message}`, 'danger');
+        }
+    }
+
+    /**
+     * 应用通话保持状态
+     * 本方保持时切换到HELD状态并停用麦克风；被对方保持时仍为CONNECTED，仅显示提示
+     * @param {Object} detail - { callId, held, isLocal }
+     */
+    applyHoldState(detail) {
+        if (!detail) return;
+
+        // 后台线路只同步线路状态，不影响当前通话界面
+        const callContext = this.callStateManager.getCallContext();
+        if (!callContext || detail.callId !== callContext.callId) {
+            if (detail.isLocal && this.callStateManager.getSession(detail.callId)) {
+                this.webRTCManager.setHold(detail.held, detail.callId);
+                this.callStateManager.setSessionState(detail.callId, detail.held ? CallState.HELD : CallState.CONNECTED);
+            }
+            return;
+        }
+
+        // 转接流程中的保持由转接面板控制状态，麦克风需保持开启以便与咨询方通话
+        if (this.callStateManager.isTransferring()) {
+            return;
+        }
+
+        if (detail.isLocal) {
+            this.webRTCManager.setHold(detail.held);
+            this.callStateManager.setState(detail.held ? CallState.HELD : CallState.CONNECTED);
+        }
+
+        if (this.elements.holdIndicator) {
+            const holdText = detail.isLocal ? '通话已保持' : '对方已保持通话';
+            this.elements.holdIndicator.innerHTML = `<i class="bi bi-pause-circle"></i> ${holdText}`;
+            this.elements.holdIndicator.classList.toggle('d-none', !detail.held);
+        }
+
+        if (detail.held) {
+            this.uiManager.updateStatus(detail.isLocal ? '通话已保持，对方正在收听保持音乐' : '对方已保持通话，请稍候', 'info');
+        } else {
+            this.uiManager.updateStatus('通话已恢复', 'success');
+        }
+    }
+
     async handleHangup() {
+        if (this.forwardToOwnerTab('hangup')) {
+            return;
+        }
+
+        const callId = this.callStateManager.getCallContext()?.callId;
+
         if (this.hangupHandler) {
             await this.hangupHandler.initiateHangup('用户主动挂断');
         } else {
@@ -663,6 +1263,11 @@ class PhoneApp {
             });
         }
 
+        // 仍有其他线路时只结束当前线路
+        if (this.endCallSession(callId)) {
+            return;
+        }
+
         this.callStateManager.resetToIdle();
         this.uiManager.showCallInfo(false);
         this.uiManager.updateStatus('已挂断...', 'success');
@@ -704,28 +1309,80 @@ class PhoneApp {
         }
     }
 
+    /**
+     * 结束指定线路
+     * 仍有其他线路时只关闭该线路并切换到剩余线路，返回true；否则返回false，由调用方执行完整清理
+     * @param {string} callId - 线路标识
+     * @returns {boolean} 是否已按线路处理
+     */
+    endCallSession(callId) {
+        if (!callId || !this.callStateManager) return false;
+
+        const remaining = this.callStateManager.getSessionCount();
+        if (!this.callStateManager.getSession(callId)) {
+            // 已结束线路的重复通知，不影响其余线路
+            return remaining > 0;
+        }
+        if (remaining <= 1) return false;
+
+        const wasActive = this.callStateManager.getActiveCallId() === callId;
+        this.webRTCManager.closeSession(callId);
+        const next = this.callStateManager.removeSession(callId);
+        console.log(`线路 ${callId} 已结束，剩余线路:`, this.callStateManager.getSessionCount());
+
+        const hasWaitingCall = this.callStateManager.getSessions().some(s => s.state === CallState.INCOMING);
+        if (!hasWaitingCall) {
+            window.ringtoneManager?.stopCallWaiting();
+        }
+
+        if (wasActive && next) {
+            this.webRTCManager.switchSession(next.callId);
+            this.elements.callerName.textContent = next.label;
+            this.elements.callerNumber.textContent = next.context?.caller?.sipUsername || '';
+            this.hideDtmfInputDisplay();
+            this.clearDtmfInput();
+
+            if (next.state === CallState.INCOMING) {
+                // 剩余线路是等待中的来电，改为正常来电铃音
+                window.ringtoneManager?.stopCallWaiting();
+                window.ringtoneManager?.play();
+                this.uiManager.updateStatus(`当前通话已结束，${next.label} 来电中`, 'info');
+            } else {
+                this.uiManager.updateStatus(`当前通话已结束，${next.label} 保持中，可恢复通话`, 'info');
+            }
+        }
+
+        document.dispatchEvent(new CustomEvent('callSessionEnded', {
+            detail: { callId: callId, activeCallId: next?.callId }
+        }));
+        return true;
+    }
+
     clearCallUI() {
         console.log('PhoneApp: 清理通话UI');
 
         // 使用UIManager清理UI
         this.uiManager.clearCallUI();
 
+        if (this.elements.holdIndicator) {
+            this.elements.holdIndicator.classList.add('d-none');
+        }
+
+        this.stopCallQuality();
+
         // 重置状态管理器
         if (this.callStateManager) {
             this.callStateManager.resetToIdle();
         }
 
-        // 清理WebRTC连接
-        if (this.webRTCManager && this.webRTCManager.pc) {
-            try {
-                this.webRTCManager.pc.close();
-                this.webRTCManager.pc = null;
-                console.log('WebRTC连接已关闭');
-            } catch (error) {
-                console.warn('关闭WebRTC连接时出错:', error);
-            }
+        // 清理所有线路的WebRTC连接
+        if (this.webRTCManager) {
+            this.webRTCManager.closeAllSessions();
+            console.log('WebRTC连接已关闭');
         }
 
+        window.ringtoneManager?.stopCallWaiting();
+
         // 停止录音（如果正在录音）
         if (this.recordingManager && window.isRecording) {
             this.recordingManager.stopRecording();
@@ -0,0 +1,135 @@
+/**
+ * PWA管理器
+ * 注册Service Worker（版本由wwwroot下脚本与样式的内容哈希决定），资源更新后提示刷新，
+ * 把当前页面加载的脚本与样式交给Service Worker缓存，并在恢复联网时补发离线期间排队的请求
+ */
+class PwaManager {
+    constructor() {
+        this.isSupported = 'serviceWorker' in navigator;
+        this.version = document.querySelector('meta[name="pwa-version"]')?.content || 'dev';
+        this.registration = null;
+        this.installPrompt = null;
+        this.isReloading = false;
+        this.elements = {
+            updatePrompt: document.getElementById('appUpdatePrompt'),
+            updateButton: document.getElementById('appUpdateButton'),
+            installButton: document.getElementById('installAppButton')
+        };
+        this.ready = this.isSupported ? this.register() : Promise.resolve(null);
+    }
+
+    /**
+     * 注册Service Worker
+     * @returns {Promise<ServiceWorkerRegistration|null>} 注册失败时为null
+     */
+    async register() {
+        try {
+            const registration = await navigator.serviceWorker.register(`/sw.js?v=${encodeURIComponent(this.version)}`);
+            this.registration = registration;
+            this.watchForUpdates(registration);
+            this.bindEvents();
+
+            if (document.readyState === 'complete') {
+                this.cacheCurrentPage();
+            } else {
+                window.addEventListener('load', () => this.cacheCurrentPage());
+            }
+            console.log(`Service Worker已注册，外壳版本: ${this.version}`);
+            return registration;
+        } catch (error) {
+            console.warn('注册Service Worker失败，离线功能不可用:', error);
+            return null;
+        }
+    }
+
+    watchForUpdates(registration) {
+        // 已有旧版本控制页面时，新版本安装完成即提示刷新；首次安装直接生效
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.showUpdatePrompt();
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker?.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.showUpdatePrompt();
+                }
+            });
+        });
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.isReloading) {
+                window.location.reload();
+            }
+        });
+    }
+
+    bindEvents() {
+        this.elements.updateButton?.addEventListener('click', () => this.applyUpdate());
+
+        window.addEventListener('online', () => this.postMessage({ type: 'flushQueue' }));
+        if (navigator.onLine) {
+            this.postMessage({ type: 'flushQueue' });
+        }
+
+        window.addEventListener('beforeinstallprompt', (event) => {
+            event.preventDefault();
+            this.installPrompt = event;
+            this.elements.installButton?.classList.remove('d-none');
+        });
+
+        this.elements.installButton?.addEventListener('click', async () => {
+            if (!this.installPrompt) return;
+
+            this.installPrompt.prompt();
+            await this.installPrompt.userChoice;
+            this.installPrompt = null;
+            this.elements.installButton.classList.add('d-none');
+        });
+    }
+
+    /**
+     * 缓存当前页面实际加载的脚本与样式（含版本号），离线时可直接打开
+     */
+    cacheCurrentPage() {
+        const urls = [
+            ...Array.from(document.querySelectorAll('script[src]'), script => script.src),
+            ...Array.from(document.querySelectorAll('link[rel="stylesheet"][href]'), link => link.href)
+        ].filter(url => new URL(url).origin === window.location.origin);
+
+        this.postMessage({ type: 'cacheShell', urls });
+    }
+
+    /**
+     * 首次安装时等待Service Worker激活后再发送
+     */
+    async postMessage(message) {
+        const registration = await navigator.serviceWorker.ready;
+        registration.active?.postMessage(message);
+    }
+
+    showUpdatePrompt() {
+        this.elements.updatePrompt?.classList.remove('d-none');
+    }
+
+    /**
+     * 激活新版本并刷新页面，通话中不刷新
+     */
+    applyUpdate() {
+        if (window.tabCoordinator?.isBusy()) {
+            alert('当前有进行中的通话，请在通话结束后再刷新');
+            return;
+        }
+
+        const waiting = this.registration?.waiting;
+        this.isReloading = true;
+        if (waiting) {
+            waiting.postMessage({ type: 'skipWaiting' });
+        } else {
+            window.location.reload();
+        }
+    }
+}
+
+window.PwaManager = PwaManager;
+window.pwaManager = new PwaManager();
@@ -45,10 +45,12 @@ class RingtoneManagement {
     renderRingtoneSelects() {
         const incomingSelect = document.getElementById('incomingRingtoneSelect');
         const ringbackSelect = document.getElementById('ringbackToneSelect');
+        const holdSelect = document.getElementById('holdToneSelect');
 
         // 清空选项
         incomingSelect.innerHTML = '<option value="">使用系统默认</option>';
         ringbackSelect.innerHTML = '<option value="">使用系统默认</option>';
+        holdSelect.innerHTML = '<option value="">使用系统默认</option>';
 
         // 添加铃音选项
         this.ringtones.forEach(ringtone => {
@@ -67,6 +69,15 @@ class RingtoneManagement {
                 option.dataset.filePath = ringtone.filePath;
                 ringbackSelect.appendChild(option);
             }
+
+            // 保持音乐可以选用专用保持音乐、回铃音或通用铃音
+            if (ringtone.type === 'Hold' || ringtone.type === 'Ringback' || ringtone.type === 'Both') {
+                const option = document.createElement('option');
+                option.value = ringtone.id;
+                option.textContent = `${ringtone.name}${ringtone.isSystem ? ' (系统)' : ''}`;
+                option.dataset.filePath = ringtone.filePath;
+                holdSelect.appendChild(option);
+            }
         });
     }
 
@@ -104,6 +115,7 @@ class RingtoneManagement {
 
         const incomingSelect = document.getElementById('incomingRingtoneSelect');
         const ringbackSelect = document.getElementById('ringbackToneSelect');
+        const holdSelect = document.getElementById('holdToneSelect');
 
         if (this.currentSettings.incomingRingtone) {
             incomingSelect.value = this.currentSettings.incomingRingtone.id;
@@ -112,6 +124,10 @@ class RingtoneManagement {
         if (this.currentSettings.ringbackTone) {
             ringbackSelect.value = this.currentSettings.ringbackTone.id;
         }
+
+        if (this.currentSettings.holdTone) {
+            holdSelect.value = this.currentSettings.holdTone.id;
+        }
     }
 
     bindEvents() {
@@ -141,11 +157,20 @@ class RingtoneManagement {
                 this.previewRingtone(option.dataset.filePath);
             }
         });
+
+        document.getElementById('previewHoldBtn').addEventListener('click', () => {
+            const select = document.getElementById('holdToneSelect');
+            const option = select.options[select.selectedIndex];
+            if (option && option.dataset.filePath) {
+                this.previewRingtone(option.dataset.filePath);
+            }
+        });
     }
 
     async saveSettings() {
         const incomingRingtoneId = document.getElementById('incomingRingtoneSelect').value;
         const ringbackToneId = document.getElementById('ringbackToneSelect').value;
+        const holdToneId = document.getElementById('holdToneSelect').value;
 
         try {
             const response = await fetch('/api/ringtone/user-settings', {
@@ -155,7 +180,8 @@ class RingtoneManagement {
                 },
                 body: JSON.stringify({
                     incomingRingtoneId: incomingRingtoneId || null,
-                    ringbackToneId: ringbackToneId || null
+                    ringbackToneId: ringbackToneId || null,
+                    holdToneId: holdToneId || null
                 })
             });
 
@@ -259,6 +285,7 @@ class RingtoneManagement {
         const typeMap = {
             'Incoming': '来电铃音',
             'Ringback': '回铃音',
+            'Hold': '保持音乐',
             'Both': '通用'
         };
         return typeMap[type] || type;
@@ -1,5 +1,5 @@
 /**
- * 铃音管理器 - 仅负责来电铃音
+ * 铃音管理器 - 负责来电铃音和呼叫等待提示音
  * 回铃音由后端通过 SIP/RTP 发送，不在前端播放
  */
 class RingtoneManager {
@@ -9,6 +9,11 @@ class RingtoneManager {
         this.isIncomingPlaying = false;
         this.defaultRingtone = '/ringtones/default.mp3';
 
+        // 呼叫等待提示音（通话中来电时播放，避免铃声盖过当前通话）
+        this.waitingAudioContext = null;
+        this.waitingToneTimer = null;
+        this.waitingToneIntervalMs = 4000;
+
         console.log('RingtoneManager 初始化 (仅来电铃音，回铃音由后端 SIP/RTP 处理)');
     }
 
@@ -53,6 +58,11 @@ class RingtoneManager {
      * 播放来电铃音（被叫方）
      */
     async play() {
+        if (!this.isRingingTab()) {
+            console.log('铃音由主标签页播放');
+            return;
+        }
+
         if (this.isIncomingPlaying) {
             console.warn('来电铃音已在播放中');
             return;
@@ -101,6 +111,76 @@ class RingtoneManager {
         }
     }
 
+    /**
+     * 播放呼叫等待提示音：每隔数秒发出两声短促的440Hz提示音
+     */
+    playCallWaiting() {
+        if (!this.isRingingTab()) {
+            console.log('呼叫等待提示音由主标签页播放');
+            return;
+        }
+
+        if (this.waitingToneTimer) {
+            console.warn('呼叫等待提示音已在播放中');
+            return;
+        }
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            console.warn('浏览器不支持Web Audio，无法播放呼叫等待提示音');
+            return;
+        }
+
+        try {
+            if (!this.waitingAudioContext) {
+                this.waitingAudioContext = new AudioContextClass();
+            }
+            if (this.waitingAudioContext.state === 'suspended') {
+                this.waitingAudioContext.resume();
+            }
+
+            this.playWaitingBeeps();
+            this.waitingToneTimer = setInterval(() => this.playWaitingBeeps(), this.waitingToneIntervalMs);
+            console.log('开始播放呼叫等待提示音');
+        } catch (err) {
+            console.error('呼叫等待提示音播放失败:', err);
+            this.showPlaybackError('呼叫等待提示音');
+        }
+    }
+
+    playWaitingBeeps() {
+        const ctx = this.waitingAudioContext;
+        if (!ctx) return;
+
+        [0, 0.45].forEach(offset => {
+            const oscillator = ctx.createOscillator();
+            const gain = ctx.createGain();
+            const start = ctx.currentTime + offset;
+
+            oscillator.frequency.value = 440;
+            gain.gain.setValueAtTime(0.15, start);
+            gain.gain.setValueAtTime(0, start + 0.3);
+
+            oscillator.connect(gain);
+            gain.connect(ctx.destination);
+            oscillator.start(start);
+            oscillator.stop(start + 0.3);
+        });
+    }
+
+    /**
+     * 停止呼叫等待提示音
+     */
+    stopCallWaiting() {
+        if (!this.waitingToneTimer) {
+            return;
+        }
+
+        clearInterval(this.waitingToneTimer);
+        this.waitingToneTimer = null;
+        console.log('呼叫等待提示音已停止');
+    }
+
     /**
      * 显示播放错误提示
      */
@@ -132,6 +212,20 @@ class RingtoneManager {
     isRinging() {
         return this.isIncomingPlaying;
     }
+
+    /**
+     * 同一用户打开多个标签页时只由主标签页响铃
+     */
+    isRingingTab() {
+        return !window.tabCoordinator || window.tabCoordinator.isLeader;
+    }
+
+    /**
+     * 检查呼叫等待提示音是否正在播放
+     */
+    isCallWaitingPlaying() {
+        return !!this.waitingToneTimer;
+    }
 }
 
 // 创建全局实例
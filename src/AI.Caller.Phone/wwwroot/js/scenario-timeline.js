@@ -0,0 +1,204 @@
+/**
+ * 监听页面的场景播放时间轴
+ * 按顺序显示场景的全部片段，服务端推送播放位置（scenarioPlaybackUpdated，每500ms一条），
+ * 这里高亮当前片段并显示片段内进度；班长可点击片段跳转、重播上一段、拖动录音片段的进度，以及暂停/恢复播放
+ */
+const SCENARIO_TIMELINE_SEGMENT_TYPES = {
+    Recording: { label: '录音', icon: 'bi-mic-fill' },
+    TTS: { label: 'TTS', icon: 'bi-chat-text' },
+    DtmfInput: { label: 'DTMF输入', icon: 'bi-telephone-fill' },
+    Condition: { label: '条件分支', icon: 'bi-shuffle' },
+    Silence: { label: '静音', icon: 'bi-pause-circle' }
+};
+
+const SCENARIO_TIMELINE_STATE_LABELS = {
+    playing: '播放中',
+    paused: '已暂停',
+    intervened: '人工接入中',
+    completed: '已结束'
+};
+
+class ScenarioTimeline {
+    /**
+     * @param {HTMLElement} container - 时间轴容器
+     * @param {Array} segments - 场景片段 [{ id, order, type, text }]，按播放顺序
+     * @param {Object} actions - { jump(segmentId, positionMs), pause(), resume() }
+     */
+    constructor(container, segments, actions) {
+        this.container = container;
+        this.segments = segments;
+        this.actions = actions;
+        this.playback = null;
+        this.seeking = false;
+        this.busy = false;
+        this.render();
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <div class="d-flex align-items-center gap-2 mb-2">
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-action="replay" title="重播上一段">
+                    <i class="bi bi-skip-backward-fill"></i> 重播上一段
+                </button>
+                <button type="button" class="btn btn-sm btn-outline-warning" data-action="pause">
+                    <i class="bi bi-pause-fill"></i> 暂停
+                </button>
+                <button type="button" class="btn btn-sm btn-outline-success d-none" data-action="resume">
+                    <i class="bi bi-play-fill"></i> 继续
+                </button>
+                <span class="small text-muted ms-auto" data-role="status">开始监听后显示播放进度</span>
+            </div>
+            <div class="scenario-timeline-track">
+                ${this.segments.map(segment => {
+                    const type = SCENARIO_TIMELINE_SEGMENT_TYPES[segment.type] || { label: '未知', icon: 'bi-question-circle' };
+                    return `
+                        <button type="button" class="scenario-timeline-segment" data-segment-id="${segment.id}"
+                                title="${this.escapeHtml(`${segment.order}. ${type.label}：${segment.text || ''}`)}">
+                            <span class="scenario-timeline-progress"></span>
+                            <span class="scenario-timeline-label"><i class="bi ${type.icon}"></i> ${segment.order}</span>
+                        </button>
+                    `;
+                }).join('')}
+            </div>
+            <div class="scenario-timeline-seek d-none mt-2" data-role="seek">
+                <input type="range" class="form-range" min="0" max="0" step="100" value="0" />
+                <div class="d-flex justify-content-between small text-muted">
+                    <span data-role="position">00:00</span>
+                    <span data-role="duration">--:--</span>
+                </div>
+            </div>
+        `;
+
+        this.seekInput = this.container.querySelector('[data-role="seek"] input');
+        this.container.querySelectorAll('.scenario-timeline-segment').forEach(button => {
+            button.addEventListener('click', () => this.run(() => this.actions.jump(parseInt(button.dataset.segmentId), 0)));
+        });
+        this.container.querySelector('[data-action="replay"]').addEventListener('click', () => this.replayPrevious());
+        this.container.querySelector('[data-action="pause"]').addEventListener('click', () => this.run(() => this.actions.pause()));
+        this.container.querySelector('[data-action="resume"]').addEventListener('click', () => this.run(() => this.actions.resume()));
+
+        // 拖动时只更新显示，松开后再跳转，避免推送的位置把滑块拉回去
+        this.seekInput.addEventListener('input', () => {
+            this.seeking = true;
+            this.setText('position', this.formatTime(parseInt(this.seekInput.value)));
+        });
+        this.seekInput.addEventListener('change', async () => {
+            const segmentId = this.playback?.segmentId;
+            if (segmentId) {
+                await this.run(() => this.actions.jump(segmentId, parseInt(this.seekInput.value)));
+            }
+            this.seeking = false;
+        });
+
+        this.setControlsEnabled(false);
+    }
+
+    /**
+     * @param {Object} playback - { segmentId, state, positionMs, durationMs }
+     */
+    update(playback) {
+        if (!playback) return;
+
+        this.playback = playback;
+        const currentIndex = playback.state === 'completed'
+            ? this.segments.length
+            : this.segments.findIndex(s => s.id === playback.segmentId);
+        const segment = this.segments[currentIndex];
+        const hasDuration = playback.durationMs > 0;
+
+        this.container.querySelectorAll('.scenario-timeline-segment').forEach((button, index) => {
+            const isCurrent = index === currentIndex;
+            button.classList.toggle('scenario-timeline-played', currentIndex >= 0 && index < currentIndex);
+            button.classList.toggle('scenario-timeline-current', isCurrent);
+            button.classList.toggle('scenario-timeline-paused', isCurrent && playback.state !== 'playing');
+
+            const progress = button.querySelector('.scenario-timeline-progress');
+            progress.style.width = !isCurrent ? '' : hasDuration
+                ? `${Math.min(100, playback.positionMs / playback.durationMs * 100)}%`
+                : '100%';
+        });
+
+        const controllable = playback.state === 'playing' || playback.state === 'paused';
+        this.container.querySelector('[data-action="pause"]').classList.toggle('d-none', playback.state === 'paused');
+        this.container.querySelector('[data-action="resume"]').classList.toggle('d-none', playback.state !== 'paused');
+        this.setControlsEnabled(controllable);
+
+        const type = SCENARIO_TIMELINE_SEGMENT_TYPES[segment?.type];
+        const stateLabel = SCENARIO_TIMELINE_STATE_LABELS[playback.state] || playback.state;
+        this.setText('status', segment ? `${stateLabel} · 第 ${segment.order} 段 ${type?.label || ''}` : stateLabel);
+
+        this.updateSeek(segment, playback, controllable);
+    }
+
+    /**
+     * 只有录音片段可以拖动进度；TTS每次重新合成，只显示进度
+     */
+    updateSeek(segment, playback, controllable) {
+        const seek = this.container.querySelector('[data-role="seek"]');
+        const showSeek = controllable && (segment?.type === 'Recording' || segment?.type === 'TTS');
+        seek.classList.toggle('d-none', !showSeek);
+        if (!showSeek) return;
+
+        const hasDuration = playback.durationMs > 0;
+        this.seekInput.disabled = segment.type !== 'Recording' || !hasDuration || this.busy;
+        this.setText('duration', hasDuration ? this.formatTime(playback.durationMs) : '--:--');
+        if (this.seeking) return;
+
+        this.seekInput.max = hasDuration ? playback.durationMs : 0;
+        this.seekInput.value = playback.positionMs;
+        this.setText('position', this.formatTime(playback.positionMs));
+    }
+
+    /**
+     * 重播上一段：当前为第一段时从头重播当前段
+     */
+    replayPrevious() {
+        const currentIndex = this.segments.findIndex(s => s.id === this.playback?.segmentId);
+        if (currentIndex < 0) return;
+
+        const target = this.segments[Math.max(0, currentIndex - 1)];
+        this.run(() => this.actions.jump(target.id, 0));
+    }
+
+    async run(action) {
+        if (this.busy) return;
+
+        this.busy = true;
+        this.setControlsEnabled(false);
+        try {
+            await action();
+        } finally {
+            this.busy = false;
+            const state = this.playback?.state;
+            this.setControlsEnabled(state === 'playing' || state === 'paused');
+        }
+    }
+
+    setControlsEnabled(enabled) {
+        const disabled = !enabled || this.busy;
+        this.container.querySelectorAll('button').forEach(button => button.disabled = disabled);
+        if (disabled && this.seekInput) {
+            this.seekInput.disabled = true;
+        }
+    }
+
+    setText(role, text) {
+        const element = this.container.querySelector(`[data-role="${role}"]`);
+        if (element) {
+            element.textContent = text;
+        }
+    }
+
+    formatTime(ms) {
+        const seconds = Math.floor((ms || 0) / 1000);
+        return `${Math.floor(seconds / 60).toString().padStart(2, '0')}:${(seconds % 60).toString().padStart(2, '0')}`;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+window.ScenarioTimeline = ScenarioTimeline;
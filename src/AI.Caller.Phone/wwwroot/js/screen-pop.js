@@ -0,0 +1,173 @@
+/**
+ * 来电弹屏
+ * 振铃时按来电号码查询客户资料（/api/CallerLookup，先查通讯录再查CRM），显示姓名、公司、未结工单、最近通话与CRM链接。
+ * 弹屏保留到坐席关闭或下一个来电，便于通话中与话后处理时查看
+ */
+const CALLER_SOURCE_LABELS = {
+    contact: '通讯录',
+    webUser: 'Web坐席',
+    crm: 'CRM'
+};
+
+class ScreenPop {
+    /**
+     * @param {Object} elements - PhoneApp的DOM元素集合
+     * @param {Object} options - { lookupUrl: 查询接口地址 }
+     */
+    constructor(elements, options = {}) {
+        this.elements = elements;
+        this.lookupUrl = options.lookupUrl || '/api/CallerLookup';
+        this.currentCallId = null;
+    }
+
+    initialize() {
+        if (!this.elements.screenPopPanel) return;
+
+        document.addEventListener('incomingCall', (event) => {
+            const { callId, number } = event.detail || {};
+            if (number) {
+                this.show(callId, number);
+            }
+        });
+        this.elements.screenPopClose?.addEventListener('click', () => this.hide());
+    }
+
+    async show(callId, number) {
+        this.currentCallId = callId;
+        this.renderLoading(number);
+        this.elements.screenPopPanel.classList.remove('d-none');
+
+        try {
+            const params = new URLSearchParams({ number });
+            if (callId) params.set('callId', callId);
+
+            const response = await fetch(`${this.lookupUrl}?${params}`);
+            if (!response.ok) {
+                throw new Error(await response.text());
+            }
+
+            const result = await response.json();
+            // 查询期间又来了新电话时丢弃旧结果
+            if (this.currentCallId !== callId) return;
+
+            this.render(result);
+            this.updateCallerName(number, result.name);
+        } catch (error) {
+            console.error('来电弹屏查询失败:', error);
+            if (this.currentCallId === callId) {
+                this.elements.screenPopDetails.textContent = `${number} · 查询客户资料失败`;
+            }
+        }
+    }
+
+    hide() {
+        this.currentCallId = null;
+        this.elements.screenPopPanel.classList.add('d-none');
+    }
+
+    renderLoading(number) {
+        this.elements.screenPopName.textContent = number;
+        this.elements.screenPopDetails.textContent = '正在查询客户资料...';
+        this.elements.screenPopCrmLink.classList.add('d-none');
+        this.elements.screenPopTickets.innerHTML = '';
+        this.elements.screenPopRecentCalls.innerHTML = '';
+    }
+
+    render(result) {
+        const { screenPopName, screenPopDetails, screenPopCrmLink, screenPopTickets, screenPopRecentCalls } = this.elements;
+
+        screenPopName.textContent = result.name || '未识别的号码';
+        screenPopDetails.textContent = [
+            result.company,
+            result.number,
+            result.source ? `来自${CALLER_SOURCE_LABELS[result.source] || result.source}` : null
+        ].filter(Boolean).join(' · ');
+
+        if (result.crmUrl) {
+            screenPopCrmLink.href = result.crmUrl;
+            screenPopCrmLink.classList.remove('d-none');
+        } else {
+            screenPopCrmLink.classList.add('d-none');
+        }
+
+        const tickets = result.tickets || [];
+        screenPopTickets.innerHTML = tickets.length === 0 ? '' : `
+            <div class="small fw-semibold mt-2 mb-1">未结工单（${tickets.length}）</div>
+            <ul class="list-group list-group-flush small">
+                ${tickets.map(ticket => `
+                    <li class="list-group-item px-0 py-1 d-flex justify-content-between align-items-center">
+                        <span>
+                            ${this.isSafeUrl(ticket.url)
+                                ? `<a href="${this.escapeAttribute(ticket.url)}" target="_blank" rel="noopener">${this.escapeHtml(ticket.id)}</a>`
+                                : this.escapeHtml(ticket.id)}
+                            ${this.escapeHtml(ticket.title)}
+                        </span>
+                        <span class="badge bg-warning text-dark">${this.escapeHtml(ticket.status)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+
+        const calls = result.recentCalls || [];
+        screenPopRecentCalls.innerHTML = `
+            <div class="small fw-semibold mt-2 mb-1">最近通话</div>
+            ${calls.length === 0 ? '<div class="small text-muted">首次来电</div>' : `
+                <ul class="list-group list-group-flush small">
+                    ${calls.map(call => `
+                        <li class="list-group-item px-0 py-1 d-flex justify-content-between align-items-center">
+                            <span>
+                                <i class="bi ${call.direction === 'inbound' ? 'bi-telephone-inbound' : 'bi-telephone-outbound'} me-1"></i>
+                                ${this.formatTime(call.startTime)}
+                                ${call.agentName ? `<span class="text-muted ms-1">${this.escapeHtml(call.agentName)}</span>` : ''}
+                            </span>
+                            <span>
+                                ${call.disposition ? `<span class="badge bg-info text-dark me-1">${this.escapeHtml(call.disposition)}</span>` : ''}
+                                <span class="text-muted">${this.formatDuration(call.durationSeconds)}</span>
+                            </span>
+                        </li>
+                    `).join('')}
+                </ul>
+            `}
+        `;
+    }
+
+    /**
+     * 识别出姓名后替换通话信息中只显示号码的来电名称
+     */
+    updateCallerName(number, name) {
+        const callerName = this.elements.callerName;
+        if (name && callerName && callerName.textContent === number) {
+            callerName.textContent = name;
+        }
+    }
+
+    /**
+     * 工单链接来自外部CRM，只允许http(s)
+     */
+    isSafeUrl(url) {
+        return /^https?:\/\//i.test(url || '');
+    }
+
+    formatTime(value) {
+        const date = new Date(value.endsWith?.('Z') ? value : `${value}Z`);
+        return date.toLocaleString();
+    }
+
+    formatDuration(seconds) {
+        const minutes = Math.floor((seconds || 0) / 60).toString().padStart(2, '0');
+        const secs = ((seconds || 0) % 60).toString().padStart(2, '0');
+        return `${minutes}:${secs}`;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
+}
+
+window.ScreenPop = ScreenPop;
@@ -0,0 +1,264 @@
+/**
+ * SignalR客户端事件总线
+ * 基于GlobalSignalRManager.registerEventHandler统一订阅服务端推送：
+ * 按callId与事件序号去重，缓存各事件的最后状态供后订阅的模块回放
+ */
+
+// 总线支持的事件类型
+const SignalREvents = Object.freeze({
+    IN_CALLING: 'inCalling',
+    CALL_TRYING: 'callTrying',
+    CALL_RINGING: 'callRinging',
+    CALL_ANSWERED: 'callAnswered',
+    ANSWERED: 'answered',
+    CALL_TIMEOUT: 'callTimeout',
+    SDP_ANSWERED: 'sdpAnswered',
+    RECEIVE_ICE_CANDIDATE: 'receiveIceCandidate',
+    CALL_HELD: 'callHeld',
+    CALL_RESUMED: 'callResumed',
+    AGENT_MUTE_CHANGED: 'agentMuteChanged',
+    TRANSFER_PROGRESS: 'transferProgress',
+    CONFERENCE_UPDATED: 'conferenceUpdated',
+    CALL_ENDED: 'callEnded',
+    REMOTE_HANGUP: 'remoteHangup',
+    CALL_FAILED: 'callFailed',
+    HANGUP_FAILED: 'hangupFailed',
+    CONNECTION_LOST: 'connectionLost',
+    MISSED_CALL_COUNT_CHANGED: 'missedCallCountChanged',
+    PRESENCE_CHANGED: 'presenceChanged',
+    WRAP_UP_CHANGED: 'wrapUpChanged',
+    AGENT_STATUS_CHANGED: 'agentStatusChanged',
+    TRANSCRIPT_SEGMENT: 'transcriptSegment',
+    SUPERVISOR_MODE_CHANGED: 'supervisorModeChanged',
+    WALLBOARD_UPDATED: 'wallboardUpdated',
+    MONITOR_AUDIO_LEVELS: 'monitorAudioLevels',
+    SCENARIO_PLAYBACK_UPDATED: 'scenarioPlaybackUpdated',
+    RECORDING_STARTED: 'recordingStarted',
+    RECORDING_STOPPED: 'recordingStopped',
+    RECORDING_ERROR: 'recordingError',
+    RECORDING_STATUS_UPDATE: 'recordingStatusUpdate',
+    INTERVENTION_STARTED: 'interventionStarted',
+    INTERVENTION_ENDED: 'interventionEnded',
+    CONNECTION_STATE_CHANGED: 'connectionStateChanged'
+});
+
+// 流式事件：参数为(payload, callId)，逐条投递，不去重也不回放
+// 班长看板的快照序号在服务端重启后从头开始，由看板页面自行判断新旧；监听音量每100ms一条
+const SignalRStreamEvents = new Set([
+    SignalREvents.SDP_ANSWERED,
+    SignalREvents.RECEIVE_ICE_CANDIDATE,
+    SignalREvents.TRANSCRIPT_SEGMENT,
+    SignalREvents.WALLBOARD_UPDATED,
+    SignalREvents.MONITOR_AUDIO_LEVELS
+]);
+
+// 通话终止事件：到达后清除该通话缓存的状态，避免后订阅者回放已结束的通话
+const SignalRTerminalEvents = new Set([
+    SignalREvents.CALL_ENDED,
+    SignalREvents.REMOTE_HANGUP,
+    SignalREvents.CALL_FAILED,
+    SignalREvents.CALL_TIMEOUT
+]);
+
+class SignalREventBus {
+    /**
+     * @param {GlobalSignalRManager} signalRManager - 提供registerEventHandler的全局SignalR管理器
+     */
+    constructor(signalRManager) {
+        this.signalRManager = signalRManager;
+        this.handlerId = 'signalr-event-bus';
+        this.subscriptions = new Map(); // subscriberId -> [{ eventType, callback, callId }]
+        this.forwardedEvents = new Set();
+        this.lastSeen = new Map();      // `${eventType}|${callId}` -> { sequence, at }
+        this.lastStates = new Map();    // `${eventType}|${callId}` -> { eventType, callId, args, at }
+        this.dedupeWindowMs = 1000;     // 无序号事件在该时间窗内按callId去重
+        this.lastSeenTtlMs = 10 * 60 * 1000;
+    }
+
+    /**
+     * 订阅事件
+     * @param {string} subscriberId - 订阅方标识，用于整体注销
+     * @param {string} eventType - SignalREvents中的事件类型
+     * @param {Function} callback - 事件回调，参数与服务端推送一致
+     * @param {Object} options - { replay: 是否立即回放最后状态, callId: 只接收指定通话的事件 }
+     * @returns {Function} 取消本次订阅的函数
+     */
+    subscribe(subscriberId, eventType, callback, options = {}) {
+        if (!Object.values(SignalREvents).includes(eventType)) {
+            throw new Error(`未知的SignalR事件类型: ${eventType}`);
+        }
+
+        this.ensureForwarded(eventType);
+
+        const subscription = { eventType, callback, callId: options.callId || null };
+        if (!this.subscriptions.has(subscriberId)) {
+            this.subscriptions.set(subscriberId, []);
+        }
+        this.subscriptions.get(subscriberId).push(subscription);
+
+        if (options.replay) {
+            this.replay(subscription);
+        }
+
+        return () => {
+            const list = this.subscriptions.get(subscriberId);
+            if (!list) return;
+
+            const index = list.indexOf(subscription);
+            if (index >= 0) list.splice(index, 1);
+            if (list.length === 0) this.subscriptions.delete(subscriberId);
+        };
+    }
+
+    /**
+     * 注销订阅方的全部订阅
+     */
+    unsubscribe(subscriberId) {
+        if (this.subscriptions.delete(subscriberId)) {
+            console.log(`事件总线已注销订阅方: ${subscriberId}`);
+        }
+    }
+
+    /**
+     * 获取某事件最后一次的参数，没有或已随通话结束清除时返回null
+     * @param {string} eventType - 事件类型
+     * @param {string} [callId] - 指定通话；省略时返回所有通话中最近的一次
+     */
+    getLastState(eventType, callId) {
+        if (callId) {
+            return this.lastStates.get(this.stateKey(eventType, callId))?.args || null;
+        }
+        return this.getStates(eventType).pop()?.args || null;
+    }
+
+    /**
+     * 某事件在各通话上的最后状态，按到达时间排序
+     */
+    getStates(eventType) {
+        return Array.from(this.lastStates.values())
+            .filter(state => state.eventType === eventType)
+            .sort((a, b) => a.at - b.at);
+    }
+
+    stateKey(eventType, callId) {
+        return `${eventType}|${callId || ''}`;
+    }
+
+    /**
+     * 每种事件只向全局管理器注册一次，由总线统一分发
+     */
+    ensureForwarded(eventType) {
+        if (this.forwardedEvents.has(eventType)) return;
+
+        this.forwardedEvents.add(eventType);
+        this.signalRManager.registerEventHandler(this.handlerId, eventType, (...args) => {
+            this.publish(eventType, ...args);
+        });
+    }
+
+    /**
+     * 去重并分发服务端事件
+     */
+    publish(eventType, ...args) {
+        const isStream = SignalRStreamEvents.has(eventType);
+        const callId = this.getCallId(eventType, args);
+
+        if (!isStream) {
+            if (this.isDuplicate(eventType, callId, args[0])) {
+                console.log(`事件总线忽略重复事件: ${eventType} (${callId || '-'})`);
+                return;
+            }
+            this.rememberState(eventType, callId, args);
+        }
+
+        this.subscriptions.forEach((list, subscriberId) => {
+            list.filter(subscription => subscription.eventType === eventType)
+                .forEach(subscription => this.deliver(subscriberId, subscription, callId, args));
+        });
+    }
+
+    deliver(subscriberId, subscription, callId, args) {
+        if (subscription.callId && callId && subscription.callId !== callId) return;
+
+        try {
+            subscription.callback(...args);
+        } catch (error) {
+            console.error(`订阅方 ${subscriberId} 处理 ${subscription.eventType} 事件时出错:`, error);
+        }
+    }
+
+    /**
+     * 回放每个通话的最后状态（多线路时各线路分别回放），异步执行以保证订阅方已完成注册流程
+     */
+    replay(subscription) {
+        const states = this.getStates(subscription.eventType);
+        if (states.length === 0) return;
+
+        setTimeout(() => {
+            states.forEach(state => this.deliver('replay', subscription, state.callId, state.args));
+        }, 0);
+    }
+
+    /**
+     * 服务端带sequence时按序号丢弃重复与乱序事件，否则同一callId在时间窗内只处理一次
+     */
+    isDuplicate(eventType, callId, data) {
+        const key = this.stateKey(eventType, callId);
+        const now = Date.now();
+        const sequence = typeof data?.sequence === 'number' ? data.sequence : null;
+        const last = this.lastSeen.get(key);
+
+        let duplicate = false;
+        if (last && sequence !== null && last.sequence !== null) {
+            duplicate = sequence <= last.sequence;
+        } else if (last && callId) {
+            duplicate = now - last.at < this.dedupeWindowMs;
+        }
+
+        if (!duplicate) {
+            this.lastSeen.set(key, { sequence: sequence ?? last?.sequence ?? null, at: now });
+            this.pruneLastSeen(now);
+        }
+        return duplicate;
+    }
+
+    pruneLastSeen(now) {
+        for (const [key, entry] of this.lastSeen.entries()) {
+            if (now - entry.at > this.lastSeenTtlMs) {
+                this.lastSeen.delete(key);
+            }
+        }
+    }
+
+    rememberState(eventType, callId, args) {
+        if (SignalRTerminalEvents.has(eventType)) {
+            this.lastStates.forEach((state, key) => {
+                if (callId && state.callId === callId) {
+                    this.lastStates.delete(key);
+                }
+            });
+            return;
+        }
+
+        this.lastStates.set(this.stateKey(eventType, callId), { eventType, callId, args, at: Date.now() });
+    }
+
+    getCallId(eventType, args) {
+        if (SignalRStreamEvents.has(eventType)) {
+            return args[1] || null;
+        }
+        return args[0]?.callId || null;
+    }
+
+    /**
+     * 清理订阅与缓存
+     */
+    cleanup() {
+        this.subscriptions.clear();
+        this.lastSeen.clear();
+        this.lastStates.clear();
+    }
+}
+
+window.SignalREvents = SignalREvents;
+window.SignalREventBus = SignalREventBus;
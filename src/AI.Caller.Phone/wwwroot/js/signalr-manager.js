@@ -28,19 +28,20 @@ class SignalRManager {
         // 等待全局SignalR管理器初始化
         await this.waitForGlobalSignalR();
         
-        if (window.globalSignalRManager) {
-            this.connection = window.globalSignalRManager.connection;
-            console.log('Home页面已连接到全局SignalR');
-            
-            // 注册页面特定的事件处理器（只通过全局管理器注册）
-            this.registerWithGlobalManager();
-            
-            // 标记使用全局连接，避免重复注册
-            this.usingGlobalConnection = true;
-        } else {
-            console.error('全局SignalR管理器未找到，回退到独立连接');
-            this.createIndependentConnection();
+        if (!window.globalSignalRManager) {
+            // 所有事件都经全局管理器的事件总线分发，不再另建独立连接
+            console.error('全局SignalR管理器未找到，立即创建');
+            window.globalSignalRManager = new GlobalSignalRManager();
         }
+
+        this.connection = window.globalSignalRManager.connection;
+        console.log('Home页面已连接到全局SignalR');
+
+        // 注册页面特定的事件处理器（只通过事件总线订阅）
+        this.registerWithGlobalManager();
+
+        // 标记使用全局连接，避免重复注册
+        this.usingGlobalConnection = true;
         this.setupConnectionEvents();
         this.startHeartbeat();
     }
@@ -71,95 +72,72 @@ class SignalRManager {
     }
 
     /**
-     * 向全局管理器注册事件处理器
+     * 通过事件总线订阅首页需要的事件
      */
     registerWithGlobalManager() {
         const handlerId = 'home-page';
-        
-        // 注册来电处理器
-        window.globalSignalRManager.registerEventHandler(handlerId, 'inCalling', (callData) => {
+        const bus = window.globalSignalRManager.eventBus;
+        // 从标签页不处理通话信令，界面状态由主标签页同步
+        const ownerOnly = handler => (...args) => {
+            if (this.connection.isOwner !== false) handler(...args);
+        };
+
+        // 来电
+        bus.subscribe(handlerId, SignalREvents.IN_CALLING, ownerOnly((callData) => {
             this.handleIncomingCall(callData);
-        });
-        
-        // 注册其他事件处理器
-        window.globalSignalRManager.registerEventHandler(handlerId, 'callTrying', (data) => {
+        }));
+
+        // 呼叫进度
+        bus.subscribe(handlerId, SignalREvents.CALL_TRYING, ownerOnly((data) => {
             this.handleCallTrying(data);
-        });
-        
-        window.globalSignalRManager.registerEventHandler(handlerId, 'callRinging', (data) => {
+        }));
+
+        bus.subscribe(handlerId, SignalREvents.CALL_RINGING, ownerOnly((data) => {
             this.handleCallRinging(data);
-        });
-        
-        window.globalSignalRManager.registerEventHandler(handlerId, 'callAnswered', (data) => {
+        }));
+
+        bus.subscribe(handlerId, SignalREvents.CALL_ANSWERED, ownerOnly((data) => {
             this.handleCallAnswered(data);
-        });
-        
-        window.globalSignalRManager.registerEventHandler(handlerId, 'answered', (data) => {
+        }));
+
+        bus.subscribe(handlerId, SignalREvents.ANSWERED, ownerOnly((data) => {
             this.handleAnswered(data);
-        });
-        
-        window.globalSignalRManager.registerEventHandler(handlerId, 'callTimeout', (data) => {
+        }));
+
+        bus.subscribe(handlerId, SignalREvents.CALL_TIMEOUT, ownerOnly((data) => {
             this.handleCallTimeout(data);
+        }));
+
+        bus.subscribe(handlerId, SignalREvents.SDP_ANSWERED, ownerOnly((answerDesc, callId) => {
+            this.handleSdpAnswered(answerDesc, callId);
+        }));
+
+        bus.subscribe(handlerId, SignalREvents.RECEIVE_ICE_CANDIDATE, ownerOnly((candidate, callId) => {
+            this.handleIceCandidate(candidate, callId);
+        }));
+
+        bus.subscribe(handlerId, SignalREvents.CALL_HELD, ownerOnly((data) => {
+            this.handleCallHoldChanged(data, true);
+        }));
+
+        bus.subscribe(handlerId, SignalREvents.CALL_RESUMED, ownerOnly((data) => {
+            this.handleCallHoldChanged(data, false);
+        }));
+
+        // 录音事件
+        bus.subscribe(handlerId, SignalREvents.RECORDING_STARTED, (data) => {
+            window.phoneApp?.recordingManager?.handleRecordingStarted(data);
         });
-        
-        window.globalSignalRManager.registerEventHandler(handlerId, 'sdpAnswered', (answerDesc) => {
-            this.handleSdpAnswered(answerDesc);
-        });
-        
-        window.globalSignalRManager.registerEventHandler(handlerId, 'receiveIceCandidate', (candidate) => {
-            this.handleIceCandidate(candidate);
-        });
-        
-        // 注册录音事件处理器
-        window.globalSignalRManager.registerEventHandler(handlerId, 'recordingStarted', (data) => {
-            if (window.phoneApp && window.phoneApp.recordingManager) {
-                window.phoneApp.recordingManager.handleRecordingStarted(data);
-            }
-        });
-        
-        window.globalSignalRManager.registerEventHandler(handlerId, 'recordingStopped', (data) => {
-            if (window.phoneApp && window.phoneApp.recordingManager) {
-                window.phoneApp.recordingManager.handleRecordingStopped(data);
-            }
+
+        bus.subscribe(handlerId, SignalREvents.RECORDING_STOPPED, (data) => {
+            window.phoneApp?.recordingManager?.handleRecordingStopped(data);
         });
-        
-        window.globalSignalRManager.registerEventHandler(handlerId, 'recordingError', (data) => {
-            if (window.phoneApp && window.phoneApp.recordingManager) {
-                window.phoneApp.recordingManager.handleRecordingError(data);
-            }
+
+        bus.subscribe(handlerId, SignalREvents.RECORDING_ERROR, (data) => {
+            window.phoneApp?.recordingManager?.handleRecordingError(data);
         });
-        
-        console.log('Home页面事件处理器已注册到全局SignalR管理器');
-    }
 
-    /**
-     * 创建独立连接（备用方案）
-     */
-    createIndependentConnection() {
-        console.warn('全局SignalR不可用，创建独立连接');
-        
-        this.connection = new signalR.HubConnectionBuilder()
-            .withUrl("/webrtc")
-            .withHubProtocol(new signalR.protocols.msgpack.MessagePackHubProtocol()) 
-            .configureLogging(signalR.LogLevel.Debug)
-            .withAutomaticReconnect({
-                nextRetryDelayInMilliseconds: retryContext => {
-                    const attempt = retryContext.previousRetryCount;
-                    const delay = Math.min(1000 * Math.pow(2, attempt), 30000);
-                    console.log(`SignalR重连尝试 #${attempt + 1}，等待 ${delay}ms`);
-                    this.updateStatus(`SignalR重连尝试 #${attempt + 1}，等待 ${delay}ms`);
-                    return delay;
-                }
-            })
-            .build();
-            
-        // 标记使用独立连接
-        this.usingGlobalConnection = false;
-        
-        this.setupCallEvents();
-        this.setupRecordingEvents();
-        this.startConnection();
-        
+        console.log('Home页面事件处理器已注册到SignalR事件总线');
     }
 
     /**
@@ -169,7 +147,7 @@ class SignalRManager {
         // 页面卸载时注销事件处理器
         window.addEventListener('beforeunload', () => {
             if (window.globalSignalRManager) {
-                window.globalSignalRManager.unregisterEventHandler('home-page');
+                window.globalSignalRManager.eventBus.unsubscribe('home-page');
             }
         });
     }
@@ -190,6 +168,9 @@ class SignalRManager {
 
             this.startHeartbeat();
 
+            // 从标签页不持有通话媒体
+            if (!this.connection.isOwner) return;
+
             if(!this.webRTCManager.pc) 
                 this.webRTCManager.initialize();
 
@@ -217,72 +198,6 @@ class SignalRManager {
         });
     }
 
-    setupCallEvents() {
-        // 来电事件
-        this.connection.on("inCalling", (callData) => {
-            this.handleIncomingCall(callData);
-        });
-
-        // 呼叫中事件（Trying）
-        this.connection.on("callTrying", (data) => {
-            this.handleCallTrying(data);
-        });
-
-        // 对方振铃事件（Ringing）- 播放回铃音
-        this.connection.on("callRinging", (data) => {
-            this.handleCallRinging(data);
-        });
-
-        // 通话接听事件
-        this.connection.on("callAnswered", async () => {
-            this.handleCallAnswered();
-        });
-
-        this.connection.on("answered", () => {
-            this.handleAnswered();
-        });
-
-        // 通话超时事件
-        this.connection.on("callTimeout", () => {
-            this.handleCallTimeout();
-        });
-
-        // SDP应答事件
-        this.connection.on("sdpAnswered", (answerDesc) => {
-            this.handleSdpAnswered(answerDesc);
-        });
-
-        // ICE候选者事件
-        this.connection.on("receiveIceCandidate", (candidate) => {
-            this.handleIceCandidate(candidate);
-        });
-    }
-
-    setupRecordingEvents() {
-        this.connection.on("recordingStarted", (data) => {
-            if (window.phoneApp && window.phoneApp.recordingManager) {
-                window.phoneApp.recordingManager.handleRecordingStarted(data);
-            }
-        });
-
-        this.connection.on("recordingStopped", (data) => {
-            if (window.phoneApp && window.phoneApp.recordingManager) {
-                window.phoneApp.recordingManager.handleRecordingStopped(data);
-            }
-        });
-
-        this.connection.on("recordingError", (data) => {
-            if (window.phoneApp && window.phoneApp.recordingManager) {
-                window.phoneApp.recordingManager.handleRecordingError(data);
-            }
-        });
-
-        this.connection.on("recordingStatusUpdate", (data) => {
-            console.log("录音状态更新:", data);
-            // 简化处理，只记录日志
-        });
-    }
-
     handleIncomingCall(callData) {
         console.log("=== 来电数据详细分析 ===");
         console.log("完整callData:", JSON.stringify(callData, null, 2));
@@ -292,11 +207,19 @@ class SignalRManager {
         console.log("callData.callee:", callData.callee);
         console.log("callData.isExternal:", callData.isExternal);
         console.log("=== 来电数据分析结束 ===");
+
+        // 已有通话时作为呼叫等待处理，不打断当前线路
+        const isWaitingCall = this.callStateManager.getCurrentState() !== CallState.IDLE;
         
-        // ===== 第一步：播放来电铃音 =====
+        // ===== 第一步：播放来电铃音（通话中改为呼叫等待提示音） =====
         if (window.ringtoneManager) {
-            console.log('触发来电铃音播放');
-            window.ringtoneManager.play();
+            if (isWaitingCall) {
+                console.log('通话中收到新来电，播放呼叫等待提示音');
+                window.ringtoneManager.playCallWaiting();
+            } else {
+                console.log('触发来电铃音播放');
+                window.ringtoneManager.play();
+            }
         } else {
             console.warn('铃音管理器未初始化');
         }
@@ -311,9 +234,11 @@ class SignalRManager {
                 }
                 return;
             }
-            
-            this.callStateManager.setState(CallState.INCOMING);
-            this.callStateManager.setCallContext({
+
+            const offerObj = this.parseOfferSdp(callData.offerSdp);
+            console.log("Offer SDP processed:", offerObj);
+
+            const callContext = {
                 callId: callData.callId,
                 caller: {
                     userId: callData.caller.userId,
@@ -324,8 +249,9 @@ class SignalRManager {
                     sipUsername: callData.callee.sipUsername
                 },
                 isExternal: callData.isExternal || false,
+                offer: offerObj,
                 timestamp: callData.timestamp || new Date().toISOString()
-            });
+            };
             
             let callerDisplay = '未知来电';
             let callerNumber = '';
@@ -341,15 +267,35 @@ class SignalRManager {
             if (callData.isExternal) {
                 callerNumber = `外部来电: ${callerNumber}`;
             }
+
+            // 来电弹屏按号码查询客户资料
+            document.dispatchEvent(new CustomEvent('incomingCall', {
+                detail: {
+                    callId: callData.callId,
+                    number: callData.caller.sipUsername || null,
+                    isExternal: !!callData.isExternal,
+                    isWaiting: isWaitingCall
+                }
+            }));
             
+            if (isWaitingCall) {
+                this.callStateManager.addSession(callContext, CallState.INCOMING, callerDisplay);
+                this.updateStatus(`呼叫等待：${callerDisplay} 来电`, 'info');
+                document.dispatchEvent(new CustomEvent('callWaiting', {
+                    detail: { callId: callData.callId, caller: callerDisplay, number: callerNumber }
+                }));
+                return;
+            }
+
+            this.callStateManager.setState(CallState.INCOMING);
+            this.callStateManager.setCallContext(callContext, callerDisplay);
+
             console.log('设置来电显示:', { callerDisplay, callerNumber });
             
             this.elements.callerName.innerHTML = callerDisplay;
             this.elements.callerNumber.innerHTML = callerNumber;
             
-            const offerObj = this.parseOfferSdp(callData.offerSdp);
             this.elements.answerButton.setAttribute('data-offer', JSON.stringify(offerObj));
-            console.log("Offer SDP processed:", offerObj);
             
             // 显示接听和挂断按钮
             this.elements.answerButton.classList.remove('d-none');
@@ -398,8 +344,14 @@ class SignalRManager {
         this.checkSecureConnection();
     }
 
-    handleAnswered() {
+    handleAnswered(data) {
         // 回铃音由后端控制，前端无需停止
+
+        // 非活动线路的接听通知只更新该线路状态
+        if (data?.callId && this.isBackgroundCall(data.callId)) {
+            this.callStateManager.setSessionState(data.callId, CallState.CONNECTED);
+            return;
+        }
         
         this.updateStatus('通话已接听', 'success');
         this.callStateManager.setState(CallState.CONNECTED);
@@ -410,8 +362,13 @@ class SignalRManager {
         this.checkSecureConnection();
     }
 
-    handleCallTimeout() {
+    handleCallTimeout(data) {
         console.log('收到来电超时通知');
+
+        // 多线路时只结束超时的线路
+        if (data?.callId && window.phoneApp?.endCallSession(data.callId)) {
+            return;
+        }
         
         // ===== 停止铃音 =====
         if (window.ringtoneManager) {
@@ -431,14 +388,27 @@ class SignalRManager {
         }, 3000);
     }
 
-    handleSdpAnswered(answerDesc) {
-        console.log("SDP Answer received from server:", answerDesc, "Type:", typeof answerDesc);
-        if (this.webRTCManager.pc) {
+    handleCallHoldChanged(data, held) {
+        console.log(held ? '收到通话保持通知:' : '收到通话恢复通知:', data);
+        document.dispatchEvent(new CustomEvent('callHoldChanged', {
+            detail: {
+                callId: data?.callId,
+                heldBy: data?.heldBy,
+                isLocal: !!data?.isLocal,
+                held: held
+            }
+        }));
+    }
+
+    handleSdpAnswered(answerDesc, callId) {
+        console.log("SDP Answer received from server:", answerDesc, "Type:", typeof answerDesc, "CallId:", callId);
+        const pc = this.webRTCManager.getPeerConnection(callId);
+        if (pc) {
             try {
                 const sdpObj = this.parseSdpAnswer(answerDesc);
                 console.log("Processing SDP answer:", sdpObj);
                 
-                this.webRTCManager.pc.setRemoteDescription(sdpObj).then(() => {
+                pc.setRemoteDescription(sdpObj).then(() => {
                     console.log("Remote description set successfully");
                 }).catch(error => {
                     console.error("Error setting remote description:", error);
@@ -449,12 +419,17 @@ class SignalRManager {
         }
     }
 
-    handleIceCandidate(candidate) {
-        if (this.webRTCManager.pc && candidate) {
-            console.log("Adding ICE candidate from server:", candidate);
+    handleIceCandidate(candidate, callId) {
+        const pc = this.webRTCManager.getPeerConnection(callId);
+        if (pc && candidate) {
+            console.log("Adding ICE candidate from server:", candidate, "CallId:", callId);
             const candidateObj = typeof candidate === "string" ? JSON.parse(candidate) : candidate;
+            if (this.webRTCManager.queueRemoteCandidate(callId, candidateObj)) {
+                console.log("ICE重启协商中，暂存服务端候选者");
+                return;
+            }
             
-            this.webRTCManager.pc.addIceCandidate(candidateObj).then(() => {
+            pc.addIceCandidate(candidateObj).then(() => {
                 console.log("ICE candidate added successfully");
             }).catch(error => {
                 console.error("Error adding ICE candidate:", error);
@@ -462,14 +437,12 @@ class SignalRManager {
         }
     }
 
-    async startConnection() {
-        try {
-            await this.connection.start();
-            console.log('SignalR连接已建立');
-        } catch (error) {
-            console.error('SignalR连接失败:', error);
-            this.startManualReconnect();
-        }
+    /**
+     * 判断callId是否为已登记的非活动线路
+     * @param {string} callId - 线路标识
+     */
+    isBackgroundCall(callId) {
+        return !!this.callStateManager.getSession(callId) && this.callStateManager.getActiveCallId() !== callId;
     }
 
     startHeartbeat() {
@@ -0,0 +1,264 @@
+/**
+ * 拨号盘上方的收藏栏（快速拨号）
+ * 每个按钮绑定联系人或直接输入的号码，可指定首选线路；编辑模式下可添加、修改、删除并拖拽排序，
+ * 修改后整体保存到服务端（/api/SpeedDial），按用户持久化
+ */
+class SpeedDialBar {
+    /**
+     * @param {Object} elements - PhoneApp的DOM元素集合
+     * @param {Object} actions - { dial(contact): 拨打, getContacts(): 已加载的联系人, getLines(): 可用线路 }
+     */
+    constructor(elements, actions = {}) {
+        this.elements = elements;
+        this.actions = actions;
+        this.items = [];
+        this.maxItems = 12;
+        this.isEditing = false;
+        this.editingIndex = -1; // -1表示新增
+        this.sortable = null;
+        this.modal = null;
+    }
+
+    async initialize() {
+        if (!this.elements.speedDialList) return;
+
+        this.bindEvents();
+        this.initializeSortable();
+        await this.load();
+    }
+
+    bindEvents() {
+        this.elements.speedDialList.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-index]');
+            if (!button) return;
+
+            const index = parseInt(button.dataset.index);
+            if (this.isEditing) {
+                this.openEditor(index);
+            } else {
+                this.dial(this.items[index]);
+            }
+        });
+
+        this.elements.speedDialEditToggle?.addEventListener('click', () => this.setEditing(!this.isEditing));
+        this.elements.speedDialAddButton?.addEventListener('click', () => this.openEditor(-1));
+        this.elements.speedDialSaveButton?.addEventListener('click', () => this.saveEditor());
+        this.elements.speedDialDeleteButton?.addEventListener('click', () => this.deleteEditing());
+
+        // 选择联系人后号码输入框不再生效
+        this.elements.speedDialContactSelect?.addEventListener('change', () => this.updateEditorMode());
+    }
+
+    /**
+     * 仅在编辑模式下允许拖拽，避免点击拨号时误触发排序
+     */
+    initializeSortable() {
+        if (typeof Sortable === 'undefined') {
+            console.warn('SortableJS未加载，收藏栏不支持拖拽排序');
+            return;
+        }
+
+        this.sortable = new Sortable(this.elements.speedDialList, {
+            animation: 150,
+            draggable: '.speed-dial-item',
+            disabled: true,
+            onEnd: (evt) => {
+                if (evt.oldIndex === evt.newIndex) return;
+                const [moved] = this.items.splice(evt.oldIndex, 1);
+                this.items.splice(evt.newIndex, 0, moved);
+                this.save().then(saved => saved || this.load());
+            }
+        });
+    }
+
+    async load() {
+        try {
+            const response = await fetch('/api/SpeedDial');
+            if (!response.ok) {
+                throw new Error(await response.text());
+            }
+
+            this.items = await response.json();
+            this.render();
+        } catch (error) {
+            console.error('加载快速拨号失败:', error);
+        }
+    }
+
+    /**
+     * 按当前顺序整体保存
+     * @returns {Promise<boolean>} 是否保存成功
+     */
+    async save() {
+        try {
+            const response = await fetch('/api/SpeedDial', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this.items.map(item => ({
+                    contactId: item.contactId,
+                    phoneNumber: item.contactId ? null : item.phoneNumber,
+                    label: item.label,
+                    preferredLineId: item.preferredLineId
+                })))
+            });
+            if (!response.ok) {
+                throw new Error(await response.text());
+            }
+
+            this.items = await response.json();
+            this.render();
+            return true;
+        } catch (error) {
+            console.error('保存快速拨号失败:', error);
+            this.showEditorError(error.message || '保存失败');
+            return false;
+        }
+    }
+
+    setEditing(editing) {
+        this.isEditing = editing;
+        this.sortable?.option('disabled', !editing);
+        this.elements.speedDialBar?.classList.toggle('speed-dial-editing', editing);
+        if (this.elements.speedDialEditToggle) {
+            this.elements.speedDialEditToggle.innerHTML = editing
+                ? '<i class="bi bi-check-lg"></i> 完成'
+                : '<i class="bi bi-pencil"></i> 编辑';
+        }
+        this.render();
+    }
+
+    render() {
+        const list = this.elements.speedDialList;
+        list.innerHTML = this.items.map((item, index) => `
+            <button type="button" class="btn btn-sm btn-outline-primary speed-dial-item" data-index="${index}"
+                    title="${this.escapeAttribute(this.getTitle(item))}">
+                ${this.isEditing ? '<i class="bi bi-grip-vertical me-1"></i>' : '<i class="bi bi-star-fill me-1"></i>'}
+                <span class="speed-dial-label">${this.escapeHtml(this.getLabel(item))}</span>
+            </button>
+        `).join('');
+
+        if (this.items.length === 0) {
+            list.innerHTML = `<span class="small text-muted">${this.isEditing ? '点击“添加”设置常用号码' : '暂无快速拨号'}</span>`;
+        }
+
+        this.elements.speedDialAddButton?.classList.toggle('d-none', !this.isEditing || this.items.length >= this.maxItems);
+    }
+
+    getLabel(item) {
+        return item.label || item.contactName || item.phoneNumber;
+    }
+
+    getTitle(item) {
+        const line = item.preferredLineName ? `（线路: ${item.preferredLineName}）` : '';
+        return this.isEditing ? `点击修改，拖动排序` : `拨打 ${item.phoneNumber}${line}`;
+    }
+
+    dial(item) {
+        if (!item?.phoneNumber) return;
+        this.actions.dial?.({
+            name: this.getLabel(item),
+            phoneNumber: item.phoneNumber,
+            preferredLineId: item.preferredLineId
+        });
+    }
+
+    /**
+     * 打开添加/修改对话框
+     * @param {number} index - 修改的按钮序号，-1表示新增
+     */
+    openEditor(index) {
+        const item = this.items[index] || {};
+        this.editingIndex = index;
+
+        const contacts = this.actions.getContacts?.() || [];
+        this.elements.speedDialContactSelect.innerHTML = '<option value="">直接输入号码</option>' + contacts.map(contact =>
+            `<option value="${contact.id}">${this.escapeHtml(contact.name)} (${this.escapeHtml(contact.phoneNumber)})</option>`
+        ).join('');
+        this.elements.speedDialContactSelect.value = item.contactId ? String(item.contactId) : '';
+
+        const lines = (this.actions.getLines?.() || []).filter(line => line.isActive);
+        this.elements.speedDialLineSelect.innerHTML = '<option value="">使用当前线路</option>' + lines.map(line =>
+            `<option value="${line.id}">${this.escapeHtml(line.name)}</option>`
+        ).join('');
+        this.elements.speedDialLineSelect.value = item.preferredLineId ? String(item.preferredLineId) : '';
+
+        this.elements.speedDialNumberInput.value = item.contactId ? '' : (item.phoneNumber || '');
+        this.elements.speedDialLabelInput.value = item.label || '';
+        this.elements.speedDialDeleteButton?.classList.toggle('d-none', index < 0);
+        this.showEditorError(null);
+        this.updateEditorMode();
+
+        this.modal = this.modal || bootstrap.Modal.getOrCreateInstance(this.elements.speedDialModal);
+        this.modal.show();
+    }
+
+    updateEditorMode() {
+        const hasContact = !!this.elements.speedDialContactSelect.value;
+        this.elements.speedDialNumberInput.disabled = hasContact;
+        if (hasContact) {
+            this.elements.speedDialNumberInput.value = '';
+        }
+    }
+
+    async saveEditor() {
+        const contactId = parseInt(this.elements.speedDialContactSelect.value) || null;
+        const phoneNumber = this.elements.speedDialNumberInput.value.trim();
+        if (!contactId && !phoneNumber) {
+            this.showEditorError('请选择联系人或输入号码');
+            return;
+        }
+
+        const item = {
+            contactId,
+            phoneNumber: contactId ? null : phoneNumber,
+            label: this.elements.speedDialLabelInput.value.trim() || null,
+            preferredLineId: parseInt(this.elements.speedDialLineSelect.value) || null
+        };
+
+        const previous = [...this.items];
+        if (this.editingIndex >= 0) {
+            this.items[this.editingIndex] = item;
+        } else {
+            this.items.push(item);
+        }
+
+        if (await this.save()) {
+            this.modal?.hide();
+        } else {
+            this.items = previous;
+            this.render();
+        }
+    }
+
+    async deleteEditing() {
+        if (this.editingIndex < 0) return;
+
+        const previous = [...this.items];
+        this.items.splice(this.editingIndex, 1);
+        if (await this.save()) {
+            this.modal?.hide();
+        } else {
+            this.items = previous;
+            this.render();
+        }
+    }
+
+    showEditorError(message) {
+        const error = this.elements.speedDialError;
+        if (!error) return;
+        error.textContent = message || '';
+        error.classList.toggle('d-none', !message);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
+}
+
+window.SpeedDialBar = SpeedDialBar;
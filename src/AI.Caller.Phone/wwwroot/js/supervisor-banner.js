@@ -0,0 +1,65 @@
+/**
+ * 班长介入提示
+ * 班长在监听页对坐席的通话耳语（只有坐席能听到）或人工接入（客户也能听到）时，服务端推送supervisorModeChanged，
+ * 坐席页面显示提示条；班长回到静默监听、停止监听或通话结束后隐藏，静默监听本身不提示
+ */
+const SUPERVISOR_MODE_LABELS = {
+    whisper: '正在耳语（仅你可听到）',
+    intervene: '已接入通话（客户也能听到）'
+};
+
+class SupervisorBanner {
+    /**
+     * @param {Object} elements - PhoneApp的DOM元素集合
+     */
+    constructor(elements) {
+        this.elements = elements;
+        this.handlerId = 'supervisor-banner';
+        this.supervisors = new Map(); // supervisorUserId -> { name, mode, callId }
+    }
+
+    initialize() {
+        if (!this.elements.supervisorBanner) return;
+
+        const bus = window.globalSignalRManager?.eventBus;
+        if (bus) {
+            bus.subscribe(this.handlerId, SignalREvents.SUPERVISOR_MODE_CHANGED, (data) => this.update(data));
+            window.addEventListener('beforeunload', () => bus.unsubscribe(this.handlerId));
+        }
+        document.addEventListener('callEnded', () => this.clear());
+    }
+
+    update(data) {
+        if (!data) return;
+
+        if (SUPERVISOR_MODE_LABELS[data.mode]) {
+            this.supervisors.set(data.supervisorUserId, { name: data.supervisorName, mode: data.mode, callId: data.callId });
+        } else {
+            this.supervisors.delete(data.supervisorUserId);
+        }
+        this.render();
+    }
+
+    clear() {
+        this.supervisors.clear();
+        this.render();
+    }
+
+    render() {
+        const { supervisorBanner, supervisorBannerText } = this.elements;
+        const active = Array.from(this.supervisors.values());
+
+        supervisorBanner.classList.toggle('d-none', active.length === 0);
+        if (active.length === 0) return;
+
+        // 接入时客户也能听到，比耳语更需要坐席注意
+        const intervening = active.some(s => s.mode === 'intervene');
+        supervisorBanner.classList.toggle('alert-warning', intervening);
+        supervisorBanner.classList.toggle('alert-info', !intervening);
+        supervisorBannerText.textContent = active
+            .map(s => `班长${s.name ? ` ${s.name} ` : ''}${SUPERVISOR_MODE_LABELS[s.mode]}`)
+            .join('；');
+    }
+}
+
+window.SupervisorBanner = SupervisorBanner;
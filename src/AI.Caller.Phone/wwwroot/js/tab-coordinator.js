@@ -0,0 +1,509 @@
+/**
+ * 多标签页协调器
+ * 同一用户打开多个页面时，通过Web Locks选举唯一的主标签页持有SignalR连接与通话媒体，
+ * 其余标签页经BroadcastChannel镜像主标签页的事件与状态，并把Hub调用和接听、挂断、静音等操作转发给主标签页
+ */
+class TabCoordinator {
+    /**
+     * @param {Object} options - { userId: 频道与锁按用户隔离, dialer: 当前页是否为拨号页 }
+     */
+    constructor(options = {}) {
+        this.userId = options.userId || 'default';
+        this.isDialer = !!options.dialer;
+        this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        this.lockName = `ai-caller-owner:${this.userId}`;
+        this.isSupported = typeof BroadcastChannel !== 'undefined' && !!navigator.locks;
+        this.channel = null;
+        this.isLeader = false;
+        this.roleKnown = false;
+        this.queueController = null;
+        this.releaseLeadership = null;
+        this.listeners = new Map();       // 消息类型 -> 回调列表
+        this.requestHandlers = new Map(); // 请求类型 -> 处理函数，仅主标签页执行
+        this.roleListeners = [];
+        this.pendingRequests = new Map();
+        this.requestSeq = 0;
+        this.requestTimeoutMs = 15000;
+        this.ready = new Promise(resolve => { this.resolveReady = resolve; });
+    }
+
+    /**
+     * 开始选举：锁空闲时直接成为主标签页，否则作为从标签页排队等待
+     */
+    start() {
+        if (!this.isSupported) {
+            console.warn('浏览器不支持BroadcastChannel或Web Locks，各标签页独立连接');
+            this.setLeader(true);
+            return;
+        }
+
+        this.channel = new BroadcastChannel(`ai-caller-tabs:${this.userId}`);
+        this.channel.onmessage = (event) => this.handleMessage(event.data);
+
+        navigator.locks.request(this.lockName, { ifAvailable: true }, (lock) => {
+            if (lock) {
+                return this.holdLeadership();
+            }
+
+            this.setLeader(false);
+            this.queueForLeadership();
+            this.post({ type: 'whoIsLeader' });
+            return null;
+        }).catch(error => this.handleLockLost(error));
+    }
+
+    /**
+     * 持有锁直到页面关闭或被拨号页接管
+     */
+    holdLeadership() {
+        this.queueController = null;
+        this.setLeader(true);
+        return new Promise(resolve => { this.releaseLeadership = resolve; });
+    }
+
+    queueForLeadership() {
+        this.queueController = new AbortController();
+        navigator.locks.request(this.lockName, { signal: this.queueController.signal }, () => this.holdLeadership())
+            .catch(error => this.handleLockLost(error));
+    }
+
+    /**
+     * 主标签页不是拨号页且空闲时，由拨号页接管，保证来电在拨号页振铃和接听
+     */
+    stealLeadership() {
+        this.queueController?.abort();
+        this.queueController = null;
+
+        console.log('主标签页不是拨号页，由当前拨号页接管');
+        navigator.locks.request(this.lockName, { steal: true }, () => this.holdLeadership())
+            .catch(error => this.handleLockLost(error));
+    }
+
+    handleLockLost(error) {
+        // 取消排队同样以AbortError结束，只有已持有的锁被接管时才需要降级
+        if (error?.name !== 'AbortError' || !this.isLeader) return;
+
+        console.warn('主标签页身份已被其他页面接管');
+        this.releaseLeadership?.();
+        this.releaseLeadership = null;
+        this.setLeader(false);
+        this.queueForLeadership();
+    }
+
+    setLeader(isLeader) {
+        const isInitial = !this.roleKnown;
+        const changed = this.isLeader !== isLeader;
+        this.isLeader = isLeader;
+        this.roleKnown = true;
+        this.resolveReady();
+
+        if (isLeader) {
+            this.announceLeader();
+        }
+        if (isInitial || !changed) return;
+
+        console.log(isLeader ? '当前标签页成为主标签页' : '当前标签页改为镜像主标签页');
+        this.roleListeners.forEach(callback => {
+            try {
+                callback(isLeader);
+            } catch (error) {
+                console.error('处理标签页角色变化时出错:', error);
+            }
+        });
+    }
+
+    /**
+     * 订阅角色变化（首次确定角色不触发）
+     */
+    onRoleChange(callback) {
+        this.roleListeners.push(callback);
+    }
+
+    announceLeader() {
+        this.post({ type: 'leaderInfo', tabId: this.tabId, dialer: this.isDialer, busy: this.isBusy() });
+    }
+
+    /**
+     * 当前页是否有进行中的通话，通话中的主标签页不会被接管
+     */
+    isBusy() {
+        const state = window.phoneApp?.callStateManager?.getCurrentState();
+        return (!!state && state !== 'IDLE') || !!window.globalCallMonitor?.isInCall;
+    }
+
+    handleMessage(message) {
+        if (!message || !message.type) return;
+
+        switch (message.type) {
+            case 'whoIsLeader':
+                if (this.isLeader) {
+                    this.announceLeader();
+                    this.emit('peerJoined');
+                }
+                break;
+            case 'leaderInfo':
+                if (this.isDialer && !this.isLeader && !message.dialer && !message.busy) {
+                    this.stealLeadership();
+                }
+                break;
+            case 'request':
+                if (this.isLeader) {
+                    this.handleRequest(message);
+                }
+                break;
+            case 'response':
+                if (message.to === this.tabId) {
+                    this.handleResponse(message);
+                }
+                break;
+            default:
+                this.emit(message.type, message.data);
+        }
+    }
+
+    /**
+     * 向其他标签页广播消息
+     */
+    broadcast(type, data) {
+        this.post({ type, data });
+    }
+
+    on(type, callback) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(callback);
+    }
+
+    emit(type, data) {
+        (this.listeners.get(type) || []).forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`处理标签页消息 ${type} 时出错:`, error);
+            }
+        });
+    }
+
+    post(message) {
+        if (!this.channel) return;
+
+        try {
+            this.channel.postMessage(message);
+        } catch (error) {
+            console.error('标签页消息发送失败:', error);
+        }
+    }
+
+    /**
+     * 注册由主标签页执行的请求
+     */
+    onRequest(kind, handler) {
+        this.requestHandlers.set(kind, handler);
+    }
+
+    /**
+     * 注册可由其他标签页触发的通话操作，后注册的覆盖先注册的
+     */
+    registerAction(name, handler) {
+        this.onRequest(`action:${name}`, handler);
+    }
+
+    /**
+     * 执行通话操作：主标签页直接执行，从标签页转发给主标签页
+     */
+    performAction(name, payload = {}) {
+        return this.request(`action:${name}`, payload);
+    }
+
+    request(kind, data) {
+        if (this.isLeader) {
+            return this.execute(kind, data);
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = `${this.tabId}:${++this.requestSeq}`;
+            const timer = setTimeout(() => {
+                this.pendingRequests.delete(id);
+                reject(new Error('主标签页无响应'));
+            }, this.requestTimeoutMs);
+
+            this.pendingRequests.set(id, { resolve, reject, timer });
+            this.post({ type: 'request', id, from: this.tabId, kind, data });
+        });
+    }
+
+    execute(kind, data) {
+        const handler = this.requestHandlers.get(kind);
+        if (!handler) {
+            return Promise.reject(new Error(`主标签页不支持该操作: ${kind}`));
+        }
+        return Promise.resolve().then(() => handler(data));
+    }
+
+    async handleRequest(message) {
+        try {
+            const result = await this.execute(message.kind, message.data);
+            this.post({ type: 'response', id: message.id, to: message.from, result });
+        } catch (error) {
+            this.post({ type: 'response', id: message.id, to: message.from, error: error?.message || String(error) });
+        }
+    }
+
+    handleResponse(message) {
+        const pending = this.pendingRequests.get(message.id);
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+        this.pendingRequests.delete(message.id);
+        if (message.error) {
+            pending.reject(new Error(message.error));
+        } else {
+            pending.resolve(message.result);
+        }
+    }
+}
+
+/**
+ * 多标签页共享的Hub连接
+ * 对外保持HubConnection的接口：主标签页持有真实连接并把收到的推送广播给其他标签页，
+ * 从标签页的invoke经主标签页转发，连接状态与推送均来自主标签页；主标签页关闭后由新选出的标签页重建连接
+ */
+class SharedHubConnection {
+    /**
+     * @param {Function} createHubConnection - 创建真实HubConnection的工厂
+     * @param {TabCoordinator} coordinator - 标签页协调器
+     */
+    constructor(createHubConnection, coordinator) {
+        this.createHubConnection = createHubConnection;
+        this.coordinator = coordinator;
+        this.hub = null;
+        this.handlers = new Map(); // Hub方法名 -> 回调列表
+        this.lifecycle = { reconnecting: [], reconnected: [], close: [] };
+        this.mirroredState = signalR.HubConnectionState.Disconnected;
+        this.mirroredConnectionId = null;
+        this.hasConnected = false;
+        this.isStopping = false;
+        this.connectedWaiters = [];
+
+        coordinator.onRequest('invoke', ({ methodName, args }) => this.invoke(methodName, ...args));
+        coordinator.on('hubEvent', ({ methodName, args }) => {
+            if (!this.isOwner) this.dispatch(methodName, args);
+        });
+        coordinator.on('hubState', (data) => {
+            if (!this.isOwner) this.applyMirroredState(data);
+        });
+        coordinator.on('peerJoined', () => this.broadcastState());
+        coordinator.onRoleChange((isLeader) => this.handleRoleChange(isLeader));
+    }
+
+    get isOwner() {
+        return this.coordinator.isLeader;
+    }
+
+    get state() {
+        return this.isOwner && this.hub ? this.hub.state : this.mirroredState;
+    }
+
+    get connectionId() {
+        return this.isOwner ? this.hub?.connectionId : this.mirroredConnectionId;
+    }
+
+    on(methodName, callback) {
+        if (!this.handlers.has(methodName)) {
+            this.handlers.set(methodName, []);
+            this.hub?.on(methodName, (...args) => this.receive(methodName, args));
+        }
+        this.handlers.get(methodName).push(callback);
+    }
+
+    off(methodName, callback) {
+        const callbacks = this.handlers.get(methodName);
+        if (!callbacks) return;
+
+        if (callback) {
+            const index = callbacks.indexOf(callback);
+            if (index >= 0) callbacks.splice(index, 1);
+        } else {
+            callbacks.length = 0;
+        }
+    }
+
+    onreconnecting(callback) {
+        this.lifecycle.reconnecting.push(callback);
+    }
+
+    onreconnected(callback) {
+        this.lifecycle.reconnected.push(callback);
+    }
+
+    onclose(callback) {
+        this.lifecycle.close.push(callback);
+    }
+
+    /**
+     * 主标签页建立真实连接；从标签页等待主标签页同步为已连接
+     */
+    async start() {
+        await this.coordinator.ready;
+
+        if (this.isOwner) {
+            if (!this.hub || this.hub.state === signalR.HubConnectionState.Disconnected) {
+                await this.startHub();
+            }
+            return;
+        }
+
+        if (this.mirroredState !== signalR.HubConnectionState.Connected) {
+            await new Promise(resolve => this.connectedWaiters.push(resolve));
+        }
+    }
+
+    async stop() {
+        if (!this.hub) return;
+
+        this.isStopping = true;
+        try {
+            await this.hub.stop();
+        } finally {
+            this.isStopping = false;
+        }
+    }
+
+    invoke(methodName, ...args) {
+        if (!this.isOwner) {
+            return this.coordinator.request('invoke', { methodName, args });
+        }
+        if (!this.hub) {
+            return Promise.reject(new Error('SignalR连接未建立'));
+        }
+        return this.hub.invoke(methodName, ...args);
+    }
+
+    async startHub() {
+        if (!this.hub) {
+            this.hub = this.createHubConnection();
+            this.handlers.forEach((_, methodName) => {
+                this.hub.on(methodName, (...args) => this.receive(methodName, args));
+            });
+
+            this.hub.onreconnecting((error) => {
+                this.broadcastState();
+                this.fire('reconnecting', error);
+            });
+            this.hub.onreconnected((connectionId) => {
+                this.broadcastState();
+                this.fire('reconnected', connectionId);
+            });
+            this.hub.onclose((error) => {
+                if (this.isStopping) return;
+                this.broadcastState();
+                this.fire('close', error);
+            });
+        }
+
+        await this.hub.start();
+        this.hasConnected = true;
+        this.broadcastState();
+        this.resolveConnectedWaiters();
+    }
+
+    /**
+     * 主标签页收到推送：本页分发并转发给其他标签页
+     */
+    receive(methodName, args) {
+        this.dispatch(methodName, args);
+        this.coordinator.broadcast('hubEvent', { methodName, args });
+    }
+
+    dispatch(methodName, args) {
+        (this.handlers.get(methodName) || []).forEach(callback => {
+            try {
+                callback(...args);
+            } catch (error) {
+                console.error(`处理Hub推送 ${methodName} 时出错:`, error);
+            }
+        });
+    }
+
+    fire(kind, arg) {
+        this.lifecycle[kind].forEach(callback => {
+            try {
+                callback(arg);
+            } catch (error) {
+                console.error(`处理连接状态 ${kind} 时出错:`, error);
+            }
+        });
+    }
+
+    broadcastState() {
+        if (!this.isOwner || !this.hub) return;
+        this.coordinator.broadcast('hubState', { state: this.hub.state, connectionId: this.hub.connectionId });
+    }
+
+    /**
+     * 从标签页根据主标签页的连接状态触发本页的生命周期回调
+     */
+    applyMirroredState({ state, connectionId }) {
+        const previous = this.mirroredState;
+        this.mirroredState = state;
+        this.mirroredConnectionId = connectionId;
+        if (previous === state) return;
+
+        switch (state) {
+            case signalR.HubConnectionState.Connected:
+                this.resolveConnectedWaiters();
+                if (this.hasConnected) {
+                    this.fire('reconnected', connectionId);
+                }
+                this.hasConnected = true;
+                break;
+            case signalR.HubConnectionState.Reconnecting:
+                this.fire('reconnecting');
+                break;
+            case signalR.HubConnectionState.Disconnected:
+                this.fire('close');
+                break;
+        }
+    }
+
+    resolveConnectedWaiters() {
+        const waiters = this.connectedWaiters;
+        this.connectedWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    /**
+     * 原主标签页关闭时接管连接；被拨号页接管时关闭本页连接改为镜像
+     */
+    async handleRoleChange(isLeader) {
+        if (isLeader) {
+            try {
+                await this.startHub();
+                this.fire('reconnected', this.hub.connectionId);
+            } catch (error) {
+                console.error('接管SignalR连接失败:', error);
+                this.fire('close', error);
+            }
+            return;
+        }
+
+        if (this.hub) {
+            const hub = this.hub;
+            this.hub = null;
+            this.isStopping = true;
+            try {
+                await hub.stop();
+            } catch (error) {
+                console.warn('关闭本页SignalR连接失败:', error);
+            } finally {
+                this.isStopping = false;
+            }
+        }
+        this.mirroredState = signalR.HubConnectionState.Disconnected;
+        this.coordinator.post({ type: 'whoIsLeader' });
+    }
+}
+
+window.TabCoordinator = TabCoordinator;
+window.SharedHubConnection = SharedHubConnection;
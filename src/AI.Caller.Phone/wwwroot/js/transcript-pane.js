@@ -0,0 +1,240 @@
+/**
+ * 通话实时转写面板
+ * 服务端逐句推送坐席与客户的转写（transcriptSegment），面板按时间滚动显示，支持搜索、复制与保存到话后处理备注。
+ * 每通电话的转写分开保存，切换线路时显示当前通话的内容；通话结束后保留到下一通电话，便于话后处理时整理
+ */
+const TRANSCRIPT_SPEAKER_LABELS = {
+    agent: '坐席',
+    customer: '客户'
+};
+
+class TranscriptPane {
+    /**
+     * @param {Object} elements - PhoneApp的DOM元素集合
+     * @param {WrapUpManager} wrapUpManager - 保存到备注时使用
+     */
+    constructor(elements, wrapUpManager) {
+        this.elements = elements;
+        this.wrapUpManager = wrapUpManager;
+        this.handlerId = 'transcript-pane';
+        this.transcripts = new Map(); // callId -> { startedAt, segments }
+        this.maxCalls = 5;             // 最多保留的通话数，超出后丢弃最早的
+        this.currentCallId = null;
+        this.enabled = false;
+        this.followLatest = true;      // 滚动到底部时跟随最新内容，向上翻看时不自动滚动
+        this.statusTimer = null;
+    }
+
+    initialize() {
+        if (!this.elements.transcriptPanel) return;
+
+        document.addEventListener('callStateChanged', (event) => {
+            const { newState, callId } = event.detail || {};
+            if (newState === CallState.CONNECTED && callId) {
+                this.showCall(callId);
+            }
+        });
+
+        const bus = window.globalSignalRManager?.eventBus;
+        if (bus) {
+            bus.subscribe(this.handlerId, SignalREvents.TRANSCRIPT_SEGMENT, (segment, callId) => this.addSegment(segment, callId));
+            window.addEventListener('beforeunload', () => bus.unsubscribe(this.handlerId));
+        }
+
+        const { transcriptList, transcriptSearch, transcriptCopyButton, transcriptSaveButton } = this.elements;
+        transcriptList.addEventListener('scroll', () => {
+            this.followLatest = transcriptList.scrollHeight - transcriptList.scrollTop - transcriptList.clientHeight < 20;
+        });
+        transcriptSearch?.addEventListener('input', () => this.render());
+        transcriptCopyButton?.addEventListener('click', () => this.copy());
+        transcriptSaveButton?.addEventListener('click', () => this.saveToNotes());
+    }
+
+    /**
+     * 切换到通话的转写，首次显示时加载服务端已保存的内容（刷新页面后恢复）
+     */
+    async showCall(callId) {
+        if (this.currentCallId === callId) return;
+
+        this.currentCallId = callId;
+        this.followLatest = true;
+        if (this.elements.transcriptSearch) {
+            this.elements.transcriptSearch.value = '';
+        }
+        const isNew = !this.transcripts.has(callId);
+        this.getTranscript(callId);
+        this.render();
+
+        if (isNew) {
+            await this.load(callId);
+        }
+    }
+
+    async load(callId) {
+        try {
+            const response = await fetch(`/api/Transcription/${encodeURIComponent(callId)}`);
+            if (!response.ok) {
+                throw new Error(await response.text());
+            }
+
+            const result = await response.json();
+            this.enabled = result.enabled;
+            result.segments.forEach(segment => this.storeSegment(segment, callId));
+        } catch (error) {
+            console.warn('加载通话转写失败:', error);
+        }
+
+        if (this.currentCallId === callId) {
+            this.render();
+        }
+    }
+
+    addSegment(segment, callId) {
+        if (!segment || !callId) return;
+
+        this.enabled = true;
+        this.storeSegment(segment, callId);
+        if (!this.currentCallId) {
+            this.currentCallId = callId;
+        }
+        if (this.currentCallId === callId) {
+            this.render();
+        }
+    }
+
+    storeSegment(segment, callId) {
+        const transcript = this.getTranscript(callId);
+        if (transcript.segments.some(s => s.id === segment.id)) return;
+
+        transcript.segments.push(segment);
+        transcript.segments.sort((a, b) => this.parseTime(a.startedAt) - this.parseTime(b.startedAt));
+    }
+
+    getTranscript(callId) {
+        let transcript = this.transcripts.get(callId);
+        if (!transcript) {
+            transcript = { startedAt: Date.now(), segments: [] };
+            this.transcripts.set(callId, transcript);
+
+            while (this.transcripts.size > this.maxCalls) {
+                const oldest = this.transcripts.keys().next().value;
+                this.transcripts.delete(oldest);
+            }
+        }
+        return transcript;
+    }
+
+    render() {
+        const { transcriptPanel, transcriptList } = this.elements;
+        const transcript = this.transcripts.get(this.currentCallId);
+        const segments = transcript?.segments || [];
+
+        transcriptPanel.classList.toggle('d-none', !this.enabled && segments.length === 0);
+        if (!transcript) return;
+
+        const keyword = this.getKeyword();
+        const visible = this.filterSegments(segments, keyword);
+
+        if (visible.length === 0) {
+            transcriptList.innerHTML = `<div class="text-muted small text-center py-3">${keyword ? '没有匹配的内容' : '等待通话双方说话...'}</div>`;
+        } else {
+            transcriptList.innerHTML = visible.map(segment => `
+                <div class="transcript-line transcript-${segment.speaker} mb-2">
+                    <div class="small text-muted">
+                        <span class="badge ${segment.speaker === 'agent' ? 'bg-primary' : 'bg-success'} me-1">${TRANSCRIPT_SPEAKER_LABELS[segment.speaker] || segment.speaker}</span>
+                        <span title="${this.parseTime(segment.startedAt).toLocaleTimeString()}">${this.formatOffset(segment, transcript)}</span>
+                    </div>
+                    <div class="transcript-text">${this.highlight(segment.text, keyword)}</div>
+                </div>
+            `).join('');
+        }
+
+        if (this.followLatest && !keyword) {
+            transcriptList.scrollTop = transcriptList.scrollHeight;
+        }
+    }
+
+    getKeyword() {
+        return (this.elements.transcriptSearch?.value || '').trim();
+    }
+
+    filterSegments(segments, keyword) {
+        if (!keyword) return segments;
+        const lower = keyword.toLowerCase();
+        return segments.filter(segment => segment.text.toLowerCase().includes(lower));
+    }
+
+    /**
+     * 复制或保存到备注时的纯文本格式：[mm:ss] 说话方：内容
+     */
+    toText(segments) {
+        const transcript = this.transcripts.get(this.currentCallId);
+        return segments
+            .map(segment => `[${this.formatOffset(segment, transcript)}] ${TRANSCRIPT_SPEAKER_LABELS[segment.speaker] || segment.speaker}：${segment.text}`)
+            .join('\n');
+    }
+
+    /**
+     * 复制当前显示的内容（搜索时只复制匹配的句子）
+     */
+    async copy() {
+        const segments = this.filterSegments(this.transcripts.get(this.currentCallId)?.segments || [], this.getKeyword());
+        if (segments.length === 0) return;
+
+        try {
+            await navigator.clipboard.writeText(this.toText(segments));
+            this.showStatus('已复制到剪贴板');
+        } catch (error) {
+            console.error('复制转写失败:', error);
+            this.showStatus('复制失败，请手动选择文本');
+        }
+    }
+
+    saveToNotes() {
+        const segments = this.filterSegments(this.transcripts.get(this.currentCallId)?.segments || [], this.getKeyword());
+        if (segments.length === 0 || !this.wrapUpManager) return;
+
+        const applied = this.wrapUpManager.appendNotes(this.currentCallId, this.toText(segments));
+        this.showStatus(applied ? '已添加到话后处理备注' : '通话结束后将填入话后处理备注');
+    }
+
+    showStatus(message) {
+        const status = this.elements.transcriptStatus;
+        if (!status) return;
+
+        status.textContent = message;
+        clearTimeout(this.statusTimer);
+        this.statusTimer = setTimeout(() => { status.textContent = ''; }, 3000);
+    }
+
+    /**
+     * 相对接通时间的偏移；刷新页面后以第一句为起点
+     */
+    formatOffset(segment, transcript) {
+        const first = transcript?.segments[0];
+        const base = Math.min(transcript?.startedAt || Infinity, first ? this.parseTime(first.startedAt).getTime() : Infinity);
+        const seconds = Math.max(0, Math.floor((this.parseTime(segment.startedAt).getTime() - base) / 1000));
+        const minutes = Math.floor(seconds / 60).toString().padStart(2, '0');
+        return `${minutes}:${(seconds % 60).toString().padStart(2, '0')}`;
+    }
+
+    highlight(text, keyword) {
+        const escaped = this.escapeHtml(text);
+        if (!keyword) return escaped;
+
+        const pattern = new RegExp(this.escapeHtml(keyword).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+        return escaped.replace(pattern, match => `<mark>${match}</mark>`);
+    }
+
+    parseTime(value) {
+        return new Date(value.endsWith?.('Z') ? value : `${value}Z`);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+}
+
+window.TranscriptPane = TranscriptPane;
@@ -0,0 +1,297 @@
+/**
+ * 通话转接管理器
+ * 负责转接面板交互：盲转直接转接，咨询转接先呼叫目标再完成或取消
+ */
+class TransferManager {
+    constructor(elements, signalRManager, callStateManager, uiManager, webRTCManager) {
+        this.elements = elements;
+        this.signalRManager = signalRManager;
+        this.callStateManager = callStateManager;
+        this.uiManager = uiManager;
+        this.webRTCManager = webRTCManager;
+        this.handlerId = 'transfer-panel';
+        this.isBusy = false;
+    }
+
+    initialize() {
+        if (!this.elements.transferPanel) {
+            console.warn('转接面板未找到，转接功能不可用');
+            return;
+        }
+
+        this.bindEvents();
+        this.registerProgressHandler();
+
+        console.log('转接管理器已初始化');
+    }
+
+    bindEvents() {
+        this.elements.transferButton?.addEventListener('click', () => this.togglePanel());
+        this.elements.transferCloseButton?.addEventListener('click', () => this.hidePanel());
+        this.elements.transferStartButton?.addEventListener('click', () => this.startTransfer());
+        this.elements.transferCompleteButton?.addEventListener('click', () => this.completeConsult());
+        this.elements.transferCancelButton?.addEventListener('click', () => this.cancelConsult());
+
+        document.querySelectorAll('input[name="transferMode"]').forEach(radio => {
+            radio.addEventListener('change', () => this.updateModeText());
+        });
+
+        // 面板打开时点击联系人直接填入转接目标
+        document.querySelectorAll('.contact-item').forEach(item => {
+            item.addEventListener('click', () => {
+                if (this.isPanelVisible() && this.elements.transferTarget) {
+                    this.elements.transferTarget.value = item.getAttribute('data-phone');
+                }
+            });
+        });
+
+        document.addEventListener('callEnded', () => this.reset());
+        document.addEventListener('remoteHangup', () => this.reset());
+    }
+
+    /**
+     * 通过SignalR事件总线接收转接进度
+     */
+    registerProgressHandler() {
+        const bus = window.globalSignalRManager?.eventBus;
+        if (!bus) return;
+
+        bus.subscribe(this.handlerId, SignalREvents.TRANSFER_PROGRESS, (data) => {
+            this.handleTransferProgress(data);
+        });
+
+        window.addEventListener('beforeunload', () => bus.unsubscribe(this.handlerId));
+    }
+
+    getMode() {
+        const checked = document.querySelector('input[name="transferMode"]:checked');
+        return checked ? checked.value : 'blind';
+    }
+
+    updateModeText() {
+        if (this.elements.transferStartText) {
+            this.elements.transferStartText.textContent = this.getMode() === 'attended' ? '咨询' : '转接';
+        }
+    }
+
+    isPanelVisible() {
+        return !this.elements.transferPanel.classList.contains('d-none');
+    }
+
+    togglePanel() {
+        if (this.isPanelVisible()) {
+            this.hidePanel();
+        } else {
+            this.elements.transferPanel.classList.remove('d-none');
+            this.setStatus('');
+            this.elements.transferTarget?.focus();
+        }
+    }
+
+    hidePanel() {
+        // 咨询进行中不允许直接关闭面板，需完成或取消
+        if (this.callStateManager.getCurrentState() === CallState.CONSULTING) {
+            this.setStatus('咨询进行中，请先完成转接或取消咨询', 'warning');
+            return;
+        }
+        this.elements.transferPanel.classList.add('d-none');
+    }
+
+    async startTransfer() {
+        const callContext = this.callStateManager.getCallContext();
+        const target = this.elements.transferTarget?.value.trim();
+
+        if (!callContext || !callContext.callId) {
+            this.setStatus('当前没有可转接的通话', 'danger');
+            return;
+        }
+        if (!target) {
+            this.setStatus('请输入转接号码或选择联系人', 'warning');
+            return;
+        }
+        if (this.isBusy) return;
+
+        const mode = this.getMode();
+        const previousState = this.callStateManager.getCurrentState();
+        this.setBusy(true);
+
+        try {
+            if (mode === 'attended') {
+                // 手动保持后再咨询时麦克风已停用，咨询期间需开启以便与咨询方通话
+                this.callStateManager.setState(CallState.CONSULTING);
+                this.syncLocalAudio(callContext.callId, false);
+                this.showConsultActions(true);
+                const result = await this.signalRManager.connection.invoke("StartConsultTransferAsync", {
+                    CallId: callContext.callId,
+                    Target: target
+                });
+
+                if (!result || !result.success) {
+                    this.showConsultActions(false);
+                    this.restoreAfterConsultFailure(callContext.callId, previousState);
+                    this.setStatus(result?.message || '发起咨询失败', 'danger');
+                }
+            } else {
+                this.callStateManager.setState(CallState.TRANSFERRING);
+                const result = await this.signalRManager.connection.invoke("BlindTransferAsync", {
+                    CallId: callContext.callId,
+                    Target: target
+                });
+
+                if (!result || !result.success) {
+                    this.callStateManager.setState(previousState);
+                    this.setStatus(result?.message || '转接失败', 'danger');
+                }
+            }
+        } catch (error) {
+            console.error('转接失败:', error);
+            this.showConsultActions(false);
+            if (mode === 'attended') {
+                this.restoreAfterConsultFailure(callContext.callId, previousState);
+            } else {
+                this.callStateManager.setState(previousState);
+            }
+            this.setStatus(`转接失败: ${error.message}`, 'danger');
+        } finally {
+            this.setBusy(false);
+        }
+    }
+
+    async completeConsult() {
+        const callContext = this.callStateManager.getCallContext();
+        if (!callContext || this.isBusy) return;
+
+        this.setBusy(true);
+        try {
+            const result = await this.signalRManager.connection.invoke("CompleteConsultTransferAsync", {
+                CallId: callContext.callId
+            });
+
+            if (!result || !result.success) {
+                this.setStatus(result?.message || '完成转接失败', 'danger');
+            }
+        } catch (error) {
+            console.error('完成转接失败:', error);
+            this.setStatus(`完成转接失败: ${error.message}`, 'danger');
+        } finally {
+            this.setBusy(false);
+        }
+    }
+
+    async cancelConsult() {
+        const callContext = this.callStateManager.getCallContext();
+        if (!callContext || this.isBusy) return;
+
+        this.setBusy(true);
+        try {
+            const result = await this.signalRManager.connection.invoke("CancelConsultTransferAsync", {
+                CallId: callContext.callId
+            });
+
+            if (!result || !result.success) {
+                this.setStatus(result?.message || '取消咨询失败', 'danger');
+            }
+        } catch (error) {
+            console.error('取消咨询失败:', error);
+            this.setStatus(`取消咨询失败: ${error.message}`, 'danger');
+        } finally {
+            this.setBusy(false);
+        }
+    }
+
+    /**
+     * 处理服务端推送的转接进度
+     * @param {Object} data - { callId, mode, status, target, message }
+     */
+    handleTransferProgress(data) {
+        const callContext = this.callStateManager.getCallContext();
+        if (!data || !callContext || data.callId !== callContext.callId) {
+            return;
+        }
+
+        console.log('转接进度:', data);
+
+        switch (data.status) {
+            case 'initiated':
+                this.setStatus(data.message, 'info');
+                break;
+            case 'consulting':
+                this.setStatus(data.message, 'success');
+                this.showConsultActions(true);
+                break;
+            case 'completed':
+                this.setStatus(data.message, 'success');
+                this.uiManager.updateStatus(data.message, 'success');
+                this.showConsultActions(false);
+                break;
+            case 'failed':
+                this.setStatus(data.message, 'danger');
+                if (data.mode === 'blind' && this.callStateManager.getCurrentState() === CallState.TRANSFERRING) {
+                    this.callStateManager.setState(CallState.CONNECTED);
+                } else if (data.mode === 'attended' && this.callStateManager.getCurrentState() === CallState.CONSULTING) {
+                    // 完成转接失败时咨询仍在进行，麦克风保持开启
+                    this.syncLocalAudio(data.callId, false);
+                }
+                break;
+            case 'cancelled':
+            case 'consultEnded':
+                // 服务端已恢复原通话，此时callResumed因处于咨询状态被忽略，需在这里同步本地音频
+                this.setStatus(data.message, 'warning');
+                this.showConsultActions(false);
+                if (this.callStateManager.getCurrentState() === CallState.CONSULTING) {
+                    this.callStateManager.setState(CallState.CONNECTED);
+                    this.syncLocalAudio(data.callId, false);
+                }
+                break;
+            default:
+                console.warn('未知的转接状态:', data.status);
+        }
+    }
+
+    /**
+     * 发起咨询失败：服务端只恢复由咨询发起的保持，原本手动保持的通话仍为保持
+     */
+    restoreAfterConsultFailure(callId, previousState) {
+        const held = previousState === CallState.HELD;
+        this.callStateManager.setState(held ? CallState.HELD : CallState.CONNECTED);
+        this.syncLocalAudio(callId, held);
+    }
+
+    /**
+     * 同步本地麦克风与保持提示，转接流程中PhoneApp不处理保持事件
+     */
+    syncLocalAudio(callId, held) {
+        this.webRTCManager?.setHold(held, callId);
+        this.elements.holdIndicator?.classList.toggle('d-none', !held);
+    }
+
+    showConsultActions(show) {
+        this.elements.transferConsultActions?.classList.toggle('d-none', !show);
+        if (this.elements.transferStartButton) {
+            this.elements.transferStartButton.disabled = show;
+        }
+    }
+
+    setBusy(busy) {
+        this.isBusy = busy;
+        [this.elements.transferCompleteButton, this.elements.transferCancelButton].forEach(button => {
+            if (button) button.disabled = busy;
+        });
+    }
+
+    setStatus(message, type = 'muted') {
+        if (!this.elements.transferStatus) return;
+        this.elements.transferStatus.textContent = message || '';
+        this.elements.transferStatus.className = `small mt-2 text-${type}`;
+    }
+
+    reset() {
+        this.isBusy = false;
+        this.showConsultActions(false);
+        this.setStatus('');
+        if (this.elements.transferTarget) {
+            this.elements.transferTarget.value = '';
+        }
+        this.elements.transferPanel?.classList.add('d-none');
+    }
+}
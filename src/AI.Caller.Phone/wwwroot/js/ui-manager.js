@@ -22,8 +22,11 @@ class UIManager {
         }
     }
 
-    startCallTimer() {
-        this.callStartTime = new Date();
+    /**
+     * @param {Date} startTime - 通话开始时间，默认当前时间（从标签页按主标签页的开始时间计时）
+     */
+    startCallTimer(startTime = new Date()) {
+        this.callStartTime = startTime;
         this.elements.callTimer.textContent = "00:00";
 
         this.callTimerInterval = setInterval(() => {
@@ -6,15 +6,19 @@ class WebRTCManager {
     constructor(elements, callStateManager) {
         this.elements = elements;
         this.callStateManager = callStateManager;
-        this.pc = null;
+        this.pc = null;              // 活动线路的连接
+        this.sessions = new Map();   // callId -> 线路连接会话
+        this.activeSession = null;
         this.localStream = null;
+        this.isMuted = false;        // 坐席静音，作用于所有线路
         this.iceServers = [{ urls: 'stun:stun.l.google.com:19302' }];
         this.iceTransportPolicy = 'all';
+        // 断线恢复：宽限期内等待自动恢复，超时后发起ICE重启，超过次数才放弃通话
+        this.iceRestartGracePeriodMs = 3000;
+        this.iceRestartAttemptTimeoutMs = 8000;
+        this.iceRestartMaxAttempts = 3;
         this.preferredAudioDevices = null;
-        
-        // 添加SDP协商状态管理
-        this.sdpNegotiationComplete = false;
-        this.pendingIceCandidates = [];
+        this.audioPreferenceKey = `audioDevicePreferences:${elements.audioSettingsModal?.dataset.userId || 'default'}`;
     }
 
     async initialize() {
@@ -81,6 +85,12 @@ class WebRTCManager {
                     this.iceTransportPolicy = config.iceTransportPolicy;
                     console.log(`Using ICE transport policy: ${this.iceTransportPolicy}`);
                 }
+
+                if (config.iceRestart) {
+                    this.iceRestartGracePeriodMs = config.iceRestart.gracePeriodMs ?? this.iceRestartGracePeriodMs;
+                    this.iceRestartAttemptTimeoutMs = config.iceRestart.attemptTimeoutMs ?? this.iceRestartAttemptTimeoutMs;
+                    this.iceRestartMaxAttempts = config.iceRestart.maxAttempts ?? this.iceRestartMaxAttempts;
+                }
                 
                 return true;
             } else {
@@ -138,8 +148,14 @@ class WebRTCManager {
             const audioOutputDevices = devices.filter(device => device.kind === 'audiooutput');
             console.log(`找到 ${audioOutputDevices.length} 个扬声器设备`);
             
-            const preferredMicrophoneId = this.selectPreferredDevice(audioInputDevices, '麦克风');
-            const preferredSpeakerId = this.selectPreferredDevice(audioOutputDevices, '扬声器');
+            // 优先使用用户在音频设置中保存的设备
+            const saved = this.loadAudioDevicePreferences();
+            const preferredMicrophoneId = this.findDevice(audioInputDevices, saved.microphoneId)
+                ? saved.microphoneId
+                : this.selectPreferredDevice(audioInputDevices, '麦克风');
+            const preferredSpeakerId = this.findDevice(audioOutputDevices, saved.speakerId)
+                ? saved.speakerId
+                : this.selectPreferredDevice(audioOutputDevices, '扬声器');
             
             // 设置音频输出设备
             if (preferredSpeakerId && typeof this.elements.remoteAudio.setSinkId === 'function') {
@@ -163,6 +179,123 @@ class WebRTCManager {
         }
     }
 
+    findDevice(devices, deviceId) {
+        return deviceId ? devices.find(device => device.deviceId === deviceId) : null;
+    }
+
+    /**
+     * 读取当前用户保存的音频设备
+     * 设备ID仅在同一浏览器同一站点内有效，因此保存在本地而不是服务端
+     * @returns {{microphoneId: string, speakerId: string}}
+     */
+    loadAudioDevicePreferences() {
+        try {
+            return JSON.parse(localStorage.getItem(this.audioPreferenceKey) || '{}');
+        } catch (error) {
+            console.warn('读取音频设备设置失败:', error);
+            return {};
+        }
+    }
+
+    saveAudioDevicePreferences(preferences) {
+        localStorage.setItem(this.audioPreferenceKey, JSON.stringify({
+            microphoneId: preferences.microphoneId || '',
+            speakerId: preferences.speakerId || ''
+        }));
+    }
+
+    /**
+     * 应用并保存音频设备选择，通话中立即切换
+     * @param {{microphoneId: string, speakerId: string}} preferences - 选择的设备
+     */
+    async applyAudioDevices(preferences) {
+        this.saveAudioDevicePreferences(preferences);
+        this.preferredAudioDevices = {
+            ...(this.preferredAudioDevices || {}),
+            preferredMicrophoneId: preferences.microphoneId,
+            preferredSpeakerId: preferences.speakerId
+        };
+
+        await this.switchMicrophone(preferences.microphoneId);
+        await this.switchSpeaker(preferences.speakerId);
+    }
+
+    getCurrentMicrophoneId() {
+        const track = this.localStream?.getAudioTracks()[0];
+        return track ? track.getSettings().deviceId || '' : '';
+    }
+
+    getCurrentSpeakerId() {
+        return this.elements.remoteAudio.sinkId || '';
+    }
+
+    /**
+     * 切换麦克风，已建立的线路通过replaceTrack热切换，无需重新协商
+     * @param {string} deviceId - 麦克风设备ID，为空时使用系统默认设备
+     */
+    async switchMicrophone(deviceId) {
+        if (this.localStream && (deviceId || '') === this.getCurrentMicrophoneId()) {
+            return;
+        }
+
+        const oldStream = this.localStream;
+        const newStream = await navigator.mediaDevices.getUserMedia({
+            video: false,
+            audio: this.buildAudioConstraints(deviceId)
+        });
+        const newTrack = newStream.getAudioTracks()[0];
+
+        const sessions = new Set(this.sessions.values());
+        if (this.activeSession) {
+            sessions.add(this.activeSession);
+        }
+
+        for (const session of sessions) {
+            const sender = session.pc.getSenders().find(s => s.track && s.track.kind === 'audio');
+            if (!sender) continue;
+
+            // 保留线路音轨的启停状态（保持时为停用）
+            const oldTrack = sender.track;
+            const lineTrack = newTrack.clone();
+            lineTrack.enabled = oldTrack.enabled;
+
+            try {
+                await sender.replaceTrack(lineTrack);
+                session.localTracks = session.localTracks.filter(track => track !== oldTrack);
+                session.localTracks.push(lineTrack);
+                oldTrack.stop();
+            } catch (error) {
+                console.error(`[${session.callId || '新线路'}] 切换麦克风失败:`, error);
+                lineTrack.stop();
+            }
+        }
+
+        this.localStream = newStream;
+        oldStream?.getTracks().forEach(track => track.stop());
+        console.log('已切换麦克风:', newTrack.label);
+    }
+
+    /**
+     * 切换扬声器
+     * @param {string} deviceId - 扬声器设备ID，为空时使用系统默认设备
+     */
+    async switchSpeaker(deviceId) {
+        if (typeof this.elements.remoteAudio.setSinkId !== 'function') {
+            console.warn('当前浏览器不支持选择扬声器');
+            return;
+        }
+        if ((deviceId || '') === this.getCurrentSpeakerId()) {
+            return;
+        }
+
+        await this.elements.remoteAudio.setSinkId(deviceId || '');
+        console.log('已切换扬声器:', deviceId || '系统默认');
+    }
+
+    buildAudioConstraints(deviceId) {
+        return deviceId ? { deviceId: { exact: deviceId } } : true;
+    }
+
     selectPreferredDevice(devices, deviceType) {
         if (devices.length === 0) return '';
         
@@ -215,171 +348,509 @@ class WebRTCManager {
             
             console.log('可用音频输入设备:', audioInputDevices.length);
             console.log('可用音频输出设备:', audioOutputDevices.length);
+
+            // 保存的设备重新接入时切回；当前设备被拔出时回落到系统默认设备
+            const saved = this.loadAudioDevicePreferences();
+            const microphoneId = this.resolveDevice(audioInputDevices, saved.microphoneId, this.getCurrentMicrophoneId());
+            const speakerId = this.resolveDevice(audioOutputDevices, saved.speakerId, this.getCurrentSpeakerId());
+
+            if (microphoneId !== this.getCurrentMicrophoneId()) {
+                await this.switchMicrophone(microphoneId);
+                this.updateStatus('麦克风已切换', 'info');
+            }
+            if (speakerId !== this.getCurrentSpeakerId()) {
+                await this.switchSpeaker(speakerId);
+            }
+
+            document.dispatchEvent(new CustomEvent('audioDevicesChanged', {
+                detail: { audioInputDevices, audioOutputDevices }
+            }));
         } catch (error) {
             console.error('获取媒体设备信息时出错:', error);
         }
     }
 
+    resolveDevice(devices, savedId, currentId) {
+        if (this.findDevice(devices, savedId)) return savedId;
+        if (this.findDevice(devices, currentId)) return currentId;
+        return '';
+    }
+
     async getUserMedia() {
+        const microphoneId = this.preferredAudioDevices?.preferredMicrophoneId;
         try {
             this.localStream = await navigator.mediaDevices.getUserMedia({ 
                 video: false, 
-                audio: true 
+                audio: this.buildAudioConstraints(microphoneId)
             });
             console.log('已获取用户媒体流');
         } catch (error) {
+            if (microphoneId && error.name === 'OverconstrainedError') {
+                console.warn('首选麦克风不可用，改用系统默认设备');
+                this.preferredAudioDevices.preferredMicrophoneId = '';
+                return this.getUserMedia();
+            }
+
             console.error('获取用户媒体流失败:', error);
             throw error;
         }
     }
 
-    async createPeerConnection(isCaller, remoteSdp) {
+    /**
+     * 创建线路的WebRTC连接，每条线路拥有独立的RTCPeerConnection
+     * 外呼在服务端返回callId前创建，之后通过bindCallId绑定线路
+     * @param {boolean} isCaller - 是否主叫
+     * @param {Object} remoteSdp - 被叫时的远端Offer
+     * @param {string} callId - 线路标识（可选）
+     */
+    async createPeerConnection(isCaller, remoteSdp, callId = null) {
         const rtcConfig = {
             iceServers: this.iceServers,
             iceTransportPolicy: this.iceTransportPolicy
         };
         
         console.log('Creating RTCPeerConnection with config:', rtcConfig);
-        this.pc = new RTCPeerConnection(rtcConfig);
-        
-        // 重置状态
-        this.sdpNegotiationComplete = false;
-        this.pendingIceCandidates = [];
+        const session = {
+            callId: callId,
+            pc: new RTCPeerConnection(rtcConfig),
+            localTracks: [],
+            remoteStream: null,
+            sdpNegotiationComplete: false,
+            pendingIceCandidates: [],
+            onHold: false,
+            recovery: null
+        };
+
+        if (callId) {
+            this.sessions.set(callId, session);
+        }
+        this.activateSession(session);
         
-        // 添加本地媒体流
+        // 每条线路使用独立的本地音轨，便于按线路静音
         this.localStream.getTracks().forEach(track => {
-            this.pc.addTrack(track, this.localStream);
+            const lineTrack = track.clone();
+            lineTrack.enabled = !this.isMuted;
+            session.localTracks.push(lineTrack);
+            session.pc.addTrack(lineTrack, this.localStream);
         });
 
         // 设置事件处理器
-        this.setupPeerConnectionEvents();
+        this.setupPeerConnectionEvents(session);
 
         if (isCaller) {
-            const offer = await this.pc.createOffer();
-            await this.pc.setLocalDescription(offer);
+            const offer = await session.pc.createOffer();
+            await session.pc.setLocalDescription(offer);
             
-            return this.pc.localDescription;
+            return session.pc.localDescription;
         } else {
-            await this.pc.setRemoteDescription(remoteSdp);
-            const answer = await this.pc.createAnswer();
-            await this.pc.setLocalDescription(answer);
+            await session.pc.setRemoteDescription(remoteSdp);
+            const answer = await session.pc.createAnswer();
+            await session.pc.setLocalDescription(answer);
 
-            this.sdpNegotiationComplete = true;
-            await this.sendPendingIceCandidates();
+            await this.sendPendingIceCandidates(callId);
             
-            return this.pc.localDescription;
+            return session.pc.localDescription;
         }
     }
 
-    setupPeerConnectionEvents() {
-        // 远程媒体流处理
-        this.pc.ontrack = evt => {
-            this.elements.remoteAudio.srcObject = evt.streams[0];
+    setupPeerConnectionEvents(session) {
+        const pc = session.pc;
+
+        // 远程媒体流处理，仅活动线路接入扬声器
+        pc.ontrack = evt => {
+            session.remoteStream = evt.streams[0];
+            if (this.activeSession === session) {
+                this.elements.remoteAudio.srcObject = session.remoteStream;
+            }
         };
 
-        // ICE候选者处理 - 修复时序问题
-        this.pc.onicecandidate = async evt => {
+        // ICE候选者处理 - 线路绑定callId前暂存
+        pc.onicecandidate = async evt => {
             if (evt.candidate) {
-                const context = this.callStateManager.getCallContext();
-                if (this.sdpNegotiationComplete || context) {
-                    // SDP协商完成后立即发送
-                    await this.sendIceCandidate(evt.candidate);
+                if (session.sdpNegotiationComplete || session.callId) {
+                    await this.sendIceCandidate(evt.candidate, session);
                 } else {
-                    // SDP协商未完成，暂存候选者
                     console.log("SDP协商未完成，暂存ICE候选者");
-                    this.pendingIceCandidates.push(evt.candidate);
+                    session.pendingIceCandidates.push(evt.candidate);
                 }
             }
         };
 
         // 连接状态监听
-        this.pc.onicegatheringstatechange = () => {
-            console.log("ICE gathering state: " + this.pc.iceGatheringState);
+        pc.onicegatheringstatechange = () => {
+            console.log(`[${session.callId || '新线路'}] ICE gathering state: ` + pc.iceGatheringState);
         };
         
-        this.pc.oniceconnectionstatechange = () => {
-            console.log("ICE connection state: " + this.pc.iceConnectionState);
-            if (this.pc.iceConnectionState === 'failed') {
-                console.warn('WebRTC connection disrupted, triggering reconnect');
-                this.handleWebRTCReconnect();
-            } else if (this.pc.iceConnectionState === 'disconnected') {
-                this.updateStatus('拨打超时', 'danger');
-                this.callStateManager.resetToIdle();
-            } else if (this.pc.iceConnectionState === 'connected') {
-                console.log('WebRTC connection established');
-                this.updateStatus('WebRTC连接已建立', 'success');
+        pc.oniceconnectionstatechange = () => {
+            console.log(`[${session.callId || '新线路'}] ICE connection state: ` + pc.iceConnectionState);
+
+            switch (pc.iceConnectionState) {
+                case 'disconnected':
+                    // 网络抖动时ICE常能自行恢复，宽限期后仍未恢复再重启ICE
+                    this.beginRecovery(session, this.iceRestartGracePeriodMs);
+                    break;
+                case 'failed':
+                    console.warn('WebRTC connection disrupted, triggering ICE restart');
+                    this.beginRecovery(session, 0);
+                    break;
+                case 'connected':
+                case 'completed':
+                    if (session.recovery) {
+                        this.completeRecovery(session);
+                    } else if (this.activeSession === session && pc.iceConnectionState === 'connected') {
+                        console.log('WebRTC connection established');
+                        this.updateStatus('WebRTC连接已建立', 'success');
+                    }
+                    break;
             }
         };
         
-        this.pc.onsignalingstatechange = () => {
-            console.log("Signaling state: " + this.pc.signalingState);
+        pc.onsignalingstatechange = () => {
+            console.log(`[${session.callId || '新线路'}] Signaling state: ` + pc.signalingState);
         };
         
-        this.pc.onconnectionstatechange = () => {
-            console.log("Connection state: " + this.pc.connectionState);
-            if (this.pc.connectionState === 'failed') {
-                console.warn('WebRTC connection failed, triggering reconnect');
-                //this.handleWebRTCReconnect();
+        pc.onconnectionstatechange = () => {
+            console.log(`[${session.callId || '新线路'}] Connection state: ` + pc.connectionState);
+            if (pc.connectionState === 'failed') {
+                console.warn('WebRTC connection failed, triggering ICE restart');
+                this.beginRecovery(session, 0);
             }
         };
     }
 
+    /**
+     * 立即恢复活动线路的连接（SignalR重连后调用）
+     */
     async handleWebRTCReconnect() {
-        if (!window.phoneApp || !window.phoneApp.signalRManager || window.phoneApp.signalRManager.connection.state !== 'Connected') {
-            console.warn('SignalR not connected, waiting for reconnect before WebRTC recovery');
+        if (this.activeSession) {
+            this.beginRecovery(this.activeSession, 0);
+        }
+    }
+
+    /**
+     * 进入恢复模式：线路显示为重连中，延迟后发起ICE重启
+     * @param {Object} session - 线路连接会话
+     * @param {number} delayMs - 发起ICE重启前的等待时间
+     */
+    beginRecovery(session, delayMs) {
+        if (!session.callId) {
+            // 尚未绑定线路的外呼无法与服务端重新协商，按呼叫失败处理
+            if (this.activeSession === session) {
+                this.updateStatus('WebRTC连接失败', 'danger');
+                if (this.callStateManager.getSessionCount() <= 1) {
+                    this.callStateManager.resetToIdle();
+                }
+            }
+            return;
+        }
+
+        if (!session.recovery) {
+            const lineSession = this.callStateManager.getSession(session.callId);
+            session.recovery = {
+                attempts: 0,
+                timer: null,
+                restarting: false,
+                pendingRemoteCandidates: [],
+                previousState: lineSession?.state || this.callStateManager.getCurrentState()
+            };
+            this.callStateManager.setSessionState(session.callId, CallState.RECONNECTING);
+            if (this.activeSession === session) {
+                this.updateStatus('网络连接中断，正在重新连接...', 'warning');
+            }
+        }
+
+        if (session.recovery.restarting) return;
+
+        clearTimeout(session.recovery.timer);
+        session.recovery.timer = setTimeout(() => this.restartIce(session), delayMs);
+    }
+
+    /**
+     * 发起一次ICE重启：生成iceRestart Offer，经Hub与服务端重新协商
+     * @param {Object} session - 线路连接会话
+     */
+    async restartIce(session) {
+        const recovery = session.recovery;
+        if (!recovery || this.isSessionConnected(session)) return;
+
+        if (recovery.attempts >= this.iceRestartMaxAttempts) {
+            await this.abandonSession(session);
+            return;
+        }
+
+        const connection = window.phoneApp?.signalRManager?.connection;
+        if (!connection || connection.state !== 'Connected') {
+            // 信令未恢复前不消耗重试次数
+            console.warn('SignalR not connected, waiting for reconnect before ICE restart');
+            recovery.timer = setTimeout(() => this.restartIce(session), this.iceRestartGracePeriodMs);
             return;
         }
-    
+
+        recovery.attempts++;
+        recovery.restarting = true;
+        if (this.activeSession === session) {
+            this.updateStatus(`网络连接中断，正在重新连接（第${recovery.attempts}/${this.iceRestartMaxAttempts}次）...`, 'warning');
+        }
+
         try {
-            this.updateStatus('WebRTC连接断开，正在重新连接...', 'warning');
-            this.closePeerConnection(); 
-        
-            await window.phoneApp.signalRManager.connection.invoke("ReconnectWebRTCAsync");
-    
-            this.updateStatus('WebRTC重新连接中，等待服务器响应...', 'info');
+            const offer = await session.pc.createOffer({ iceRestart: true });
+            await session.pc.setLocalDescription(offer);
+
+            const result = await connection.invoke("RestartIceAsync", {
+                CallId: session.callId,
+                OfferSdp: JSON.stringify(offer)
+            });
+            if (!result || !result.success) {
+                throw new Error(result?.message || 'ICE重启协商失败');
+            }
+
+            const answer = typeof result.answer === 'string' ? JSON.parse(result.answer) : result.answer;
+            await session.pc.setRemoteDescription(answer);
+            console.log(`[${session.callId}] ICE重启协商完成，等待连接恢复`);
         } catch (error) {
-            console.error('WebRTC reconnect failed:', error);
-            this.updateStatus('WebRTC重新连接失败: ' + error.message, 'danger');
-            window.phoneApp.handleCallError(error);
+            console.error(`[${session.callId}] ICE重启失败:`, error);
+            if (session.pc.signalingState === 'have-local-offer') {
+                await session.pc.setLocalDescription({ type: 'rollback' }).catch(() => { });
+            }
+        } finally {
+            recovery.restarting = false;
+            this.flushRemoteCandidates(session);
+        }
+
+        if (session.recovery === recovery && !this.isSessionConnected(session)) {
+            recovery.timer = setTimeout(() => this.restartIce(session), this.iceRestartAttemptTimeoutMs);
+        }
+    }
+
+    /**
+     * ICE重启协商期间暂存服务端下发的候选者，待Answer应用后再添加
+     * @param {string} callId - 线路标识
+     * @param {Object} candidate - ICE候选者
+     * @returns {boolean} 是否已暂存
+     */
+    queueRemoteCandidate(callId, candidate) {
+        const session = this.sessions.get(callId);
+        if (!session?.recovery?.restarting) return false;
+
+        session.recovery.pendingRemoteCandidates.push(candidate);
+        return true;
+    }
+
+    flushRemoteCandidates(session) {
+        const candidates = session.recovery?.pendingRemoteCandidates || [];
+        if (session.recovery) {
+            session.recovery.pendingRemoteCandidates = [];
+        }
+        candidates.forEach(candidate => {
+            session.pc.addIceCandidate(candidate).catch(error => console.warn('添加ICE候选者失败:', error));
+        });
+    }
+
+    isSessionConnected(session) {
+        return ['connected', 'completed'].includes(session.pc.iceConnectionState);
+    }
+
+    completeRecovery(session) {
+        const recovery = session.recovery;
+        clearTimeout(recovery.timer);
+        session.recovery = null;
+
+        this.callStateManager.setSessionState(session.callId, recovery.previousState);
+        if (this.activeSession === session) {
+            this.updateStatus('网络已恢复，通话继续', 'success');
         }
+        console.log(`[${session.callId}] 连接已恢复，共重试 ${recovery.attempts} 次`);
     }
 
-    async sendPendingIceCandidates() {
-        this.sdpNegotiationComplete = true;
-        console.log(`发送 ${this.pendingIceCandidates.length} 个缓存的ICE候选者`);
-        for (const candidate of this.pendingIceCandidates) {
-            await this.sendIceCandidate(candidate);
+    stopRecovery(session) {
+        if (!session.recovery) return;
+        clearTimeout(session.recovery.timer);
+        session.recovery = null;
+    }
+
+    /**
+     * 多次ICE重启仍未恢复，放弃通话
+     * @param {Object} session - 线路连接会话
+     */
+    async abandonSession(session) {
+        const attempts = session.recovery?.attempts || 0;
+        const callId = session.callId;
+        this.stopRecovery(session);
+        console.warn(`[${callId}] ICE重启 ${attempts} 次仍未恢复，结束通话`);
+
+        const app = window.phoneApp;
+        if (!app) return;
+
+        if (this.activeSession === session) {
+            await app.handleHangup();
+        } else {
+            try {
+                await app.signalRManager.connection.invoke("HangupCallAsync", {
+                    CallId: callId,
+                    Target: '',
+                    Reason: '网络中断'
+                });
+            } catch (error) {
+                console.warn('挂断断线线路失败:', error);
+            }
+            app.endCallSession(callId);
         }
-        this.pendingIceCandidates = [];
+
+        this.updateStatus(`网络连接无法恢复（已重试${attempts}次），通话已结束`, 'danger');
     }
 
-    async sendIceCandidate(candidate) {
+    /**
+     * 为尚未绑定的活动连接（外呼）绑定callId
+     * @param {string} callId - 服务端返回的线路标识
+     */
+    bindCallId(callId) {
+        const session = this.activeSession;
+        if (!session || !callId) return;
+
+        if (session.callId && session.callId !== callId) {
+            console.warn(`活动连接已绑定线路 ${session.callId}，忽略绑定 ${callId}`);
+            return;
+        }
+
+        session.callId = callId;
+        this.sessions.set(callId, session);
+        console.log(`WebRTC连接已绑定线路 ${callId}`);
+    }
+
+    /**
+     * 获取线路对应的RTCPeerConnection
+     * 外呼在拿到callId前就可能收到应答，此时返回尚未绑定的活动连接
+     * @param {string} callId - 线路标识，为空时返回活动连接
+     */
+    getPeerConnection(callId) {
+        if (!callId) return this.pc;
+
+        const session = this.sessions.get(callId);
+        if (session) return session.pc;
+
+        return this.activeSession && !this.activeSession.callId ? this.activeSession.pc : null;
+    }
+
+    /**
+     * 切换活动线路，远端音频改为播放该线路
+     * @param {string} callId - 线路标识
+     */
+    switchSession(callId) {
+        const session = this.sessions.get(callId);
+        if (!session) {
+            console.warn(`WebRTC线路不存在: ${callId}`);
+            return false;
+        }
+
+        this.activateSession(session);
+        return true;
+    }
+
+    activateSession(session) {
+        this.activeSession = session;
+        this.pc = session ? session.pc : null;
+        this.elements.remoteAudio.srcObject = session?.remoteStream || null;
+    }
+
+    async sendPendingIceCandidates(callId = null) {
+        const session = (callId && this.sessions.get(callId)) || this.activeSession;
+        if (!session) return;
+
+        session.sdpNegotiationComplete = true;
+        console.log(`发送 ${session.pendingIceCandidates.length} 个缓存的ICE候选者`);
+        const candidates = session.pendingIceCandidates;
+        session.pendingIceCandidates = [];
+        for (const candidate of candidates) {
+            await this.sendIceCandidate(candidate, session);
+        }
+    }
+
+    async sendIceCandidate(candidate, session = this.activeSession) {
         try {
-            const callContext = this.callStateManager.getCallContext();
-            if (callContext) {
+            if (session && session.callId) {
                 await window.phoneApp.signalRManager.connection.invoke("SendIceCandidateAsync", {
-                    CallId: callContext.callId,
+                    CallId: session.callId,
                     iceCandidate: JSON.stringify(candidate)
                 });
                 console.log("ICE候选者发送成功:", candidate.candidate);
-            } else {
-                this.pendingIceCandidates.push(candidate);
+            } else if (session) {
+                session.pendingIceCandidates.push(candidate);
             }
         } catch (error) {
             console.error("发送ICE候选者失败:", error);
         }
     }
 
+    /**
+     * 设置保持状态：保持期间停用该线路的本地音轨，远端音频由服务端停止转发
+     * @param {boolean} onHold - 是否保持
+     * @param {string} callId - 线路标识，为空时为活动线路
+     */
+    setHold(onHold, callId = null) {
+        const session = (callId && this.sessions.get(callId)) || this.activeSession;
+        if (session) {
+            session.onHold = onHold;
+            this.applyLocalTrackState(session);
+        }
+        console.log(onHold ? '本地音频已暂停（通话保持）' : '本地音频已恢复');
+    }
+
+    /**
+     * 设置麦克风静音，作用于所有线路，取消静音后保持中的线路仍保持停用
+     * @param {boolean} muted - 是否静音
+     */
+    setMuted(muted) {
+        this.isMuted = muted;
+
+        const sessions = new Set(this.sessions.values());
+        if (this.activeSession) {
+            sessions.add(this.activeSession);
+        }
+        sessions.forEach(session => this.applyLocalTrackState(session));
+        console.log(muted ? '本地麦克风已静音' : '本地麦克风已取消静音');
+    }
+
+    applyLocalTrackState(session) {
+        session.localTracks.forEach(track => {
+            track.enabled = !session.onHold && !this.isMuted;
+        });
+    }
+
+    /**
+     * 关闭指定线路的连接
+     * @param {string} callId - 线路标识，为空时关闭活动线路
+     */
+    closeSession(callId = null) {
+        const session = (callId && this.sessions.get(callId)) || (!callId ? this.activeSession : null);
+        if (!session) return;
+
+        console.log(`关闭WebRTC连接: ${session.callId || '未绑定线路'}`);
+        this.stopRecovery(session);
+        try {
+            session.pc.close();
+        } catch (error) {
+            console.warn('关闭WebRTC连接时出错:', error);
+        }
+        session.localTracks.forEach(track => track.stop());
+
+        if (session.callId) {
+            this.sessions.delete(session.callId);
+        }
+        if (this.activeSession === session) {
+            this.activateSession(null);
+        }
+    }
+
     closePeerConnection() {
-        if (this.pc) {
-            console.log('关闭WebRTC连接');
-            this.pc.close();
-            this.pc = null;
+        this.closeSession();
+    }
+
+    closeAllSessions() {
+        if (this.activeSession && !this.activeSession.callId) {
+            this.closeSession();
         }
-        
-        // 重置状态
-        this.sdpNegotiationComplete = false;
-        this.pendingIceCandidates = [];
+        Array.from(this.sessions.keys()).forEach(callId => this.closeSession(callId));
+        this.activateSession(null);
     }
 
     stopLocalStream() {
@@ -393,7 +864,7 @@ class WebRTCManager {
     }
 
     cleanup() {
-        this.closePeerConnection();
+        this.closeAllSessions();
         this.stopLocalStream();
         
         // 清理远程音频
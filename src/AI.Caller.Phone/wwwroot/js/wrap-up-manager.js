@@ -0,0 +1,258 @@
+/**
+ * 话后处理管理器
+ * 已接通的通话结束后显示话后处理表单（处理结果、标签、备注）并开始计时，提交前坐席不接收新来电；
+ * 处理状态由服务端（wrapUpChanged）同步到坐席的所有标签页，刷新页面后未提交的表单会恢复
+ */
+class WrapUpManager {
+    constructor(elements, callStateManager) {
+        this.elements = elements;
+        this.callStateManager = callStateManager;
+        this.handlerId = 'wrap-up-manager';
+        this.options = { dispositions: [], tags: [], timeLimitSeconds: 0 };
+        this.current = null;             // 当前未提交的话后处理
+        this.connectedCallIds = new Set(); // 本页接通过的通话，只有这些通话结束后进入话后处理
+        this.lastConnectedCallId = null;
+        this.pendingNotes = new Map();     // 话后处理开始前添加的备注（如通话转写），按通话暂存
+        this.maxNotesLength = 1000;
+        this.timer = null;
+        this.isSubmitting = false;
+    }
+
+    async initialize() {
+        if (!this.elements.wrapUpPanel) return;
+
+        this.bindEvents();
+        this.subscribeWrapUpChanges();
+        await this.loadOptions();
+        await this.loadPending();
+    }
+
+    bindEvents() {
+        document.addEventListener('callStateChanged', (event) => {
+            const { newState, callId } = event.detail || {};
+            if (newState === CallState.CONNECTED && callId) {
+                this.connectedCallIds.add(callId);
+                this.lastConnectedCallId = callId;
+            }
+        });
+
+        const onCallEnded = (event) => this.handleCallEnded(event.detail?.callId || this.lastConnectedCallId);
+        document.addEventListener('callEnded', onCallEnded);
+        document.addEventListener('remoteHangup', onCallEnded);
+
+        this.elements.wrapUpSubmitButton?.addEventListener('click', () => this.submit());
+    }
+
+    subscribeWrapUpChanges() {
+        const bus = window.globalSignalRManager?.eventBus;
+        if (!bus) return;
+
+        bus.subscribe(this.handlerId, SignalREvents.WRAP_UP_CHANGED, (data) => {
+            if (data?.pending) {
+                this.show(data.wrapUp);
+            } else if (data?.wrapUp?.callId === this.current?.callId) {
+                this.hide();
+            }
+        });
+        window.addEventListener('beforeunload', () => bus.unsubscribe(this.handlerId));
+    }
+
+    async loadOptions() {
+        try {
+            const response = await fetch('/api/WrapUp/options');
+            if (!response.ok) {
+                throw new Error(await response.text());
+            }
+            this.options = await response.json();
+        } catch (error) {
+            console.error('加载话后处理选项失败:', error);
+        }
+    }
+
+    /**
+     * 恢复刷新或重新登录前未提交的话后处理
+     */
+    async loadPending() {
+        try {
+            const response = await fetch('/api/WrapUp/pending');
+            if (response.status === 200) {
+                this.show(await response.json());
+            }
+        } catch (error) {
+            console.warn('加载未提交的话后处理失败:', error);
+        }
+    }
+
+    /**
+     * 由持有通话的主标签页开始话后处理，其他标签页通过wrapUpChanged同步显示
+     */
+    async handleCallEnded(callId) {
+        if (!callId || !this.connectedCallIds.delete(callId)) return;
+        if (window.tabCoordinator && !window.tabCoordinator.isLeader) return;
+
+        try {
+            const response = await fetch(`/api/WrapUp/${encodeURIComponent(callId)}/start`, { method: 'POST' });
+            if (!response.ok) {
+                throw new Error(await response.text());
+            }
+            this.show(await response.json());
+        } catch (error) {
+            console.error('开始话后处理失败:', error);
+        }
+    }
+
+    show(wrapUp) {
+        if (!wrapUp || wrapUp.submittedAt) return;
+        if (this.current?.callId === wrapUp.callId) return;
+
+        this.current = wrapUp;
+        this.renderForm();
+        this.showError(null);
+        this.elements.wrapUpPanel.classList.remove('d-none');
+        this.startTimer();
+        this.dispatchStateChanged(true);
+    }
+
+    hide() {
+        this.current = null;
+        this.stopTimer();
+        this.elements.wrapUpPanel.classList.add('d-none');
+        this.dispatchStateChanged(false);
+    }
+
+    renderForm() {
+        const { wrapUpDisposition, wrapUpTags, wrapUpNotes, wrapUpPeer } = this.elements;
+
+        wrapUpDisposition.innerHTML = '<option value="">请选择处理结果</option>' + this.options.dispositions
+            .map(name => `<option value="${this.escapeAttribute(name)}">${this.escapeHtml(name)}</option>`)
+            .join('');
+        wrapUpDisposition.closest('.mb-2')?.classList.toggle('d-none', this.options.dispositions.length === 0);
+
+        wrapUpTags.innerHTML = this.options.tags.map((name, index) => `
+            <input type="checkbox" class="btn-check" id="wrapUpTag${index}" value="${this.escapeAttribute(name)}" autocomplete="off">
+            <label class="btn btn-sm btn-outline-secondary" for="wrapUpTag${index}">${this.escapeHtml(name)}</label>
+        `).join('');
+        wrapUpTags.closest('.mb-2')?.classList.toggle('d-none', this.options.tags.length === 0);
+
+        wrapUpNotes.value = this.pendingNotes.get(this.current.callId) || '';
+        this.pendingNotes.delete(this.current.callId);
+        if (wrapUpPeer) {
+            wrapUpPeer.textContent = this.current.peerNumber ? `（${this.current.peerNumber}）` : '';
+        }
+    }
+
+    startTimer() {
+        this.stopTimer();
+
+        const startedAt = new Date(this.current.startedAt.endsWith?.('Z') ? this.current.startedAt : `${this.current.startedAt}Z`);
+        const update = () => {
+            const seconds = Math.max(0, Math.floor((Date.now() - startedAt.getTime()) / 1000));
+            const overdue = this.options.timeLimitSeconds > 0 && seconds > this.options.timeLimitSeconds;
+            const badge = this.elements.wrapUpTimer;
+            badge.textContent = `${overdue ? '已超时 ' : ''}${this.formatDuration(seconds)}`;
+            badge.classList.toggle('bg-danger', overdue);
+            badge.classList.toggle('bg-secondary', !overdue);
+        };
+        update();
+        this.timer = setInterval(update, 1000);
+    }
+
+    stopTimer() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async submit() {
+        if (!this.current || this.isSubmitting) return;
+
+        const disposition = this.elements.wrapUpDisposition.value;
+        if (!disposition && this.options.dispositions.length > 0) {
+            this.showError('请选择处理结果');
+            return;
+        }
+
+        const tags = Array.from(this.elements.wrapUpTags.querySelectorAll('input:checked')).map(input => input.value);
+        this.isSubmitting = true;
+        this.elements.wrapUpSubmitButton.disabled = true;
+
+        try {
+            const response = await fetch(`/api/WrapUp/${encodeURIComponent(this.current.callId)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    disposition: disposition || null,
+                    notes: this.elements.wrapUpNotes.value.trim() || null,
+                    tags
+                })
+            });
+            if (!response.ok) {
+                throw new Error(await response.text());
+            }
+
+            this.hide();
+        } catch (error) {
+            console.error('提交话后处理失败:', error);
+            this.showError(error.message || '提交失败，请重试');
+        } finally {
+            this.isSubmitting = false;
+            this.elements.wrapUpSubmitButton.disabled = false;
+        }
+    }
+
+    isPending() {
+        return !!this.current;
+    }
+
+    /**
+     * 追加话后处理备注，通话尚未结束时暂存，开始话后处理后自动填入
+     * @param {string} callId - 备注所属通话
+     * @param {string} text - 追加的内容
+     * @returns {boolean} 是否已填入正在进行的话后处理表单
+     */
+    appendNotes(callId, text) {
+        if (!text) return false;
+
+        const join = (notes) => (notes ? `${notes}\n${text}` : text).slice(0, this.maxNotesLength);
+        if (this.current && this.current.callId === callId) {
+            this.elements.wrapUpNotes.value = join(this.elements.wrapUpNotes.value.trim());
+            return true;
+        }
+
+        this.pendingNotes.set(callId, join(this.pendingNotes.get(callId)));
+        return false;
+    }
+
+    /**
+     * 通知页面其他模块坐席是否处于话后处理（暂不可用）状态
+     */
+    dispatchStateChanged(pending) {
+        document.dispatchEvent(new CustomEvent('wrapUpStateChanged', {
+            detail: { pending, callId: this.current?.callId || null }
+        }));
+    }
+
+    showError(message) {
+        const error = this.elements.wrapUpError;
+        if (!error) return;
+        error.textContent = message || '';
+        error.classList.toggle('d-none', !message);
+    }
+
+    formatDuration(seconds) {
+        const minutes = Math.floor(seconds / 60).toString().padStart(2, '0');
+        const secs = (seconds % 60).toString().padStart(2, '0');
+        return `${minutes}:${secs}`;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
+}
+
+window.WrapUpManager = WrapUpManager;
@@ -0,0 +1,225 @@
+/**
+ * 坐席电话Service Worker
+ * 缓存页面外壳（脚本、样式、铃音与离线页面）供离线打开，离线期间排队日志类POST请求并在恢复联网后补发，
+ * 同时处理来电通知上的接听/拒接，把操作转交给显示通知的页面执行
+ */
+const SHELL_VERSION = new URL(self.location).searchParams.get('v') || 'dev';
+const SHELL_CACHE = `ai-caller-shell-${SHELL_VERSION}`;
+// 登录后的页面包含坐席个人数据，不进入缓存；离线时导航统一返回静态离线页面
+const OFFLINE_URL = '/offline.html';
+const SHELL_URLS = [OFFLINE_URL, '/lib/bootstrap/dist/css/bootstrap.min.css', '/ringtones/default.mp3', '/manifest.webmanifest', '/icons/phone.svg'];
+const STATIC_PREFIXES = ['/js/', '/css/', '/lib/', '/ringtones/', '/icons/'];
+
+// 离线时排队的POST请求：前端日志与通话质量采样
+const QUEUED_POST_PREFIXES = ['/api/logs/', '/api/CallQuality'];
+const QUEUE_DB = 'ai-caller-offline';
+const QUEUE_STORE = 'requests';
+const QUEUE_SYNC_TAG = 'flush-offline-posts';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => Promise.all(
+        SHELL_URLS.map(url => cache.add(url).catch(error => console.warn(`预缓存失败: ${url}`, error)))
+    )));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('ai-caller-shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+        await flushQueue();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+
+    switch (message.type) {
+        case 'skipWaiting':
+            self.skipWaiting();
+            break;
+        case 'cacheShell':
+            event.waitUntil(cacheUrls(message.urls || []));
+            break;
+        case 'flushQueue':
+            event.waitUntil(flushQueue());
+            break;
+    }
+});
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === QUEUE_SYNC_TAG) {
+        event.waitUntil(flushQueue());
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (request.method === 'POST' && QUEUED_POST_PREFIXES.some(prefix => url.pathname.startsWith(prefix))) {
+        event.respondWith(fetchOrQueue(request));
+        return;
+    }
+
+    if (request.method !== 'GET') return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else if (STATIC_PREFIXES.some(prefix => url.pathname.startsWith(prefix)) || url.pathname === '/manifest.webmanifest') {
+        event.respondWith(staleWhileRevalidate(event, request));
+    }
+});
+
+/**
+ * 页面只走网络，离线时返回缓存的离线页面
+ */
+async function networkFirst(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cache = await caches.open(SHELL_CACHE);
+        return (await cache.match(OFFLINE_URL)) || Response.error();
+    }
+}
+
+/**
+ * 静态资源先返回缓存，同时在后台刷新；带版本号的资源URL随内容变化，不会读到旧文件
+ */
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    const update = fetch(request).then(response => {
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => null));
+        return cached;
+    }
+    return update;
+}
+
+async function cacheUrls(urls) {
+    const cache = await caches.open(SHELL_CACHE);
+    await Promise.all(urls.map(async url => {
+        if (await cache.match(url)) return;
+        try {
+            await cache.add(url);
+        } catch (error) {
+            console.warn(`缓存资源失败: ${url}`, error);
+        }
+    }));
+}
+
+async function fetchOrQueue(request) {
+    const body = await request.clone().text();
+    try {
+        return await fetch(request);
+    } catch (error) {
+        await enqueue({
+            url: request.url,
+            method: request.method,
+            contentType: request.headers.get('Content-Type') || 'application/json',
+            body: body,
+            queuedAt: Date.now()
+        });
+        if (self.registration.sync) {
+            self.registration.sync.register(QUEUE_SYNC_TAG).catch(() => null);
+        }
+        return new Response(JSON.stringify({ queued: true }), {
+            status: 202,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
+
+/**
+ * 按排队顺序补发，遇到网络错误即停止，等待下次联网
+ */
+async function flushQueue() {
+    const entries = await readQueue();
+    for (const entry of entries) {
+        try {
+            const response = await fetch(entry.url, {
+                method: entry.method,
+                headers: { 'Content-Type': entry.contentType },
+                body: entry.body,
+                credentials: 'same-origin'
+            });
+            // 服务端拒绝的请求重发也不会成功，同样移出队列
+            if (!response.ok) {
+                console.warn(`补发请求被拒绝: ${entry.url} (${response.status})`);
+            }
+            await dequeue(entry.id);
+        } catch (error) {
+            return;
+        }
+    }
+}
+
+function openQueueDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(QUEUE_DB, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function withQueueStore(mode, action) {
+    const db = await openQueueDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(QUEUE_STORE, mode);
+        const request = action(transaction.objectStore(QUEUE_STORE));
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request?.result);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    });
+}
+
+function enqueue(entry) {
+    return withQueueStore('readwrite', store => store.add(entry));
+}
+
+function dequeue(id) {
+    return withQueueStore('readwrite', store => store.delete(id));
+}
+
+function readQueue() {
+    return withQueueStore('readonly', store => store.getAll());
+}
+
+self.addEventListener('notificationclick', (event) => {
+    const notification = event.notification;
+    const data = notification.data || {};
+    notification.close();
+
+    // 点击通知正文视为接听
+    const action = event.action || 'answer';
+
+    event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+        clients.forEach(client => client.postMessage({
+            type: 'callNotificationAction',
+            action: action,
+            callId: data.callId,
+            tabId: data.tabId
+        }));
+
+        if (action !== 'answer') return;
+
+        const target = clients.find(client => client.url === data.url) || clients[0];
+        return target?.focus();
+    }));
+});
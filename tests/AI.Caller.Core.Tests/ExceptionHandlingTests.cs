@@ -60,6 +60,19 @@ public class ExceptionHandlingTests : IDisposable {
         Assert.Null(exception);
     }
 
+    [Fact]
+    public void MediaSessionManager_SetHold_WithoutMediaSession_ShouldToggleHoldState() {
+        var mediaManager = new MediaSessionManager(_mockLogger.Object);
+
+        var exception = Record.Exception(() => mediaManager.SetHold(true));
+
+        Assert.Null(exception);
+        Assert.True(mediaManager.IsOnHold);
+
+        mediaManager.SetHold(false);
+        Assert.False(mediaManager.IsOnHold);
+    }
+
     [Fact]
     public void MediaSessionManager_AddIceCandidate_WithNullCandidate_ShouldThrowArgumentNullException() {
         var mediaManager = new MediaSessionManager(_mockLogger.Object);
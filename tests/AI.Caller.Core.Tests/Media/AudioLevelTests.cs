@@ -0,0 +1,29 @@
+using AI.Caller.Core.Media;
+using Xunit;
+
+namespace AI.Caller.Core.Tests.Media;
+
+public class AudioLevelTests {
+    [Theory]
+    [InlineData(0, 0)]
+    [InlineData(32, 0)]       // 约-60dBFS，视为静音
+    [InlineData(328, 33)]     // 约-40dBFS
+    [InlineData(3277, 66)]    // 约-20dBFS
+    [InlineData(32767, 99)]
+    public void FromPeak_ShouldMapDbToPercent(int peak, int expected) {
+        Assert.Equal(expected, AudioLevel.FromPeak(peak));
+    }
+
+    [Fact]
+    public void FromSamples_ShouldUseAbsolutePeak() {
+        short[] samples = [100, -3277, 2000, short.MinValue / 4];
+
+        Assert.Equal(8192, AudioLevel.Peak(samples));
+        Assert.Equal(AudioLevel.FromPeak(8192), AudioLevel.FromSamples(samples));
+    }
+
+    [Fact]
+    public void FromSamples_Silence_ShouldBeZero() {
+        Assert.Equal(0, AudioLevel.FromSamples(new short[160]));
+    }
+}
@@ -0,0 +1,73 @@
+using AI.Caller.Core.Media;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Logging;
+using Moq;
+using Xunit;
+
+namespace AI.Caller.Core.Tests.Media;
+
+public class ConferenceMixerTests : IDisposable {
+    private readonly ServiceProvider _serviceProvider;
+    private readonly ConferenceMixer _mixer;
+
+    public ConferenceMixerTests() {
+        _serviceProvider = new ServiceCollection().AddLogging().BuildServiceProvider();
+        var codecFactory = new AudioCodecFactory(_serviceProvider, _serviceProvider.GetRequiredService<ILogger<AudioCodecFactory>>());
+        _mixer = new ConferenceMixer(new Mock<ILogger>().Object, codecFactory);
+    }
+
+    [Fact]
+    public void AddParticipant_ThenRemove_ShouldTrackParticipantIds() {
+        _mixer.AddParticipant("agent", 8, _ => { });
+        _mixer.AddParticipant("guest", 0, _ => { });
+
+        Assert.Equal(2, _mixer.ParticipantIds.Count);
+
+        _mixer.RemoveParticipant("guest");
+
+        Assert.Equal(new[] { "agent" }, _mixer.ParticipantIds);
+    }
+
+    [Fact]
+    public void SetMuted_UnknownParticipant_ShouldReturnFalse() {
+        Assert.False(_mixer.SetMuted("missing", true));
+    }
+
+    [Fact]
+    public async Task WriteAudio_ShouldMixOnlyOtherUnmutedParticipants() {
+        var agentFrames = new List<byte[]>();
+        var guestFrames = new List<byte[]>();
+        var agentReceived = new TaskCompletionSource(TaskCreationOptions.RunContinuationsAsynchronously);
+        var guestReceived = new TaskCompletionSource(TaskCreationOptions.RunContinuationsAsynchronously);
+        _mixer.AddParticipant("agent", 8, frame => {
+            lock (agentFrames) agentFrames.Add(frame);
+            agentReceived.TrySetResult();
+        });
+        _mixer.AddParticipant("guest", 8, frame => {
+            lock (guestFrames) guestFrames.Add(frame);
+            guestReceived.TrySetResult();
+        });
+        _mixer.SetMuted("guest", true);
+
+        var payload = Enumerable.Repeat((byte)0x55, 160).ToArray();
+        _mixer.WriteAudio("agent", payload);
+        _mixer.WriteAudio("guest", payload);
+
+        // 等待混音线程为双方各发出至少一帧，超时视为混音未运行
+        await Task.WhenAll(agentReceived.Task, guestReceived.Task).WaitAsync(TimeSpan.FromSeconds(5));
+
+        lock (guestFrames) {
+            Assert.NotEmpty(guestFrames);
+            Assert.All(guestFrames, frame => Assert.Equal(160, frame.Length));
+        }
+        lock (agentFrames) {
+            // 对方已静音，坐席只能收到静音帧(PCMA静音为0xD5)
+            Assert.All(agentFrames, frame => Assert.All(frame, b => Assert.Equal(0xD5, b)));
+        }
+    }
+
+    public void Dispose() {
+        _mixer.Dispose();
+        _serviceProvider.Dispose();
+    }
+}
@@ -0,0 +1,16 @@
+using AI.Caller.Core.CallAutomation;
+using Xunit;
+
+namespace AI.Caller.Core.Tests;
+
+public class ScenarioPlaybackPositionTests {
+    [Theory]
+    [InlineData(0, 160, 20, 0)]
+    [InlineData(160, 160, 20, 20)]
+    [InlineData(16000, 160, 20, 2000)]
+    [InlineData(16100, 160, 20, 2000)]   // 不足一帧的部分不计
+    [InlineData(16000, 0, 20, 0)]
+    public void BytesToMs_ShouldCountWholeFrames(long bytes, int frameBytes, int ptimeMs, int expected) {
+        Assert.Equal(expected, ScenarioPlaybackPosition.BytesToMs(bytes, frameBytes, ptimeMs));
+    }
+}
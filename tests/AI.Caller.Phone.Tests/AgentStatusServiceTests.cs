@@ -0,0 +1,165 @@
+using AI.Caller.Phone.Entities;
+using AI.Caller.Phone.Hubs;
+using AI.Caller.Phone.Models;
+using AI.Caller.Phone.Services;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Moq;
+using Xunit;
+
+namespace AI.Caller.Phone.Tests;
+
+public class AgentStatusServiceTests : IDisposable {
+    private readonly AppDbContext _context;
+    private readonly string _testDbPath;
+    private readonly ApplicationContext _applicationContext = new();
+    private readonly Mock<ICallManager> _callManager = new();
+    private readonly WrapUpService _wrapUpService;
+    private readonly AgentStatusService _service;
+    private readonly int _userId;
+    private readonly int _otherUserId;
+
+    public AgentStatusServiceTests() {
+        _testDbPath = Path.Combine(Path.GetTempPath(), $"test_agent_status_{Guid.NewGuid()}.db");
+
+        var options = new DbContextOptionsBuilder<AppDbContext>()
+            .UseSqlite($"Data Source={_testDbPath}")
+            .Options;
+
+        var configuration = new ConfigurationBuilder()
+            .AddInMemoryCollection(new Dictionary<string, string?> { ["AgentStatus:AutoAwayMinutes"] = "5" })
+            .Build();
+
+        _context = new AppDbContext(options, configuration);
+        _context.Database.EnsureCreated();
+
+        var hubContext = new Mock<IHubContext<WebRtcHub>> { DefaultValue = DefaultValue.Mock }.Object;
+        _callManager.Setup(m => m.GetActiviteUsers()).Returns(Array.Empty<User>());
+        _wrapUpService = new WrapUpService(_context, hubContext, configuration, new Mock<ILogger<WrapUpService>>().Object);
+        _service = new AgentStatusService(
+            _context,
+            new PresenceService(_applicationContext, _callManager.Object),
+            _wrapUpService,
+            hubContext,
+            configuration,
+            new Mock<ILogger<AgentStatusService>>().Object);
+
+        var user = new User { Username = "agent", Password = "password" };
+        var otherUser = new User { Username = "other-agent", Password = "password" };
+        _context.Users.AddRange(user, otherUser);
+        _context.SaveChanges();
+        _userId = user.Id;
+        _otherUserId = otherUser.Id;
+
+        _context.CallLogs.Add(new CallLog { CallId = "call-1", CalleeUserId = user.Id, CallerNumber = "13800138000", Status = CallStatus.Completed });
+        _context.SaveChanges();
+
+        _applicationContext.AddActiviteUser(_userId);
+    }
+
+    [Fact]
+    public async Task GetStatusAsync_ShouldDefaultToAvailable() {
+        var status = await _service.GetStatusAsync(_userId);
+
+        Assert.NotNull(status);
+        Assert.Equal(AgentAvailability.Available, status.Status);
+        Assert.Equal(PresenceService.Online, status.Presence);
+        Assert.Equal(5, _service.AutoAwayMinutes);
+    }
+
+    [Fact]
+    public async Task GetStatusAsync_NotConnected_ShouldBeOffline() {
+        var status = await _service.GetStatusAsync(_otherUserId);
+
+        Assert.Equal(AgentAvailability.Offline, status?.Status);
+        Assert.Equal(AgentAvailability.Available, status?.SelectedStatus);
+    }
+
+    [Fact]
+    public async Task SetStatusAsync_BusyOrBreak_ShouldBeUnavailable() {
+        await _service.SetStatusAsync(_userId, AgentAvailability.Busy);
+        await _service.SetStatusAsync(_otherUserId, AgentAvailability.Break);
+
+        Assert.Equal(new[] { _userId, _otherUserId }, (await _service.GetUnavailableUserIdsAsync()).OrderBy(id => id));
+
+        var status = await _service.SetStatusAsync(_userId, AgentAvailability.Available);
+
+        Assert.Equal(AgentAvailability.Available, status?.Status);
+        Assert.NotNull(status?.ChangedAt);
+        Assert.Equal(new[] { _otherUserId }, await _service.GetUnavailableUserIdsAsync());
+    }
+
+    [Fact]
+    public async Task SetStatusAsync_Offline_ShouldThrow() {
+        await Assert.ThrowsAsync<ArgumentException>(() => _service.SetStatusAsync(_userId, AgentAvailability.Offline));
+    }
+
+    [Fact]
+    public async Task SetStatusAsync_UndefinedStatus_ShouldThrow() {
+        await Assert.ThrowsAsync<ArgumentException>(() => _service.SetStatusAsync(_userId, (AgentAvailability)42));
+        Assert.Equal(AgentAvailability.Available, (await _context.Users.FindAsync(_userId))!.AgentStatus);
+    }
+
+    [Fact]
+    public async Task SetStatusAsync_AutoAway_ShouldRestoreOnActivity() {
+        var away = await _service.SetStatusAsync(_userId, AgentAvailability.Break, auto: true);
+
+        Assert.Equal(AgentAvailability.Break, away?.Status);
+        Assert.Equal(AgentStatusService.AutoAwayReason, away?.Reason);
+
+        var restored = await _service.SetStatusAsync(_userId, AgentAvailability.Available, auto: true);
+
+        Assert.Equal(AgentAvailability.Available, restored?.Status);
+        Assert.Null(restored?.Reason);
+    }
+
+    [Fact]
+    public async Task SetStatusAsync_AutoAway_ShouldNotOverrideManualStatus() {
+        await _service.SetStatusAsync(_userId, AgentAvailability.Busy);
+
+        var away = await _service.SetStatusAsync(_userId, AgentAvailability.Break, auto: true);
+        Assert.Equal(AgentAvailability.Busy, away?.Status);
+
+        await _service.SetStatusAsync(_userId, AgentAvailability.Break);
+        var restored = await _service.SetStatusAsync(_userId, AgentAvailability.Available, auto: true);
+        Assert.Equal(AgentAvailability.Break, restored?.Status);
+    }
+
+    [Fact]
+    public async Task SetStatusAsync_AutoAwayDuringCall_ShouldBeIgnored() {
+        _callManager.Setup(m => m.GetActiviteUsers()).Returns(new[] { new User { Id = _userId, Username = "agent" } });
+
+        var status = await _service.SetStatusAsync(_userId, AgentAvailability.Break, auto: true);
+
+        Assert.Equal(AgentAvailability.Available, status?.Status);
+    }
+
+    [Fact]
+    public async Task GetStatusAsync_DuringWrapUp_ShouldBeBusy() {
+        await _wrapUpService.StartWrapUpAsync(_userId, "call-1");
+
+        var status = await _service.GetStatusAsync(_userId);
+
+        Assert.Equal(AgentAvailability.Busy, status?.Status);
+        Assert.Equal(AgentAvailability.Available, status?.SelectedStatus);
+        Assert.Equal(AgentStatusService.WrapUpReason, status?.Reason);
+        Assert.Equal(new[] { _userId }, await _service.GetUnavailableUserIdsAsync());
+    }
+
+    [Fact]
+    public async Task GetAllStatusesAsync_ShouldIncludeEveryUser() {
+        var statuses = await _service.GetAllStatusesAsync();
+
+        Assert.Equal(new[] { "agent", "other-agent" }, statuses.Select(s => s.Username));
+        Assert.Equal(new[] { AgentAvailability.Available, AgentAvailability.Offline }, statuses.Select(s => s.Status));
+    }
+
+    public void Dispose() {
+        _context.Dispose();
+        if (File.Exists(_testDbPath)) {
+            File.Delete(_testDbPath);
+        }
+    }
+}
@@ -0,0 +1,62 @@
+using AI.Caller.Phone.Services;
+using NPOI.XSSF.UserModel;
+using Xunit;
+
+namespace AI.Caller.Phone.Tests;
+
+public class BatchExcelReaderTests {
+    private static MemoryStream CreateWorkbook(params string[][] rows) {
+        var workbook = new XSSFWorkbook();
+        var sheet = workbook.CreateSheet("Template");
+        for (int i = 0; i < rows.Length; i++) {
+            var row = sheet.CreateRow(i);
+            for (int j = 0; j < rows[i].Length; j++) {
+                row.CreateCell(j).SetCellValue(rows[i][j]);
+            }
+        }
+
+        var stream = new MemoryStream();
+        workbook.Write(stream, true);
+        stream.Position = 0;
+        return stream;
+    }
+
+    [Fact]
+    public void ReadRows_ShouldReturnExcelRowNumbersAndValues() {
+        using var stream = CreateWorkbook(
+            ["PhoneNumber", "Name"],
+            ["138 0013 8000", "张三"],
+            ["010-12345678", "李四"]);
+
+        var rows = BatchExcelReader.ReadRows(stream);
+
+        Assert.Equal(2, rows.Count);
+        Assert.Equal(2, rows[0].RowNumber);
+        Assert.Equal("138 0013 8000", rows[0].Values["PhoneNumber"]);
+        Assert.Equal("李四", rows[1].Values["Name"]);
+    }
+
+    [Fact]
+    public void ReplacePhoneNumbers_ShouldOnlyRewritePhoneNumberColumn() {
+        using var input = CreateWorkbook(
+            ["Name", "PhoneNumber"],
+            ["张三", "138 0013 8000"],
+            ["李四", "+8613900139000"]);
+        using var output = new MemoryStream();
+
+        BatchExcelReader.ReplacePhoneNumbers(input, output, new Dictionary<int, string> { [2] = "+8613800138000" });
+
+        var rows = BatchExcelReader.ReadRows(new MemoryStream(output.ToArray()));
+        Assert.Equal("+8613800138000", rows[0].Values["PhoneNumber"]);
+        Assert.Equal("张三", rows[0].Values["Name"]);
+        Assert.Equal("+8613900139000", rows[1].Values["PhoneNumber"]);
+    }
+
+    [Fact]
+    public void ReplacePhoneNumbers_MissingPhoneNumberColumn_ShouldThrow() {
+        using var input = CreateWorkbook(["Name"], ["张三"]);
+
+        Assert.Throws<InvalidOperationException>(() =>
+            BatchExcelReader.ReplacePhoneNumbers(input, new MemoryStream(), new Dictionary<int, string> { [2] = "+8613800138000" }));
+    }
+}
@@ -0,0 +1,114 @@
+using AI.Caller.Phone.Entities;
+using AI.Caller.Phone.Hubs;
+using AI.Caller.Phone.Models.Dto;
+using AI.Caller.Phone.Services;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Moq;
+using Xunit;
+
+namespace AI.Caller.Phone.Tests;
+
+public class CallHistoryServiceTests : IDisposable {
+    private readonly AppDbContext _context;
+    private readonly string _testDbPath;
+    private readonly CallHistoryService _service;
+    private readonly int _userId;
+
+    public CallHistoryServiceTests() {
+        _testDbPath = Path.Combine(Path.GetTempPath(), $"test_call_history_{Guid.NewGuid()}.db");
+
+        var options = new DbContextOptionsBuilder<AppDbContext>()
+            .UseSqlite($"Data Source={_testDbPath}")
+            .Options;
+
+        _context = new AppDbContext(options, new ConfigurationBuilder().Build());
+        _context.Database.EnsureCreated();
+        _service = new CallHistoryService(
+            _context,
+            new Mock<IHubContext<WebRtcHub>> { DefaultValue = DefaultValue.Mock }.Object,
+            new Mock<ILogger<CallHistoryService>>().Object);
+
+        var user = new User { Username = "history-user", Password = "password" };
+        var peer = new User { Username = "peer-agent", Password = "password", DisplayName = "王五" };
+        _context.Users.AddRange(user, peer);
+        _context.SaveChanges();
+        _userId = user.Id;
+
+        // 逐条保存，保证Id按插入顺序递增
+        foreach (var callLog in new[] {
+            new CallLog { CallId = "outbound", CallerUserId = user.Id, CalleeNumber = "13800138000", Status = CallStatus.Completed },
+            new CallLog { CallId = "inbound", CalleeUserId = user.Id, CallerNumber = "13900139000", Status = CallStatus.Completed },
+            new CallLog { CallId = "missed", CalleeUserId = user.Id, CallerNumber = "13700137000", Status = CallStatus.NoAnswer },
+            new CallLog { CallId = "internal", CallerUserId = user.Id, CalleeUserId = peer.Id, CalleeNumber = "8001", Status = CallStatus.Completed },
+            new CallLog { CallId = "other-user", CallerUserId = peer.Id, CalleeNumber = "13800138000", Status = CallStatus.Completed }
+        }) {
+            _context.CallLogs.Add(callLog);
+            _context.SaveChanges();
+        }
+    }
+
+    [Fact]
+    public async Task GetCallHistoryAsync_ShouldReturnOwnCallsNewestFirst() {
+        var page = await _service.GetCallHistoryAsync(_userId, new CallHistoryQueryDto());
+
+        Assert.Equal(new[] { "internal", "missed", "inbound", "outbound" }, page.Items.Select(i => i.CallId));
+        Assert.Equal(new[] { "outbound", "missed", "inbound", "outbound" }, page.Items.Select(i => i.Type));
+        Assert.False(page.HasMore);
+        Assert.Null(page.NextBeforeId);
+    }
+
+    [Theory]
+    [InlineData("missed", new[] { "missed" })]
+    [InlineData("inbound", new[] { "inbound" })]
+    [InlineData("outbound", new[] { "internal", "outbound" })]
+    public async Task GetCallHistoryAsync_TypeFilter_ShouldMatchUserPerspective(string type, string[] expected) {
+        var page = await _service.GetCallHistoryAsync(_userId, new CallHistoryQueryDto { Type = type });
+
+        Assert.Equal(expected, page.Items.Select(i => i.CallId));
+    }
+
+    [Fact]
+    public async Task GetCallHistoryAsync_Keyword_ShouldSearchNumbersAndUsernames() {
+        var byNumber = await _service.GetCallHistoryAsync(_userId, new CallHistoryQueryDto { Keyword = " 138 " });
+        var byUsername = await _service.GetCallHistoryAsync(_userId, new CallHistoryQueryDto { Keyword = "peer" });
+
+        Assert.Equal(new[] { "outbound" }, byNumber.Items.Select(i => i.CallId));
+        var item = Assert.Single(byUsername.Items);
+        Assert.Equal("internal", item.CallId);
+        Assert.Equal("王五", item.PeerName);
+    }
+
+    [Fact]
+    public async Task GetCallHistoryAsync_Paging_ShouldContinueFromCursor() {
+        var first = await _service.GetCallHistoryAsync(_userId, new CallHistoryQueryDto { PageSize = 3 });
+
+        Assert.Equal(new[] { "internal", "missed", "inbound" }, first.Items.Select(i => i.CallId));
+        Assert.True(first.HasMore);
+        Assert.Equal(first.Items.Last().Id, first.NextBeforeId);
+
+        var second = await _service.GetCallHistoryAsync(_userId, new CallHistoryQueryDto { PageSize = 3, BeforeId = first.NextBeforeId });
+
+        Assert.Equal(new[] { "outbound" }, second.Items.Select(i => i.CallId));
+        Assert.False(second.HasMore);
+        Assert.Null(second.NextBeforeId);
+    }
+
+    [Fact]
+    public async Task MarkMissedCallsViewedAsync_ShouldResetMissedCount() {
+        Assert.Equal(1, await _service.GetMissedCallCountAsync(_userId));
+
+        await _service.MarkMissedCallsViewedAsync(_userId);
+
+        Assert.Equal(0, await _service.GetMissedCallCountAsync(_userId));
+    }
+
+    public void Dispose() {
+        _context.Dispose();
+        if (File.Exists(_testDbPath)) {
+            File.Delete(_testDbPath);
+        }
+    }
+}
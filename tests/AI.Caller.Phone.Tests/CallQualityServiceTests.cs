@@ -0,0 +1,83 @@
+using AI.Caller.Phone.Models.Dto;
+using AI.Caller.Phone.Services;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Moq;
+using Xunit;
+
+namespace AI.Caller.Phone.Tests;
+
+public class CallQualityServiceTests : IDisposable {
+    private readonly AppDbContext _context;
+    private readonly string _testDbPath;
+    private readonly CallQualityService _service;
+
+    public CallQualityServiceTests() {
+        _testDbPath = Path.Combine(Path.GetTempPath(), $"test_call_quality_{Guid.NewGuid()}.db");
+
+        var options = new DbContextOptionsBuilder<AppDbContext>()
+            .UseSqlite($"Data Source={_testDbPath}")
+            .Options;
+
+        _context = new AppDbContext(options, new ConfigurationBuilder().Build());
+        _context.Database.EnsureCreated();
+        _service = new CallQualityService(_context, new Mock<ILogger<CallQualityService>>().Object);
+    }
+
+    [Fact]
+    public async Task SaveSamplesAsync_UnknownSource_ShouldFallBackToPhone() {
+        var saved = await _service.SaveSamplesAsync(1, new CallQualityReportDto {
+            CallId = "call-1",
+            Source = "unknown",
+            Samples = [new CallQualitySampleDto { SampledAt = DateTime.UtcNow, Mos = 4.2 }]
+        });
+
+        Assert.Equal(1, saved);
+        var sample = await _context.CallQualitySamples.SingleAsync();
+        Assert.Equal("phone", sample.Source);
+        Assert.Equal(1, sample.UserId);
+    }
+
+    [Fact]
+    public async Task GetSummaryAsync_ShouldAggregateOnlyOwnSamplesForNonAdmin() {
+        await _service.SaveSamplesAsync(1, new CallQualityReportDto {
+            CallId = "call-2",
+            Samples = [
+                new CallQualitySampleDto { SampledAt = DateTime.UtcNow, Mos = 4.0, JitterMs = 5, PacketLossPercent = 0 },
+                new CallQualitySampleDto { SampledAt = DateTime.UtcNow.AddSeconds(2), Mos = 3.0, JitterMs = 30, PacketLossPercent = 4 }
+            ]
+        });
+        await _service.SaveSamplesAsync(2, new CallQualityReportDto {
+            CallId = "call-2",
+            Source = "monitor",
+            Samples = [new CallQualitySampleDto { SampledAt = DateTime.UtcNow, Mos = 1.5 }]
+        });
+
+        var own = await _service.GetSummaryAsync("call-2", 1, false);
+        var all = await _service.GetSummaryAsync("call-2", 1, true);
+
+        Assert.NotNull(own);
+        Assert.Equal(2, own.SampleCount);
+        Assert.Equal(3.5, own.AverageMos);
+        Assert.Equal(3.0, own.MinMos);
+        Assert.Equal(30, own.MaxJitterMs);
+        Assert.Equal(4, own.MaxPacketLossPercent);
+
+        Assert.NotNull(all);
+        Assert.Equal(3, all.SampleCount);
+        Assert.Equal(1.5, all.MinMos);
+    }
+
+    [Fact]
+    public async Task GetSummaryAsync_NoSamples_ShouldReturnNull() {
+        Assert.Null(await _service.GetSummaryAsync("missing", 1, true));
+    }
+
+    public void Dispose() {
+        _context.Dispose();
+        if (File.Exists(_testDbPath)) {
+            File.Delete(_testDbPath);
+        }
+    }
+}
@@ -0,0 +1,115 @@
+using AI.Caller.Phone.Entities;
+using AI.Caller.Phone.Models.Dto;
+using AI.Caller.Phone.Services;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Moq;
+using Xunit;
+
+namespace AI.Caller.Phone.Tests;
+
+public class CallerLookupServiceTests : IDisposable {
+    private readonly AppDbContext _context;
+    private readonly string _testDbPath;
+    private readonly Mock<ICrmLookupClient> _crmLookupClient = new();
+    private readonly CallerLookupService _service;
+    private readonly int _userId;
+
+    public CallerLookupServiceTests() {
+        _testDbPath = Path.Combine(Path.GetTempPath(), $"test_caller_lookup_{Guid.NewGuid()}.db");
+
+        var options = new DbContextOptionsBuilder<AppDbContext>()
+            .UseSqlite($"Data Source={_testDbPath}")
+            .Options;
+
+        var configuration = new ConfigurationBuilder()
+            .AddInMemoryCollection(new Dictionary<string, string?> {
+                ["CallerLookup:CrmUrlTemplate"] = "https://crm.example.com/customers/{customerId}"
+            })
+            .Build();
+
+        _context = new AppDbContext(options, configuration);
+        _context.Database.EnsureCreated();
+        _service = new CallerLookupService(
+            _context,
+            _crmLookupClient.Object,
+            configuration,
+            new Mock<ILogger<CallerLookupService>>().Object);
+
+        var user = new User { Username = "agent", DisplayName = "坐席一", Password = "password" };
+        _context.Users.Add(user);
+        _context.SaveChanges();
+        _userId = user.Id;
+
+        _context.Contacts.Add(new Contact { Name = "张三", PhoneNumber = "138 0013 8000", UserId = user.Id });
+        _context.CallLogs.AddRange(
+            new CallLog { CallId = "call-1", CallerNumber = "13800138000", CalleeUserId = user.Id, Status = CallStatus.Completed, Duration = TimeSpan.FromSeconds(65) },
+            new CallLog { CallId = "call-2", CallerUserId = user.Id, CalleeNumber = "13800138000", Status = CallStatus.NoAnswer },
+            new CallLog { CallId = "ringing", CallerNumber = "13800138000", CalleeUserId = user.Id, Status = CallStatus.InProgress },
+            new CallLog { CallId = "other", CallerNumber = "13900139000", CalleeUserId = user.Id, Status = CallStatus.Completed });
+        _context.SaveChanges();
+    }
+
+    [Fact]
+    public async Task LookupAsync_ContactAndCrm_ShouldMerge() {
+        _crmLookupClient.Setup(c => c.LookupAsync("13800138000", It.IsAny<CancellationToken>())).ReturnsAsync(new CrmCustomerDto {
+            CustomerId = "C001",
+            Name = "CRM中的名字",
+            Company = "示例公司",
+            Tickets = [new CrmTicketDto { Id = "T1", Title = "设备报修", Status = "处理中" }]
+        });
+
+        var result = await _service.LookupAsync(_userId, "13800138000", "ringing");
+
+        Assert.Equal("张三", result.Name);
+        Assert.Equal("contact", result.Source);
+        Assert.Equal("示例公司", result.Company);
+        Assert.Equal("https://crm.example.com/customers/C001", result.CrmUrl);
+        Assert.Single(result.Tickets);
+        Assert.Equal(new[] { "call-2", "call-1" }, result.RecentCalls.Select(c => c.CallId));
+        Assert.Equal(new[] { "outbound", "inbound" }, result.RecentCalls.Select(c => c.Direction));
+        Assert.Equal("坐席一", result.RecentCalls[1].AgentName);
+        Assert.Equal(65, result.RecentCalls[1].DurationSeconds);
+    }
+
+    [Fact]
+    public async Task LookupAsync_UnknownNumber_ShouldUseCrmName() {
+        _crmLookupClient.Setup(c => c.LookupAsync("13900139000", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new CrmCustomerDto { CustomerId = "C002", Name = "李四" });
+
+        var result = await _service.LookupAsync(_userId, "13900139000");
+
+        Assert.Equal("李四", result.Name);
+        Assert.Equal("crm", result.Source);
+        Assert.Equal(new[] { "other" }, result.RecentCalls.Select(c => c.CallId));
+    }
+
+    [Fact]
+    public async Task LookupAsync_CrmUnavailable_ShouldReturnLocalResult() {
+        _crmLookupClient.Setup(c => c.LookupAsync(It.IsAny<string>(), It.IsAny<CancellationToken>())).ReturnsAsync((CrmCustomerDto?)null);
+
+        var result = await _service.LookupAsync(_userId, "13700137000");
+
+        Assert.Null(result.Name);
+        Assert.Null(result.Source);
+        Assert.Null(result.CrmUrl);
+        Assert.Empty(result.RecentCalls);
+    }
+
+    [Theory]
+    [InlineData("+86 138-0013-8000", "13800138000", true)]
+    [InlineData("010-12345678", "+861012345678", true)]
+    [InlineData("8001", "18001", false)]
+    [InlineData("13800138000", "13800138001", false)]
+    public void NumbersMatch_ShouldIgnoreFormatting(string a, string b, bool expected) {
+        Assert.Equal(expected, CallerLookupService.NumbersMatch(a, b));
+    }
+
+    public void Dispose() {
+        _context.Dispose();
+        if (File.Exists(_testDbPath)) {
+            File.Delete(_testDbPath);
+        }
+    }
+}
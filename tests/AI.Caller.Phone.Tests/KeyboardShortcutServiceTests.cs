@@ -0,0 +1,86 @@
+using AI.Caller.Phone.Entities;
+using AI.Caller.Phone.Services;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Moq;
+using Xunit;
+
+namespace AI.Caller.Phone.Tests;
+
+public class KeyboardShortcutServiceTests : IDisposable {
+    private readonly AppDbContext _context;
+    private readonly string _testDbPath;
+    private readonly KeyboardShortcutService _service;
+    private readonly int _userId;
+
+    public KeyboardShortcutServiceTests() {
+        _testDbPath = Path.Combine(Path.GetTempPath(), $"test_keyboard_shortcuts_{Guid.NewGuid()}.db");
+
+        var options = new DbContextOptionsBuilder<AppDbContext>()
+            .UseSqlite($"Data Source={_testDbPath}")
+            .Options;
+
+        _context = new AppDbContext(options, new ConfigurationBuilder().Build());
+        _context.Database.EnsureCreated();
+        _service = new KeyboardShortcutService(_context, new Mock<ILogger<KeyboardShortcutService>>().Object);
+
+        var user = new User { Username = "shortcut-user", Password = "password" };
+        _context.Users.Add(user);
+        _context.SaveChanges();
+        _userId = user.Id;
+    }
+
+    [Fact]
+    public async Task GetShortcutsAsync_NotCustomized_ShouldReturnEmpty() {
+        Assert.Empty(await _service.GetShortcutsAsync(_userId));
+    }
+
+    [Fact]
+    public async Task SaveShortcutsAsync_ShouldPersistCustomShortcuts() {
+        await _service.SaveShortcutsAsync(_userId, new Dictionary<string, string> {
+            ["answer"] = "Ctrl+Alt+A",
+            ["mute"] = "F8"
+        });
+
+        var shortcuts = await _service.GetShortcutsAsync(_userId);
+        Assert.Equal(2, shortcuts.Count);
+        Assert.Equal("Ctrl+Alt+A", shortcuts["answer"]);
+        Assert.Equal("F8", shortcuts["mute"]);
+    }
+
+    [Fact]
+    public async Task SaveShortcutsAsync_Empty_ShouldResetToDefaults() {
+        await _service.SaveShortcutsAsync(_userId, new Dictionary<string, string> { ["hold"] = "Alt+K" });
+        await _service.SaveShortcutsAsync(_userId, new Dictionary<string, string>());
+
+        var user = await _context.Users.AsNoTracking().SingleAsync(u => u.Id == _userId);
+        Assert.Null(user.KeyboardShortcutsJson);
+    }
+
+    [Theory]
+    [InlineData("unknownAction", "Alt+U")]
+    [InlineData("answer", "Hyper+A")]
+    [InlineData("answer", "Alt+Alt+A")]
+    [InlineData("answer", "Ctrl+")]
+    public async Task SaveShortcutsAsync_Invalid_ShouldThrow(string action, string key) {
+        await Assert.ThrowsAsync<ArgumentException>(() =>
+            _service.SaveShortcutsAsync(_userId, new Dictionary<string, string> { [action] = key }));
+    }
+
+    [Fact]
+    public async Task SaveShortcutsAsync_DuplicateKey_ShouldThrow() {
+        await Assert.ThrowsAsync<ArgumentException>(() =>
+            _service.SaveShortcutsAsync(_userId, new Dictionary<string, string> {
+                ["answer"] = "Alt+A",
+                ["hangup"] = "alt+a"
+            }));
+    }
+
+    public void Dispose() {
+        _context.Dispose();
+        if (File.Exists(_testDbPath)) {
+            File.Delete(_testDbPath);
+        }
+    }
+}
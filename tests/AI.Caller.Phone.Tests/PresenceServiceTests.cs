@@ -0,0 +1,52 @@
+using AI.Caller.Phone.Entities;
+using AI.Caller.Phone.Models;
+using AI.Caller.Phone.Services;
+using Moq;
+using Xunit;
+
+namespace AI.Caller.Phone.Tests;
+
+public class PresenceServiceTests {
+    private readonly ApplicationContext _applicationContext = new();
+    private readonly Mock<ICallManager> _callManager = new();
+    private readonly PresenceService _service;
+
+    public PresenceServiceTests() {
+        _callManager.Setup(m => m.GetActiviteUsers()).Returns(Array.Empty<User>());
+        _service = new PresenceService(_applicationContext, _callManager.Object);
+    }
+
+    [Fact]
+    public void GetPresences_ConnectedUser_ShouldBeOnline() {
+        _applicationContext.AddActiviteUser(1);
+
+        var presences = _service.GetPresences([1, 2]);
+
+        Assert.Equal(PresenceService.Online, presences[1]);
+        Assert.Equal(PresenceService.Offline, presences[2]);
+    }
+
+    [Fact]
+    public void GetPresences_StaleHeartbeat_ShouldBeOffline() {
+        _applicationContext.AddActiviteUser(1);
+        _applicationContext.UserSessions[1].LastActivity = DateTime.UtcNow.AddMinutes(-1);
+
+        Assert.Equal(PresenceService.Offline, _service.GetPresences([1])[1]);
+    }
+
+    [Fact]
+    public void GetPresences_UserInActiveCall_ShouldBeOnCall() {
+        _applicationContext.AddActiviteUser(1);
+        _callManager.Setup(m => m.GetActiviteUsers()).Returns(new[] { new User { Id = 1, Username = "agent" } });
+
+        Assert.Equal(PresenceService.OnCall, _service.GetPresences([1])[1]);
+    }
+
+    [Fact]
+    public void GetAllPresences_DisconnectedUser_ShouldBeRemoved() {
+        _applicationContext.AddActiviteUser(1);
+        _applicationContext.RemoveActiviteUserId(1);
+
+        Assert.Empty(_service.GetAllPresences());
+    }
+}
@@ -0,0 +1,59 @@
+using AI.Caller.Core;
+using AI.Caller.Core.CallAutomation;
+using AI.Caller.Phone.BackgroundTask;
+using AI.Caller.Phone.Models.Dto;
+using Xunit;
+
+namespace AI.Caller.Phone.Tests;
+
+public class ScenarioPlaybackBroadcastServiceTests {
+    [Fact]
+    public void BuildUpdate_ShouldCopyPosition() {
+        var position = new ScenarioPlaybackPosition {
+            CallId = "call-1",
+            SegmentId = 12,
+            SegmentIndex = 2,
+            TotalSegments = 5,
+            SegmentType = ScenarioSegmentType.Recording,
+            State = ScenarioPlaybackState.Playing,
+            PositionMs = 1500,
+            DurationMs = 8000
+        };
+
+        var update = ScenarioPlaybackBroadcastService.BuildUpdate("call-1", position, false);
+
+        Assert.Equal("call-1", update.CallId);
+        Assert.Equal(12, update.SegmentId);
+        Assert.Equal(2, update.SegmentIndex);
+        Assert.Equal(5, update.TotalSegments);
+        Assert.Equal(ScenarioPlaybackStates.Playing, update.State);
+        Assert.Equal(1500, update.PositionMs);
+        Assert.Equal(8000, update.DurationMs);
+        Assert.True(update.Sequence > 0);
+
+        // 序号需单调递增且在JS安全整数范围内，前端事件总线据此丢弃过期推送
+        var next = ScenarioPlaybackBroadcastService.BuildUpdate("call-1", position, false);
+        Assert.True(next.Sequence > update.Sequence);
+        Assert.True(next.Sequence < (1L << 53));
+    }
+
+    [Theory]
+    [InlineData(ScenarioPlaybackState.Playing, false, ScenarioPlaybackStates.Playing)]
+    [InlineData(ScenarioPlaybackState.Jumping, false, ScenarioPlaybackStates.Playing)]
+    [InlineData(ScenarioPlaybackState.Paused, false, ScenarioPlaybackStates.Paused)]
+    [InlineData(ScenarioPlaybackState.Stopped, false, ScenarioPlaybackStates.Completed)]
+    [InlineData(ScenarioPlaybackState.Paused, true, ScenarioPlaybackStates.Intervened)]
+    public void BuildUpdate_ShouldMapState(ScenarioPlaybackState state, bool interventionActive, string expected) {
+        var position = new ScenarioPlaybackPosition { CallId = "call-1", SegmentId = 1, State = state };
+
+        Assert.Equal(expected, ScenarioPlaybackBroadcastService.BuildUpdate("call-1", position, interventionActive).State);
+    }
+
+    [Fact]
+    public void BuildUpdate_ScenarioFinished_ShouldBeCompleted() {
+        var update = ScenarioPlaybackBroadcastService.BuildUpdate("call-1", null, false);
+
+        Assert.Equal(ScenarioPlaybackStates.Completed, update.State);
+        Assert.Null(update.SegmentId);
+    }
+}
@@ -0,0 +1,111 @@
+using AI.Caller.Phone.Entities;
+using AI.Caller.Phone.Models.Dto;
+using AI.Caller.Phone.Services;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Moq;
+using Xunit;
+
+namespace AI.Caller.Phone.Tests;
+
+public class SpeedDialServiceTests : IDisposable {
+    private readonly AppDbContext _context;
+    private readonly string _testDbPath;
+    private readonly SpeedDialService _service;
+    private readonly int _userId;
+    private readonly int _contactId;
+    private readonly int _otherContactId;
+
+    public SpeedDialServiceTests() {
+        _testDbPath = Path.Combine(Path.GetTempPath(), $"test_speed_dials_{Guid.NewGuid()}.db");
+
+        var options = new DbContextOptionsBuilder<AppDbContext>()
+            .UseSqlite($"Data Source={_testDbPath}")
+            .Options;
+
+        _context = new AppDbContext(options, new ConfigurationBuilder().Build());
+        _context.Database.EnsureCreated();
+        _service = new SpeedDialService(_context, new Mock<ILogger<SpeedDialService>>().Object);
+
+        var user = new User { Username = "speed-dial-user", Password = "password" };
+        var otherUser = new User { Username = "other-user", Password = "password" };
+        _context.Users.AddRange(user, otherUser);
+        _context.SaveChanges();
+        _userId = user.Id;
+
+        var contact = new Contact { Name = "张三", PhoneNumber = "13800138000", UserId = user.Id };
+        var otherContact = new Contact { Name = "李四", PhoneNumber = "13900139000", UserId = otherUser.Id };
+        _context.Contacts.AddRange(contact, otherContact);
+        _context.SaveChanges();
+        _contactId = contact.Id;
+        _otherContactId = otherContact.Id;
+    }
+
+    [Fact]
+    public async Task SaveSpeedDialsAsync_ShouldPersistInOrder() {
+        await _service.SaveSpeedDialsAsync(_userId, new List<SpeedDialDto> {
+            new() { PhoneNumber = " 10086 ", Label = "客服" },
+            new() { ContactId = _contactId }
+        });
+
+        var speedDials = await _service.GetSpeedDialsAsync(_userId);
+        Assert.Equal(2, speedDials.Count);
+        Assert.Equal("10086", speedDials[0].PhoneNumber);
+        Assert.Equal("客服", speedDials[0].Label);
+        Assert.Equal(_contactId, speedDials[1].ContactId);
+        Assert.Equal("张三", speedDials[1].ContactName);
+        Assert.Equal("13800138000", speedDials[1].PhoneNumber);
+        Assert.Null(speedDials[1].Label);
+    }
+
+    [Fact]
+    public async Task SaveSpeedDialsAsync_ShouldReplaceExisting() {
+        await _service.SaveSpeedDialsAsync(_userId, new List<SpeedDialDto> {
+            new() { PhoneNumber = "10086" },
+            new() { PhoneNumber = "10010" }
+        });
+        await _service.SaveSpeedDialsAsync(_userId, new List<SpeedDialDto> {
+            new() { PhoneNumber = "10010" }
+        });
+
+        var speedDials = await _service.GetSpeedDialsAsync(_userId);
+        Assert.Single(speedDials);
+        Assert.Equal("10010", speedDials[0].PhoneNumber);
+        Assert.Equal(0, speedDials[0].Position);
+    }
+
+    [Fact]
+    public async Task SaveSpeedDialsAsync_TooMany_ShouldThrow() {
+        var speedDials = Enumerable.Range(0, SpeedDialService.MaxSpeedDials + 1)
+            .Select(i => new SpeedDialDto { PhoneNumber = $"1000{i}" })
+            .ToList();
+
+        await Assert.ThrowsAsync<ArgumentException>(() => _service.SaveSpeedDialsAsync(_userId, speedDials));
+    }
+
+    [Fact]
+    public async Task SaveSpeedDialsAsync_OtherUsersContact_ShouldThrow() {
+        await Assert.ThrowsAsync<ArgumentException>(() =>
+            _service.SaveSpeedDialsAsync(_userId, new List<SpeedDialDto> { new() { ContactId = _otherContactId } }));
+    }
+
+    [Fact]
+    public async Task SaveSpeedDialsAsync_UnavailableLine_ShouldThrow() {
+        await Assert.ThrowsAsync<ArgumentException>(() =>
+            _service.SaveSpeedDialsAsync(_userId, new List<SpeedDialDto> { new() { PhoneNumber = "10086", PreferredLineId = 999 } }));
+    }
+
+    [Fact]
+    public async Task SaveSpeedDialsAsync_NoTarget_ShouldThrow() {
+        await Assert.ThrowsAsync<ArgumentException>(() =>
+            _service.SaveSpeedDialsAsync(_userId, new List<SpeedDialDto> { new() { Label = "空" } }));
+    }
+
+    public void Dispose() {
+        _context.Dispose();
+        if (File.Exists(_testDbPath)) {
+            File.Delete(_testDbPath);
+        }
+    }
+}
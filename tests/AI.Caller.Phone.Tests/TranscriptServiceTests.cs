@@ -0,0 +1,108 @@
+using AI.Caller.Phone.Entities;
+using AI.Caller.Phone.Models;
+using AI.Caller.Phone.Services;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Moq;
+using Xunit;
+
+namespace AI.Caller.Phone.Tests;
+
+public class TranscriptServiceTests : IDisposable {
+    private readonly AppDbContext _context;
+    private readonly string _testDbPath;
+    private readonly TranscriptService _service;
+    private readonly int _userId;
+    private readonly int _otherUserId;
+    private readonly DateTime _callStart = new(2026, 10, 19, 8, 0, 0, DateTimeKind.Utc);
+
+    public TranscriptServiceTests() {
+        _testDbPath = Path.Combine(Path.GetTempPath(), $"test_transcript_{Guid.NewGuid()}.db");
+
+        var options = new DbContextOptionsBuilder<AppDbContext>()
+            .UseSqlite($"Data Source={_testDbPath}")
+            .Options;
+
+        _context = new AppDbContext(options, new ConfigurationBuilder().Build());
+        _context.Database.EnsureCreated();
+        _service = new TranscriptService(_context, new Mock<ILogger<TranscriptService>>().Object);
+
+        var user = new User { Username = "agent", Password = "password" };
+        var otherUser = new User { Username = "other-agent", Password = "password" };
+        _context.Users.AddRange(user, otherUser);
+        _context.SaveChanges();
+        _userId = user.Id;
+        _otherUserId = otherUser.Id;
+    }
+
+    [Fact]
+    public async Task AddSegmentAsync_ShouldLinkActiveRecording() {
+        var recording = AddRecording(_userId, RecordingStatus.Recording);
+        AddRecording(_otherUserId, RecordingStatus.Recording);
+
+        var segment = await _service.AddSegmentAsync(_userId, "call-1", TranscriptSpeaker.Customer, "  你好，我想咨询一下  ", _callStart.AddSeconds(5), _callStart.AddSeconds(7));
+
+        Assert.Equal("customer", segment.Speaker);
+        Assert.Equal("你好，我想咨询一下", segment.Text);
+        Assert.Equal(4, segment.OffsetSeconds);
+        Assert.Equal(recording.Id, (await _context.CallTranscriptSegments.SingleAsync()).RecordingId);
+    }
+
+    [Fact]
+    public async Task AddSegmentAsync_WithoutRecording_ShouldStillSave() {
+        AddRecording(_userId, RecordingStatus.Completed);
+
+        var segment = await _service.AddSegmentAsync(_userId, "call-1", TranscriptSpeaker.Agent, "您好", _callStart, _callStart.AddSeconds(1));
+
+        Assert.Null(segment.OffsetSeconds);
+        Assert.Null((await _context.CallTranscriptSegments.SingleAsync()).RecordingId);
+    }
+
+    [Fact]
+    public async Task GetCallTranscriptAsync_ShouldReturnOwnSegmentsInOrder() {
+        await _service.AddSegmentAsync(_userId, "call-1", TranscriptSpeaker.Customer, "第二句", _callStart.AddSeconds(3), _callStart.AddSeconds(4));
+        await _service.AddSegmentAsync(_userId, "call-1", TranscriptSpeaker.Agent, "第一句", _callStart, _callStart.AddSeconds(2));
+        await _service.AddSegmentAsync(_otherUserId, "call-1", TranscriptSpeaker.Agent, "对方坐席", _callStart, _callStart.AddSeconds(2));
+        await _service.AddSegmentAsync(_userId, "call-2", TranscriptSpeaker.Agent, "另一通电话", _callStart, _callStart.AddSeconds(2));
+
+        var segments = await _service.GetCallTranscriptAsync(_userId, "call-1");
+
+        Assert.Equal(new[] { "第一句", "第二句" }, segments.Select(s => s.Text));
+        Assert.Equal(new[] { "agent", "customer" }, segments.Select(s => s.Speaker));
+    }
+
+    [Fact]
+    public async Task GetRecordingTranscriptAsync_ShouldCheckOwnerAndClampOffset() {
+        var recording = AddRecording(_userId, RecordingStatus.Recording);
+        await _service.AddSegmentAsync(_userId, "call-1", TranscriptSpeaker.Agent, "录音开始前", _callStart, _callStart.AddSeconds(1));
+        await _service.AddSegmentAsync(_userId, "call-1", TranscriptSpeaker.Customer, "录音开始后", _callStart.AddSeconds(10), _callStart.AddSeconds(12));
+
+        var segments = await _service.GetRecordingTranscriptAsync(recording.Id, _userId);
+
+        Assert.NotNull(segments);
+        Assert.Equal(new double?[] { 0, 9 }, segments.Select(s => s.OffsetSeconds));
+        Assert.Null(await _service.GetRecordingTranscriptAsync(recording.Id, _otherUserId));
+        Assert.Equal(2, (await _service.GetRecordingTranscriptAsync(recording.Id, null))?.Count);
+    }
+
+    private Recording AddRecording(int userId, RecordingStatus status) {
+        var recording = new Recording {
+            UserId = userId,
+            SipUsername = $"sip{userId}",
+            StartTime = _callStart.AddSeconds(1),
+            FilePath = $"recordings/{Guid.NewGuid()}.wav",
+            Status = status
+        };
+        _context.Recordings.Add(recording);
+        _context.SaveChanges();
+        return recording;
+    }
+
+    public void Dispose() {
+        _context.Dispose();
+        if (File.Exists(_testDbPath)) {
+            File.Delete(_testDbPath);
+        }
+    }
+}
@@ -0,0 +1,114 @@
+using AI.Caller.Phone.Entities;
+using AI.Caller.Phone.Models;
+using AI.Caller.Phone.Models.Dto;
+using AI.Caller.Phone.Services;
+using Xunit;
+
+namespace AI.Caller.Phone.Tests;
+
+public class WallboardServiceTests {
+    private static readonly DateTime Now = new(2026, 1, 1, 8, 0, 0, DateTimeKind.Utc);
+
+    private readonly User _agent = new() { Id = 1, Username = "agent", DisplayName = "坐席一", Password = "password" };
+    private readonly User _otherAgent = new() { Id = 2, Username = "other-agent", Password = "password" };
+    private readonly List<AgentStatusDto> _statuses;
+
+    public WallboardServiceTests() {
+        _statuses = [
+            new AgentStatusDto { UserId = 1, Username = "agent", Status = AgentAvailability.Busy, Presence = PresenceService.OnCall },
+            new AgentStatusDto { UserId = 2, Username = "other-agent", Status = AgentAvailability.Busy, Presence = PresenceService.OnCall },
+            new AgentStatusDto { UserId = 3, Username = "idle-agent", Status = AgentAvailability.Busy, Reason = AgentStatusService.WrapUpReason, Presence = PresenceService.Online },
+            new AgentStatusDto { UserId = 4, Username = "offline-agent", Status = AgentAvailability.Offline, Presence = PresenceService.Offline }
+        ];
+    }
+
+    [Fact]
+    public void BuildSnapshot_ShouldCountCallsAndAgents() {
+        var talking = new CallContext {
+            Callee = new Models.Callee { User = _agent },
+            Caller = new Models.Caller { Number = "13800138000" },
+            LineName = "8001",
+            CreatedAt = Now.AddSeconds(-400),
+            AnsweredAt = Now.AddSeconds(-390)
+        };
+        var ringing = new CallContext {
+            Caller = new Models.Caller { User = _otherAgent },
+            Callee = new Models.Callee { Number = "13900139000" },
+            LineName = "主线路",
+            CreatedAt = Now.AddSeconds(-15)
+        };
+
+        var snapshot = WallboardService.BuildSnapshot(_statuses, [talking, ringing], new WallboardThresholdsDto(), Now);
+
+        Assert.Equal(1, snapshot.Counters.Ringing);
+        Assert.Equal(1, snapshot.Counters.Talking);
+        Assert.Equal(0, snapshot.Counters.Held);
+        Assert.Equal(1, snapshot.Counters.WrapUp);
+        Assert.Equal(0, snapshot.Counters.Available);
+        Assert.Equal(3, snapshot.Counters.Online);
+        Assert.Equal(15, snapshot.Counters.LongestRingingSeconds);
+
+        var inbound = snapshot.Agents[0].Call;
+        Assert.NotNull(inbound);
+        Assert.Equal("talking", inbound.State);
+        Assert.Equal("inbound", inbound.Direction);
+        Assert.Equal("13800138000", inbound.PeerNumber);
+        Assert.Equal("8001", inbound.LineName);
+        Assert.Equal(390, inbound.DurationSeconds);
+        Assert.Equal(WallboardSla.Warning, inbound.Sla);
+
+        var outbound = snapshot.Agents[1].Call;
+        Assert.NotNull(outbound);
+        Assert.Equal("ringing", outbound.State);
+        Assert.Equal("outbound", outbound.Direction);
+        Assert.Equal(WallboardSla.Warning, outbound.Sla);
+
+        Assert.Null(snapshot.Agents[2].Call);
+        Assert.Null(snapshot.Agents[3].Call);
+    }
+
+    [Fact]
+    public void BuildSnapshot_AgentToAgentCall_ShouldShowOnBothTiles() {
+        var call = new CallContext {
+            Caller = new Models.Caller { User = _agent, Number = "1001" },
+            Callee = new Models.Callee { User = _otherAgent, Number = "1002" },
+            CreatedAt = Now.AddSeconds(-30),
+            AnsweredAt = Now.AddSeconds(-20),
+            State = CallState.OnHold
+        };
+
+        var snapshot = WallboardService.BuildSnapshot(_statuses, [call], new WallboardThresholdsDto(), Now,
+            getLevels: (callId, userId) => userId == _agent.Id ? (80, 10) : (0, 0),
+            getMonitorCount: (callId, userId) => userId == _agent.Id ? 2 : null);
+
+        Assert.Equal(1, snapshot.Counters.Held);
+        Assert.Equal(0, snapshot.Counters.Talking);
+
+        var callerTile = snapshot.Agents[0].Call;
+        Assert.Equal("held", callerTile?.State);
+        Assert.Equal("outbound", callerTile?.Direction);
+        Assert.Equal("other-agent", callerTile?.PeerName);
+        Assert.Equal(80, callerTile?.AgentLevel);
+        Assert.Equal(10, callerTile?.CustomerLevel);
+        Assert.True(callerTile?.CanMonitor);
+        Assert.Equal(2, callerTile?.MonitorCount);
+
+        var calleeTile = snapshot.Agents[1].Call;
+        Assert.Equal("inbound", calleeTile?.Direction);
+        Assert.Equal("坐席一", calleeTile?.PeerName);
+        Assert.False(calleeTile?.CanMonitor);
+    }
+
+    [Theory]
+    [InlineData(5, WallboardSla.Normal)]
+    [InlineData(10, WallboardSla.Warning)]
+    [InlineData(25, WallboardSla.Critical)]
+    public void GetSla_ShouldUseThresholds(int seconds, string expected) {
+        Assert.Equal(expected, WallboardService.GetSla(seconds, 10, 20));
+    }
+
+    [Fact]
+    public void GetSla_DisabledThresholds_ShouldBeNormal() {
+        Assert.Equal(WallboardSla.Normal, WallboardService.GetSla(3600, 0, 0));
+    }
+}
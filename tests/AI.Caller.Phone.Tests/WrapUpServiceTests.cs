@@ -0,0 +1,123 @@
+using AI.Caller.Phone.Entities;
+using AI.Caller.Phone.Hubs;
+using AI.Caller.Phone.Models.Dto;
+using AI.Caller.Phone.Services;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Moq;
+using Xunit;
+
+namespace AI.Caller.Phone.Tests;
+
+public class WrapUpServiceTests : IDisposable {
+    private readonly AppDbContext _context;
+    private readonly string _testDbPath;
+    private readonly WrapUpService _service;
+    private readonly int _userId;
+
+    public WrapUpServiceTests() {
+        _testDbPath = Path.Combine(Path.GetTempPath(), $"test_wrap_up_{Guid.NewGuid()}.db");
+
+        var options = new DbContextOptionsBuilder<AppDbContext>()
+            .UseSqlite($"Data Source={_testDbPath}")
+            .Options;
+
+        var configuration = new ConfigurationBuilder()
+            .AddInMemoryCollection(new Dictionary<string, string?> { ["WrapUp:TimeLimitSeconds"] = "90" })
+            .Build();
+
+        _context = new AppDbContext(options, configuration);
+        _context.Database.EnsureCreated();
+        _service = new WrapUpService(
+            _context,
+            new Mock<IHubContext<WebRtcHub>> { DefaultValue = DefaultValue.Mock }.Object,
+            configuration,
+            new Mock<ILogger<WrapUpService>>().Object);
+
+        var user = new User { Username = "wrap-up-user", Password = "password" };
+        _context.Users.Add(user);
+        _context.SaveChanges();
+        _userId = user.Id;
+
+        _context.CallLogs.Add(new CallLog { CallId = "call-1", CalleeUserId = user.Id, CallerNumber = "13800138000", Status = CallStatus.Completed });
+        _context.WrapUpCodes.AddRange(
+            new WrapUpCode { Type = WrapUpCodeType.Disposition, Name = "已解决" },
+            new WrapUpCode { Type = WrapUpCodeType.Disposition, Name = "已停用", IsActive = false },
+            new WrapUpCode { Type = WrapUpCodeType.Tag, Name = "投诉" },
+            new WrapUpCode { Type = WrapUpCodeType.Tag, Name = "售后" });
+        _context.SaveChanges();
+    }
+
+    [Fact]
+    public async Task GetOptionsAsync_ShouldReturnActiveCodes() {
+        var options = await _service.GetOptionsAsync();
+
+        Assert.Equal(new[] { "已解决" }, options.Dispositions);
+        Assert.Equal(new[] { "投诉", "售后" }, options.Tags);
+        Assert.Equal(90, options.TimeLimitSeconds);
+    }
+
+    [Fact]
+    public async Task StartWrapUpAsync_ShouldBePendingUntilSubmitted() {
+        var started = await _service.StartWrapUpAsync(_userId, "call-1");
+
+        Assert.NotNull(started);
+        Assert.Equal("13800138000", started.PeerNumber);
+        Assert.Equal(new[] { _userId }, await _service.GetWrapUpUserIdsAsync());
+        Assert.Equal("call-1", (await _service.GetPendingWrapUpAsync(_userId))?.CallId);
+
+        var submitted = await _service.SubmitWrapUpAsync(_userId, "call-1", new WrapUpSubmitDto {
+            Disposition = "已解决",
+            Notes = " 客户已确认 ",
+            Tags = ["售后", "投诉", "售后"]
+        });
+
+        Assert.NotNull(submitted?.SubmittedAt);
+        Assert.Equal("客户已确认", submitted.Notes);
+        Assert.Equal(new[] { "售后", "投诉" }, submitted.Tags);
+        Assert.Empty(await _service.GetWrapUpUserIdsAsync());
+        Assert.Null(await _service.GetPendingWrapUpAsync(_userId));
+    }
+
+    [Fact]
+    public async Task StartWrapUpAsync_Twice_ShouldReuseRecord() {
+        var first = await _service.StartWrapUpAsync(_userId, "call-1");
+        var second = await _service.StartWrapUpAsync(_userId, "call-1");
+
+        Assert.Equal(first!.Id, second!.Id);
+        Assert.Equal(1, await _context.CallWrapUps.CountAsync());
+    }
+
+    [Fact]
+    public async Task StartWrapUpAsync_NotParticipant_ShouldReturnNull() {
+        Assert.Null(await _service.StartWrapUpAsync(_userId + 1, "call-1"));
+        Assert.Null(await _service.StartWrapUpAsync(_userId, "unknown-call"));
+    }
+
+    [Theory]
+    [InlineData(null, "投诉")]
+    [InlineData("已停用", null)]
+    [InlineData("已解决", "未知标签")]
+    public async Task SubmitWrapUpAsync_Invalid_ShouldThrow(string? disposition, string? tag) {
+        await _service.StartWrapUpAsync(_userId, "call-1");
+
+        await Assert.ThrowsAsync<ArgumentException>(() => _service.SubmitWrapUpAsync(_userId, "call-1", new WrapUpSubmitDto {
+            Disposition = disposition,
+            Tags = tag == null ? [] : [tag]
+        }));
+    }
+
+    [Fact]
+    public async Task SubmitWrapUpAsync_NotStarted_ShouldReturnNull() {
+        Assert.Null(await _service.SubmitWrapUpAsync(_userId, "call-1", new WrapUpSubmitDto { Disposition = "已解决" }));
+    }
+
+    public void Dispose() {
+        _context.Dispose();
+        if (File.Exists(_testDbPath)) {
+            File.Delete(_testDbPath);
+        }
+    }
+}